@@ -6,7 +6,8 @@
   ASSESSMENT 3 ENHANCEMENTS:
   • Input sanitization to prevent XSS attacks
   • Comprehensive form validation with clear error messages
-  • Toast notification system for user feedback
+  • Toast notification system for user feedback (queued, dismissible,
+    paused on hover/focus, with optional actions such as "Undo")
   • Loading states for async-like operations
   • Enhanced accessibility with ARIA attribute management
   • Keyboard navigation improvements
@@ -15,16 +16,42 @@
   • Better error handling and user guidance
 
   Key Features Implemented:
-  • Mock login (client-only; no backend)
-  • Local session persistence using localStorage
+  • Mock login (client-only; no backend) against a hashed credential store
+  • Progressive lockout after repeated failed sign-ins
+  • Signed, expiring session persisted in localStorage
+  • Idle timeout with an accessible "stay signed in" warning
+  • Open tabs kept in sync (session, balances, history) without
+    double-spending the same balance
   • Tab-based navigation controlling visible screens
-  • Rendering of static mock transactions
-  • Transfer form input validation (BSB + Account + Amount)
+  • Hash router with deep links, Back/Forward support and auth guards
+  • Persistent account ledger (balances + transactions) in localStorage
+  • Exact integer-cent money handling with Intl currency formatting
+  • Per-account transaction history with an account switcher
+  • Transaction search, filters, sortable columns and windowed rendering of long histories
+  • Automatic transaction categories (editable) and dashboard charts
+  • Export of filtered transactions as CSV, OFX 2 or QIF
+  • Import of CSV / OFX statements with preview and duplicate checks
+  • Declarative form validation with inline, per-field error messages
+    (sign-in and transfer forms)
+  • BSB directory lookup showing the bank, branch and payment types
+  • PayID and BPAY payments with format, check digit and name checks
+  • Transfers debit the source account and append to its history
+  • Review step before sending, then a printable / downloadable receipt
+  • One-time code (TOTP) step-up for high-value or new-payee transfers
+  • Saved payees (per customer) with picker and autocomplete on #to
+  • Future-dated and recurring transfers, processed when due
+  • Daily / monthly transfer limits with a cooling-off period on increases
+  • Monthly budgets matched by keyword, with threshold alerts
+  • Separate stored data per customer, with a demo profile reset
+  • Security activity log (sign-ins, sign-outs, transfer attempts)
+    with new-device and unusual-amount highlighting
+  • English, Chinese, Vietnamese and Arabic (RTL) message catalogues
   • Security-focused input handling
 
   Security Notice:
   This is intentionally NOT real banking logic.
-  No passwords are stored; this is demonstration only.
+  Only salted password hashes of demo users are stored; this is
+  demonstration only.
   Real environments require server-side authentication, secure cookies, 
   CSRF protection, HTTPS, etc.
 */
@@ -54,7 +81,8 @@
 
   /**
    * Sanitizes user input to prevent XSS attacks
-   * Escapes HTML special characters
+   * Escapes HTML special characters, including quotes so the
+   * result is also safe inside quoted attribute values
    * @param {string} str - Input string to sanitize
    * @returns {string} - Sanitized string
    */
@@ -63,7 +91,9 @@
     
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
   /**
@@ -77,62 +107,516 @@
   }
 
 
+  /*
+    ================================================================
+    INTERNATIONALISATION
+    ================================================================
+  */
+
+  /*
+    Message catalogues live in js/i18n/<language>.js and register
+    themselves on window.APP_MESSAGES. Messages are looked up by key:
+
+      translate('transfer.done', { amount: '$5.00', to: '062-000 12345678' })
+
+    "{name}" placeholders are filled from the params object (numbers are
+    formatted for the current locale). A message can also be an object
+    of Intl.PluralRules categories, chosen by params.count:
+
+      { one: '{count} transaction', other: '{count} transactions' }
+
+    Missing keys fall back to English. Static text in index.html is
+    marked with data-i18n="key" (text) and data-i18n-attr="attr:key;..."
+    (attributes) and refreshed by applyTranslations().
+  */
+
+  const languageKey = "language";
+  const messageCatalogues = window.APP_MESSAGES || {};
+  const fallbackLanguage = 'en';
+
+  // Locale used for numbers, currency and dates in each language
+  const languages = {
+    en: { name: 'English', locale: 'en-AU', dir: 'ltr' },
+    zh: { name: '中文', locale: 'zh-CN', dir: 'ltr' },
+    vi: { name: 'Tiếng Việt', locale: 'vi-VN', dir: 'ltr' },
+    ar: { name: 'العربية', locale: 'ar', dir: 'rtl' }
+  };
+
+  let currentLanguage = detectLanguage();
+  let pluralRules = new Intl.PluralRules(languages[currentLanguage].locale);
+  let numberFormatter = new Intl.NumberFormat(languages[currentLanguage].locale);
+
+  /**
+   * Picks the saved language, else the browser's, else English
+   * @returns {string} - Language code with a loaded catalogue
+   */
+  function detectLanguage() {
+    const isAvailable = (code) => !!languages[code] && !!messageCatalogues[code];
+    const saved = localStorage.getItem(languageKey);
+    if (saved && isAvailable(saved)) return saved;
+
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return isAvailable(browser) ? browser : fallbackLanguage;
+  }
+
+  /**
+   * Returns the BCP 47 locale for the current language
+   * @returns {string}
+   */
+  function getLocale() {
+    return languages[currentLanguage].locale;
+  }
+
+  /**
+   * Translates a message key
+   * @param {string} key - Catalogue key, e.g. "login.errors.custRequired"
+   * @param {Object} [params] - Placeholder values; "count" selects the plural form
+   * @returns {string}
+   */
+  function translate(key, params = {}) {
+    const catalogue = messageCatalogues[currentLanguage] || {};
+    const fallback = messageCatalogues[fallbackLanguage] || {};
+    let message = key in catalogue ? catalogue[key] : fallback[key];
+
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const category = pluralRules.select(Number(params.count));
+      message = message[category] !== undefined ? message[category] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? numberFormatter.format(value) : String(value);
+    });
+  }
+
+  /**
+   * Joins items as a list for the current language, e.g. "a, b and c"
+   * @param {Array<string>} items - Items to join
+   * @param {string} [type="conjunction"] - "disjunction" joins with "or"
+   * @returns {string}
+   */
+  function formatList(items, type = 'conjunction') {
+    if (typeof Intl.ListFormat === 'function') {
+      return new Intl.ListFormat(getLocale(), { type: type }).format(items);
+    }
+    return items.join(', ');
+  }
+
+  /**
+   * Formats a YYYY-MM-DD date for display in the current locale
+   * @param {string} iso - Date string
+   * @returns {string}
+   */
+  function formatDate(iso) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return iso;
+    return new Intl.DateTimeFormat(getLocale(), { year: 'numeric', month: 'short', day: 'numeric' })
+      .format(parseISODate(iso));
+  }
+
+  /**
+   * Formats a YYYY-MM month as e.g. "November 2025" in the current locale
+   * @param {string} month - Month string
+   * @returns {string}
+   */
+  function formatMonth(month) {
+    return new Intl.DateTimeFormat(getLocale(), { year: 'numeric', month: 'long' })
+      .format(parseISODate(`${month}-01`));
+  }
+
+  /**
+   * Formats a timestamp (date and time) in the current locale
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string}
+   */
+  function formatDateTime(time) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' })
+      .format(new Date(time));
+  }
+
+  /**
+   * Replaces static text and attributes marked with data-i18n /
+   * data-i18n-attr, and sets the document language and direction
+   * @param {ParentNode} [root=document] - Subtree to translate
+   */
+  function applyTranslations(root = document) {
+    $$('[data-i18n]', root).forEach((el) => {
+      el.textContent = translate(el.dataset.i18n);
+    });
+
+    $$('[data-i18n-attr]', root).forEach((el) => {
+      el.dataset.i18nAttr.split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((part) => part.trim());
+        if (attr && key) el.setAttribute(attr, translate(key));
+      });
+    });
+
+    document.documentElement.lang = currentLanguage;
+    document.documentElement.dir = languages[currentLanguage].dir;
+  }
+
+  /**
+   * Switches language, saves the choice and refreshes the UI
+   * @param {string} code - Language code
+   */
+  function setLanguage(code) {
+    if (!languages[code] || !messageCatalogues[code]) return;
+
+    currentLanguage = code;
+    localStorage.setItem(languageKey, code);
+    pluralRules = new Intl.PluralRules(getLocale());
+    numberFormatter = new Intl.NumberFormat(getLocale());
+    updateMoneyLocale();
+
+    applyTranslations();
+    onLanguageChange();
+  }
+
+  const languagePicker = $("#languagePicker");
+
+  languagePicker.innerHTML = Object.keys(languages)
+    .filter((code) => messageCatalogues[code])
+    .map((code) => `<option value="${code}" lang="${code}">${sanitizeInput(languages[code].name)}</option>`)
+    .join('');
+  languagePicker.value = currentLanguage;
+
+  languagePicker.addEventListener("change", () => setLanguage(languagePicker.value));
+
+
+  /*
+    ================================================================
+    MONEY
+    ================================================================
+  */
+
+  /*
+    All amounts are held as integer cents (e.g. $7.50 → 750) so that
+    balances never pick up floating-point drift. Text is only turned
+    into cents by parseMoney() and cents are only shown to the user
+    through formatMoney() / moneyLabel().
+  */
+
+  const moneyCurrency = 'AUD';
+
+  // Rebuilt by updateMoneyLocale() when the language changes
+  let moneyFormatter = null;
+
+  /**
+   * Creates the currency formatter for the current locale
+   */
+  function updateMoneyLocale() {
+    moneyFormatter = new Intl.NumberFormat(getLocale(), { style: 'currency', currency: moneyCurrency });
+  }
+
+  updateMoneyLocale();
+
+  /**
+   * Converts a trusted dollar number (constants, legacy stored data)
+   * to integer cents. Never use this for user input.
+   * @param {number} dollars - Dollar amount
+   * @returns {number}
+   */
+  function toCents(dollars) {
+    return Math.round(Number(dollars) * 100);
+  }
+
+  /**
+   * Parses typed or imported money text into integer cents.
+   * Accepts "1250.5", "1,250.50", "$20" and "-7.50"; rejects more than
+   * two decimal places and misplaced thousands separators.
+   * @param {string} value - Amount text
+   * @returns {Object} - { valid, cents, error }
+   */
+  function parseMoney(value) {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) return { valid: false, cents: null, error: translate('money.errors.required') };
+
+    const match = /^([-+])?\$?(\d{1,3}(?:,\d{3})+|\d+)?(?:\.(\d+))?$/.exec(text);
+    if (!match || (match[2] === undefined && match[3] === undefined)) {
+      return { valid: false, cents: null, error: translate('money.errors.invalid') };
+    }
+
+    const fraction = match[3] || '';
+    if (fraction.length > 2) {
+      return { valid: false, cents: null, error: translate('money.errors.decimals') };
+    }
+
+    const whole = (match[2] || '0').replace(/,/g, '');
+    const cents = Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+    if (!Number.isSafeInteger(cents)) {
+      return { valid: false, cents: null, error: translate('money.errors.tooLarge') };
+    }
+
+    return { valid: true, cents: match[1] === '-' ? -cents : cents, error: '' };
+  }
+
+  /**
+   * Formats cents for display using Intl.NumberFormat, e.g. -750 → "-$7.50"
+   * @param {number} cents - Amount in cents
+   * @returns {string}
+   */
+  function formatMoney(cents) {
+    return moneyFormatter.format(cents / 100);
+  }
+
+  /**
+   * Formats cents as a plain decimal without symbol or grouping,
+   * for file exports and input values
+   * @param {number} cents - Amount in cents
+   * @returns {string} - e.g. "-7.50"
+   */
+  function centsToDecimal(cents) {
+    const abs = Math.abs(cents);
+    const fraction = String(abs % 100).padStart(2, '0');
+    return `${cents < 0 ? '-' : ''}${Math.floor(abs / 100)}.${fraction}`;
+  }
+
+  /**
+   * Describes an amount in words for screen readers, e.g.
+   * -750 → "debit 7 dollars 50 cents", 125000 → "credit 1,250 dollars".
+   * "-$7.50" is otherwise often read as "dollar seven point five zero".
+   * @param {number} cents - Amount in cents
+   * @param {boolean} [signed=true] - Prefix "debit"/"credit"
+   * @returns {string}
+   */
+  function moneyLabel(cents, signed = true) {
+    const abs = Math.abs(cents);
+    const dollars = Math.floor(abs / 100);
+    const rest = abs % 100;
+    const parts = [];
+
+    if (dollars || !rest) {
+      parts.push(translate('money.dollars', { count: dollars }));
+    }
+    if (rest) {
+      parts.push(translate('money.cents', { count: rest }));
+    }
+
+    const words = parts.join(' ');
+    if (!signed) return words;
+    return translate(cents < 0 ? 'money.debit' : 'money.credit', { amount: words });
+  }
+
+
   /*
     ================================================================
     TOAST NOTIFICATION SYSTEM
     ================================================================
   */
 
+  /*
+    Toasts are shown a few at a time; the rest wait in a short queue
+    and appear as earlier ones close. A message that is already showing
+    or waiting is not added twice - a visible copy just restarts its
+    timer. Toasts with a button are never merged or queued: they open
+    at once, even past the limit, as their action may only be open for
+    a short time (and two identical transfers each need their own
+    Undo). Hovering over or focusing a toast pauses its timer, so there
+    is always time to read it or use its buttons.
+
+    Errors use role="alert" so they are announced straight away; other
+    types use role="status" and wait for the screen reader to be idle.
+  */
+
   const toastContainer = $('#toastContainer');
+  const toastMaxVisible = 3;
+  const toastMaxQueued = 5;
   let toastCounter = 0;
 
+  // Visible toasts, oldest first
+  const activeToasts = [];
+  // Toasts waiting for a free slot, oldest first
+  const toastQueue = [];
+
+  // Icon SVGs for different toast types
+  const toastIcons = {
+    success: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+      <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
+      <polyline points="22 4 12 14.01 9 11.01"></polyline>
+    </svg>`,
+    error: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+      <circle cx="12" cy="12" r="10"></circle>
+      <line x1="15" y1="9" x2="9" y2="15"></line>
+      <line x1="9" y1="9" x2="15" y2="15"></line>
+    </svg>`,
+    info: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+      <circle cx="12" cy="12" r="10"></circle>
+      <line x1="12" y1="16" x2="12" y2="12"></line>
+      <line x1="12" y1="8" x2="12.01" y2="8"></line>
+    </svg>`
+  };
+
   /**
    * Shows a toast notification to the user
    * @param {string} message - Message to display
    * @param {string} type - Type of toast: 'success', 'error', or 'info'
    * @param {number} duration - How long to show (ms), default 4000
+   * @param {Object} [action] - Optional button: { label, onClick }.
+   *                 The toast closes after onClick runs.
    */
-  function showToast(message, type = 'info', duration = 4000) {
-    const toastId = `toast-${toastCounter++}`;
-    const sanitizedMessage = sanitizeInput(message);
-    
-    // Icon SVGs for different toast types
-    const icons = {
-      success: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-        <polyline points="22 4 12 14.01 9 11.01"></polyline>
-      </svg>`,
-      error: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <circle cx="12" cy="12" r="10"></circle>
-        <line x1="15" y1="9" x2="9" y2="15"></line>
-        <line x1="9" y1="9" x2="15" y2="15"></line>
-      </svg>`,
-      info: `<svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <circle cx="12" cy="12" r="10"></circle>
-        <line x1="12" y1="16" x2="12" y2="12"></line>
-        <line x1="12" y1="8" x2="12.01" y2="8"></line>
-      </svg>`
+  function showToast(message, type = 'info', duration = 4000, action = null) {
+    // A button acts on something specific, so those toasts are never merged
+    const key = action ? null : `${type}|${message}`;
+
+    const visible = key && activeToasts.find((toast) => toast.key === key);
+    if (visible) {
+      visible.remaining = duration;
+      if (!visible.paused) startToastTimer(visible);
+      return;
+    }
+    if (key && toastQueue.some((toast) => toast.key === key)) return;
+
+    const toast = {
+      id: `toast-${toastCounter++}`,
+      key: key,
+      message: message,
+      type: toastIcons[type] ? type : 'info',
+      remaining: duration,
+      action: action,
+      timer: null,
+      startedAt: 0,
+      hovered: false,
+      focused: false,
+      paused: false,
+      element: null
     };
 
-    const toast = document.createElement('div');
-    toast.id = toastId;
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-      ${icons[type]}
-      <span class="toast-message">${sanitizedMessage}</span>
+    if (action || activeToasts.length < toastMaxVisible) {
+      openToast(toast);
+    } else {
+      toastQueue.push(toast);
+      // When the queue is full the oldest waiting message is dropped
+      if (toastQueue.length > toastMaxQueued) toastQueue.shift();
+    }
+  }
+
+  /**
+   * Adds a toast to the page and starts its timer
+   * @param {Object} toast - Queued toast
+   */
+  function openToast(toast) {
+    const element = document.createElement('div');
+    element.id = toast.id;
+    element.className = `toast ${toast.type}`;
+    element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+    element.setAttribute('aria-atomic', 'true');
+    element.innerHTML = `
+      ${toastIcons[toast.type]}
+      <span class="toast-message"></span>
+      ${toast.action ? `<button type="button" class="toast-action">${sanitizeInput(toast.action.label)}</button>` : ''}
+      <button type="button" class="toast-close" aria-label="${sanitizeInput(translate('toast.dismiss'))}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true" focusable="false">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
     `;
 
-    toastContainer.appendChild(toast);
+    toast.element = element;
+    activeToasts.push(toast);
+    toastContainer.appendChild(element);
+    // The text goes in after the live region is on the page so it is announced
+    $('.toast-message', element).textContent = toast.message;
+
+    $('.toast-close', element).addEventListener('click', () => dismissToast(toast));
+
+    if (toast.action) {
+      $('.toast-action', element).addEventListener('click', () => {
+        toast.action.onClick();
+        dismissToast(toast);
+      });
+    }
+
+    element.addEventListener('mouseenter', () => {
+      toast.hovered = true;
+      updateToastTimer(toast);
+    });
+    element.addEventListener('mouseleave', () => {
+      toast.hovered = false;
+      updateToastTimer(toast);
+    });
+    element.addEventListener('focusin', (e) => {
+      // Remember where focus came from so it can go back on close
+      if (!toast.focused && e.relatedTarget && !element.contains(e.relatedTarget)) {
+        toast.returnFocus = e.relatedTarget;
+      }
+      toast.focused = true;
+      updateToastTimer(toast);
+    });
+    element.addEventListener('focusout', (e) => {
+      if (element.contains(e.relatedTarget)) return;
+      toast.focused = false;
+      updateToastTimer(toast);
+    });
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') dismissToast(toast);
+    });
+
+    startToastTimer(toast);
+  }
+
+  /**
+   * (Re)starts a toast's timer with its remaining time
+   * @param {Object} toast - Visible toast
+   */
+  function startToastTimer(toast) {
+    clearTimeout(toast.timer);
+    toast.paused = false;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissToast(toast), toast.remaining);
+  }
+
+  /**
+   * Pauses a toast while it is hovered or focused, and resumes it after
+   * @param {Object} toast - Visible toast
+   */
+  function updateToastTimer(toast) {
+    const shouldPause = toast.hovered || toast.focused;
+    if (shouldPause && !toast.paused) {
+      clearTimeout(toast.timer);
+      toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+      toast.paused = true;
+    } else if (!shouldPause && toast.paused) {
+      startToastTimer(toast);
+    }
+  }
+
+  /**
+   * Closes a toast and shows the next queued one
+   * @param {Object} toast - Visible toast
+   */
+  function dismissToast(toast) {
+    const index = activeToasts.indexOf(toast);
+    if (index === -1) return;
+
+    activeToasts.splice(index, 1);
+    clearTimeout(toast.timer);
+
+    const { element } = toast;
+    if (element.contains(document.activeElement)) {
+      const target = toast.returnFocus && toast.returnFocus.isConnected ? toast.returnFocus : null;
+      if (target) target.focus();
+      else document.activeElement.blur();
+    }
 
-    // Auto-remove after duration
+    element.style.animation = 'slideOut 0.3s ease-out forwards';
     setTimeout(() => {
-      toast.style.animation = 'slideOut 0.3s ease-out forwards';
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.parentNode.removeChild(toast);
-        }
-      }, 300);
-    }, duration);
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    }, 300);
+
+    if (toastQueue.length && activeToasts.length < toastMaxVisible) openToast(toastQueue.shift());
+  }
+
+  /**
+   * Closes every toast and empties the queue (e.g. on sign-out)
+   */
+  function clearToasts() {
+    toastQueue.length = 0;
+    activeToasts.slice().forEach(dismissToast);
   }
 
 
@@ -197,7 +681,7 @@
     Sections represent separate application screens.
     Only one section is visible at a time.
   */
-  const sections = ["login", "dashboard", "transactions", "transfer"];
+  const sections = ["login", "dashboard", "transactions", "transfer", "payees", "scheduled", "activity", "settings", "receipt"];
   const tabNav = $("#appTabs");
 
   /**
@@ -215,7 +699,7 @@
     });
 
     // Show/hide tab navigation based on authenticated state
-    const isAppScreen = (id === "dashboard" || id === "transactions" || id === "transfer");
+    const isAppScreen = id !== "login";
     tabNav.hidden = !isAppScreen;
 
     // Update active tab indicator
@@ -245,10 +729,15 @@
    */
   function announcePageChange(pageId) {
     const announcements = {
-      login: 'Login page',
-      dashboard: 'Accounts dashboard',
-      transactions: 'Transaction history',
-      transfer: 'Transfer money'
+      login: translate('announce.login'),
+      dashboard: translate('announce.dashboard'),
+      transactions: translate('announce.transactions'),
+      transfer: translate('announce.transfer'),
+      payees: translate('announce.payees'),
+      scheduled: translate('announce.scheduled'),
+      activity: translate('announce.activity'),
+      settings: translate('announce.settings'),
+      receipt: translate('announce.receipt')
     };
     
     // Create temporary announcement element
@@ -256,7 +745,7 @@
     announcement.setAttribute('role', 'status');
     announcement.setAttribute('aria-live', 'polite');
     announcement.className = 'sr-only';
-    announcement.textContent = `Navigated to ${announcements[pageId] || pageId}`;
+    announcement.textContent = translate('announce.navigated', { page: announcements[pageId] || pageId });
     document.body.appendChild(announcement);
     
     // Remove after announcement
@@ -272,408 +761,6980 @@
     ================================================================
   */
 
+  /*
+    Mock authentication (still no backend):
+    • Demo users live in a local credential store holding only a
+      random salt and a PBKDF2-SHA-256 hash of each password.
+    • Repeated failures lock the customer ID for progressively
+      longer periods.
+    • A successful sign-in stores a session object signed with
+      HMAC-SHA-256 and an expiry time instead of a plain flag.
+    The signing secret has to live in the browser too, so this only
+    demonstrates the shape of a real session – it is not secure.
+  */
+
   const sessionKey = "session_key";
+  const sessionSecretKey = "session_secret";
+  const loginAttemptsKey = "login_attempts";
+
+  const sessionLifetime = 8 * 60 * 60 * 1000; // 8 hours
+  const maxLoginAttempts = 3;                 // failures before a lockout
+  const lockoutBase = 30 * 1000;              // first lockout: 30 seconds
+  const lockoutMax = 15 * 60 * 1000;          // longest lockout: 15 minutes
+  const pbkdf2Iterations = 100000;
+
+  /*
+    Demo credential store.
+    Passwords (for testers): 12345678 / Demo@2025, 87654321 / Saver#2025
+    totpSecret is the base32 key for step-up one-time codes; it can be
+    added to any authenticator app for testing.
+  */
+  const credentialStore = [
+    {
+      cust: "12345678",
+      name: "Alex Nguyen",
+      totpSecret: "KRSXG5CTMVRXEZLUKN2GK4DV",
+      salt: "968328d7c0fffcd25bb43f55af3995aa",
+      hash: "06146dd69a1a7d790d15c411e9635624d9bf094a99b9ad9f5d5eb308294f442d"
+    },
+    {
+      cust: "87654321",
+      name: "Sam Taylor",
+      totpSecret: "MFRGGZDFMZTWQ2LKNNWG23TP",
+      salt: "3401a299288c092f9d9c0b55bf7b1971",
+      hash: "f960d26c1857b4d3062ca5c137b4008d4854836926ee706e1d45ccd8713e7992"
+    }
+  ];
+
+  // Verified session payload for the signed-in customer, or null
+  let currentSession = null;
+
+  const textEncoder = new TextEncoder();
 
   /**
-   * Checks if user is authenticated
-   * @returns {boolean}
+   * Converts bytes to a lowercase hex string
+   * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+   * @returns {string}
    */
-  function isAuthed() {
-    return localStorage.getItem(sessionKey) === "1";
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
   }
 
   /**
-   * Sets authentication state
-   * @param {boolean} value - Authentication state
+   * Converts a hex string to bytes
+   * @param {string} hex - Hex string
+   * @returns {Uint8Array}
    */
-  function setAuthed(value) {
-    localStorage.setItem(sessionKey, value ? "1" : "0");
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
   }
 
+  /**
+   * Compares two strings without exiting early on the first mismatch
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  function safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
 
-  /*
-    ================================================================
-    LOGIN HANDLING
-    ================================================================
-  */
+  /**
+   * Checks that the Web Crypto API is available (it requires a
+   * secure context such as https://, localhost or a local file)
+   * @returns {boolean}
+   */
+  function hasWebCrypto() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
 
-  const loginForm = $("#loginForm");
-  const loginStatus = $("#loginForm .form-status");
-  const logoutBtn = $("#logoutBtn");
-  const custInput = $("#cust");
-  const passInput = $("#pass");
+  /**
+   * Derives a PBKDF2-SHA-256 password hash
+   * @param {string} password - Plain-text password
+   * @param {string} saltHex - Salt as hex
+   * @returns {Promise<string>} - 256-bit hash as hex
+   */
+  async function hashPassword(password, saltHex) {
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations: pbkdf2Iterations },
+      keyMaterial,
+      256
+    );
+    return toHex(bits);
+  }
 
   /**
-   * Validates login form inputs
-   * @returns {Object} - Validation result with isValid flag and errors
+   * Checks whether a customer ID belongs to a demo customer
+   * @param {string} cust - Customer ID
+   * @returns {boolean}
    */
-  function validateLogin() {
-    const errors = [];
-    const cust = custInput.value.trim();
-    const pass = passInput.value.trim();
+  function isKnownCustomer(cust) {
+    return credentialStore.some((u) => u.cust === cust);
+  }
 
-    if (!cust) {
-      errors.push('Customer ID is required');
-      custInput.setAttribute('aria-invalid', 'true');
-    } else {
-      custInput.setAttribute('aria-invalid', 'false');
-    }
+  /**
+   * Verifies a customer ID and password against the credential store
+   * @param {string} cust - Customer ID
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object|null>} - Matching user, or null
+   */
+  async function verifyCredentials(cust, password) {
+    const user = credentialStore.find((u) => u.cust === cust);
 
-    if (!pass) {
-      errors.push('Password is required');
-      passInput.setAttribute('aria-invalid', 'true');
-    } else if (pass.length < 4) {
-      errors.push('Password must be at least 4 characters');
-      passInput.setAttribute('aria-invalid', 'true');
-    } else {
-      passInput.setAttribute('aria-invalid', 'false');
-    }
+    // Hash even for unknown IDs so response time doesn't reveal which IDs exist
+    const salt = user ? user.salt : credentialStore[0].salt;
+    const hash = await hashPassword(password, salt);
 
-    return {
-      isValid: errors.length === 0,
-      errors: errors,
-      cust: sanitizeInput(cust),
-      pass: pass // Don't sanitize password display, just validate
-    };
+    return user && safeEqual(hash, user.hash) ? user : null;
   }
 
   /**
-   * Handles login form submission
+   * Returns the HMAC key used to sign sessions, creating a random
+   * secret for this browser on first use
+   * @returns {Promise<CryptoKey>}
    */
-  loginForm.addEventListener("submit", async (event) => {
-    event.preventDefault();
+  async function getSigningKey() {
+    let secret = localStorage.getItem(sessionSecretKey);
+    if (!secret || !/^[0-9a-f]{64}$/.test(secret)) {
+      secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+      localStorage.setItem(sessionSecretKey, secret);
+    }
+    return crypto.subtle.importKey(
+      'raw', fromHex(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+  }
 
-    const submitBtn = loginForm.querySelector('.btn');
-    const validation = validateLogin();
+  /**
+   * Signs a session payload
+   * @param {Object} payload - Session data
+   * @returns {Promise<string>} - HMAC signature as hex
+   */
+  async function signPayload(payload) {
+    const key = await getSigningKey();
+    const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(JSON.stringify(payload)));
+    return toHex(signature);
+  }
 
-    if (!validation.isValid) {
-      loginStatus.textContent = validation.errors.join('. ') + '.';
-      loginStatus.style.color = "var(--error)";
-      showToast(validation.errors[0], 'error');
-      return;
-    }
+  /**
+   * Checks if user is authenticated with an unexpired session
+   * @returns {boolean}
+   */
+  function isAuthed() {
+    return !!currentSession && currentSession.expiresAt > Date.now();
+  }
 
-    // Show loading state
-    showLoading(submitBtn);
-    loginStatus.textContent = 'Authenticating...';
-    loginStatus.style.color = "var(--info)";
+  /**
+   * Returns the signed-in customer's ID
+   * @returns {string|null}
+   */
+  function getCustomerId() {
+    return isAuthed() ? currentSession.cust : null;
+  }
 
-    // Simulate authentication delay
-    await simulateAsync(1000);
+  /**
+   * Creates and stores a signed session for a verified user
+   * @param {Object} user - Credential store entry
+   */
+  async function createSession(user) {
+    const now = Date.now();
+    const payload = {
+      cust: user.cust,
+      name: user.name,
+      issuedAt: now,
+      expiresAt: now + sessionLifetime,
+      nonce: toHex(crypto.getRandomValues(new Uint8Array(16)))
+    };
+    const signature = await signPayload(payload);
 
-    // Store mock "authenticated" state
-    setAuthed(true);
-    logoutBtn.hidden = false;
+    localStorage.setItem(sessionKey, JSON.stringify({ payload, signature }));
+    currentSession = payload;
+  }
 
-    loginStatus.textContent = "";
-    hideLoading(submitBtn);
-    
-    showToast('Successfully logged in!', 'success');
-    show("dashboard");
-  });
+  /**
+   * Restores a stored session if its signature and expiry are valid;
+   * anything else (tampered, expired, legacy "1" flag) is cleared
+   * @returns {Promise<boolean>}
+   */
+  async function restoreSession() {
+    currentSession = null;
 
-  // Real-time validation feedback
-  [custInput, passInput].forEach(input => {
-    input.addEventListener('blur', () => {
-      if (input.value.trim()) {
-        validateLogin();
+    try {
+      const stored = JSON.parse(localStorage.getItem(sessionKey));
+      if (stored && stored.payload && typeof stored.signature === 'string' && hasWebCrypto()) {
+        const expected = await signPayload(stored.payload);
+        if (safeEqual(expected, stored.signature) && stored.payload.expiresAt > Date.now()) {
+          currentSession = stored.payload;
+          return true;
+        }
+      }
+    } catch (e) {
+      // Unreadable sessions are treated as signed out
+    }
+
+    localStorage.removeItem(sessionKey);
+    return false;
+  }
+
+  /**
+   * Ends the current session
+   */
+  function clearSession() {
+    currentSession = null;
+    localStorage.removeItem(sessionKey);
+  }
+
+  /**
+   * Reads failed-attempt records keyed by customer ID
+   * @returns {Object}
+   */
+  function loadLoginAttempts() {
+    try {
+      return JSON.parse(localStorage.getItem(loginAttemptsKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Returns the remaining lockout time for a customer ID
+   * @param {string} cust - Customer ID
+   * @returns {number} - Milliseconds until sign-in is allowed again
+   */
+  function getLockoutRemaining(cust) {
+    const record = loadLoginAttempts()[cust];
+    return record && record.lockedUntil ? Math.max(0, record.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Counts a failure against a { failures, lockouts, lockedUntil }
+   * record. Every maxAttempts failures start a lockout, each lasting
+   * twice as long as the last.
+   * @param {Object} record - Failure record, updated in place
+   * @param {number} maxAttempts - Failures allowed before a lockout
+   * @returns {Object} - { attemptsLeft, lockedFor } (lockedFor in ms)
+   */
+  function countFailure(record, maxAttempts) {
+    record.failures += 1;
+    let lockedFor = 0;
+
+    if (record.failures >= maxAttempts) {
+      lockedFor = Math.min(lockoutBase * Math.pow(2, record.lockouts), lockoutMax);
+      record.lockouts += 1;
+      record.failures = 0;
+      record.lockedUntil = Date.now() + lockedFor;
+    }
+
+    return { attemptsLeft: maxAttempts - record.failures, lockedFor };
+  }
+
+  /**
+   * Records a failed sign-in, locking the customer ID after
+   * maxLoginAttempts failures
+   * @param {string} cust - Customer ID
+   * @returns {Object} - { attemptsLeft, lockedFor } (lockedFor in ms)
+   */
+  function recordLoginFailure(cust) {
+    const attempts = loadLoginAttempts();
+    const record = attempts[cust] || { failures: 0, lockouts: 0, lockedUntil: 0 };
+    const result = countFailure(record, maxLoginAttempts);
+
+    attempts[cust] = record;
+    localStorage.setItem(loginAttemptsKey, JSON.stringify(attempts));
+    return result;
+  }
+
+  /**
+   * Clears failed-attempt history after a successful sign-in
+   * @param {string} cust - Customer ID
+   */
+  function clearLoginFailures(cust) {
+    const attempts = loadLoginAttempts();
+    delete attempts[cust];
+    localStorage.setItem(loginAttemptsKey, JSON.stringify(attempts));
+  }
+
+  /**
+   * Formats a lockout duration, e.g. "45 seconds" or "2 minutes"
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string}
+   */
+  function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return translate('time.seconds', { count: seconds });
+    const minutes = Math.ceil(seconds / 60);
+    return translate('time.minutes', { count: minutes });
+  }
+
+
+  /*
+    ================================================================
+    FORM VALIDATION
+    ================================================================
+  */
+
+  /*
+    Forms declare their rules field by field (keyed by control name)
+    and createValidator() does the rest: it shows each field's first
+    error in a message under it, linked with aria-describedby, keeps
+    aria-invalid in step and moves focus to the first invalid field
+    when the whole form is checked on submit.
+
+      createValidator(form, {
+        amount: {
+          validateOn: 'blur',           // "input" | "blur" | "submit"
+          when: () => ...,              // skipped (and cleared) while false
+          value: (input) => ...,        // default: trimmed value, or checked
+          dependsOn: ['from'],          // re-checked when these change, once checked
+          rules: [
+            { required: true, message: 'key' },
+            { pattern: /.../, message: 'key' },
+            { minLength: 4, maxLength: 40, message: 'key', params: { ... } },
+            { min: 1, max: (values) => ..., message: 'key', params: (value, values) => ({ ... }) },
+            { check: (value, values, input) => 'error text' or '' - or a Promise of one }
+          ]
+        }
+      }, { validateOn: 'blur' });
+
+    Messages are catalogue keys, translated when the field is checked.
+    Rules other than "required" and "check" pass an empty value, and
+    "values" holds every field's value for cross-field rules.
+
+    "input" fields are checked on every change. "blur" fields are
+    checked when they are left after being edited; editing a field
+    clears its error until then. "submit" fields wait for submit.
+  */
+
+  // Every validator on the page, so shown errors follow the language
+  const formValidators = [];
+
+  /**
+   * Creates the error message element under a field
+   * @param {HTMLElement} input - Form control
+   * @returns {HTMLElement}
+   */
+  function createFieldError(input) {
+    const error = document.createElement('p');
+    error.id = `${input.id}Error`;
+    error.className = 'field-error';
+    error.hidden = true;
+    // Below the control, or below the wrapper around it
+    (input.closest('.password-wrapper, label') || input).after(error);
+    return error;
+  }
+
+  /**
+   * Checks a value against one rule
+   * @param {Object} rule - Rule declaration
+   * @param {*} value - Field value
+   * @param {Object} values - Every field's value, by name
+   * @param {HTMLElement} input - Form control
+   * @returns {string|Promise<string>} - Error message, or '' if it passes
+   */
+  function applyRule(rule, value, values, input) {
+    if (rule.check) return rule.check(value, values, input) || '';
+
+    const text = value === null || value === undefined || value === false ? '' : String(value);
+    if (!text && !rule.required) return '';
+
+    const limit = (bound) => (typeof bound === 'function' ? bound(values) : bound);
+    const failed = (rule.required && !text) ||
+      (rule.pattern && !rule.pattern.test(text)) ||
+      (rule.minLength !== undefined && text.length < limit(rule.minLength)) ||
+      (rule.maxLength !== undefined && text.length > limit(rule.maxLength)) ||
+      (rule.min !== undefined && value < limit(rule.min)) ||
+      (rule.max !== undefined && value > limit(rule.max));
+
+    if (!failed) return '';
+    const params = typeof rule.params === 'function' ? rule.params(value, values) : rule.params;
+    return translate(rule.message, params);
+  }
+
+  /**
+   * Sets up declarative validation for a form
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {Object} specs - Field declarations, keyed by control name
+   * @param {Object} [options] - { validateOn } default for every field
+   * @returns {Object} - { validate, reset, refresh }
+   */
+  function createValidator(form, specs, options = {}) {
+    const fields = Object.entries(specs).map(([name, spec]) => {
+      const input = form.elements.namedItem(name);
+      return {
+        name: name,
+        input: input,
+        spec: spec,
+        validateOn: spec.validateOn || options.validateOn || 'blur',
+        error: createFieldError(input),
+        edited: false,  // changed since the form was last reset
+        checked: false, // validated at least once
+        run: 0          // so a slow async check can't overwrite a newer result
+      };
+    });
+
+    const isActive = (field) => !field.spec.when || field.spec.when();
+
+    const readValue = (field) => {
+      if (field.spec.value) return field.spec.value(field.input);
+      return field.input.type === 'checkbox' ? field.input.checked : field.input.value.trim();
+    };
+
+    const readValues = () => Object.fromEntries(fields.map((field) => [field.name, readValue(field)]));
+
+    /**
+     * Shows or clears a field's error
+     * @param {Object} field - Field state
+     * @param {string} message - Error message, or '' to clear
+     */
+    function showError(field, message) {
+      const describedBy = (field.input.getAttribute('aria-describedby') || '')
+        .split(/\s+/)
+        .filter((id) => id && id !== field.error.id);
+      if (message) describedBy.unshift(field.error.id);
+
+      field.error.textContent = message;
+      field.error.hidden = !message;
+      field.input.setAttribute('aria-invalid', String(!!message));
+      if (describedBy.length) {
+        field.input.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        field.input.removeAttribute('aria-describedby');
+      }
+    }
+
+    /**
+     * Checks one field and shows the result
+     * @param {Object} field - Field state
+     * @param {Object} [values] - Every field's value, by name
+     * @returns {Promise<string>} - Error message, or ''
+     */
+    async function validateField(field, values = readValues()) {
+      const run = ++field.run;
+      field.checked = true;
+
+      let message = '';
+      if (isActive(field)) {
+        for (const rule of field.spec.rules) {
+          message = await applyRule(rule, values[field.name], values, field.input);
+          if (message) break;
+        }
+      }
+
+      if (run === field.run) showError(field, message);
+      return message;
+    }
+
+    /**
+     * Checks every field, e.g. on submit
+     * @param {Object} [opts] - { focus } moves focus to the first invalid field (default true)
+     * @returns {Promise<Object>} - { isValid, errors, fields, values }
+     */
+    async function validate({ focus = true } = {}) {
+      const values = readValues();
+      const messages = await Promise.all(fields.map((field) => validateField(field, values)));
+      const invalid = fields.filter((field, i) => messages[i]);
+
+      if (focus && invalid.length) invalid[0].input.focus();
+      return {
+        isValid: invalid.length === 0,
+        errors: messages.filter(Boolean),
+        fields: invalid.map((field) => field.name),
+        values: values
+      };
+    }
+
+    /**
+     * Clears every error, e.g. when the form is reset
+     */
+    function reset() {
+      fields.forEach((field) => {
+        field.edited = false;
+        field.checked = false;
+        field.run++;
+        showError(field, '');
+      });
+    }
+
+    /**
+     * Checks the fields showing errors again, so their messages
+     * follow a change of language
+     */
+    function refresh() {
+      const values = readValues();
+      fields.filter((field) => !field.error.hidden).forEach((field) => validateField(field, values));
+    }
+
+    /**
+     * Follows edits: checks or clears the edited field, and re-checks
+     * fields whose rules depend on it
+     * @param {Event} event - input or change event
+     */
+    function onEdit(event) {
+      const edited = fields.find((field) => field.input === event.target);
+      if (edited) {
+        edited.edited = true;
+        if (edited.validateOn === 'input') validateField(edited);
+        else showError(edited, '');
+      }
+
+      fields.forEach((field) => {
+        if (field === edited) return;
+        if (!isActive(field)) {
+          showError(field, '');
+        } else if (field.checked && field.spec.dependsOn && field.spec.dependsOn.includes(event.target.name)) {
+          validateField(field);
+        }
+      });
+    }
+
+    form.addEventListener('input', onEdit);
+    form.addEventListener('change', onEdit);
+
+    form.addEventListener('focusout', (event) => {
+      const field = fields.find((f) => f.input === event.target);
+      if (field && field.edited && field.validateOn !== 'submit') validateField(field);
+    });
+
+    form.addEventListener('reset', reset);
+
+    const validator = { validate, reset, refresh };
+    formValidators.push(validator);
+    return validator;
+  }
+
+
+  /*
+    ================================================================
+    LOGIN HANDLING
+    ================================================================
+  */
+
+  const loginForm = $("#loginForm");
+  const loginStatus = $("#loginForm .form-status");
+  const logoutBtn = $("#logoutBtn");
+  const custInput = $("#cust");
+  const passInput = $("#pass");
+
+  // Shortest password accepted before it is checked
+  const minPasswordLength = 4;
+
+  const loginValidator = createValidator(loginForm, {
+    cust: {
+      rules: [{ required: true, message: 'login.errors.custRequired' }]
+    },
+    pass: {
+      rules: [
+        { required: true, message: 'login.errors.passRequired' },
+        { minLength: minPasswordLength, message: 'login.errors.passLength', params: { min: minPasswordLength } }
+      ]
+    }
+  });
+
+  /**
+   * Validates login form inputs
+   * @returns {Promise<Object>} - Validation result with isValid flag, errors
+   *                              and the names of the invalid fields
+   */
+  async function validateLogin() {
+    const { isValid, errors, fields, values } = await loginValidator.validate();
+
+    return {
+      isValid: isValid,
+      errors: errors,
+      fields: fields,
+      cust: values.cust, // Only ever compared, never rendered
+      pass: values.pass // Don't sanitize password display, just validate
+    };
+  }
+
+  /**
+   * Handles login form submission
+   */
+  loginForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const submitBtn = loginForm.querySelector('.btn');
+    const validation = await validateLogin();
+
+    if (!validation.isValid) {
+      logLoginAttempt(validation.cust, 'invalid', { fields: validation.fields });
+      loginStatus.textContent = translate('form.errors.summary', { count: validation.errors.length });
+      loginStatus.style.color = "var(--error)";
+      showToast(validation.errors[0], 'error');
+      return;
+    }
+
+    if (!hasWebCrypto()) {
+      loginStatus.textContent = translate('login.errors.noCrypto');
+      loginStatus.style.color = "var(--error)";
+      showToast(translate('login.errors.noCrypto'), 'error');
+      return;
+    }
+
+    // Locked customer IDs are refused before any password check
+    const lockedFor = getLockoutRemaining(validation.cust);
+    if (lockedFor > 0) {
+      logLoginAttempt(validation.cust, 'blocked', { reason: 'locked' });
+      const message = translate('login.errors.locked', { wait: formatWait(lockedFor) });
+      loginStatus.textContent = message;
+      loginStatus.style.color = "var(--error)";
+      showToast(message, 'error');
+      return;
+    }
+
+    // Show loading state
+    showLoading(submitBtn);
+    loginStatus.textContent = translate('login.authenticating');
+    loginStatus.style.color = "var(--info)";
+
+    // Simulate network delay, then check the credential store
+    await simulateAsync(600);
+    const user = await verifyCredentials(validation.cust, validation.pass);
+
+    if (!user) {
+      const { attemptsLeft, lockedFor: newLock } = recordLoginFailure(validation.cust);
+      logLoginAttempt(validation.cust, 'failure', newLock ? { reason: 'locked' } : { attemptsLeft: attemptsLeft });
+      const message = newLock
+        ? translate('login.errors.nowLocked', { wait: formatWait(newLock) })
+        : translate('login.errors.incorrect', { count: attemptsLeft });
+
+      hideLoading(submitBtn);
+      loginStatus.textContent = message;
+      loginStatus.style.color = "var(--error)";
+      custInput.setAttribute('aria-invalid', 'true');
+      passInput.setAttribute('aria-invalid', 'true');
+      passInput.value = '';
+      passInput.focus();
+      showToast(message, 'error');
+      return;
+    }
+
+    clearLoginFailures(user.cust);
+    await createSession(user);
+    logLogin(user.cust);
+    switchProfile(user.cust);
+    startIdleTimer();
+    runDueSchedules();
+    logoutBtn.hidden = false;
+
+    loginStatus.textContent = "";
+    hideLoading(submitBtn);
+    loginForm.reset();
+    
+    showToast(translate('toast.welcome', { name: user.name }), 'success');
+
+    // Return to the screen that was requested before signing in
+    navigate(consumeLoginRedirect(), { replace: true });
+  });
+
+
+  /*
+    ================================================================
+    PASSWORD VISIBILITY TOGGLE
+    ================================================================
+  */
+
+  const togglePasswordBtn = $("#togglePassword");
+  
+  if (togglePasswordBtn) {
+    togglePasswordBtn.addEventListener('click', () => {
+      const type = passInput.getAttribute('type') === 'password' ? 'text' : 'password';
+      passInput.setAttribute('type', type);
+      
+      // Update button label
+      // Keep data-i18n-attr in step so a language change keeps the right label
+      const key = type === 'password' ? 'login.showPassword' : 'login.hidePassword';
+      togglePasswordBtn.dataset.i18nAttr = `aria-label:${key}`;
+      togglePasswordBtn.setAttribute('aria-label', translate(key));
+      
+      // Update icon (optional visual feedback)
+      togglePasswordBtn.style.color = type === 'text' ? 'var(--yellow)' : 'var(--muted)';
+    });
+  }
+
+
+  /*
+    ================================================================
+    LOGOUT HANDLING
+    ================================================================
+  */
+
+  /**
+   * Signs the customer out and returns to the login screen.
+   * Used by the logout button, the idle timeout and session expiry.
+   * @param {string} [message] - Toast shown on the login screen
+   * @param {string} [reason] - "manual" | "idle" | "expired", for the activity log
+   */
+  function logout(message = translate('toast.loggedOut'), reason = 'manual') {
+    // Read directly, as getCustomerId() is null once the session has expired
+    const cust = currentSession ? currentSession.cust : null;
+    // Another tab may have ended (and logged) the session a moment ago
+    if (localStorage.getItem(sessionKey) !== null) {
+      logActivity(cust, 'logout', 'success', { reason: reason });
+    }
+    clearSession();
+    showSignedOut(message);
+  }
+
+  /**
+   * Returns to the login screen once the session has ended, here or
+   * in another tab
+   * @param {string} message - Toast shown on the login screen
+   */
+  function showSignedOut(message) {
+    // A transfer waiting for review or a one-time code is abandoned
+    finishReview(false);
+    finishStepUp(false);
+
+    // Nothing from this customer stays on screen for the next one
+    switchProfile(null);
+    stopIdleTimer();
+    logoutBtn.hidden = true;
+    navigate("/login");
+    // Resetting the form clears its validation state too
+    loginForm.reset();
+    loginStatus.textContent = "";
+
+    custInput.focus();
+    // Messages from the signed-out session (and their actions) no longer apply
+    clearToasts();
+    showToast(message, 'info');
+  }
+
+  logoutBtn.addEventListener("click", () => logout());
+
+
+  /*
+    ================================================================
+    IDLE SESSION TIMEOUT
+    ================================================================
+  */
+
+  /*
+    Signs the customer out after a period without keyboard, mouse,
+    touch or scroll activity. A modal warning with a countdown is
+    shown first; only its buttons (not general activity) dismiss it.
+
+    The timeout defaults to 5 minutes and can be changed per customer
+    by storing a number of minutes (1–60) under
+    "idle_timeout_minutes_<customer ID>".
+
+    Open tabs share one session, so activity in any of them keeps it
+    alive: the latest activity time is written to "idle_last_activity"
+    (at most every few seconds) and each tab counts from the newest.
+  */
+
+  const idleTimeoutKeyPrefix = "idle_timeout_minutes_";
+  const idleActivityKey = "idle_last_activity";
+  const idleShareInterval = 5 * 1000;
+  const idleDefaultMinutes = 5;
+  const idleWarningMax = 60 * 1000; // warn up to 60 seconds before expiry
+  const idleEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+  const idleDialog = $("#idleDialog");
+  const idleCountdown = $("#idleCountdown");
+  const idleAnnounce = $("#idleAnnounce");
+  const idleStayBtn = $("#idleStay");
+  const idleLogoutBtn = $("#idleLogout");
+
+  let lastActivity = Date.now();
+  let lastShared = 0;
+  let idleInterval = null;
+  let lastAnnounced = null;
+
+  /**
+   * Returns the signed-in customer's inactivity limit
+   * @returns {number} - Milliseconds
+   */
+  function getIdleTimeout() {
+    const cust = getCustomerId();
+    const minutes = cust ? sanitizeNumber(localStorage.getItem(idleTimeoutKeyPrefix + cust)) : null;
+    const valid = minutes !== null && minutes >= 1 && minutes <= 60;
+    return (valid ? minutes : idleDefaultMinutes) * 60 * 1000;
+  }
+
+  /**
+   * Records user activity unless the warning is already showing
+   */
+  function markActivity() {
+    if (!idleDialog.open) {
+      lastActivity = Date.now();
+      shareActivity();
+    }
+  }
+
+  /**
+   * Lets other tabs know about recent activity
+   * @param {boolean} [force] - Write even if shared recently
+   */
+  function shareActivity(force = false) {
+    if (force || lastActivity - lastShared >= idleShareInterval) {
+      lastShared = lastActivity;
+      localStorage.setItem(idleActivityKey, String(lastActivity));
+    }
+  }
+
+  /**
+   * Returns the most recent activity in this or any other tab
+   * @returns {number} - Milliseconds since the epoch
+   */
+  function getLastActivity() {
+    const shared = sanitizeNumber(localStorage.getItem(idleActivityKey));
+    return Math.max(lastActivity, shared || 0);
+  }
+
+  /**
+   * Opens the warning dialog as a modal
+   */
+  function openIdleDialog() {
+    lastAnnounced = null;
+    if (typeof idleDialog.showModal === 'function') {
+      idleDialog.showModal();
+    } else {
+      idleDialog.setAttribute('open', '');
+    }
+    idleStayBtn.focus();
+  }
+
+  /**
+   * Closes the warning dialog
+   */
+  function closeIdleDialog() {
+    if (!idleDialog.open) return;
+    if (typeof idleDialog.close === 'function') {
+      idleDialog.close();
+    } else {
+      idleDialog.removeAttribute('open');
+    }
+  }
+
+  /**
+   * Checks idle time once a second; comparing timestamps rather than
+   * counting ticks keeps it accurate after the device sleeps
+   */
+  function checkIdle() {
+    if (!isAuthed()) {
+      // The signed session ran out while the customer was still here
+      if (currentSession) logout(translate('session.expired'), 'expired');
+      else stopIdleTimer();
+      return;
+    }
+
+    const timeout = getIdleTimeout();
+    const warning = Math.min(idleWarningMax, timeout / 2);
+    const remaining = timeout - (Date.now() - getLastActivity());
+
+    if (remaining <= 0) {
+      closeIdleDialog();
+      logout(translate('idle.signedOut', { wait: translate('time.minutes', { count: Math.round(timeout / 60000) }) }), 'idle');
+      return;
+    }
+
+    if (remaining <= warning) {
+      const seconds = Math.ceil(remaining / 1000);
+      if (!idleDialog.open) openIdleDialog();
+      idleCountdown.textContent = translate('time.seconds', { count: seconds });
+
+      // Screen readers hear the countdown at intervals, not every tick
+      const announce = lastAnnounced === null || seconds === 30 || seconds === 10 || seconds <= 5;
+      if (announce && seconds !== lastAnnounced) {
+        idleAnnounce.textContent = translate('idle.announce', { wait: translate('time.seconds', { count: seconds }) });
+        lastAnnounced = seconds;
+      }
+    } else {
+      // "Stay signed in" was chosen (or there was activity) in another tab
+      closeIdleDialog();
+    }
+  }
+
+  /**
+   * Starts tracking inactivity for the signed-in customer
+   */
+  function startIdleTimer() {
+    stopIdleTimer();
+    lastActivity = Date.now();
+    shareActivity(true);
+    idleEvents.forEach((type) => {
+      document.addEventListener(type, markActivity, { passive: true, capture: true });
+    });
+    idleInterval = setInterval(checkIdle, 1000);
+  }
+
+  /**
+   * Stops tracking inactivity and hides any warning
+   */
+  function stopIdleTimer() {
+    clearInterval(idleInterval);
+    idleInterval = null;
+    idleEvents.forEach((type) => {
+      document.removeEventListener(type, markActivity, { capture: true });
+    });
+    closeIdleDialog();
+  }
+
+  idleStayBtn.addEventListener("click", () => {
+    closeIdleDialog();
+    lastActivity = Date.now();
+    shareActivity(true);
+    showToast(translate('idle.stillSignedIn'), 'success', 2000);
+  });
+
+  idleLogoutBtn.addEventListener("click", () => {
+    closeIdleDialog();
+    logout();
+  });
+
+  // Escape closes the dialog, which counts as choosing to stay
+  idleDialog.addEventListener("cancel", (e) => {
+    e.preventDefault();
+    idleStayBtn.click();
+  });
+
+
+  /*
+    ================================================================
+    TAB NAVIGATION
+    ================================================================
+  */
+
+  $$("#appTabs .tab").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const tabId = btn.dataset.tab;
+      navigate("/" + tabId);
+    });
+  });
+
+  // Keyboard navigation for tabs
+  const tabButtons = $$("#appTabs .tab");
+  tabButtons.forEach((tab, index) => {
+    tab.addEventListener('keydown', (e) => {
+      let newIndex = index;
+      
+      if (e.key === 'ArrowRight') {
+        newIndex = (index + 1) % tabButtons.length;
+        e.preventDefault();
+      } else if (e.key === 'ArrowLeft') {
+        newIndex = (index - 1 + tabButtons.length) % tabButtons.length;
+        e.preventDefault();
+      }
+      
+      if (newIndex !== index) {
+        tabButtons[newIndex].focus();
+        tabButtons[newIndex].click();
+      }
+    });
+  });
+
+
+  /*
+    ================================================================
+    ACCOUNT LEDGER
+    ================================================================
+  */
+
+  /*
+    The ledger is the single source of truth for account balances
+    and transaction history. It is persisted in localStorage so that
+    completed transfers survive a page reload.
+    Each transaction has a stable id, records the account it belongs
+    to (acct) and the running balance of that account after it was
+    applied (bal). Balances and amounts are integer cents. Transfers
+    also record the destination (to), the customer (cust), a receipt
+    reference number (ref) and when they were made (time). PayID and
+    BPAY transfers add the payment type (payType) and the confirmed
+    payee or biller name (payeeName); entries without a payType are
+    BSB-Account transfers.
+
+    Each customer has their own ledger ("ledger_<customer ID>"), which
+    starts as a copy of that customer's seed data below. Only the
+    signed-in customer's ledger is held in memory; signed out, it is
+    empty.
+  */
+  const ledgerKeyPrefix = "ledger_";
+
+  // Single ledger shared by every customer, saved before profiles were separated
+  const legacyLedgerKey = "ledger";
+
+  // Set once data saved with dollar amounts has been converted to cents
+  const moneyFormatKey = "money_format";
+
+  // Starting accounts and history for each demo customer
+  const seedLedgers = {
+    "12345678": {
+      accounts: [
+        { id: "001", name: "Smart Access", type: "Everyday Account", bsb: "062-000", number: "123", balance: 244285 },
+        { id: "002", name: "NetBank Saver", type: "Savings", bsb: "062-000", number: "456", balance: 812000 }
+      ],
+      transactions: [
+        { id: "seed-01", acct: "001", date: "2025-11-15", desc: "Tap N Pay – Cafe", amt: -750, bal: 244285 },
+        { id: "seed-02", acct: "001", date: "2025-11-14", desc: "Salary – ACME Pty Ltd", amt: 220000, bal: 245035 },
+        { id: "seed-03", acct: "001", date: "2025-11-13", desc: "Groceries – Woolworths", amt: -12040, bal: 25035 },
+        { id: "seed-04", acct: "001", date: "2025-11-12", desc: "Online Transfer", amt: -5000, bal: 37075 },
+        { id: "seed-05", acct: "001", date: "2025-11-11", desc: "ATM Withdrawal", amt: -10000, bal: 42075 },
+        { id: "seed-06", acct: "002", date: "2025-11-01", desc: "Interest Credit", amt: 1840, bal: 812000 },
+        { id: "seed-07", acct: "002", date: "2025-10-20", desc: "Transfer from Smart Access", amt: 50000, bal: 810160 },
+        { id: "seed-08", acct: "002", date: "2025-10-01", desc: "Interest Credit", amt: 1725, bal: 760160 }
+      ]
+    },
+    "87654321": {
+      accounts: [
+        { id: "001", name: "Smart Access", type: "Everyday Account", bsb: "063-000", number: "789", balance: 58061 },
+        { id: "002", name: "GoalSaver", type: "Savings", bsb: "063-000", number: "901", balance: 1478600 }
+      ],
+      transactions: [
+        { id: "seed-01", acct: "001", date: "2025-11-14", desc: "Chemist Warehouse", amt: -2395, bal: 58061 },
+        { id: "seed-02", acct: "001", date: "2025-11-13", desc: "Cafe Sydney", amt: -1850, bal: 60456 },
+        { id: "seed-03", acct: "001", date: "2025-11-12", desc: "Telstra Mobile", amt: -6500, bal: 62306 },
+        { id: "seed-04", acct: "001", date: "2025-11-10", desc: "Spotify", amt: -1299, bal: 68806 },
+        { id: "seed-05", acct: "001", date: "2025-11-08", desc: "Opal Travel", amt: -5000, bal: 70105 },
+        { id: "seed-06", acct: "001", date: "2025-11-05", desc: "Coles Supermarket", amt: -9645, bal: 75105 },
+        { id: "seed-07", acct: "002", date: "2025-11-02", desc: "Transfer from Smart Access", amt: 50000, bal: 1478600 },
+        { id: "seed-08", acct: "001", date: "2025-11-02", desc: "Transfer to GoalSaver", amt: -50000, bal: 84750 },
+        { id: "seed-09", acct: "002", date: "2025-11-01", desc: "Interest Credit", amt: 4390, bal: 1428600 },
+        { id: "seed-10", acct: "001", date: "2025-10-30", desc: "Rent – Harbourview Realty", amt: -165000, bal: 134750 },
+        { id: "seed-11", acct: "001", date: "2025-10-28", desc: "Salary – Harbour Health", amt: 268500, bal: 299750 },
+        { id: "seed-12", acct: "002", date: "2025-10-01", desc: "Interest Credit", amt: 4210, bal: 1424210 }
+      ]
+    }
+  };
+
+  /**
+   * Converts data saved when amounts were floating-point dollars
+   * (ledger, scheduled payments and transfer limits) to integer cents.
+   * Runs once per browser.
+   */
+  function migrateStoredMoney() {
+    if (localStorage.getItem(moneyFormatKey) === 'cents') return;
+
+    const convert = (key, update) => {
+      try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        if (stored && typeof stored === 'object') {
+          update(stored);
+          localStorage.setItem(key, JSON.stringify(stored));
+        }
+      } catch (e) {
+        // Unreadable data is replaced by the normal loaders
+      }
+    };
+
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+
+    keys.forEach((key) => {
+      if (key === legacyLedgerKey || key.startsWith(ledgerKeyPrefix)) {
+        convert(key, (stored) => {
+          (stored.accounts || []).forEach((a) => { a.balance = toCents(a.balance); });
+          (stored.transactions || []).forEach((t) => {
+            t.amt = toCents(t.amt);
+            t.bal = toCents(t.bal);
+          });
+        });
+      } else if (key.startsWith("scheduled_")) {
+        convert(key, (stored) => {
+          if (Array.isArray(stored)) stored.forEach((sched) => { sched.amount = toCents(sched.amount); });
+        });
+      } else if (key.startsWith("limits_")) {
+        convert(key, (stored) => {
+          ['daily', 'monthly'].forEach((period) => {
+            if (stored[period] !== undefined) stored[period] = toCents(stored[period]);
+            if (stored.pending && stored.pending[period]) {
+              stored.pending[period].amount = toCents(stored.pending[period].amount);
+            }
+          });
+        });
+      }
+    });
+
+    localStorage.setItem(moneyFormatKey, 'cents');
+  }
+
+  /**
+   * Gives the ledger shared by everyone before profiles were separated
+   * to the first demo customer, whose accounts it was seeded with.
+   * Runs once; the shared copy is removed afterwards.
+   */
+  function migrateSharedLedger() {
+    const shared = localStorage.getItem(legacyLedgerKey);
+    if (shared === null) return;
+
+    const key = ledgerKeyPrefix + credentialStore[0].cust;
+    if (localStorage.getItem(key) === null) localStorage.setItem(key, shared);
+    localStorage.removeItem(legacyLedgerKey);
+  }
+
+  /**
+   * Loads a customer's ledger from localStorage, falling back to their
+   * seed data when nothing is stored or the stored value is unreadable
+   * @param {string} cust - Customer ID
+   * @returns {Object} - Ledger with accounts and transactions arrays
+   */
+  function loadLedger(cust) {
+    const key = ledgerKeyPrefix + cust;
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      if (stored && Array.isArray(stored.accounts) && Array.isArray(stored.transactions)) {
+        // Ledgers saved before transactions had ids, or before transfers
+        // had receipt references, are upgraded in place
+        let upgraded = false;
+        stored.transactions.forEach((t) => {
+          if (!t.id) {
+            t.id = createId('tx');
+            upgraded = true;
+          }
+          if (t.to && !t.ref) {
+            t.ref = createReference(stored.transactions);
+            upgraded = true;
+          }
+        });
+        if (upgraded) localStorage.setItem(key, JSON.stringify(stored));
+        return stored;
+      }
+    } catch (e) {
+      // Corrupt data is discarded below
+    }
+    return JSON.parse(JSON.stringify(seedLedgers[cust] || { accounts: [], transactions: [] }));
+  }
+
+  /**
+   * Persists the ledger to localStorage under the customer it belongs to
+   */
+  function saveLedger() {
+    if (!ledgerOwner) return;
+    localStorage.setItem(ledgerKeyPrefix + ledgerOwner, JSON.stringify(ledger));
+  }
+
+  /**
+   * Creates a reasonably unique identifier for stored records
+   * @param {string} prefix - Record type prefix, e.g. "tx"
+   * @returns {string}
+   */
+  function createId(prefix) {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${prefix}-${Date.now().toString(36)}-${random}`;
+  }
+
+  migrateStoredMoney();
+  migrateSharedLedger();
+
+  // In-memory ledger of the signed-in customer (ledgerOwner). It is
+  // refilled in place, so references to it stay valid across sign-ins.
+  const ledger = { accounts: [], transactions: [] };
+  let ledgerOwner = null;
+
+  /**
+   * Loads a customer's ledger into memory, or empties it when signed out
+   * @param {string|null} cust - Customer ID, or null
+   */
+  function openLedger(cust) {
+    const { accounts, transactions } = cust ? loadLedger(cust) : { accounts: [], transactions: [] };
+    ledger.accounts = accounts;
+    ledger.transactions = transactions;
+    ledgerOwner = cust;
+  }
+
+  /**
+   * Changes the signed-in customer's ledger while holding a lock shared
+   * by every open tab (Web Locks API), starting from the latest stored
+   * copy. Checking a balance and spending it then happen as one step,
+   * so two tabs can never spend the same money. Without Web Locks the
+   * reload, check and save still run in a single task.
+   * @param {Function} change - Reads and updates ledger; its return
+   *                            value is passed on
+   * @returns {Promise<*>} - What change returned, or null if the
+   *                         customer signed out in the meantime
+   */
+  function updateLedger(change) {
+    const cust = ledgerOwner;
+    if (!cust) return Promise.resolve(null);
+
+    const run = () => {
+      if (ledgerOwner !== cust) return null;
+      openLedger(cust);
+      return change();
+    };
+
+    if (navigator.locks && typeof navigator.locks.request === 'function') {
+      return navigator.locks.request(ledgerKeyPrefix + cust, run);
+    }
+    return Promise.resolve().then(run);
+  }
+
+  /**
+   * Looks up an account by ID
+   * @param {string} id - Account ID (e.g. "001")
+   * @returns {Object|undefined}
+   */
+  function getAccount(id) {
+    return ledger.accounts.find((acc) => acc.id === id);
+  }
+
+  /**
+   * Masks an account number the same way as the dashboard
+   * @param {Object} account - Ledger account
+   * @returns {string} - e.g. "062-000 •••• 123"
+   */
+  function maskAccount(account) {
+    return `${account.bsb} •••• ${account.number}`;
+  }
+
+  /**
+   * Formats a Date as YYYY-MM-DD in local time
+   * @param {Date} date - Date to format
+   * @returns {string}
+   */
+  function toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parses YYYY-MM-DD as a local-time Date (not UTC midnight)
+   * @param {string} iso - Date string
+   * @returns {Date}
+   */
+  function parseISODate(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Returns today's date as YYYY-MM-DD in local time
+   * @returns {string}
+   */
+  function todayISO() {
+    return toISODate(new Date());
+  }
+
+  /**
+   * Works out the ledger description for a transfer. PayID and BPAY
+   * payments always start with the payment type, so they stand out
+   * from BSB-Account transfers even with a description of their own.
+   * @param {Object} transfer - Transfer data, with scheduled set for scheduled payments
+   * @returns {string}
+   */
+  function transferDescription(transfer) {
+    const { desc } = transfer;
+
+    if (transfer.payType === 'payid') {
+      return translate(desc ? 'ledger.payIdNote' : 'ledger.payId', { name: transfer.payeeName, desc: desc });
+    }
+    if (transfer.payType === 'bpay') {
+      const crn = transfer.to.split('/')[1] || '';
+      return translate(desc ? 'ledger.bpayNote' : 'ledger.bpay', { name: transfer.payeeName, crn: crn, desc: desc });
+    }
+    return desc || translate(transfer.scheduled ? 'ledger.scheduledTo' : 'ledger.transferTo', { to: transfer.to });
+  }
+
+  /**
+   * Debits an account and records the transaction in the ledger
+   * @param {Object} transfer - Validated transfer data (from, to, amount, desc,
+   *                            and payType and payeeName for PayID and BPAY)
+   * @returns {Object} - The recorded transaction
+   */
+  function applyTransfer(transfer) {
+    const account = getAccount(transfer.from);
+    const amount = transfer.amount;
+
+    account.balance -= amount;
+
+    const entry = {
+      id: createId('tx'),
+      ref: createReference(ledger.transactions),
+      time: new Date().toISOString(),
+      acct: account.id,
+      date: todayISO(),
+      desc: transferDescription(transfer),
+      amt: -amount,
+      bal: account.balance,
+      to: transfer.to,
+      cust: getCustomerId()
+    };
+
+    if (transfer.payType && transfer.payType !== 'bsb') {
+      entry.payType = transfer.payType;
+      entry.payeeName = transfer.payeeName;
+    }
+
+    // Newest entries are kept first, matching display order
+    ledger.transactions.unshift(entry);
+    saveLedger();
+    renderLedger();
+
+    return entry;
+  }
+
+  /**
+   * Reverses a transfer recorded by applyTransfer(): the amount goes
+   * back to the source account and the transaction is removed
+   * @param {string} entryId - ID of the recorded transaction
+   * @returns {Object|null} - The removed transaction, or null if not found
+   */
+  function reverseTransfer(entryId) {
+    const index = ledger.transactions.findIndex((t) => t.id === entryId);
+    const entry = index === -1 ? null : ledger.transactions[index];
+    const account = entry ? getAccount(entry.acct) : null;
+    if (!account) return null;
+
+    ledger.transactions.splice(index, 1);
+    account.balance -= entry.amt;
+
+    // Newer entries on the same account included the debit in their running balance
+    ledger.transactions.slice(0, index).forEach((t) => {
+      if (t.acct === entry.acct) t.bal -= entry.amt;
+    });
+
+    saveLedger();
+    renderLedger();
+
+    return entry;
+  }
+
+
+  /*
+    ================================================================
+    ACCOUNT RENDERING
+    ================================================================
+  */
+
+  const accountList = $("#accountList");
+  const fromSelect = $("#from");
+
+  /**
+   * Renders the dashboard account cards
+   */
+  function renderAccounts() {
+    accountList.innerHTML = ledger.accounts
+      .map((acc) => {
+        const balance = formatMoney(acc.balance);
+
+        return `
+          <article class="card" role="listitem" tabindex="0" data-account="${sanitizeInput(acc.id)}">
+            <div class="card-header">
+              <h3>${sanitizeInput(acc.name)}</h3>
+              <p class="muted">${sanitizeInput(acc.type)}</p>
+            </div>
+            <div class="card-body">
+              <p class="balance" id="bal-${sanitizeInput(acc.id)}" aria-label="${sanitizeInput(translate('dashboard.balanceLabel', { amount: moneyLabel(acc.balance, false) }))}">${balance}</p>
+              <p class="account-number muted" aria-label="${sanitizeInput(translate('dashboard.accountNumber'))}">${sanitizeInput(maskAccount(acc))}</p>
+              <span class="sr-only">${sanitizeInput(translate('dashboard.openHint'))}</span>
+            </div>
+          </article>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Renders the transfer source account options,
+   * keeping the current selection where possible
+   */
+  function renderFromOptions() {
+    const selected = fromSelect.value;
+
+    fromSelect.innerHTML = ledger.accounts
+      .map((acc) => {
+        const label = `${acc.name} – ${maskAccount(acc)} (${formatMoney(acc.balance)})`;
+        return `<option value="${sanitizeInput(acc.id)}">${sanitizeInput(label)}</option>`;
+      })
+      .join("");
+
+    if (selected && getAccount(selected)) {
+      fromSelect.value = selected;
+    }
+  }
+
+
+  /*
+    ================================================================
+    TRANSACTION RENDERING
+    ================================================================
+  */
+
+  const txTable = $("#txTable");
+  const txTableWrap = $("#txTableWrap");
+  const txBody = $("#txBody");
+  const txAccountSelect = $("#txAccount");
+  const txAccountLabel = $("#txAccountLabel");
+  const txCaption = $("#txCaption");
+  const txFilters = $("#txFilters");
+  const txSummary = $("#txSummary");
+
+  // Account whose history is shown on the transactions screen
+  let txAccountId = ledger.accounts.length ? ledger.accounts[0].id : "";
+
+  /**
+   * Renders the account switcher options on the transactions screen
+   */
+  function renderTxAccountOptions() {
+    if (!getAccount(txAccountId) && ledger.accounts.length) {
+      txAccountId = ledger.accounts[0].id;
+    }
+
+    txAccountSelect.innerHTML = ledger.accounts
+      .map((acc) => {
+        const label = `${acc.name} – ${maskAccount(acc)}`;
+        return `<option value="${sanitizeInput(acc.id)}">${sanitizeInput(label)}</option>`;
+      })
+      .join("");
+
+    txAccountSelect.value = txAccountId;
+  }
+
+  /*
+    Filter and sort state for the transaction table.
+    Kept in sessionStorage so it survives switching tabs via show()
+    and page reloads within the same browser session.
+  */
+  const txViewKey = "tx_view";
+
+  const defaultTxView = {
+    query: "",
+    dateFrom: "",
+    dateTo: "",
+    amountMin: "",
+    amountMax: "",
+    type: "all",
+    sortKey: "date",
+    sortDir: "desc"
+  };
+
+  /**
+   * Loads the saved table view state
+   * @returns {Object}
+   */
+  function loadTxView() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(txViewKey));
+      if (stored && typeof stored === 'object') {
+        return Object.assign({}, defaultTxView, stored);
+      }
+    } catch (e) {
+      // Fall through to defaults
+    }
+    return Object.assign({}, defaultTxView);
+  }
+
+  const txView = loadTxView();
+
+  /**
+   * Persists the table view state
+   */
+  function saveTxView() {
+    sessionStorage.setItem(txViewKey, JSON.stringify(txView));
+  }
+
+  /**
+   * Tests a transaction against the active filters
+   * @param {Object} t - Ledger transaction
+   * @returns {boolean}
+   */
+  function matchesTxFilters(t) {
+    const query = txView.query.trim().toLowerCase();
+    // Unparseable bounds are ignored rather than hiding everything
+    const min = parseMoney(txView.amountMin).cents;
+    const max = parseMoney(txView.amountMax).cents;
+    const size = Math.abs(t.amt);
+
+    if (query && !t.desc.toLowerCase().includes(query)) return false;
+    if (txView.dateFrom && t.date < txView.dateFrom) return false;
+    if (txView.dateTo && t.date > txView.dateTo) return false;
+    if (min !== null && size < min) return false;
+    if (max !== null && size > max) return false;
+    if (txView.type === 'debit' && t.amt >= 0) return false;
+    if (txView.type === 'credit' && t.amt < 0) return false;
+    return true;
+  }
+
+  /**
+   * Returns the selected account's transactions with the
+   * active filters and sort order applied
+   * @returns {Array<Object>}
+   */
+  function getVisibleTx() {
+    const direction = txView.sortDir === 'asc' ? 1 : -1;
+    const key = txView.sortKey;
+
+    return ledger.transactions
+      .map((t, index) => ({ t, index }))
+      .filter(({ t }) => t.acct === txAccountId && matchesTxFilters(t))
+      .sort((a, b) => {
+        let result;
+        if (key === 'desc') {
+          result = a.t.desc.localeCompare(b.t.desc, getLocale(), { sensitivity: 'base' });
+        } else if (key === 'date') {
+          result = a.t.date < b.t.date ? -1 : a.t.date > b.t.date ? 1 : 0;
+        } else {
+          result = a.t[key] - b.t[key];
+        }
+        // Ledger order is newest first, so it breaks ties chronologically
+        return result !== 0 ? result * direction : (a.index - b.index) * -direction;
+      })
+      .map(({ t }) => t);
+  }
+
+  /**
+   * Reflects the current sort order on the column headers
+   */
+  function updateSortHeaders() {
+    $$(".tx-table .sort-btn").forEach((btn) => {
+      const isActive = btn.dataset.sort === txView.sortKey;
+      const sortValue = isActive
+        ? (txView.sortDir === 'asc' ? 'ascending' : 'descending')
+        : 'none';
+      btn.closest("th").setAttribute('aria-sort', sortValue);
+    });
+  }
+
+  /*
+    The table is windowed: only the rows scrolled into view inside
+    #txTableWrap (plus txRowOverscan either side) are in the DOM,
+    between two spacer rows that stand in for the rest, so histories
+    of tens of thousands of transactions stay responsive.
+
+    Rows are keyed by transaction ID and only rebuilt when their
+    markup changes, so a new transaction adds one row instead of
+    redrawing the table, and a focused category picker keeps focus.
+    aria-rowcount on the table and aria-rowindex on each row (the
+    header row is 1) tell assistive technology where the rendered
+    rows sit in the full list.
+  */
+  const txRowOverscan = 10;
+  const txDefaultRowHeight = 56; // px, until a rendered row can be measured
+
+  // Transactions matching the selected account, filters and sort order
+  let txMatches = [];
+  let txRowHeight = txDefaultRowHeight;
+  let txScrollFrame = 0;
+
+  // Markup each rendered row was built from, to tell when it changed
+  const txRowMarkup = new WeakMap();
+
+  /**
+   * Creates a spacer row standing in for rows outside the window
+   * @returns {HTMLTableRowElement}
+   */
+  function createTxSpacer() {
+    const row = document.createElement('tr');
+    row.className = 'tx-spacer';
+    row.setAttribute('aria-hidden', 'true');
+    row.innerHTML = '<td colspan="5"></td>';
+    return row;
+  }
+
+  const txTopSpacer = createTxSpacer();
+  const txBottomSpacer = createTxSpacer();
+
+  /**
+   * Sets the height a spacer row stands in for
+   * @param {HTMLTableRowElement} spacer - Spacer row
+   * @param {number} height - Height in px
+   */
+  function setSpacerHeight(spacer, height) {
+    spacer.hidden = height <= 0;
+    spacer.firstElementChild.style.height = `${height}px`;
+  }
+
+  /**
+   * Builds the markup for one transaction row
+   * @param {Object} t - Ledger transaction
+   * @returns {string}
+   */
+  function txRowHtml(t) {
+    const isNegative = t.amt < 0;
+    const formattedAmount = formatMoney(t.amt);
+
+    const amountClass = isNegative ? 'amount-negative' : 'amount-positive';
+
+    return `
+      <tr data-tx-row="${sanitizeInput(t.id)}">
+        <td><time datetime="${sanitizeInput(t.date)}">${sanitizeInput(formatDate(t.date))}</time></td>
+        <td>
+          ${sanitizeInput(t.desc)}
+          ${t.ref ? `<a class="tx-receipt" href="#/receipt/${encodeURIComponent(t.ref)}" aria-label="${sanitizeInput(translate('tx.receiptFor', { desc: t.desc }))}">${sanitizeInput(translate('tx.receipt'))}</a>` : ''}
+        </td>
+        <td>
+          <select class="tx-category" data-tx="${sanitizeInput(t.id)}" aria-label="${sanitizeInput(translate('tx.categoryFor', { desc: t.desc }))}">
+            ${categoryOptions(getCategory(t))}
+          </select>
+        </td>
+        <td class="text-right ${amountClass}" aria-label="${sanitizeInput(moneyLabel(t.amt))}">${formattedAmount}</td>
+        <td class="text-right" aria-label="${sanitizeInput(moneyLabel(t.bal, false))}">${formatMoney(t.bal)}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Renders the transaction table for the selected account
+   */
+  function renderTx() {
+    const account = getAccount(txAccountId);
+    const accountLabel = account ? `${account.name} – ${maskAccount(account)}` : '';
+
+    txAccountLabel.textContent = accountLabel;
+    txCaption.textContent = account
+      ? translate('tx.captionFor', { account: account.name })
+      : translate('tx.caption');
+
+    updateSortHeaders();
+
+    const total = ledger.transactions.filter((t) => t.acct === txAccountId).length;
+    txMatches = getVisibleTx();
+
+    txSummary.textContent = txMatches.length === total
+      ? translate('tx.summary', { count: total })
+      : translate('tx.summaryFiltered', { count: txMatches.length, total: total });
+
+    if (!txMatches.length) {
+      const message = total
+        ? translate('tx.emptyFiltered')
+        : translate('tx.empty');
+      txTable.setAttribute('aria-rowcount', '2');
+      txBody.innerHTML = `
+        <tr aria-rowindex="2">
+          <td colspan="5" class="empty-row">${sanitizeInput(message)}</td>
+        </tr>
+      `;
+      return;
+    }
+
+    txTable.setAttribute('aria-rowcount', String(txMatches.length + 1));
+    renderTxWindow();
+  }
+
+  /**
+   * Brings the rendered rows in line with the scroll position,
+   * reusing rows that are already in the DOM and unchanged
+   */
+  function renderTxWindow() {
+    if (!txMatches.length) return;
+
+    if (txTopSpacer.parentNode !== txBody) {
+      txBody.textContent = '';
+      txBody.append(txTopSpacer, txBottomSpacer);
+    }
+
+    // While the screen is hidden the region has no height; assume a full window
+    const viewHeight = txTableWrap.clientHeight || window.innerHeight;
+    const scrolled = Math.max(0, txTableWrap.scrollTop - txTable.tHead.offsetHeight);
+    const start = Math.min(Math.max(0, Math.floor(scrolled / txRowHeight) - txRowOverscan), txMatches.length - 1);
+    const end = Math.min(txMatches.length, Math.ceil((scrolled + viewHeight) / txRowHeight) + txRowOverscan);
+
+    const stale = new Map();
+    $$('tr[data-tx-row]', txBody).forEach((row) => stale.set(row.dataset.txRow, row));
+
+    const template = document.createElement('template');
+    const rows = txMatches.slice(start, end).map((t, i) => {
+      const html = txRowHtml(t);
+      let row = stale.get(t.id);
+
+      if (row && txRowMarkup.get(row) === html) {
+        stale.delete(t.id);
+      } else {
+        template.innerHTML = html.trim();
+        row = template.content.firstElementChild;
+        txRowMarkup.set(row, html);
+      }
+      row.setAttribute('aria-rowindex', String(start + i + 2));
+      return row;
+    });
+
+    // Focus inside a row that is about to go moves to the scroll region
+    const focusedRow = document.activeElement && document.activeElement.closest('tr[data-tx-row]');
+    if (focusedRow && stale.get(focusedRow.dataset.txRow) === focusedRow) {
+      txTableWrap.focus({ preventScroll: true });
+    }
+
+    // Rows already in order stay put; only new or moved rows are inserted
+    let next = txTopSpacer.nextSibling;
+    rows.forEach((row) => {
+      if (row === next) {
+        next = next.nextSibling;
+      } else {
+        txBody.insertBefore(row, next);
+      }
+    });
+    stale.forEach((row) => row.remove());
+
+    // Row height is measured once the rows are laid out (not while hidden)
+    const measured = rows.reduce((sum, row) => sum + row.offsetHeight, 0) / rows.length;
+    if (measured > 0) txRowHeight = measured;
+
+    setSpacerHeight(txTopSpacer, start * txRowHeight);
+    setSpacerHeight(txBottomSpacer, (txMatches.length - end) * txRowHeight);
+  }
+
+  /**
+   * Re-renders the window on the next frame, at most once per frame
+   */
+  function scheduleTxWindow() {
+    if (txScrollFrame) return;
+    txScrollFrame = requestAnimationFrame(() => {
+      txScrollFrame = 0;
+      renderTxWindow();
+    });
+  }
+
+  /**
+   * Scrolls the table back to the first row, e.g. after the filters change
+   */
+  function resetTxScroll() {
+    txTableWrap.scrollTop = 0;
+  }
+
+  txTableWrap.addEventListener("scroll", scheduleTxWindow, { passive: true });
+  window.addEventListener("resize", scheduleTxWindow);
+
+  /**
+   * Re-renders every view that displays ledger data
+   */
+  function renderLedger() {
+    renderAccounts();
+    renderFromOptions();
+    renderTxAccountOptions();
+    renderTx();
+    renderInsights();
+    renderBudgets();
+  }
+
+  /**
+   * Switches the transactions screen to another account
+   * @param {string} accountId - Account ID
+   * @returns {boolean} - False if the account does not exist
+   */
+  function selectTxAccount(accountId) {
+    if (!getAccount(accountId)) return false;
+    if (accountId !== txAccountId) {
+      txAccountId = accountId;
+      resetTxScroll();
+    }
+    txAccountSelect.value = accountId;
+    renderTx();
+    return true;
+  }
+
+  /**
+   * Opens the transaction history for a given account
+   * @param {string} accountId - Account ID
+   */
+  function openAccountHistory(accountId) {
+    if (!getAccount(accountId)) return;
+    navigate(`/transactions/${encodeURIComponent(accountId)}`);
+  }
+
+  txAccountSelect.addEventListener("change", () => {
+    selectTxAccount(txAccountSelect.value);
+    syncTxRoute();
+  });
+
+
+  /*
+    ================================================================
+    TRANSACTION SEARCH, FILTERS AND SORTING
+    ================================================================
+  */
+
+  const txFilterFields = {
+    query: $("#txSearch"),
+    dateFrom: $("#txDateFrom"),
+    dateTo: $("#txDateTo"),
+    amountMin: $("#txAmountMin"),
+    amountMax: $("#txAmountMax")
+  };
+
+  /**
+   * Copies the saved view state into the filter controls
+   */
+  function syncTxFilterInputs() {
+    Object.keys(txFilterFields).forEach((key) => {
+      txFilterFields[key].value = txView[key];
+    });
+    $$('input[name="txType"]', txFilters).forEach((radio) => {
+      radio.checked = radio.value === txView.type;
+    });
+  }
+
+  /**
+   * Reads the filter controls into the view state and re-renders
+   */
+  function applyTxFilters() {
+    Object.keys(txFilterFields).forEach((key) => {
+      txView[key] = txFilterFields[key].value;
+    });
+    const checkedType = $('input[name="txType"]:checked', txFilters);
+    txView.type = checkedType ? checkedType.value : 'all';
+
+    resetTxScroll();
+    saveTxView();
+    renderTx();
+    syncTxRoute();
+  }
+
+  txFilters.addEventListener("input", applyTxFilters);
+  txFilters.addEventListener("change", applyTxFilters);
+  txFilters.addEventListener("submit", (e) => e.preventDefault());
+
+  // "Clear filters" restores defaults but keeps the current sort order
+  txFilters.addEventListener("reset", (e) => {
+    e.preventDefault();
+    Object.assign(txView, defaultTxView, {
+      sortKey: txView.sortKey,
+      sortDir: txView.sortDir
+    });
+    syncTxFilterInputs();
+    applyTxFilters();
+  });
+
+  // Column header sorting: clicking the active column flips direction
+  $$(".tx-table .sort-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const key = btn.dataset.sort;
+      if (txView.sortKey === key) {
+        txView.sortDir = txView.sortDir === 'asc' ? 'desc' : 'asc';
+      } else {
+        txView.sortKey = key;
+        // Text sorts A–Z first; dates and amounts largest/newest first
+        txView.sortDir = key === 'desc' ? 'asc' : 'desc';
+      }
+      resetTxScroll();
+      saveTxView();
+      renderTx();
+      syncTxRoute();
+    });
+  });
+
+  syncTxFilterInputs();
+
+
+  /*
+    ================================================================
+    TRANSACTION CATEGORIES
+    ================================================================
+  */
+
+  /*
+    Transactions are categorised when they are displayed by matching
+    the description against categoryRules (first match wins), so a
+    better rule also re-categorises past transactions. A category the
+    customer picks in the table is stored on the transaction itself
+    (t.category) and always wins over the rules.
+  */
+
+  // Category IDs and their message keys, in display order
+  const categories = {
+    income: 'category.income',
+    groceries: 'category.groceries',
+    dining: 'category.dining',
+    transport: 'category.transport',
+    bills: 'category.bills',
+    shopping: 'category.shopping',
+    health: 'category.health',
+    entertainment: 'category.entertainment',
+    cash: 'category.cash',
+    transfers: 'category.transfers',
+    other: 'category.other'
+  };
+
+  // "direction" limits a rule to money in or money out
+  const categoryRules = [
+    { category: 'income', pattern: /salary|wages?\b|payroll|interest|dividend|refund/i, direction: 'in' },
+    { category: 'cash', pattern: /\batm\b|cash/i },
+    { category: 'groceries', pattern: /grocer|woolworths|coles|aldi|\biga\b|harris farm/i },
+    { category: 'dining', pattern: /cafe|coffee|restaurant|takeaway|uber eats|menulog|doordash|mcdonald|pizza|\bpub\b|\bbar\b/i },
+    { category: 'transport', pattern: /fuel|petrol|\bopal\b|myki|go card|uber|taxi|parking|\btolls?\b|linkt/i },
+    { category: 'bills', pattern: /electric|energy|\bgas\b|water|telstra|optus|vodafone|internet|insurance|\brent\b|council|phone/i },
+    { category: 'health', pattern: /pharmacy|chemist|medical|doctor|dental|hospital|medicare|physio/i },
+    { category: 'entertainment', pattern: /netflix|spotify|disney|cinema|movie|concert|tickets?\b/i },
+    { category: 'shopping', pattern: /kmart|target|big w|jb hi-fi|amazon|ebay|bunnings|myer|david jones|officeworks/i },
+    { category: 'transfers', pattern: /transfer|bpay|payid|osko/i }
+  ];
+
+  /**
+   * Works out a transaction's category from the rules alone
+   * @param {Object} t - Ledger transaction
+   * @returns {string} - Category ID
+   */
+  function autoCategory(t) {
+    const direction = t.amt < 0 ? 'out' : 'in';
+    const rule = categoryRules.find((r) =>
+      (!r.direction || r.direction === direction) && r.pattern.test(t.desc));
+
+    if (rule) return rule.category;
+    // Transfers made in the app record a destination even with a custom description
+    return t.to ? 'transfers' : 'other';
+  }
+
+  /**
+   * Returns the category chosen by the customer, else the automatic one
+   * @param {Object} t - Ledger transaction
+   * @returns {string} - Category ID
+   */
+  function getCategory(t) {
+    return categories[t.category] ? t.category : autoCategory(t);
+  }
+
+  /**
+   * Overrides a transaction's category. Choosing the automatic
+   * category again removes the override.
+   * @param {string} txId - Transaction ID
+   * @param {string} category - Category ID
+   * @returns {Promise}
+   */
+  function setCategory(txId, category) {
+    return updateLedger(() => {
+      const t = ledger.transactions.find((entry) => entry.id === txId);
+      if (!t || !categories[category]) return;
+
+      if (category === autoCategory(t)) {
+        delete t.category;
+      } else {
+        t.category = category;
+      }
+      saveLedger();
+
+      // The row is rebuilt from the saved entry (it may also leave a
+      // category filter); focus stays on its select if it is still shown
+      const hadFocus = document.activeElement && document.activeElement.dataset.tx === txId;
+      renderTx();
+      renderInsights();
+      const select = $$('select[data-tx]', txBody).find((el) => el.dataset.tx === txId);
+      if (hadFocus && select) select.focus({ preventScroll: true });
+    });
+  }
+
+  /**
+   * Builds the category <option> list for a transaction row
+   * @param {string} selected - Selected category ID
+   * @returns {string} - HTML
+   */
+  function categoryOptions(selected) {
+    return Object.keys(categories)
+      .map((id) => `<option value="${id}"${id === selected ? ' selected' : ''}>${sanitizeInput(translate(categories[id]))}</option>`)
+      .join('');
+  }
+
+  // Category selects are delegated because rows are re-rendered
+  txBody.addEventListener("change", (e) => {
+    const select = e.target.closest("select[data-tx]");
+    if (select) setCategory(select.dataset.tx, select.value);
+  });
+
+
+  /*
+    ================================================================
+    SPENDING INSIGHTS
+    ================================================================
+  */
+
+  /*
+    Dashboard charts for one month across all accounts, drawn as
+    inline SVG. Each SVG is a single role="img" labelled by a visible
+    one-sentence summary, and the figures behind it are listed in a
+    table inside a <details> element, so nothing is conveyed only
+    visually. Bar charts are mirrored when the page is right-to-left.
+  */
+
+  const insightsMonthSelect = $("#insightsMonth");
+  const spendChart = $("#spendChart");
+  const cashflowChart = $("#cashflowChart");
+  const balanceChart = $("#balanceChart");
+
+  // Month shown in the charts (YYYY-MM); defaults to the latest with data
+  let insightsMonth = '';
+
+  /**
+   * Lists the months that have transactions, newest first
+   * @returns {Array<string>} - YYYY-MM strings
+   */
+  function getLedgerMonths() {
+    const months = new Set(ledger.transactions.map((t) => t.date.slice(0, 7)));
+    return [...months].sort().reverse();
+  }
+
+  /**
+   * Returns the last day of a month as YYYY-MM-DD
+   * @param {string} month - YYYY-MM
+   * @returns {string}
+   */
+  function monthEnd(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return toISODate(new Date(year, monthNumber, 0));
+  }
+
+  /**
+   * Total balance of all accounts at the end of a day, worked out
+   * from the running balance stored on each transaction
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} histories - Account ID → transactions, newest first
+   * @returns {number} - Cents
+   */
+  function totalBalanceOn(date, histories) {
+    return ledger.accounts.reduce((sum, account) => {
+      const history = histories[account.id];
+      if (!history.length) return sum + account.balance;
+
+      const latest = history.find((t) => t.date <= date);
+      if (latest) return sum + latest.bal;
+
+      // Before the first transaction: the opening balance
+      const oldest = history[history.length - 1];
+      return sum + oldest.bal - oldest.amt;
+    }, 0);
+  }
+
+  /**
+   * Returns helpers that flip x positions and text anchors for RTL
+   * @param {number} width - Chart width in SVG units
+   * @returns {Object} - { x(position, size), anchor(anchor) }
+   */
+  function chartDirection(width) {
+    const rtl = document.documentElement.dir === 'rtl';
+    const flipped = { start: 'end', end: 'start', middle: 'middle' };
+    return {
+      x: (position, size = 0) => (rtl ? width - position - size : position),
+      anchor: (anchor) => (rtl ? flipped[anchor] : anchor)
+    };
+  }
+
+  /**
+   * Builds a data table used as a chart's text alternative
+   * @param {Array<string>} headings - Column headings
+   * @param {Array<Array<string>>} rows - Cell text; the last column is right-aligned
+   * @returns {string} - HTML
+   */
+  function chartTable(headings, rows) {
+    const last = headings.length - 1;
+    const cell = (text, i, tag) =>
+      `<${tag}${tag === 'th' ? ' scope="col"' : ''}${i === last ? ' class="text-right"' : ''}>${sanitizeInput(text)}</${tag}>`;
+
+    return `
+      <table class="tx-table chart-table">
+        <thead><tr>${headings.map((h, i) => cell(h, i, 'th')).join('')}</tr></thead>
+        <tbody>${rows.map((row) => `<tr>${row.map((text, i) => cell(text, i, 'td')).join('')}</tr>`).join('')}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Renders a chart with its summary and table alternative
+   * @param {HTMLElement} container - Chart container
+   * @param {Object} chart - { width, height, body (SVG markup), summary, table }
+   */
+  function renderChart(container, chart) {
+    const summaryId = `${container.id}Summary`;
+    container.innerHTML = `
+      <svg class="chart-svg" viewBox="0 0 ${chart.width} ${chart.height}" role="img" aria-labelledby="${summaryId}" focusable="false">
+        ${chart.body}
+      </svg>
+      <p id="${summaryId}" class="chart-summary">${sanitizeInput(chart.summary)}</p>
+      <details class="chart-details">
+        <summary>${sanitizeInput(translate('insights.showTable'))}</summary>
+        ${chart.table}
+      </details>
+    `;
+  }
+
+  /**
+   * Shows a message in place of a chart that has no data
+   * @param {HTMLElement} container - Chart container
+   * @param {string} message - Text to show
+   */
+  function renderEmptyChart(container, message) {
+    container.innerHTML = `<p class="chart-empty muted">${sanitizeInput(message)}</p>`;
+  }
+
+  /**
+   * Horizontal bar chart of money out by category
+   * @param {Array<Object>} txs - The month's transactions
+   * @param {string} monthLabel - Formatted month
+   */
+  function renderSpendChart(txs, monthLabel) {
+    const totals = {};
+    txs.filter((t) => t.amt < 0).forEach((t) => {
+      const category = getCategory(t);
+      totals[category] = (totals[category] || 0) - t.amt;
+    });
+
+    const items = Object.keys(totals)
+      .map((id) => ({ label: translate(categories[id]), value: totals[id] }))
+      .sort((a, b) => b.value - a.value);
+
+    if (!items.length) {
+      renderEmptyChart(spendChart, translate('insights.noSpending', { month: monthLabel }));
+      return;
+    }
+
+    const width = 360;
+    const rowHeight = 28;
+    const labelWidth = 110;
+    const barSpace = width - labelWidth - 90;
+    const largest = items[0].value;
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    const dir = chartDirection(width);
+
+    const body = items.map((item, i) => {
+      const y = i * rowHeight;
+      const barWidth = Math.max(2, Math.round((item.value / largest) * barSpace));
+      return `
+        <text class="chart-label" x="${dir.x(labelWidth - 8)}" y="${y + 19}" text-anchor="${dir.anchor('end')}">${sanitizeInput(item.label)}</text>
+        <rect class="chart-bar" x="${dir.x(labelWidth, barWidth)}" y="${y + 6}" width="${barWidth}" height="16" rx="3"></rect>
+        <text class="chart-value" x="${dir.x(labelWidth + barWidth + 6)}" y="${y + 19}" text-anchor="${dir.anchor('start')}">${sanitizeInput(formatMoney(item.value))}</text>
+      `;
+    }).join('');
+
+    renderChart(spendChart, {
+      width: width,
+      height: items.length * rowHeight + 4,
+      body: body,
+      summary: translate('insights.spendSummary', {
+        month: monthLabel,
+        total: formatMoney(total),
+        count: items.length,
+        top: items[0].label,
+        topAmount: formatMoney(items[0].value)
+      }),
+      table: chartTable(
+        [translate('tx.colCategory'), translate('tx.colAmount')],
+        items.map((item) => [item.label, formatMoney(item.value)])
+      )
+    });
+  }
+
+  /**
+   * Two-bar chart comparing money in and money out
+   * @param {Array<Object>} txs - The month's transactions
+   * @param {string} monthLabel - Formatted month
+   */
+  function renderCashflowChart(txs, monthLabel) {
+    const moneyIn = txs.filter((t) => t.amt > 0).reduce((sum, t) => sum + t.amt, 0);
+    const moneyOut = txs.filter((t) => t.amt < 0).reduce((sum, t) => sum - t.amt, 0);
+
+    if (!moneyIn && !moneyOut) {
+      renderEmptyChart(cashflowChart, translate('insights.noActivity', { month: monthLabel }));
+      return;
+    }
+
+    const width = 360;
+    const baseline = 170;
+    const maxHeight = 130;
+    const barWidth = 80;
+    const largest = Math.max(moneyIn, moneyOut);
+    const dir = chartDirection(width);
+
+    const bars = [
+      { label: translate('insights.moneyIn'), value: moneyIn, className: 'chart-bar-in', x: 70 },
+      { label: translate('insights.moneyOut'), value: moneyOut, className: 'chart-bar-out', x: 210 }
+    ];
+
+    const body = bars.map((bar) => {
+      const height = Math.max(2, Math.round((bar.value / largest) * maxHeight));
+      const x = dir.x(bar.x, barWidth);
+      const centre = x + barWidth / 2;
+      return `
+        <rect class="${bar.className}" x="${x}" y="${baseline - height}" width="${barWidth}" height="${height}" rx="3"></rect>
+        <text class="chart-value" x="${centre}" y="${baseline - height - 8}" text-anchor="middle">${sanitizeInput(formatMoney(bar.value))}</text>
+        <text class="chart-label" x="${centre}" y="${baseline + 22}" text-anchor="middle">${sanitizeInput(bar.label)}</text>
+      `;
+    }).join('') + `<line class="chart-axis" x1="20" y1="${baseline}" x2="${width - 20}" y2="${baseline}"></line>`;
+
+    const net = moneyIn - moneyOut;
+
+    renderChart(cashflowChart, {
+      width: width,
+      height: 200,
+      body: body,
+      summary: translate('insights.cashflowSummary', {
+        month: monthLabel,
+        moneyIn: formatMoney(moneyIn),
+        moneyOut: formatMoney(moneyOut),
+        net: formatMoney(net)
+      }),
+      table: chartTable(
+        ['', translate('tx.colAmount')],
+        [
+          [bars[0].label, formatMoney(moneyIn)],
+          [bars[1].label, formatMoney(moneyOut)],
+          [translate('insights.net'), formatMoney(net)]
+        ]
+      )
+    });
+  }
+
+  /**
+   * Line chart of the combined end-of-day balance through the month
+   * (up to today for the current month)
+   * @param {string} month - YYYY-MM
+   * @param {string} monthLabel - Formatted month
+   */
+  function renderBalanceChart(month, monthLabel) {
+    const today = todayISO();
+    const last = monthEnd(month) < today ? monthEnd(month) : today;
+    const histories = {};
+    ledger.accounts.forEach((account) => {
+      histories[account.id] = ledger.transactions.filter((t) => t.acct === account.id);
+    });
+
+    const points = [];
+    for (let date = `${month}-01`; date <= last; date = addDays(date, 1)) {
+      points.push({ date: date, balance: totalBalanceOn(date, histories) });
+    }
+
+    if (points.length < 2) {
+      renderEmptyChart(balanceChart, translate('insights.noTrend', { month: monthLabel }));
+      return;
+    }
+
+    const width = 360;
+    const height = 200;
+    const top = 24;
+    const bottom = 160;
+    const left = 16;
+    const right = width - 16;
+    const balances = points.map((p) => p.balance);
+    const high = Math.max(...balances);
+    const low = Math.min(...balances);
+    const range = high - low || 1;
+    const dir = chartDirection(width);
+
+    const coords = points.map((p, i) => {
+      const x = dir.x(left + (i / (points.length - 1)) * (right - left));
+      // A flat line is drawn through the middle
+      const y = high === low ? (top + bottom) / 2 : bottom - ((p.balance - low) / range) * (bottom - top);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const [endX, endY] = coords[coords.length - 1].split(',');
+    const lowPoint = points.find((p) => p.balance === low);
+
+    const body = `
+      <line class="chart-grid" x1="${left}" y1="${top}" x2="${right}" y2="${top}"></line>
+      <line class="chart-grid" x1="${left}" y1="${bottom}" x2="${right}" y2="${bottom}"></line>
+      <text class="chart-value" x="${dir.x(left)}" y="${top - 8}" text-anchor="${dir.anchor('start')}">${sanitizeInput(formatMoney(high))}</text>
+      <text class="chart-value" x="${dir.x(left)}" y="${bottom + 16}" text-anchor="${dir.anchor('start')}">${sanitizeInput(formatMoney(low))}</text>
+      <polyline class="chart-line" points="${coords.join(' ')}"></polyline>
+      <circle class="chart-point" cx="${endX}" cy="${endY}" r="4"></circle>
+      <text class="chart-label" x="${dir.x(left)}" y="${height - 6}" text-anchor="${dir.anchor('start')}">${sanitizeInput(formatDate(points[0].date))}</text>
+      <text class="chart-label" x="${dir.x(right)}" y="${height - 6}" text-anchor="${dir.anchor('end')}">${sanitizeInput(formatDate(last))}</text>
+    `;
+
+    renderChart(balanceChart, {
+      width: width,
+      height: height,
+      body: body,
+      summary: translate('insights.balanceSummary', {
+        month: monthLabel,
+        start: formatMoney(points[0].balance),
+        end: formatMoney(points[points.length - 1].balance),
+        low: formatMoney(low),
+        lowDate: formatDate(lowPoint.date)
+      }),
+      table: chartTable(
+        [translate('tx.colDate'), translate('tx.colBalance')],
+        points.map((p) => [formatDate(p.date), formatMoney(p.balance)])
+      )
+    });
+  }
+
+  /**
+   * Renders the month picker and all three charts
+   */
+  function renderInsights() {
+    const months = getLedgerMonths();
+    if (!months.includes(insightsMonth)) {
+      insightsMonth = months[0] || todayISO().slice(0, 7);
+    }
+
+    insightsMonthSelect.innerHTML = (months.length ? months : [insightsMonth])
+      .map((month) => `<option value="${month}">${sanitizeInput(formatMonth(month))}</option>`)
+      .join('');
+    insightsMonthSelect.value = insightsMonth;
+
+    const txs = ledger.transactions.filter((t) => t.date.slice(0, 7) === insightsMonth);
+    const monthLabel = formatMonth(insightsMonth);
+
+    renderSpendChart(txs, monthLabel);
+    renderCashflowChart(txs, monthLabel);
+    renderBalanceChart(insightsMonth, monthLabel);
+  }
+
+  insightsMonthSelect.addEventListener("change", () => {
+    insightsMonth = insightsMonthSelect.value;
+    renderInsights();
+  });
+
+
+  /*
+    ================================================================
+    MONTHLY BUDGETS
+    ================================================================
+  */
+
+  /*
+    Budgets are stored per customer ID ("budgets_<customer ID>"):
+
+      { budgets: [{ id, name, limit, keywords: [...] }],
+        alerts: [{ budget, month, threshold }] }
+
+    A budget counts money out in the current calendar month from any
+    transaction whose description contains one of its keywords
+    ("*" matches any text). "alerts" remembers which threshold toasts
+    have already been shown, so each one appears once per month.
+    Alerts are checked when money goes out (a transfer, a scheduled
+    payment or an import), not when the ledger is re-rendered, so
+    switching accounts or syncing another tab's changes never raises
+    them.
+  */
+
+  const budgetsKeyPrefix = "budgets_";
+  // Percentages of a budget that trigger an alert, lowest first
+  const budgetThresholds = [80, 100];
+  const budgetMaxKeywords = 10;
+
+  const budgetProgress = $("#budgetProgress");
+  const budgetList = $("#budgetList");
+  const budgetForm = $("#budgetForm");
+  const budgetFormHeading = $("#budgetFormHeading");
+  const budgetStatus = $("#budgetForm .form-status");
+  const budgetNameInput = $("#budgetName");
+  const budgetLimitInput = $("#budgetLimit");
+  const budgetKeywordsInput = $("#budgetKeywords");
+  const budgetSubmit = $("#budgetSubmit");
+  const budgetCancelEdit = $("#budgetCancelEdit");
+  const budgetWarning = $("#budgetWarning");
+
+  // ID of the budget being edited, or null when adding
+  let editingBudgetId = null;
+
+  /**
+   * Reads the signed-in customer's budgets and sent alerts
+   * @returns {Object} - { budgets, alerts }
+   */
+  function getBudgetStore() {
+    const cust = getCustomerId();
+    let stored = null;
+    try {
+      stored = cust ? JSON.parse(localStorage.getItem(budgetsKeyPrefix + cust)) : null;
+    } catch (e) {
+      stored = null;
+    }
+
+    return {
+      budgets: stored && Array.isArray(stored.budgets) ? stored.budgets : [],
+      alerts: stored && Array.isArray(stored.alerts) ? stored.alerts : []
+    };
+  }
+
+  /**
+   * Saves the signed-in customer's budgets and sent alerts
+   * @param {Object} store - { budgets, alerts }
+   */
+  function saveBudgetStore(store) {
+    const cust = getCustomerId();
+    if (!cust) return;
+    localStorage.setItem(budgetsKeyPrefix + cust, JSON.stringify(store));
+  }
+
+  /**
+   * Splits the keywords field into a clean list
+   * @param {string} value - e.g. "Woolworths, Coles"
+   * @returns {Array<string>}
+   */
+  function parseKeywords(value) {
+    const keywords = value.split(',').map((k) => k.trim()).filter(Boolean);
+    // Drop repeats, ignoring case
+    return keywords.filter((k, i) => keywords.findIndex((other) => other.toLowerCase() === k.toLowerCase()) === i);
+  }
+
+  /**
+   * Builds a case-insensitive matcher for a budget's keywords
+   * @param {Array<string>} keywords - Keyword patterns
+   * @returns {RegExp}
+   */
+  function keywordPattern(keywords) {
+    const parts = keywords.map((k) => k
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*'));
+    return new RegExp(parts.join('|'), 'i');
+  }
+
+  /**
+   * Totals money out matching a budget in one month
+   * @param {Object} budget - Stored budget
+   * @param {string} month - YYYY-MM
+   * @returns {number} - Cents
+   */
+  function budgetSpent(budget, month) {
+    const pattern = keywordPattern(budget.keywords);
+    return ledger.transactions
+      .filter((t) => t.amt < 0 && t.date.slice(0, 7) === month && pattern.test(t.desc))
+      .reduce((sum, t) => sum - t.amt, 0);
+  }
+
+  /**
+   * Highest alert threshold reached
+   * @param {number} spent - Cents spent
+   * @param {number} limit - Budget limit in cents
+   * @returns {number} - Percentage, or 0 below the first threshold
+   */
+  function budgetLevel(spent, limit) {
+    const reached = budgetThresholds.filter((threshold) => spent * 100 >= limit * threshold);
+    return reached.length ? reached[reached.length - 1] : 0;
+  }
+
+  /**
+   * Shows a toast for each budget that has reached a new threshold
+   * this month, and records it so it is not shown again
+   */
+  function checkBudgetAlerts() {
+    const store = getBudgetStore();
+    const month = todayISO().slice(0, 7);
+    let changed = false;
+
+    store.budgets.forEach((budget) => {
+      const spent = budgetSpent(budget, month);
+      const level = budgetLevel(spent, budget.limit);
+      const sent = (threshold) => store.alerts.some((a) =>
+        a.budget === budget.id && a.month === month && a.threshold === threshold);
+
+      if (!level || sent(level)) return;
+
+      // Thresholds passed on the way up are recorded without their own toast
+      budgetThresholds
+        .filter((threshold) => threshold <= level && !sent(threshold))
+        .forEach((threshold) => store.alerts.push({ budget: budget.id, month: month, threshold: threshold }));
+      changed = true;
+
+      const params = { name: budget.name, spent: formatMoney(spent), limit: formatMoney(budget.limit) };
+      if (level >= 100) {
+        showToast(translate('budgets.alertOver', params), 'error', 8000);
+      } else {
+        showToast(translate('budgets.alertNear', Object.assign({ percent: level }, params)), 'info', 8000);
+      }
+    });
+
+    if (changed) {
+      // Alerts from earlier months are no longer needed
+      store.alerts = store.alerts.filter((a) => a.month === month);
+      saveBudgetStore(store);
+    }
+  }
+
+  /**
+   * Renders budget progress on the dashboard and the list in Settings
+   */
+  function renderBudgets() {
+    const { budgets } = getBudgetStore();
+    const month = todayISO().slice(0, 7);
+    const sorted = budgets
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name, getLocale(), { sensitivity: 'base' }));
+
+    budgetProgress.innerHTML = sorted.length
+      ? sorted
+        .map((budget) => {
+          const spent = budgetSpent(budget, month);
+          const level = budgetLevel(spent, budget.limit);
+          const params = { spent: formatMoney(spent), limit: formatMoney(budget.limit) };
+          const remaining = spent > budget.limit
+            ? translate('budgets.over', { amount: formatMoney(spent - budget.limit) })
+            : translate('budgets.left', { amount: formatMoney(budget.limit - spent) });
+          const stateClass = level >= 100 ? ' over' : level ? ' near' : '';
+
+          return `
+            <li class="budget-item${stateClass}">
+              <div class="budget-row">
+                <strong>${sanitizeInput(budget.name)}</strong>
+                <span>${sanitizeInput(translate('budgets.spentOf', params))}</span>
+              </div>
+              <progress max="${budget.limit}" value="${Math.min(spent, budget.limit)}" aria-label="${sanitizeInput(budget.name)}" aria-valuetext="${sanitizeInput(translate('budgets.spentOf', params))}"></progress>
+              <small class="budget-remaining">${sanitizeInput(remaining)}</small>
+            </li>
+          `;
+        })
+        .join('')
+      : `<li class="payee-empty muted">${sanitizeInput(translate('budgets.empty'))}</li>`;
+
+    budgetList.innerHTML = sorted.length
+      ? sorted
+        .map((budget) => `
+          <li class="payee-item" data-budget="${sanitizeInput(budget.id)}">
+            <div class="payee-details">
+              <strong>${sanitizeInput(budget.name)}</strong>
+              <span class="muted">${sanitizeInput(translate('budgets.summary', { limit: formatMoney(budget.limit), keywords: formatList(budget.keywords, 'disjunction') }))}</span>
+            </div>
+            <div class="payee-actions">
+              <button type="button" class="btn-outline small" data-action="edit" aria-label="${sanitizeInput(translate('budgets.editLabel', { name: budget.name }))}">${sanitizeInput(translate('common.edit'))}</button>
+              <button type="button" class="btn-outline small danger" data-action="delete" aria-label="${sanitizeInput(translate('budgets.deleteLabel', { name: budget.name }))}">${sanitizeInput(translate('common.delete'))}</button>
+            </div>
+          </li>
+        `)
+        .join('')
+      : `<li class="payee-empty muted">${sanitizeInput(translate('budgets.empty'))}</li>`;
+  }
+
+  /**
+   * Validates the budget form
+   * @param {string} name - Budget name
+   * @param {string} limitText - Limit as typed
+   * @param {Array<string>} keywords - Parsed keywords
+   * @returns {Object} - { errors: [{ field, message }], limit }
+   */
+  function validateBudget(name, limitText, keywords) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field: field, message: message });
+    const { valid, cents, error } = parseMoney(limitText);
+
+    if (!name) fail('name', translate('budgets.errors.nameRequired'));
+    else if (getBudgetStore().budgets.some((b) => b.id !== editingBudgetId && b.name.toLowerCase() === name.toLowerCase())) {
+      fail('name', translate('budgets.errors.duplicate', { name: name }));
+    }
+
+    if (!valid) fail('limit', error);
+    else if (cents <= 0) fail('limit', translate('budgets.errors.limitPositive'));
+
+    if (!keywords.length) fail('keywords', translate('budgets.errors.keywordsRequired'));
+    else if (keywords.length > budgetMaxKeywords) fail('keywords', translate('budgets.errors.keywordsMax', { count: budgetMaxKeywords }));
+    else if (keywords.some((k) => !k.replace(/\*/g, '').trim())) fail('keywords', translate('budgets.errors.keywordsWildcard'));
+
+    return { errors: errors, limit: cents };
+  }
+
+  /**
+   * Sets the budget form heading and button for add or edit mode
+   */
+  function updateBudgetFormText() {
+    const budget = editingBudgetId && getBudgetStore().budgets.find((b) => b.id === editingBudgetId);
+    budgetFormHeading.textContent = budget
+      ? translate('budgets.editHeading', { name: budget.name })
+      : translate('budgets.addHeading');
+    budgetSubmit.textContent = translate(budget ? 'common.saveChanges' : 'budgets.save');
+  }
+
+  /**
+   * Resets the budget form to "add" mode
+   */
+  function resetBudgetForm() {
+    editingBudgetId = null;
+    budgetForm.reset();
+    updateBudgetFormText();
+    budgetCancelEdit.hidden = true;
+    budgetStatus.textContent = '';
+    [budgetNameInput, budgetLimitInput, budgetKeywordsInput].forEach((input) => input.setAttribute('aria-invalid', 'false'));
+  }
+
+  budgetForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    const name = budgetNameInput.value.trim();
+    const keywords = parseKeywords(budgetKeywordsInput.value);
+    const { errors, limit } = validateBudget(name, budgetLimitInput.value, keywords);
+    const fields = { name: budgetNameInput, limit: budgetLimitInput, keywords: budgetKeywordsInput };
+
+    Object.keys(fields).forEach((field) => {
+      fields[field].setAttribute('aria-invalid', String(errors.some((err) => err.field === field)));
+    });
+
+    if (errors.length) {
+      budgetStatus.textContent = errors[0].message;
+      budgetStatus.style.color = "var(--error)";
+      showToast(errors[0].message, 'error');
+      return;
+    }
+
+    const store = getBudgetStore();
+    const details = { name: name, limit: limit, keywords: keywords };
+
+    if (editingBudgetId) {
+      const budget = store.budgets.find((b) => b.id === editingBudgetId);
+      if (budget) Object.assign(budget, details);
+      // A new limit or keywords can cross the thresholds again
+      store.alerts = store.alerts.filter((a) => a.budget !== editingBudgetId);
+      showToast(translate('budgets.updated', { name: name }), 'success');
+    } else {
+      store.budgets.push(Object.assign({ id: createId('budget') }, details));
+      showToast(translate('budgets.added', { name: name }), 'success');
+    }
+
+    saveBudgetStore(store);
+    resetBudgetForm();
+    renderBudgets();
+    budgetNameInput.focus();
+  });
+
+  budgetCancelEdit.addEventListener("click", () => {
+    resetBudgetForm();
+    budgetNameInput.focus();
+  });
+
+  // Edit / delete buttons are delegated because the list is re-rendered
+  budgetList.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    const id = button.closest("[data-budget]").dataset.budget;
+    const store = getBudgetStore();
+    const budget = store.budgets.find((b) => b.id === id);
+    if (!budget) return;
+
+    if (button.dataset.action === "edit") {
+      editingBudgetId = budget.id;
+      budgetNameInput.value = budget.name;
+      budgetLimitInput.value = centsToDecimal(budget.limit);
+      budgetKeywordsInput.value = budget.keywords.join(', ');
+      updateBudgetFormText();
+      budgetCancelEdit.hidden = false;
+      budgetStatus.textContent = '';
+      budgetNameInput.focus();
+    } else if (button.dataset.action === "delete") {
+      if (!window.confirm(translate('budgets.confirmDelete', { name: budget.name }))) return;
+      store.budgets = store.budgets.filter((b) => b.id !== id);
+      store.alerts = store.alerts.filter((a) => a.budget !== id);
+      saveBudgetStore(store);
+      if (editingBudgetId === id) resetBudgetForm();
+      renderBudgets();
+      showToast(translate('budgets.deleted', { name: budget.name }), 'info');
+      budgetNameInput.focus();
+    }
+  });
+
+  /**
+   * Warns on the transfer form when the transfer would take a budget
+   * over its limit in the month it is paid. The transfer is still allowed.
+   */
+  function updateBudgetWarning() {
+    const { budgets } = getBudgetStore();
+    const { valid, cents } = parseMoney(amountInput.value);
+    const warnings = [];
+
+    if (budgets.length && valid && cents > 0) {
+      const when = $('input[name="when"]:checked', transferForm).value;
+      // Match against the description the ledger will record
+      const desc = transferDescription({ ...readDestination(), desc: descInput.value.trim(), scheduled: when !== 'now' });
+      const date = (when === 'later' && scheduleDateInput.value)
+        || (when === 'recurring' && scheduleStartInput.value)
+        || todayISO();
+      const month = date.slice(0, 7);
+
+      budgets.forEach((budget) => {
+        if (!keywordPattern(budget.keywords).test(desc)) return;
+        const after = budgetSpent(budget, month) + cents;
+        if (after > budget.limit) {
+          warnings.push(translate('budgets.transferWarning', {
+            name: budget.name,
+            limit: formatMoney(budget.limit),
+            amount: formatMoney(after - budget.limit)
+          }));
+        }
+      });
+    }
+
+    budgetWarning.hidden = !warnings.length;
+    budgetWarning.textContent = warnings.join(' ');
+  }
+
+
+  /*
+    ================================================================
+    TRANSACTION EXPORT (CSV / OFX / QIF)
+    ================================================================
+  */
+
+  /*
+    Exports honour the active filters and sort order by reusing
+    getVisibleTx(). Amounts are signed: debits negative, credits
+    positive. Only the masked account number shown in the section
+    header is ever written to a file.
+  */
+
+  const txExportFormat = $("#txExportFormat");
+  const txExportBtn = $("#txExportBtn");
+
+  /**
+   * Quotes a CSV field per RFC 4180 and neutralises spreadsheet
+   * formula injection in free-text fields
+   * @param {string|number} value - Field value
+   * @param {boolean} isText - True for user-controlled text
+   * @returns {string}
+   */
+  function csvField(value, isText = false) {
+    let text = String(value);
+    if (isText && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Escapes text for inclusion in OFX 2 (XML) element content
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  function xmlEscape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Flattens text onto one line for line-based formats (QIF)
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  function singleLine(text) {
+    return String(text).replace(/[\r\n\t]+/g, ' ').trim();
+  }
+
+  /**
+   * Builds a CSV export (UTF-8 with BOM so Excel keeps "–" intact)
+   * @param {Object} account - Ledger account
+   * @param {Array<Object>} rows - Transactions to export
+   * @returns {string}
+   */
+  function toCSV(account, rows) {
+    const lines = [
+      ['Date', 'Description', 'Debit/Credit', 'Amount', 'Balance', 'Account'].join(',')
+    ];
+    rows.forEach((t) => {
+      lines.push([
+        csvField(t.date),
+        csvField(t.desc, true),
+        csvField(t.amt < 0 ? 'Debit' : 'Credit'),
+        csvField(centsToDecimal(t.amt)),
+        csvField(centsToDecimal(t.bal)),
+        csvField(`${account.name} ${maskAccount(account)}`, true)
+      ].join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Builds an OFX 2.2 bank statement
+   * @param {Object} account - Ledger account
+   * @param {Array<Object>} rows - Transactions to export
+   * @returns {string}
+   */
+  function toOFX(account, rows) {
+    const ofxDate = (iso) => iso.replace(/-/g, '');
+    const now = new Date();
+    const stamp = ofxDate(todayISO()) +
+      [now.getHours(), now.getMinutes(), now.getSeconds()]
+        .map((n) => String(n).padStart(2, '0'))
+        .join('');
+    const dates = rows.map((t) => t.date).sort();
+    const acctType = /sav/i.test(account.type) ? 'SAVINGS' : 'CHECKING';
+
+    const statementLines = rows.map((t) => `
+          <STMTTRN>
+            <TRNTYPE>${t.amt < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>
+            <DTPOSTED>${ofxDate(t.date)}</DTPOSTED>
+            <TRNAMT>${centsToDecimal(t.amt)}</TRNAMT>
+            <FITID>${xmlEscape(t.id)}</FITID>
+            <NAME>${xmlEscape(singleLine(t.desc).slice(0, 32))}</NAME>
+            <MEMO>${xmlEscape(singleLine(t.desc).slice(0, 255))}</MEMO>
+          </STMTTRN>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <DTSERVER>${stamp}</DTSERVER>
+      <LANGUAGE>ENG</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+    <STMTTRNRS>
+      <TRNUID>${stamp}</TRNUID>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <STMTRS>
+        <CURDEF>AUD</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>${xmlEscape(account.bsb.replace(/\D/g, ''))}</BANKID>
+          <ACCTID>${xmlEscape('XXXX' + account.number)}</ACCTID>
+          <ACCTTYPE>${acctType}</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${ofxDate(dates[0] || todayISO())}</DTSTART>
+          <DTEND>${ofxDate(dates[dates.length - 1] || todayISO())}</DTEND>${statementLines}
+        </BANKTRANLIST>
+        <LEDGERBAL>
+          <BALAMT>${centsToDecimal(account.balance)}</BALAMT>
+          <DTASOF>${stamp}</DTASOF>
+        </LEDGERBAL>
+      </STMTRS>
+    </STMTTRNRS>
+  </BANKMSGSRSV1>
+</OFX>
+`;
+  }
+
+  /**
+   * Builds a QIF bank export. Dates use the Australian DD/MM/YYYY
+   * order, which is what AU editions of finance tools expect.
+   * @param {Object} account - Ledger account
+   * @param {Array<Object>} rows - Transactions to export
+   * @returns {string}
+   */
+  function toQIF(account, rows) {
+    const qifDate = (iso) => iso.split('-').reverse().join('/');
+    const lines = [
+      '!Account',
+      `N${singleLine(account.name)} ${maskAccount(account)}`,
+      'TBank',
+      '^',
+      '!Type:Bank'
+    ];
+    rows.forEach((t) => {
+      lines.push(
+        `D${qifDate(t.date)}`,
+        `T${centsToDecimal(t.amt)}`,
+        `P${singleLine(t.desc)}`,
+        '^'
+      );
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  const exportFormats = {
+    csv: { build: toCSV, mime: 'text/csv;charset=utf-8', label: 'CSV' },
+    ofx: { build: toOFX, mime: 'application/x-ofx;charset=utf-8', label: 'OFX' },
+    qif: { build: toQIF, mime: 'application/qif;charset=utf-8', label: 'QIF' }
+  };
+
+  /**
+   * Triggers a browser download of generated text
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} mime - MIME type
+   */
+  function downloadFile(filename, content, mime) {
+    const blob = new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  txExportBtn.addEventListener("click", () => {
+    const account = getAccount(txAccountId);
+    const format = exportFormats[txExportFormat.value];
+    const rows = getVisibleTx();
+
+    if (!account || !format) return;
+
+    if (!rows.length) {
+      showToast(translate('export.empty'), 'error');
+      return;
+    }
+
+    const accountSlug = `${account.bsb.replace(/\D/g, '')}-${account.number}`;
+    const filename = `transactions-${accountSlug}-${todayISO()}.${txExportFormat.value}`;
+
+    downloadFile(filename, format.build(account, rows), format.mime);
+    showToast(translate('export.done', { count: rows.length, format: format.label }), 'success');
+  });
+
+
+  /*
+    ================================================================
+    TRANSACTION IMPORT (CSV / OFX)
+    ================================================================
+  */
+
+  /*
+    Import flow: choose file → (CSV) map columns → preview → confirm.
+    Each row is validated and matched against the account's existing
+    history; only valid, non-duplicate rows are committed. Running
+    balances for the account are then recomputed from its opening
+    balance, so the account balance moves by the imported total.
+  */
+
+  const txImportFile = $("#txImportFile");
+  const txImportMapping = $("#txImportMapping");
+  const txImportPreview = $("#txImportPreview");
+  const txImportSummary = $("#txImportSummary");
+  const txImportBody = $("#txImportBody");
+  const txImportConfirm = $("#txImportConfirm");
+  const txImportCancel = $("#txImportCancel");
+  const mapSelects = $$("select[data-field]", txImportMapping);
+  const mapDateFormat = $("#mapDateFormat");
+  const mapHasHeader = $("#mapHasHeader");
+
+  const importMaxBytes = 5 * 1024 * 1024;
+  const importPreviewLimit = 200;
+
+  // Parsed file awaiting confirmation
+  let pendingImport = null;
+
+  /**
+   * Parses CSV text into rows of fields (RFC 4180: quoted fields,
+   * doubled quotes, embedded commas and line breaks)
+   * @param {string} text - CSV file contents
+   * @returns {Array<Array<string>>}
+   */
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+  }
+
+  /**
+   * Extracts statement transactions from OFX 1.x (SGML) or 2.x (XML)
+   * @param {string} text - OFX file contents
+   * @returns {Array<Object>} - Raw rows with date, desc, amount, fitid
+   */
+  function parseOFX(text) {
+    const decode = (value) => value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+
+    // Works for both closed (XML) and unclosed (SGML) elements
+    const tag = (block, name) => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return match ? decode(match[1]) : '';
+    };
+
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    return blocks.map((block) => {
+      const name = tag(block, 'NAME');
+      const memo = tag(block, 'MEMO');
+      const posted = tag(block, 'DTPOSTED');
+      return {
+        date: posted.length >= 8
+          ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`
+          : posted,
+        // NAME is limited to 32 characters, so prefer a longer MEMO
+        desc: memo.length > name.length ? memo : name,
+        amount: tag(block, 'TRNAMT'),
+        fitid: tag(block, 'FITID')
+      };
+    });
+  }
+
+  /**
+   * Converts a statement date to YYYY-MM-DD
+   * @param {string} value - Date text
+   * @param {string} format - "ymd", "dmy" or "mdy"
+   * @returns {string|null} - ISO date, or null if not a real date
+   */
+  function parseImportDate(value, format) {
+    const parts = value.trim().split(/[-/.]/);
+    if (parts.length !== 3) return null;
+
+    let year;
+    let month;
+    let day;
+    if (format === 'dmy') [day, month, year] = parts;
+    else if (format === 'mdy') [month, day, year] = parts;
+    else [year, month, day] = parts;
+
+    if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !/^\d{1,2}$/.test(day)) {
+      return null;
+    }
+
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+      return null;
+    }
+
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  /**
+   * Parses a statement amount such as "-7.50", "1,250.50",
+   * "$20.00" or "(7.50)" (accounting-style negative)
+   * @param {string} value - Amount text
+   * @returns {number|null} - Cents
+   */
+  function parseImportAmount(value) {
+    let text = String(value).trim().replace(/\s/g, '');
+    let negative = false;
+
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+
+    const { valid, cents } = parseMoney(text);
+    if (!valid) return null;
+    return negative ? -cents : cents;
+  }
+
+  /**
+   * Normalises a description for duplicate matching
+   * @param {Object} t - Transaction-like object with date, amt, desc
+   * @returns {string}
+   */
+  function duplicateKey(t) {
+    return `${t.date}|${t.amt}|${t.desc.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+  }
+
+  /**
+   * Guesses which CSV column holds a field from its heading
+   * @param {Array<string>} headings - Header cells
+   * @param {RegExp} pattern - Heading pattern
+   * @param {number} fallback - Column used when nothing matches
+   * @returns {number}
+   */
+  function guessColumn(headings, pattern, fallback) {
+    const index = headings.findIndex((h) => pattern.test(h));
+    return index === -1 ? Math.min(fallback, headings.length - 1) : index;
+  }
+
+  /**
+   * Fills the column mapping selects for a parsed CSV
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   */
+  function renderImportMapping(rows) {
+    const first = rows[0] || [];
+    const headings = first.map((cell, i) => (mapHasHeader.checked && cell.trim()) || translate('import.column', { number: i + 1 }));
+    const guesses = {
+      date: guessColumn(headings, /date/i, 0),
+      desc: guessColumn(headings, /desc|narrative|details|payee|memo/i, 1),
+      amount: guessColumn(headings, /^amount|amount$|value/i, 2)
+    };
+
+    mapSelects.forEach((select) => {
+      select.innerHTML = headings
+        .map((h, i) => `<option value="${i}">${sanitizeInput(h)}</option>`)
+        .join('');
+      select.value = String(guesses[select.dataset.field]);
+    });
+
+    // A leading 4-digit year suggests ISO dates; otherwise assume Australian order
+    const sample = rows[mapHasHeader.checked ? 1 : 0];
+    const sampleDate = sample ? (sample[guesses.date] || '') : '';
+    mapDateFormat.value = /^\d{4}/.test(sampleDate.trim()) ? 'ymd' : 'dmy';
+  }
+
+  /**
+   * Turns raw rows into validated import candidates
+   * @returns {Array<Object>} - { line, entry, error, duplicate }
+   */
+  function buildImportCandidates() {
+    let raw;
+
+    if (pendingImport.kind === 'ofx') {
+      raw = pendingImport.rows.map((r, i) => ({ line: i + 1, dateFormat: 'ymd', ...r }));
+    } else {
+      const columns = {};
+      mapSelects.forEach((select) => {
+        columns[select.dataset.field] = Number(select.value);
+      });
+      const offset = mapHasHeader.checked ? 1 : 0;
+      raw = pendingImport.rows.slice(offset).map((cells, i) => ({
+        line: i + 1 + offset,
+        dateFormat: mapDateFormat.value,
+        date: cells[columns.date] || '',
+        desc: cells[columns.desc] || '',
+        amount: cells[columns.amount] || '',
+        fitid: ''
+      }));
+    }
+
+    const candidates = raw.map((r) => {
+      const date = parseImportDate(r.date, r.dateFormat);
+      const amt = parseImportAmount(r.amount);
+      const desc = r.desc.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+
+      let error = '';
+      if (!date) error = translate('import.error.date', { value: r.date.trim() });
+      else if (!desc) error = translate('import.error.descMissing');
+      else if (desc.length > 100) error = translate('import.error.descLength');
+      else if (amt === null) error = translate('import.error.amount', { value: String(r.amount).trim() });
+      else if (amt === 0) error = translate('import.error.zero');
+
+      if (error) {
+        return { line: r.line, entry: null, error, duplicate: false };
+      }
+
+      const entry = { id: createId('tx'), acct: pendingImport.accountId, date, desc, amt, bal: 0 };
+      if (r.fitid) entry.fitid = r.fitid;
+
+      return { line: r.line, entry, error: '', duplicate: false };
+    });
+
+    const duplicates = findDuplicates(pendingImport.accountId, candidates.map((c) => c.entry));
+    candidates.forEach((c, i) => {
+      c.duplicate = duplicates[i];
+    });
+    return candidates;
+  }
+
+  /**
+   * Works out which entries are already in an account's history.
+   * Existing entries are counted per key so genuine repeats in a file
+   * (e.g. two identical coffees on one day) are only matched once each.
+   * @param {string} accountId - Account receiving the entries
+   * @param {Array<Object|null>} entries - Candidate transactions (null for rows with errors)
+   * @returns {Array<boolean>} - Whether each entry is a duplicate
+   */
+  function findDuplicates(accountId, entries) {
+    const existing = ledger.transactions.filter((t) => t.acct === accountId);
+    const remaining = new Map();
+    existing.forEach((t) => {
+      const key = duplicateKey(t);
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    });
+    const knownFitids = new Set(existing.map((t) => t.fitid).filter(Boolean));
+
+    return entries.map((entry) => {
+      if (!entry) return false;
+      if (entry.fitid && knownFitids.has(entry.fitid)) return true;
+
+      const key = duplicateKey(entry);
+      if (!remaining.get(key)) return false;
+      remaining.set(key, remaining.get(key) - 1);
+      return true;
+    });
+  }
+
+  /**
+   * Merges entries into an account's history and recomputes its
+   * running balances from the opening balance. Does not mutate
+   * the ledger, so it can be used for previews.
+   * @param {string} accountId - Account receiving the entries
+   * @param {Array<Object>} entries - New transactions
+   * @returns {Object} - { transactions, balance }
+   */
+  function mergeTransactions(accountId, entries) {
+    const account = getAccount(accountId);
+    const existingTotal = ledger.transactions
+      .filter((t) => t.acct === accountId)
+      .reduce((sum, t) => sum + t.amt, 0);
+    const opening = account.balance - existingTotal;
+
+    // Newest first; new entries sit after existing ones on the same day
+    const merged = ledger.transactions
+      .map((t) => Object.assign({}, t))
+      .concat(entries.map((t) => Object.assign({}, t)))
+      .map((t, index) => ({ t, index }))
+      .sort((a, b) => (a.t.date < b.t.date ? 1 : a.t.date > b.t.date ? -1 : a.index - b.index))
+      .map(({ t }) => t);
+
+    let running = opening;
+    for (let i = merged.length - 1; i >= 0; i--) {
+      if (merged[i].acct === accountId) {
+        running += merged[i].amt;
+        merged[i].bal = running;
+      }
+    }
+
+    return { transactions: merged, balance: running };
+  }
+
+  /**
+   * Renders the preview table and summary for the pending import
+   * @param {boolean} [announce=false] - Toast the row errors if no row
+   *                  can be imported (Confirm is disabled, so they would
+   *                  otherwise never be reported)
+   */
+  function renderImportPreview(announce = false) {
+    const candidates = buildImportCandidates();
+    const accepted = candidates.filter((c) => c.entry && !c.duplicate);
+    const duplicates = candidates.filter((c) => c.duplicate);
+    const failed = candidates.filter((c) => c.error);
+
+    const result = mergeTransactions(pendingImport.accountId, accepted.map((c) => c.entry));
+    const balances = new Map(result.transactions.map((t) => [t.id, t.bal]));
+    const account = getAccount(pendingImport.accountId);
+
+    pendingImport.accepted = accepted.map((c) => c.entry);
+    pendingImport.failed = failed;
+
+    const summary = [
+      translate('import.summary', {
+        file: pendingImport.fileName,
+        account: account.name,
+        accepted: accepted.length,
+        duplicates: duplicates.length,
+        failed: failed.length
+      }),
+      translate('import.balanceAfter', {
+        balance: formatMoney(result.balance),
+        current: formatMoney(account.balance)
+      })
+    ];
+    if (candidates.length > importPreviewLimit) {
+      summary.push(translate('import.previewLimited', { count: importPreviewLimit }));
+    }
+    txImportSummary.textContent = summary.join(' ');
+
+    txImportBody.innerHTML = candidates
+      .slice(0, importPreviewLimit)
+      .map((c) => {
+        const status = c.error
+          ? translate('import.status.error', { error: c.error })
+          : translate(c.duplicate ? 'import.status.duplicate' : 'import.status.new');
+        const statusClass = c.error ? 'status-error' : c.duplicate ? 'status-muted' : 'status-ok';
+        const t = c.entry;
+        const balance = t && !c.duplicate ? formatMoney(balances.get(t.id)) : '';
+
+        return `
+          <tr>
+            <td>${c.line}</td>
+            <td>${t ? sanitizeInput(formatDate(t.date)) : ''}</td>
+            <td>${t ? sanitizeInput(t.desc) : ''}</td>
+            <td class="text-right">${t ? formatMoney(t.amt) : ''}</td>
+            <td class="text-right">${balance}</td>
+            <td class="${statusClass}">${sanitizeInput(status)}</td>
+          </tr>
+        `;
+      })
+      .join('');
+
+    txImportConfirm.disabled = accepted.length === 0;
+    txImportConfirm.textContent = translate('import.confirmCount', { count: accepted.length });
+    txImportPreview.hidden = false;
+
+    if (announce && !accepted.length && failed.length) {
+      showToast(summariseImportErrors(failed), 'error', 8000);
+    }
+  }
+
+  /**
+   * Summarises failed rows for a toast, e.g. "row 4: invalid date"
+   * @param {Array<Object>} failed - Candidates with errors
+   * @returns {string}
+   */
+  function summariseImportErrors(failed) {
+    const shown = failed.slice(0, 3).map((c) => translate('import.rowError', { line: c.line, error: c.error }));
+    if (failed.length > 3) {
+      shown.push(translate('import.moreErrors', { count: failed.length - 3 }));
+    }
+    return translate('import.failed', { count: failed.length, details: shown.join('; ') });
+  }
+
+  /**
+   * Clears the pending import and hides the preview
+   */
+  function resetImport() {
+    pendingImport = null;
+    txImportFile.value = '';
+    txImportMapping.hidden = true;
+    txImportPreview.hidden = true;
+    txImportBody.innerHTML = '';
+  }
+
+  txImportFile.addEventListener("change", () => {
+    const file = txImportFile.files[0];
+    if (!file) return;
+
+    if (file.size > importMaxBytes) {
+      showToast(translate('import.tooLarge'), 'error');
+      resetImport();
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onerror = () => {
+      showToast(translate('import.unreadable'), 'error');
+      resetImport();
+    };
+    reader.onload = () => {
+      const text = String(reader.result).replace(/^\uFEFF/, '');
+      const isOFX = /\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text);
+
+      pendingImport = {
+        fileName: file.name,
+        accountId: txAccountId,
+        kind: isOFX ? 'ofx' : 'csv',
+        rows: isOFX ? parseOFX(text) : parseCSV(text)
+      };
+
+      if (!pendingImport.rows.length) {
+        showToast(translate('import.noRows', { file: file.name }), 'error');
+        resetImport();
+        return;
+      }
+
+      txImportMapping.hidden = isOFX;
+      if (!isOFX) renderImportMapping(pendingImport.rows);
+      renderImportPreview(true);
+    };
+    reader.readAsText(file);
+  });
+
+  // Re-run validation whenever the column mapping changes
+  txImportMapping.addEventListener("change", (e) => {
+    if (!pendingImport) return;
+    if (e.target === mapHasHeader) renderImportMapping(pendingImport.rows);
+    renderImportPreview(true);
+  });
+
+  txImportCancel.addEventListener("click", resetImport);
+
+  txImportConfirm.addEventListener("click", async () => {
+    if (!pendingImport || !pendingImport.accepted.length) return;
+
+    const { accountId, accepted, failed } = pendingImport;
+    const imported = await updateLedger(() => {
+      if (!getAccount(accountId)) return null;
+      // Checked again on the latest ledger: a transfer, another tab or a
+      // second import may have added some of these since the preview
+      const duplicates = findDuplicates(accountId, accepted);
+      const entries = accepted.filter((entry, i) => !duplicates[i]);
+      const result = mergeTransactions(accountId, entries);
+
+      ledger.transactions.splice(0, ledger.transactions.length, ...result.transactions);
+      getAccount(accountId).balance = result.balance;
+      saveLedger();
+      renderLedger();
+      return entries;
+    });
+    if (!imported) return;
+
+    showToast(translate('import.done', { count: imported.length }), 'success');
+    if (imported.length) checkBudgetAlerts();
+    if (imported.length < accepted.length) {
+      showToast(translate('import.duplicatesSince', { count: accepted.length - imported.length }), 'info', 8000);
+    }
+    if (failed.length) {
+      showToast(summariseImportErrors(failed), 'error', 8000);
+    }
+
+    resetImport();
+  });
+
+  // Choosing another account in the switcher retargets the import
+  txAccountSelect.addEventListener("change", () => {
+    if (!pendingImport) return;
+    pendingImport.accountId = txAccountId;
+    renderImportPreview(true);
+  });
+
+  // Account cards open their history on click, Enter or Space.
+  // Listeners are delegated because cards are re-rendered.
+  accountList.addEventListener("click", (e) => {
+    const card = e.target.closest(".card[data-account]");
+    if (card) {
+      openAccountHistory(card.dataset.account);
+    }
+  });
+
+  accountList.addEventListener("keydown", (e) => {
+    const card = e.target.closest(".card[data-account]");
+    if (card && (e.key === "Enter" || e.key === " ")) {
+      e.preventDefault();
+      openAccountHistory(card.dataset.account);
+    }
+  });
+
+  // Render ledger views on load
+  renderLedger();
+
+
+  /*
+    ================================================================
+    STEP-UP VERIFICATION (ONE-TIME CODE)
+    ================================================================
+  */
+
+  /*
+    High-value transfers and transfers to a destination that has
+    never been paid before need a 6-digit one-time code. Codes are
+    standard TOTP (RFC 6238: HMAC-SHA-1, 30-second steps) generated
+    locally from a per-customer secret, so they can be produced by
+    any authenticator app – or by the demo button in the dialog –
+    without a network.
+
+    The threshold defaults to $1,000 and can be changed per customer
+    by storing a dollar amount under "stepup_threshold_<customer ID>".
+
+    Wrong codes count against the customer, not the dialog
+    ("stepup_attempts_<customer ID>"), so cancelling and sending again
+    gives no fresh guesses. Every stepUpMaxAttempts wrong codes lock
+    step-up for the customer, with the same backoff as sign-in.
+  */
+
+  const stepUpThresholdKeyPrefix = "stepup_threshold_";
+  const stepUpDefaultThreshold = 1000;
+  const totpStep = 30;           // seconds per code
+  const totpDriftSteps = 1;      // accept one step either side for clock drift
+  const totpExpiredSteps = 10;   // codes up to 5 minutes old are "expired", not "wrong"
+  const stepUpMaxAttempts = 3;
+  const stepUpAttemptsKeyPrefix = "stepup_attempts_";
+
+  const stepUpDialog = $("#stepUpDialog");
+  const stepUpForm = $("#stepUpForm");
+  const stepUpReason = $("#stepUpReason");
+  const stepUpCode = $("#stepUpCode");
+  const stepUpError = $("#stepUpError");
+  const stepUpCancel = $("#stepUpCancel");
+  const stepUpDemo = $("#stepUpDemo");
+  const stepUpDemoCode = $("#stepUpDemoCode");
+
+  // Active challenge: { resolve }
+  let stepUpChallenge = null;
+
+  /**
+   * Returns the signed-in customer's step-up amount threshold
+   * @returns {number} - Cents; transfers above this need a code
+   */
+  function getStepUpThreshold() {
+    const cust = getCustomerId();
+    // Stored in dollars so it is easy to set from the console
+    const { valid, cents } = parseMoney(cust ? localStorage.getItem(stepUpThresholdKeyPrefix + cust) : null);
+    return valid && cents >= 0 ? cents : toCents(stepUpDefaultThreshold);
+  }
+
+  /**
+   * Normalises a BSB-account destination to digits for comparison
+   * @param {string} to - Destination as entered
+   * @returns {string}
+   */
+  function normaliseDestination(to) {
+    return String(to).replace(/\D/g, '');
+  }
+
+  /**
+   * Checks whether any account has paid this destination before
+   * @param {Object} transfer - Validated transfer data
+   * @returns {boolean}
+   */
+  function isKnownDestination(transfer) {
+    const payType = transfer.payType || 'bsb';
+    // PayIDs and BPAY references are stored normalised, so they compare as-is
+    const same = payType === 'bsb'
+      ? (to) => normaliseDestination(to) === normaliseDestination(transfer.to)
+      : (to) => to === transfer.to;
+    return ledger.transactions.some((t) => t.to && (t.payType || 'bsb') === payType && same(t.to));
+  }
+
+  /**
+   * Works out whether a transfer needs a one-time code
+   * @param {Object} transfer - Validated transfer data
+   * @returns {string} - Reason shown to the user, or "" if not needed
+   */
+  function getStepUpReason(transfer) {
+    const threshold = getStepUpThreshold();
+    const reasons = [];
+
+    if (transfer.amount > threshold) {
+      reasons.push(translate('stepUp.reason.amount', { amount: formatMoney(threshold) }));
+    }
+    if (!isKnownDestination(transfer)) {
+      reasons.push(translate('stepUp.reason.newPayee', { to: describePayment(transfer) }));
+    }
+    return reasons.length ? translate('stepUp.reason', { reasons: formatList(reasons) }) : '';
+  }
+
+  /**
+   * Decodes an RFC 4648 base32 string
+   * @param {string} input - Base32 text
+   * @returns {Uint8Array}
+   */
+  function base32Decode(input) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const ch of clean) {
+      const index = alphabet.indexOf(ch);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Generates the TOTP code for a given time step
+   * @param {string} secret - Base32 secret
+   * @param {number} counter - Time step number
+   * @returns {Promise<string>} - 6-digit code
+   */
+  async function generateTotp(secret, counter) {
+    const key = await crypto.subtle.importKey(
+      'raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
+    );
+
+    // 8-byte big-endian counter
+    const message = new Uint8Array(8);
+    let remaining = counter;
+    for (let i = 7; i >= 0; i--) {
+      message[i] = remaining & 0xff;
+      remaining = Math.floor(remaining / 256);
+    }
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % 1000000).padStart(6, '0');
+  }
+
+  /**
+   * Returns the current TOTP time step
+   * @returns {number}
+   */
+  function currentTotpCounter() {
+    return Math.floor(Date.now() / 1000 / totpStep);
+  }
+
+  /**
+   * Checks a code against the signed-in customer's secret
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<string>} - "valid", "expired" or "invalid"
+   */
+  async function checkTotp(code) {
+    const user = credentialStore.find((u) => u.cust === getCustomerId());
+    if (!user) return 'invalid';
+
+    const now = currentTotpCounter();
+    for (let step = -totpDriftSteps; step <= totpDriftSteps; step++) {
+      if (safeEqual(await generateTotp(user.totpSecret, now + step), code)) return 'valid';
+    }
+    for (let step = totpDriftSteps + 1; step <= totpExpiredSteps; step++) {
+      if (safeEqual(await generateTotp(user.totpSecret, now - step), code)) return 'expired';
+    }
+    return 'invalid';
+  }
+
+  /**
+   * Reads a customer's wrong-code record
+   * @param {string} cust - Customer ID
+   * @returns {Object} - { failures, lockouts, lockedUntil }
+   */
+  function loadStepUpAttempts(cust) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(stepUpAttemptsKeyPrefix + cust));
+      if (stored && typeof stored.failures === 'number') return stored;
+    } catch (e) {
+      // Unreadable records start again
+    }
+    return { failures: 0, lockouts: 0, lockedUntil: 0 };
+  }
+
+  /**
+   * Returns how long step-up stays locked for a customer
+   * @param {string} cust - Customer ID
+   * @returns {number} - Milliseconds until codes are accepted again
+   */
+  function getStepUpLockout(cust) {
+    return Math.max(0, loadStepUpAttempts(cust).lockedUntil - Date.now());
+  }
+
+  /**
+   * Records a wrong one-time code for a customer
+   * @param {string} cust - Customer ID
+   * @returns {Object} - { attemptsLeft, lockedFor } (lockedFor in ms)
+   */
+  function recordStepUpFailure(cust) {
+    const record = loadStepUpAttempts(cust);
+    const result = countFailure(record, stepUpMaxAttempts);
+    localStorage.setItem(stepUpAttemptsKeyPrefix + cust, JSON.stringify(record));
+    return result;
+  }
+
+  /**
+   * Clears a customer's wrong codes once a code is accepted
+   * @param {string} cust - Customer ID
+   */
+  function clearStepUpFailures(cust) {
+    localStorage.removeItem(stepUpAttemptsKeyPrefix + cust);
+  }
+
+  /**
+   * Shows an error inside the step-up dialog
+   * @param {string} message - Error text
+   */
+  function showStepUpError(message) {
+    stepUpError.textContent = message;
+    stepUpCode.setAttribute('aria-invalid', 'true');
+    stepUpCode.focus();
+    stepUpCode.select();
+  }
+
+  /**
+   * Closes the dialog and settles the pending challenge
+   * @param {boolean} verified - Whether the code was accepted
+   */
+  function finishStepUp(verified) {
+    const challenge = stepUpChallenge;
+    stepUpChallenge = null;
+
+    if (typeof stepUpDialog.close === 'function' && stepUpDialog.open) {
+      stepUpDialog.close();
+    } else {
+      stepUpDialog.removeAttribute('open');
+    }
+    if (challenge) challenge.resolve(verified);
+  }
+
+  /**
+   * Asks for a one-time code before a transfer is processed
+   * @param {string} reason - Why verification is needed
+   * @returns {Promise<boolean>} - True once a valid code is entered
+   */
+  function requestStepUp(reason) {
+    // No new challenge (and so no new guesses) during a lockout
+    const lockedFor = getStepUpLockout(getCustomerId());
+    if (lockedFor > 0) {
+      showToast(translate('stepUp.errors.lockedFor', { wait: formatWait(lockedFor) }), 'error', 6000);
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      stepUpChallenge = { resolve };
+
+      stepUpReason.textContent = reason;
+      stepUpForm.reset();
+      stepUpError.textContent = '';
+      stepUpDemoCode.textContent = '';
+      stepUpCode.setAttribute('aria-invalid', 'false');
+
+      if (typeof stepUpDialog.showModal === 'function') {
+        stepUpDialog.showModal();
+      } else {
+        stepUpDialog.setAttribute('open', '');
+      }
+      stepUpCode.focus();
+    });
+  }
+
+  stepUpForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!stepUpChallenge) return;
+
+    const code = stepUpCode.value.replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) {
+      showStepUpError(translate('stepUp.errors.format'));
+      return;
+    }
+
+    let result;
+    try {
+      result = await checkTotp(code);
+    } catch (err) {
+      // Web Crypto failed, so the code cannot be checked at all
+      finishStepUp(false);
+      showToast(translate('stepUp.errors.unavailable'), 'error', 6000);
+      return;
+    }
+    // Cancelled or signed out while the code was being checked
+    if (!stepUpChallenge) return;
+
+    const cust = getCustomerId();
+    if (result === 'valid') {
+      clearStepUpFailures(cust);
+      finishStepUp(true);
+      return;
+    }
+
+    const { attemptsLeft, lockedFor } = recordStepUpFailure(cust);
+
+    if (lockedFor > 0) {
+      finishStepUp(false);
+      showToast(translate('stepUp.errors.locked', { wait: formatWait(lockedFor) }), 'error', 6000);
+      return;
+    }
+
+    showStepUpError([
+      translate(result === 'expired' ? 'stepUp.errors.expired' : 'stepUp.errors.incorrect'),
+      translate('stepUp.errors.remaining', { count: attemptsLeft })
+    ].join(' '));
+  });
+
+  stepUpCancel.addEventListener("click", () => finishStepUp(false));
+
+  // Escape cancels verification (and therefore the transfer)
+  stepUpDialog.addEventListener("cancel", (e) => {
+    e.preventDefault();
+    finishStepUp(false);
+  });
+
+  // Demo authenticator: reveals the current code for offline testing
+  stepUpDemo.addEventListener("click", async () => {
+    const user = credentialStore.find((u) => u.cust === getCustomerId());
+    if (!user) return;
+    const code = await generateTotp(user.totpSecret, currentTotpCounter());
+    stepUpDemoCode.textContent = translate('stepUp.demoCode', { code });
+  });
+
+
+  /*
+    ================================================================
+    TRANSFER FORM VALIDATION
+    ================================================================
+  */
+
+  const transferForm = $("#transferForm");
+  const transferStatus = $("#transferForm .form-status");
+  const toInput = $("#to");
+  const amountInput = $("#amount");
+  const descInput = $("#desc");
+
+  // Expected format: 062-000 12345678 or 062000 12345678
+  // BSB: 6 digits (with optional hyphen after 3rd)
+  // Account: 6-9 digits
+  const bsbAccountPattern = /^\d{3}-?\d{3}\s*\d{6,9}$/;
+
+  /**
+   * Validates BSB-Account number format
+   * @param {string} value - Input value
+   * @returns {boolean}
+   */
+  function validateBSBAccount(value) {
+    return bsbAccountPattern.test(value.trim());
+  }
+
+  /**
+   * Validates transfer amount
+   * @param {string} value - Amount as typed, e.g. "1,250.50"
+   * @param {number} balance - Available balance in cents
+   * @returns {Object} - Validation result with the amount in cents
+   */
+  function validateAmount(value, balance) {
+    const { valid, cents, error } = parseMoney(value);
+
+    if (!valid) {
+      return { valid: false, error: error, cents: null };
+    }
+    if (cents <= 0) {
+      return { valid: false, error: translate('transfer.errors.amountPositive', { amount: formatMoney(0) }), cents: cents };
+    }
+    if (cents > balance) {
+      return { valid: false, error: translate('transfer.errors.insufficient', { amount: formatMoney(balance) }), cents: cents };
+    }
+    return { valid: true, cents: cents };
+  }
+
+  /**
+   * Balance a transfer can draw on: scheduled payments are checked
+   * against the balance when they run
+   * @param {string} from - Source account ID
+   * @returns {number} - Cents
+   */
+  function availableForTransfer(from) {
+    if (readSchedule().when !== 'now') return Infinity;
+    const account = getAccount(from);
+    return account ? account.balance : 0;
+  }
+
+  /**
+   * Error for one of the PayID or BPAY fields, if the destination
+   * check points at it
+   * @param {HTMLElement} input - payId, bpayBiller or bpayCrn
+   * @returns {string}
+   */
+  function altDestinationError(input) {
+    const result = checkAltDestination(getPayType());
+    return result.input === input ? result.error : '';
+  }
+
+  const isPayType = (...types) => () => types.includes(getPayType());
+  const isScheduled = (when, endType) => () =>
+    $('input[name="when"]:checked', transferForm).value === when &&
+    (!endType || $('input[name="scheduleEnd"]:checked', transferForm).value === endType);
+
+  /*
+    Destination rules depend on the payment type, and the date rules
+    on when the payment is made; fields for other choices are skipped.
+    Dates are ISO strings, so min/max compare them directly.
+  */
+  const transferValidator = createValidator(transferForm, {
+    from: {
+      rules: [{ required: true, message: 'transfer.errors.fromRequired' }]
+    },
+    to: {
+      when: isPayType('bsb'),
+      // Picking a saved payee fills the field in
+      dependsOn: ['payeePick'],
+      rules: [
+        { required: true, message: 'transfer.errors.toRequired' },
+        { pattern: bsbAccountPattern, message: 'transfer.errors.toFormat' },
+        { check: (to) => checkBSB(to) }
+      ]
+    },
+    payId: {
+      when: isPayType('payid'),
+      dependsOn: ['payIdType'],
+      rules: [{ check: (value, values, input) => altDestinationError(input) }]
+    },
+    bpayBiller: {
+      when: isPayType('bpay'),
+      rules: [{ check: (value, values, input) => altDestinationError(input) }]
+    },
+    bpayCrn: {
+      when: isPayType('bpay'),
+      dependsOn: ['bpayBiller'],
+      rules: [{ check: (value, values, input) => altDestinationError(input) }]
+    },
+    nameConfirm: {
+      validateOn: 'input',
+      when: isPayType('payid', 'bpay'),
+      // A new PayID or biller has to be confirmed again
+      dependsOn: ['payIdType', 'payId', 'bpayBiller', 'bpayCrn'],
+      rules: [{
+        check: (confirmed) => {
+          const { error, name } = checkAltDestination(getPayType());
+          return error || confirmed ? '' : translate('transfer.errors.confirmName', { name: name });
+        }
+      }]
+    },
+    amount: {
+      value: (input) => parseMoney(input.value).cents,
+      // The balance and limits depend on the account and the date
+      dependsOn: ['from', 'when'],
+      rules: [
+        { check: (cents, values, input) => parseMoney(input.value).error },
+        { min: 1, message: 'transfer.errors.amountPositive', params: () => ({ amount: formatMoney(0) }) },
+        {
+          max: (values) => availableForTransfer(values.from),
+          message: 'transfer.errors.insufficient',
+          params: (cents, values) => ({ amount: formatMoney(availableForTransfer(values.from)) })
+        },
+        {
+          // Covers the per-transaction limit too. Future payments are checked
+          // against the caps here and the running totals when they run
+          check: (cents, values) => {
+            const breach = checkTransferLimits(cents, readSchedule().when === 'now', values.from);
+            return breach ? describeLimitBreach(breach) : '';
+          }
+        }
+      ]
+    },
+    desc: {
+      rules: [{ maxLength: 40, message: 'transfer.errors.descLength' }]
+    },
+    scheduleDate: {
+      validateOn: 'input',
+      when: isScheduled('later'),
+      rules: [
+        { required: true, message: 'schedule.errors.dateRequired' },
+        { min: () => addDays(todayISO(), 1), message: 'schedule.errors.dateFuture', params: () => ({ now: translate('transfer.whenNow') }) },
+        { max: () => addDays(todayISO(), scheduleMaxDaysAhead), message: 'schedule.errors.dateTooFar' }
+      ]
+    },
+    scheduleFrequency: {
+      validateOn: 'input',
+      when: isScheduled('recurring'),
+      rules: [{ check: (frequency) => (frequencyLabels[frequency] ? '' : translate('schedule.errors.frequency')) }]
+    },
+    scheduleStart: {
+      validateOn: 'input',
+      when: isScheduled('recurring'),
+      rules: [
+        { required: true, message: 'schedule.errors.startRequired' },
+        { min: () => todayISO(), message: 'schedule.errors.startPast' },
+        { max: () => addDays(todayISO(), scheduleMaxDaysAhead), message: 'schedule.errors.startTooFar' }
+      ]
+    },
+    scheduleEndDate: {
+      validateOn: 'input',
+      when: isScheduled('recurring', 'date'),
+      dependsOn: ['scheduleStart'],
+      rules: [
+        { required: true, message: 'schedule.errors.endRequired' },
+        { min: (values) => values.scheduleStart, message: 'schedule.errors.endBeforeStart' }
+      ]
+    },
+    scheduleCount: {
+      validateOn: 'input',
+      when: isScheduled('recurring', 'count'),
+      value: (input) => Number(input.value),
+      rules: [{
+        check: (count) => Number.isInteger(count) && count >= 1 && count <= scheduleMaxCount
+          ? ''
+          : translate('schedule.errors.count', { max: scheduleMaxCount })
+      }]
+    }
+  });
+
+  /**
+   * Validates the entire transfer form
+   * @returns {Promise<Object>} - Validation result, with the names of the
+   *                              invalid fields and the transfer data
+   */
+  async function validateTransfer() {
+    const { isValid, errors, fields, values } = await transferValidator.validate();
+    const destination = readDestination();
+    const bsbLookup = destination.payType === 'bsb' ? lookupBSB(destination.to) : null;
+
+    // Raw values are stored in the ledger; they are escaped at render time
+    return {
+      isValid: isValid,
+      errors: errors,
+      fields: fields,
+      data: {
+        payType: destination.payType,
+        to: destination.to,
+        payeeName: destination.payeeName,
+        amount: values.amount,
+        desc: values.desc,
+        from: values.from,
+        schedule: readSchedule(),
+        paymentTypes: bsbLookup ? bsbLookup.paymentTypes : []
+      }
+    };
+  }
+
+  // How long after a transfer it can be undone. Hovering over or focusing
+  // the toast keeps it on screen, but does not extend this window.
+  const transferUndoWindow = 10 * 1000;
+
+  /**
+   * Reverses a transfer from its toast's "Undo" button. It fails if
+   * the undo window has passed or the transfer was already undone
+   * (e.g. in another tab).
+   * @param {string} entryId - ID of the recorded transaction
+   */
+  async function undoTransfer(entryId) {
+    const entry = isAuthed() ? await updateLedger(() => {
+      const recorded = ledger.transactions.find((t) => t.id === entryId);
+      if (!recorded || Date.now() - Date.parse(recorded.time) > transferUndoWindow) return null;
+      return reverseTransfer(entryId);
+    }) : null;
+
+    if (!entry) {
+      showToast(translate('transfer.undoFailed'), 'error');
+      return;
+    }
+
+    logActivity(getCustomerId(), 'transfer', 'reversed', { ...maskTransfer(entry, -entry.amt), ref: entry.ref });
+    updateLimitInfo();
+    // The receipt no longer applies
+    if (receiptEntry && receiptEntry.id === entry.id) {
+      receiptEntry = null;
+      navigate("/transfer", { replace: true });
+    }
+    showToast(translate('transfer.undone', { amount: formatMoney(-entry.amt), to: describePayment(entry) }), 'info', 5000);
+  }
+
+  /**
+   * Handles transfer form submission
+   */
+  transferForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const submitBtn = transferForm.querySelector('.btn');
+    const validation = await validateTransfer();
+    // Signed out (e.g. in another tab) while an async check ran
+    if (!isAuthed()) return;
+
+    if (!validation.isValid) {
+      logActivity(getCustomerId(), 'transfer', 'invalid', { fields: validation.fields });
+      transferStatus.textContent = translate('form.errors.summary', { count: validation.errors.length });
+      transferStatus.style.color = "var(--error)";
+      showToast(validation.errors[0], 'error');
+      return;
+    }
+
+    // Nothing is sent until the details have been reviewed
+    const confirmed = await requestReview(validation.data);
+    // Signed out (e.g. in another tab) while the review was open
+    if (!isAuthed()) return;
+    if (!confirmed) {
+      transferStatus.textContent = translate('transfer.status.reviewing');
+      transferStatus.style.color = "var(--info)";
+      return;
+    }
+
+    // Compared with earlier transfers, so worked out before this one is applied
+    const activityFlags = transferFlags(validation.data);
+
+    // High-value or new-payee transfers need a one-time code first
+    const stepUpReasonText = getStepUpReason(validation.data);
+    if (stepUpReasonText) {
+      transferStatus.textContent = translate('transfer.status.verifying');
+      transferStatus.style.color = "var(--info)";
+
+      const verified = await requestStepUp(stepUpReasonText);
+      if (!isAuthed()) return;
+      if (!verified) {
+        logTransfer('failure', validation.data, activityFlags, { reason: 'stepUp' });
+        transferStatus.textContent = translate('transfer.status.cancelled');
+        transferStatus.style.color = "var(--error)";
+        return;
+      }
+    }
+
+    const { to, amount, schedule } = validation.data;
+
+    if (schedule.when === 'now') {
+      // Show loading state
+      showLoading(submitBtn);
+      transferStatus.textContent = translate('transfer.status.processing');
+      transferStatus.style.color = "var(--info)";
+
+      // Simulate transfer processing
+      await simulateAsync(1500);
+
+      // Debit the source account and record the transaction. The balance
+      // and limits are checked again, as another tab may have spent the
+      // money since the form was validated.
+      const result = await updateLedger(() => {
+        const problem = getTransferProblem(validation.data.from, amount);
+        return problem ? { problem } : { entry: applyTransfer(validation.data) };
+      });
+
+      hideLoading(submitBtn);
+      if (!result) return;
+
+      if (result.problem) {
+        logTransfer('failure', validation.data, activityFlags, { reason: result.problem });
+        const message = translate('transfer.errors.noLongerPossible', { reason: describeFailureReason(result.problem) });
+        transferStatus.textContent = message;
+        transferStatus.style.color = "var(--error)";
+        showToast(message, 'error');
+        updateLimitInfo();
+        return;
+      }
+
+      const { entry } = result;
+      logTransfer('success', validation.data, activityFlags, { ref: entry.ref });
+      showToast(translate('transfer.done', { amount: formatMoney(amount), to: describePayment(validation.data) }), 'success', transferUndoWindow, {
+        label: translate('transfer.undo'),
+        onClick: () => undoTransfer(entry.id)
+      });
+      checkBudgetAlerts();
+      navigate(`/receipt/${encodeURIComponent(entry.ref)}`);
+    } else {
+      const stored = await updateLedger(() => createSchedule(validation.data));
+      if (!stored) return;
+      logTransfer('scheduled', validation.data, activityFlags, { date: stored.nextDate });
+      const params = {
+        amount: formatMoney(amount),
+        to: describePayment(stored),
+        date: formatDate(stored.nextDate),
+        frequency: translate(frequencyLabels[stored.frequency])
+      };
+      showToast(translate(stored.frequency === 'once' ? 'transfer.scheduled' : 'transfer.recurring', params), 'success', 5000);
+
+      // A recurring payment starting today is due straight away
+      runDueSchedules();
+    }
+
+    // Optionally remember the destination as a payee
+    if (savePayeeCheckbox.checked && !savePayeeGroup.hidden) {
+      const name = savePayeeName.value.trim() || to;
+      const saved = addPayee(name, to);
+      if (saved) showToast(translate('payees.savedFromTransfer', { name: name }), 'info');
+    }
+
+    transferStatus.textContent = "";
+
+    // Resetting the form clears its validation state too
+    transferForm.reset();
+    updatePayTypeFields();
+    updateWhenFields();
+    updateBSBLookup();
+    updateLimitInfo();
+    updateBudgetWarning();
+  });
+
+  /**
+   * Real-time BSB-Account formatting for destination inputs
+   * @param {Event} e - Input event
+   */
+  function formatBSBInput(e) {
+    let value = e.target.value.replace(/[^\d\s-]/g, '');
+    // Auto-format BSB with hyphen
+    if (value.length >= 3 && value[3] !== '-' && !value.includes('-')) {
+      value = value.slice(0, 3) + '-' + value.slice(3);
+    }
+    e.target.value = value;
+  }
+
+  toInput.addEventListener('input', formatBSBInput);
+
+  // Any change to the form can change which budget a transfer affects
+  transferForm.addEventListener('input', updateBudgetWarning);
+  transferForm.addEventListener('change', updateBudgetWarning);
+
+  // Only allow characters that can appear in an amount (no minus sign)
+  amountInput.addEventListener('input', (e) => {
+    const cleaned = e.target.value.replace(/[^\d.,$]/g, '');
+    if (cleaned !== e.target.value) {
+      e.target.value = cleaned;
+    }
+  });
+
+
+  /*
+    ================================================================
+    TRANSFER REVIEW AND RECEIPTS
+    ================================================================
+  */
+
+  /*
+    Every transfer is shown in a review dialog before anything is sent.
+    Transfers recorded in the ledger carry a reference number (ref) and
+    a timestamp (time). Receipts are rebuilt from that ledger entry, so
+    a past receipt can always be opened from its transaction row at
+    #/receipt/<reference>.
+  */
+
+  const reviewDialog = $("#reviewDialog");
+  const reviewDetails = $("#reviewDetails");
+  const reviewConfirm = $("#reviewConfirm");
+  const reviewEdit = $("#reviewEdit");
+  const receiptStatus = $("#receiptStatus");
+  const receiptDetails = $("#receiptDetails");
+  const receiptPrint = $("#receiptPrint");
+  const receiptDownload = $("#receiptDownload");
+
+  // Settles the open review with true (confirm) or false (edit)
+  let reviewResolve = null;
+  // Ledger entry shown on the receipt screen
+  let receiptEntry = null;
+
+  /**
+   * Builds description list rows
+   * @param {Array<Array<string>>} rows - [label, value] pairs
+   * @returns {string} - HTML
+   */
+  function detailsMarkup(rows) {
+    return rows
+      .map(([label, value]) => `
+        <div class="receipt-row">
+          <dt>${sanitizeInput(label)}</dt>
+          <dd>${sanitizeInput(value)}</dd>
+        </div>
+      `)
+      .join('');
+  }
+
+  /**
+   * Describes when a transfer on the form will be paid
+   * @param {Object} schedule - From readSchedule()
+   * @returns {string}
+   */
+  function describeWhen(schedule) {
+    if (schedule.when === 'later') {
+      return translate('review.on', { date: formatDate(schedule.start) });
+    }
+    if (schedule.when === 'recurring') {
+      const repeat = describeSchedule({
+        frequency: schedule.frequency,
+        remaining: schedule.endDate ? null : schedule.count,
+        endDate: schedule.endDate
+      });
+      return translate('review.recurring', { schedule: repeat, date: formatDate(schedule.start) });
+    }
+    return translate('transfer.whenNow');
+  }
+
+  /**
+   * Shows the review dialog for a validated transfer
+   * @param {Object} transfer - Validated transfer data
+   * @returns {Promise<boolean>} - True if confirmed, false to edit
+   */
+  function requestReview(transfer) {
+    const account = getAccount(transfer.from);
+    const isBSB = transfer.payType === 'bsb';
+    const payee = isBSB && findPayeeByDestination(transfer.to);
+    const lookup = isBSB && lookupBSB(transfer.to);
+    const branch = lookup && lookup.entry ? `${lookup.entry.institution} ${lookup.entry.branch}` : '';
+    const to = isBSB ? [payee ? payee.name : '', transfer.to, branch].filter(Boolean).join(' – ') : describePayment(transfer);
+
+    const rows = [
+      [translate('receipt.from'), `${account.name} – ${maskAccount(account)}`],
+      [translate('receipt.payType'), translate(payTypeLabels[transfer.payType])],
+      [translate('receipt.to'), to],
+      [translate('receipt.amount'), formatMoney(transfer.amount)],
+      [translate('receipt.description'), transfer.desc || translate('receipt.noDescription')],
+      [translate('review.when'), describeWhen(transfer.schedule)]
+    ];
+
+    // Scheduled payments are checked against the balance when they run
+    rows.push(transfer.schedule.when === 'now'
+      ? [translate('review.balanceAfter'), formatMoney(account.balance - transfer.amount)]
+      : [translate('review.balanceAfter'), translate('review.balanceLater')]);
+
+    reviewDetails.innerHTML = detailsMarkup(rows);
+
+    return new Promise((resolve) => {
+      reviewResolve = resolve;
+      if (typeof reviewDialog.showModal === 'function') {
+        reviewDialog.showModal();
+      } else {
+        reviewDialog.setAttribute('open', '');
+      }
+      reviewConfirm.focus();
+    });
+  }
+
+  /**
+   * Closes the review dialog and settles the pending review
+   * @param {boolean} confirmed - Whether the transfer was confirmed
+   */
+  function finishReview(confirmed) {
+    const resolve = reviewResolve;
+    reviewResolve = null;
+
+    if (typeof reviewDialog.close === 'function' && reviewDialog.open) {
+      reviewDialog.close();
+    } else {
+      reviewDialog.removeAttribute('open');
+    }
+    if (resolve) resolve(confirmed);
+  }
+
+  reviewConfirm.addEventListener("click", () => finishReview(true));
+
+  /**
+   * Returns to the first destination field for the selected payment type
+   */
+  function focusDestination() {
+    const fields = { bsb: toInput, payid: payIdInput, bpay: bpayBillerInput };
+    fields[getPayType()].focus();
+  }
+
+  reviewEdit.addEventListener("click", () => {
+    finishReview(false);
+    focusDestination();
+  });
+
+  // Escape goes back to the form, like Edit
+  reviewDialog.addEventListener("cancel", (e) => {
+    e.preventDefault();
+    finishReview(false);
+    focusDestination();
+  });
+
+  /**
+   * Creates a reference number not used by any transaction
+   * @param {Array<Object>} transactions - Existing ledger transactions
+   * @returns {string} - e.g. "TRF-7KQ9-X2MD"
+   */
+  function createReference(transactions) {
+    // No 0/O or 1/I, so references can be read out over the phone
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let ref;
+    do {
+      const bytes = crypto.getRandomValues(new Uint8Array(8));
+      const chars = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join('');
+      ref = `TRF-${chars.slice(0, 4)}-${chars.slice(4)}`;
+    } while (transactions.some((t) => t.ref === ref));
+    return ref;
+  }
+
+  /**
+   * Masks a destination the same way as the dashboard masks accounts
+   * @param {string} to - BSB-Account value
+   * @returns {string} - e.g. "062-000 •••• 678"
+   */
+  function maskDestination(to) {
+    const digits = normaliseDestination(to);
+    return `${digits.slice(0, 3)}-${digits.slice(3, 6)} •••• ${digits.slice(-3)}`;
+  }
+
+  /**
+   * Lists the details shown on (and downloaded from) a receipt
+   * @param {Object} entry - Ledger transaction with a reference
+   * @returns {Array<Array<string>>} - [label, value] pairs
+   */
+  function receiptRows(entry) {
+    const account = getAccount(entry.acct);
+    const payType = entry.payType || 'bsb';
+    const payee = payType === 'bsb' && findPayeeByDestination(entry.to);
+    const to = payType === 'bsb' ? maskDestination(entry.to) : describePayment(entry);
+    // The default description ("Transfer to …") holds the full account number
+    const desc = payType === 'bsb' && entry.to ? entry.desc.split(entry.to).join(to) : entry.desc;
+
+    return [
+      [translate('receipt.reference'), entry.ref],
+      [translate('receipt.time'), entry.time ? formatDateTime(entry.time) : formatDate(entry.date)],
+      [translate('receipt.from'), account ? `${account.name} – ${maskAccount(account)}` : entry.acct],
+      [translate('receipt.payType'), translate(payTypeLabels[payType])],
+      [translate('receipt.to'), payee ? `${payee.name} – ${to}` : to],
+      [translate('receipt.amount'), formatMoney(-entry.amt)],
+      [translate('receipt.description'), desc],
+      [translate('receipt.balanceAfter'), formatMoney(entry.bal)]
+    ];
+  }
+
+  /**
+   * Renders the receipt screen for the current entry
+   */
+  function renderReceipt() {
+    if (!receiptEntry) return;
+    receiptStatus.textContent = translate('receipt.completed');
+    receiptDetails.innerHTML = detailsMarkup(receiptRows(receiptEntry));
+  }
+
+  /**
+   * Finds the transaction with a reference number
+   * @param {string} ref - Reference number
+   * @returns {Object|undefined}
+   */
+  function findReceipt(ref) {
+    return ledger.transactions.find((t) => t.ref && t.ref === ref);
+  }
+
+  receiptPrint.addEventListener("click", () => window.print());
+
+  receiptDownload.addEventListener("click", () => {
+    if (!receiptEntry) return;
+
+    const lines = [
+      'CommBank',
+      translate('receipt.heading'),
+      translate('receipt.completed'),
+      '',
+      ...receiptRows(receiptEntry).map(([label, value]) => `${label}: ${value}`)
+    ];
+    downloadFile(`receipt-${receiptEntry.ref}.txt`, lines.join('\r\n') + '\r\n', 'text/plain');
+    showToast(translate('receipt.downloaded', { ref: receiptEntry.ref }), 'success');
+  });
+
+
+  /*
+    ================================================================
+    BSB DIRECTORY LOOKUP
+    ================================================================
+  */
+
+  // Bundled sample directory (js/bsb-directory.js); lookups are skipped
+  // rather than rejecting every BSB if it failed to load
+  const bsbDirectory = window.BSB_DIRECTORY || {};
+  const hasBSBDirectory = Object.keys(bsbDirectory).length > 0;
+  const bsbInfo = $("#toBsbInfo");
+
+  // APCA payment type flags
+  const paymentTypeLabels = {
+    E: 'bsb.payments.electronic',
+    P: 'bsb.payments.paper',
+    H: 'bsb.payments.highValue'
+  };
+
+  /**
+   * Looks up the BSB at the start of a destination value
+   * @param {string} value - BSB-Account value (or just a BSB)
+   * @returns {Object|null} - { bsb, entry, paymentTypes }, or null
+   *                          until six BSB digits have been entered
+   */
+  function lookupBSB(value) {
+    const digits = normaliseDestination(value);
+    if (!hasBSBDirectory || digits.length < 6) return null;
+
+    const bsb = `${digits.slice(0, 3)}-${digits.slice(3, 6)}`;
+    const entry = bsbDirectory[bsb] || null;
+    return {
+      bsb: bsb,
+      entry: entry,
+      paymentTypes: entry ? entry.payments.split('').filter((type) => paymentTypeLabels[type]) : []
+    };
+  }
+
+  /**
+   * Checks that a destination's BSB exists, is open and can receive
+   * electronic transfers
+   * @param {string} value - BSB-Account value
+   * @returns {string} - Error message, or empty string if acceptable
+   */
+  function checkBSB(value) {
+    const result = lookupBSB(value);
+    if (!result) return '';
+
+    const { bsb, entry } = result;
+    if (!entry) {
+      return translate('bsb.errors.notFound', { bsb: bsb });
+    }
+    const params = { bsb: bsb, bank: `${entry.institution} ${entry.branch}` };
+    if (entry.closed) {
+      return translate('bsb.errors.closed', params);
+    }
+    if (!result.paymentTypes.includes('E')) {
+      return translate('bsb.errors.noElectronic', params);
+    }
+    return '';
+  }
+
+  /**
+   * Lists payment types in plain words, e.g. "cheques and electronic transfers"
+   * @param {Array<string>} types - APCA flags
+   * @returns {string}
+   */
+  function describePaymentTypes(types) {
+    const labels = Object.keys(paymentTypeLabels)
+      .filter((type) => types.includes(type))
+      .map((type) => translate(paymentTypeLabels[type]));
+    return formatList(labels);
+  }
+
+  /**
+   * Shows the bank and branch for the BSB in #to, and exposes the
+   * payment types it accepts on the input (data-payment-types)
+   */
+  function updateBSBLookup() {
+    const result = lookupBSB(toInput.value);
+    toInput.dataset.paymentTypes = result ? result.paymentTypes.join(' ') : '';
+
+    if (!result) {
+      bsbInfo.hidden = true;
+      bsbInfo.textContent = '';
+      return;
+    }
+
+    const error = checkBSB(toInput.value);
+    bsbInfo.hidden = false;
+    bsbInfo.classList.toggle('is-error', !!error);
+
+    if (error) {
+      bsbInfo.textContent = error;
+      return;
+    }
+
+    const { entry, paymentTypes } = result;
+    bsbInfo.innerHTML = `
+      <strong>${sanitizeInput(entry.institution)} – ${sanitizeInput(entry.bank)}</strong>
+      <span class="muted">${sanitizeInput(entry.branch)}, ${sanitizeInput(entry.suburb)} ${sanitizeInput(entry.state)}</span>
+      <span class="muted">${sanitizeInput(translate('bsb.accepts', { types: describePaymentTypes(paymentTypes) }))}</span>
+    `;
+  }
+
+  // Runs after the auto-hyphen listener, so it sees the formatted value
+  toInput.addEventListener('input', updateBSBLookup);
+
+
+  /*
+    ================================================================
+    PAYID AND BPAY
+    ================================================================
+  */
+
+  /*
+    Besides a BSB and account number, the transfer form can pay a PayID
+    (mobile number, email address or ABN) or a BPAY biller (biller code
+    and customer reference number). Both are looked up in the bundled
+    registry (js/payment-registry.js), and the registered name has to
+    be confirmed before the payment can be sent.
+
+    Transfers and schedules record the payment type (payType) and the
+    confirmed name (payeeName). For these payments "to" holds the
+    normalised PayID, or "<biller code>/<CRN>" for BPAY.
+  */
+
+  // Bundled mock registry; every PayID and biller is "not found" if it failed to load
+  const payIdRegistry = window.PAYID_REGISTRY || {};
+  const bpayBillers = window.BPAY_BILLERS || {};
+
+  const toGroup = $("#toGroup");
+  const payIdGroup = $("#payIdGroup");
+  const payIdTypeSelect = $("#payIdType");
+  const payIdInput = $("#payId");
+  const payIdHelp = $("#payIdHelp");
+  const bpayGroup = $("#bpayGroup");
+  const bpayBillerInput = $("#bpayBiller");
+  const bpayCrnInput = $("#bpayCrn");
+  const nameCheckGroup = $("#nameCheckGroup");
+  const nameCheckInfo = $("#nameCheckInfo");
+  const nameConfirmGroup = $("#nameConfirmGroup");
+  const nameConfirm = $("#nameConfirm");
+
+  const payTypeLabels = {
+    bsb: 'transfer.payTypeBSB',
+    payid: 'transfer.payTypePayID',
+    bpay: 'transfer.payTypeBPAY'
+  };
+
+  // Format hint, example and keyboard for each kind of PayID
+  const payIdFormats = {
+    phone: { help: 'payid.help.phone', placeholder: '0491 570 006', inputMode: 'tel' },
+    email: { help: 'payid.help.email', placeholder: 'name@example.com', inputMode: 'email' },
+    abn: { help: 'payid.help.abn', placeholder: '53 004 100 191', inputMode: 'numeric' }
+  };
+
+  /**
+   * Returns the payment type selected on the transfer form
+   * @returns {string} - "bsb" | "payid" | "bpay"
+   */
+  function getPayType() {
+    return $('input[name="payType"]:checked', transferForm).value;
+  }
+
+  /**
+   * Checks an ABN's check digits: take 1 from the first digit, weight
+   * each digit and the total must divide evenly by 89
+   * @param {string} digits - 11 digits
+   * @returns {boolean}
+   */
+  function isValidABN(digits) {
+    const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+    const total = weights.reduce((sum, weight, i) => sum + weight * (Number(digits[i]) - (i === 0 ? 1 : 0)), 0);
+    return total % 89 === 0;
+  }
+
+  /**
+   * Checks a number's Luhn (mod 10) check digit, as used by BPAY
+   * biller codes and many CRNs
+   * @param {string} digits - Digits, check digit last
+   * @returns {boolean}
+   */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      // Double every second digit from the right
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Checks a PayID against the format rules for its type
+   * @param {string} type - "phone" | "email" | "abn"
+   * @param {string} value - PayID as entered
+   * @returns {Object} - { payId, error }; payId is normalised, or "" if invalid
+   */
+  function parsePayId(type, value) {
+    const text = value.trim();
+    const fail = (key) => ({ payId: '', error: translate(key) });
+
+    if (!text) return fail('payid.errors.required');
+
+    if (type === 'phone') {
+      // Australian mobiles only: 04XX XXX XXX, optionally as +61 4XX XXX XXX
+      const match = text.replace(/[\s()-]/g, '').match(/^(?:\+?61|0)(4\d{8})$/);
+      return match ? { payId: `+61-${match[1]}`, error: '' } : fail('payid.errors.phone');
+    }
+    if (type === 'email') {
+      const valid = text.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text);
+      return valid ? { payId: text.toLowerCase(), error: '' } : fail('payid.errors.email');
+    }
+
+    const digits = text.replace(/\s/g, '');
+    if (!/^\d{11}$/.test(digits)) return fail('payid.errors.abnFormat');
+    if (!isValidABN(digits)) return fail('payid.errors.abnCheck');
+    return { payId: digits, error: '' };
+  }
+
+  /**
+   * Checks a BPAY biller code and CRN and looks the biller up
+   * @param {string} code - Biller code as entered
+   * @param {string} crn - Customer reference number as entered
+   * @returns {Object} - { to, name, error, input }
+   */
+  function checkBPAY(code, crn) {
+    const biller = bpayBillers[code];
+    const result = (input, error, params = {}) => ({
+      to: '',
+      name: biller && input === bpayCrnInput ? biller.name : '',
+      error: translate(error, params),
+      input: input
+    });
+
+    if (!code) return result(bpayBillerInput, 'bpay.errors.billerRequired');
+    if (!/^\d{3,10}$/.test(code)) return result(bpayBillerInput, 'bpay.errors.billerFormat');
+    if (!passesLuhn(code)) return result(bpayBillerInput, 'bpay.errors.billerCheck', { code: code });
+    if (!biller) return result(bpayBillerInput, 'bpay.errors.billerNotFound', { code: code });
+
+    // The biller is known from here on, so its name is shown while the CRN is typed
+    const { min, max, check } = biller.crn;
+    const length = min === max ? String(min) : `${min}–${max}`;
+    if (!crn) return result(bpayCrnInput, 'bpay.errors.crnRequired');
+    if (!/^\d+$/.test(crn) || crn.length < min || crn.length > max) {
+      return result(bpayCrnInput, 'bpay.errors.crnFormat', { name: biller.name, length: length });
+    }
+    if (check === 'luhn' && !passesLuhn(crn)) {
+      return result(bpayCrnInput, 'bpay.errors.crnCheck', { name: biller.name });
+    }
+    return { to: `${code}/${crn}`, name: biller.name, error: '', input: null };
+  }
+
+  /**
+   * Checks the PayID or BPAY fields and finds the name to confirm
+   * @param {string} payType - "payid" | "bpay"
+   * @returns {Object} - { to, name, error, input }. "input" is the
+   *                     field in error
+   */
+  function checkAltDestination(payType) {
+    if (payType === 'bpay') {
+      return checkBPAY(bpayBillerInput.value.trim(), bpayCrnInput.value.replace(/\s/g, ''));
+    }
+
+    const type = payIdTypeSelect.value;
+    const { payId, error } = parsePayId(type, payIdInput.value);
+    if (error) return { to: '', name: '', error: error, input: payIdInput };
+
+    const entry = payIdRegistry[payId];
+    const fail = (key) => ({ to: '', name: '', error: translate(key, { payId: payId }), input: payIdInput });
+    if (!entry || entry.type !== type) return fail('payid.errors.notFound');
+    if (entry.locked) return fail('payid.errors.locked');
+    return { to: payId, name: entry.name, error: '', input: null };
+  }
+
+  /**
+   * Reads the destination on the transfer form without flagging errors
+   * @returns {Object} - { payType, to, payeeName }
+   */
+  function readDestination() {
+    const payType = getPayType();
+    if (payType === 'bsb') return { payType: payType, to: toInput.value.trim(), payeeName: '' };
+
+    const { to, name } = checkAltDestination(payType);
+    return { payType: payType, to: to, payeeName: name };
+  }
+
+  /**
+   * Names a payment's destination, e.g. "Metro Water (BPAY 75556, CRN 20481234)"
+   * @param {Object} record - Transfer, ledger entry or schedule
+   * @returns {string}
+   */
+  function describePayment(record) {
+    if (record.payType === 'payid') {
+      return translate('payid.to', { name: record.payeeName, payId: record.to });
+    }
+    if (record.payType === 'bpay') {
+      const [code, crn] = record.to.split('/');
+      return translate('bpay.to', { name: record.payeeName, code: code, crn: crn });
+    }
+    return record.to;
+  }
+
+  /**
+   * Shows the name registered to the PayID or biller entered, and
+   * offers the confirmation checkbox once the details are valid.
+   * Errors are shown under the field in error by transferValidator.
+   */
+  function updateNameCheck() {
+    const payType = getPayType();
+    const result = payType === 'bsb' ? null : checkAltDestination(payType);
+
+    nameCheckGroup.hidden = !result || !result.name;
+    nameConfirmGroup.hidden = !result || !!result.error;
+
+    if (nameCheckGroup.hidden) {
+      nameCheckInfo.textContent = '';
+    } else {
+      nameCheckInfo.innerHTML = `
+        <strong>${sanitizeInput(result.name)}</strong>
+        <span class="muted">${sanitizeInput(translate(payType === 'payid' ? 'payid.registeredName' : 'bpay.billerName'))}</span>
+      `;
+    }
+  }
+
+  /**
+   * Shows the destination fields for the selected payment type
+   */
+  function updatePayTypeFields() {
+    const payType = getPayType();
+    const format = payIdFormats[payIdTypeSelect.value];
+
+    toGroup.hidden = payType !== 'bsb';
+    payIdGroup.hidden = payType !== 'payid';
+    bpayGroup.hidden = payType !== 'bpay';
+    toInput.required = payType === 'bsb';
+
+    payIdHelp.textContent = translate(format.help);
+    payIdInput.placeholder = format.placeholder;
+    payIdInput.inputMode = format.inputMode;
+
+    // Saved payees are BSB and account numbers
+    payeePickGroup.hidden = payType !== 'bsb' || getPayees().length === 0;
+    updateSavePayeeOption();
+    updateNameCheck();
+  }
+
+  /**
+   * Selects a payment type on the transfer form
+   * @param {string} payType - "bsb" | "payid" | "bpay"
+   */
+  function setPayType(payType) {
+    $(`input[name="payType"][value="${payType}"]`, transferForm).checked = true;
+    updatePayTypeFields();
+  }
+
+  $$('input[name="payType"]', transferForm).forEach((radio) => {
+    radio.addEventListener("change", updatePayTypeFields);
+  });
+
+  // Biller codes and CRNs are digits only
+  [bpayBillerInput, bpayCrnInput].forEach((input) => {
+    input.addEventListener('input', () => {
+      const cleaned = input.value.replace(/\D/g, '');
+      if (cleaned !== input.value) input.value = cleaned;
+    });
+  });
+
+  // A new PayID or biller has to be confirmed again
+  [payIdTypeSelect, payIdInput, bpayBillerInput, bpayCrnInput].forEach((input) => {
+    input.addEventListener(input === payIdTypeSelect ? 'change' : 'input', () => {
+      nameConfirm.checked = false;
+      updatePayTypeFields();
+    });
+  });
+
+
+  /*
+    ================================================================
+    TRANSFER LIMITS
+    ================================================================
+  */
+
+  /*
+    Each customer has limits ("limits_<customer ID>") on a single
+    transfer and on what leaves all of their accounts combined each day
+    and month. Any account can also be given its own daily and monthly
+    limits; an account without them is held only by the customer's:
+
+      { transaction, daily, monthly,
+        pending: { transaction: { amount, effectiveAt } | null, daily: ..., monthly: ... },
+        accounts: { "<account ID>": { daily, monthly, pending: { daily, monthly } } } }
+
+    Account limits are null when not set, and a pending amount of null
+    removes one.
+
+    Lowering a limit applies immediately. Raising one (or removing an
+    account limit) is held in "pending" until the cooling-off period
+    has passed, so a stolen session cannot raise the limit and drain
+    the account straight away. Running totals are worked out from the
+    ledger, which records the customer and account on every outgoing
+    transfer.
+  */
+
+  const limitsKeyPrefix = "limits_";
+  const limitPeriods = ['daily', 'monthly'];
+  const customerLimitNames = ['transaction', 'daily', 'monthly'];
+  // All limits are in cents
+  const defaultLimits = { transaction: toCents(10000), daily: toCents(10000), monthly: toCents(50000) };
+  const bankMaxLimits = { transaction: toCents(25000), daily: toCents(25000), monthly: toCents(100000) };
+  const noAccountLimits = { daily: null, monthly: null };
+  const minLimit = toCents(100);
+  const limitCoolingOff = 24 * 60 * 60 * 1000; // 24 hours
+
+  const limitInfo = $("#limitInfo");
+  const limitsForm = $("#limitsForm");
+  const limitsStatus = $("#limitsForm .form-status");
+  const limitCancelPending = $("#limitCancelPending");
+  const limitAccountList = $("#limitAccountList");
+  const limitInputs = { transaction: $("#limitTransaction"), daily: $("#limitDaily"), monthly: $("#limitMonthly") };
+  const limitHelp = { transaction: $("#limitTransactionHelp"), daily: $("#limitDailyHelp"), monthly: $("#limitMonthlyHelp") };
+  const limitPending = { transaction: $("#limitTransactionPending"), daily: $("#limitDailyPending"), monthly: $("#limitMonthlyPending") };
+
+  /**
+   * Reads one stored limit, keeping it within the bank's range
+   * @param {*} value - Stored value in cents
+   * @param {string} name - "transaction" | "daily" | "monthly"
+   * @param {number|null} fallback - Used when nothing valid is stored
+   * @returns {number|null}
+   */
+  function readLimit(value, name, fallback) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, minLimit), bankMaxLimits[name]);
+  }
+
+  /**
+   * Reads one set of limits (the customer's or an account's), applying
+   * any increase whose cooling-off period has ended
+   * @param {Object|null} stored - Stored set
+   * @param {Array<string>} names - Limits in the set
+   * @param {Object} defaults - Value of each limit when none is stored
+   * @returns {Object} - { set: { <name>, pending }, changed }
+   */
+  function readLimitSet(stored, names, defaults) {
+    const set = { pending: {} };
+    let changed = false;
+
+    names.forEach((name) => {
+      const pending = stored && stored.pending ? stored.pending[name] : null;
+      set[name] = readLimit(stored ? stored[name] : null, name, defaults[name]);
+      set.pending[name] = null;
+
+      if (pending && pending.effectiveAt <= Date.now()) {
+        set[name] = readLimit(pending.amount, name, null);
+        changed = true;
+      } else if (pending) {
+        set.pending[name] = pending;
+      }
+    });
+
+    return { set, changed };
+  }
+
+  /**
+   * Reads the signed-in customer's limits and those of each of their
+   * accounts, applying any increase whose cooling-off period has ended
+   * @returns {Object} - { transaction, daily, monthly, pending, accounts }
+   */
+  function getLimits() {
+    const cust = getCustomerId();
+    let stored = null;
+    try {
+      stored = cust ? JSON.parse(localStorage.getItem(limitsKeyPrefix + cust)) : null;
+    } catch (e) {
+      stored = null;
+    }
+
+    const { set: limits, changed } = readLimitSet(stored, customerLimitNames, defaultLimits);
+    let anyChanged = changed;
+
+    limits.accounts = {};
+    ledger.accounts.forEach((account) => {
+      const storedAccount = stored && stored.accounts ? stored.accounts[account.id] : null;
+      const result = readLimitSet(storedAccount, limitPeriods, noAccountLimits);
+      limits.accounts[account.id] = result.set;
+      if (result.changed) anyChanged = true;
+    });
+
+    if (anyChanged) saveLimits(limits);
+    return limits;
+  }
+
+  /**
+   * Saves the signed-in customer's limits
+   * @param {Object} limits - Result of getLimits()
+   */
+  function saveLimits(limits) {
+    const cust = getCustomerId();
+    if (!cust) return;
+    localStorage.setItem(limitsKeyPrefix + cust, JSON.stringify(limits));
+  }
+
+  /**
+   * Gets an account's own limits
+   * @param {Object} limits - Result of getLimits()
+   * @param {string} accountId - Account ID
+   * @returns {Object} - { daily, monthly, pending }; a limit is null when not set
+   */
+  function getAccountLimits(limits, accountId) {
+    return limits.accounts[accountId] || { ...noAccountLimits, pending: { ...noAccountLimits } };
+  }
+
+  /**
+   * Totals the signed-in customer's outgoing transfers today and this month
+   * @param {string} [accountId] - Only count transfers from this account
+   * @returns {Object} - { daily, monthly }
+   */
+  function getTransferTotals(accountId) {
+    const cust = getCustomerId();
+    const today = todayISO();
+    const month = today.slice(0, 7);
+    const totals = { daily: 0, monthly: 0 };
+
+    ledger.transactions.forEach((t) => {
+      if (!t.to || t.cust !== cust || t.amt >= 0) return;
+      if (accountId && t.acct !== accountId) return;
+      if (t.date.slice(0, 7) !== month) return;
+
+      totals.monthly -= t.amt;
+      if (t.date === today) totals.daily -= t.amt;
+    });
+
+    return totals;
+  }
+
+  /**
+   * Checks an amount against the per-transaction limit, the customer's
+   * daily and monthly limits and, when an account is given, that
+   * account's own limits
+   * @param {number} amount - Transfer amount
+   * @param {boolean} [countUsage=true] - Include what was already sent;
+   *                  false checks against the caps alone (future payments)
+   * @param {string} [accountId] - Account the transfer is from
+   * @returns {Object|null} - { period, limit, remaining, account } for the
+   *                          first limit exceeded (account is null for the
+   *                          customer's limits), or null if within limits
+   */
+  function checkTransferLimits(amount, countUsage = true, accountId) {
+    const limits = getLimits();
+    if (amount > limits.transaction) {
+      return { period: 'transaction', limit: limits.transaction, remaining: limits.transaction, account: null };
+    }
+
+    const noUsage = { daily: 0, monthly: 0 };
+    const account = accountId ? getAccount(accountId) : null;
+    const checks = [{ limits: limits, used: countUsage ? getTransferTotals() : noUsage, account: null }];
+    if (account) {
+      checks.push({ limits: getAccountLimits(limits, account.id), used: countUsage ? getTransferTotals(account.id) : noUsage, account: account });
+    }
+
+    for (const check of checks) {
+      for (const period of limitPeriods) {
+        if (check.limits[period] === null) continue;
+        const remaining = Math.max(0, check.limits[period] - check.used[period]);
+        if (amount > remaining) {
+          return { period: period, limit: check.limits[period], remaining: remaining, account: check.account };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Builds the error message for an exceeded limit
+   * @param {Object} breach - Result of checkTransferLimits()
+   * @returns {string}
+   */
+  function describeLimitBreach(breach) {
+    if (breach.account) {
+      return translate(`limits.breach.account.${breach.period}`, {
+        account: breach.account.name,
+        limit: formatMoney(breach.limit),
+        remaining: formatMoney(breach.remaining)
+      });
+    }
+    return translate(`limits.breach.${breach.period}`, {
+      limit: formatMoney(breach.limit),
+      remaining: formatMoney(breach.remaining)
+    });
+  }
+
+  /**
+   * Shows the remaining allowance under the transfer amount, including
+   * what has been sent from the selected account
+   */
+  function updateLimitInfo() {
+    if (!isAuthed()) return;
+
+    const limits = getLimits();
+    const used = getTransferTotals();
+    const fromAccount = getAccount(fromSelect.value);
+    const remaining = (period) => formatMoney(Math.max(0, limits[period] - used[period]));
+
+    const parts = [
+      translate('limits.info.transaction', { limit: formatMoney(limits.transaction) }),
+      translate('limits.info.daily', { remaining: remaining('daily'), limit: formatMoney(limits.daily) }),
+      translate('limits.info.monthly', { remaining: remaining('monthly'), limit: formatMoney(limits.monthly) })
+    ];
+    if (fromAccount) {
+      const accountLimits = getAccountLimits(limits, fromAccount.id);
+      const accountUsed = getTransferTotals(fromAccount.id);
+      parts.push(translate('limits.info.account', {
+        account: fromAccount.name,
+        daily: formatMoney(accountUsed.daily),
+        monthly: formatMoney(accountUsed.monthly)
+      }));
+      limitPeriods.forEach((period) => {
+        if (accountLimits[period] === null) return;
+        parts.push(translate(`limits.info.account.${period}`, {
+          account: fromAccount.name,
+          remaining: formatMoney(Math.max(0, accountLimits[period] - accountUsed[period])),
+          limit: formatMoney(accountLimits[period])
+        }));
+      });
+    }
+    limitInfo.textContent = parts.join(' · ');
+  }
+
+  /**
+   * Describes a pending change to a limit
+   * @param {Object|null} pending - { amount, effectiveAt }
+   * @returns {string}
+   */
+  function describePendingLimit(pending) {
+    if (!pending) return '';
+    const time = formatDateTime(pending.effectiveAt);
+    return pending.amount === null
+      ? translate('limits.accounts.pendingRemoval', { time: time })
+      : translate('limits.pending', { amount: formatMoney(pending.amount), time: time });
+  }
+
+  /**
+   * Builds the inputs for one account's own limits
+   * @param {Object} account - Account object
+   * @param {Object} accountLimits - Result of getAccountLimits()
+   * @returns {string} - HTML
+   */
+  function limitAccountHtml(account, accountLimits) {
+    const used = getTransferTotals(account.id);
+    const usedId = `limitAccount${account.id}Used`;
+
+    const fields = limitPeriods.map((period) => {
+      const id = `limitAccount${account.id}-${period}`;
+      const pending = accountLimits.pending[period];
+      // Limits are always whole dollars
+      const value = accountLimits[period] === null ? '' : String(Math.floor(accountLimits[period] / 100));
+
+      return `
+        <div class="form-group">
+          <label for="${id}">${sanitizeInput(translate(`limits.${period}`))}</label>
+          <input id="${id}" type="text" inputmode="numeric" autocomplete="off"
+            data-account="${sanitizeInput(account.id)}" data-period="${period}"
+            value="${value}" aria-invalid="false" aria-describedby="${usedId} ${id}Pending" />
+          <small id="${id}Pending" class="helper-text limit-pending"${pending ? '' : ' hidden'}>${sanitizeInput(describePendingLimit(pending))}</small>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <fieldset class="limit-account">
+        <legend>${sanitizeInput(account.name)}</legend>
+        <p id="${usedId}" class="helper-text">${sanitizeInput(translate('limits.accounts.used', {
+          daily: formatMoney(used.daily),
+          monthly: formatMoney(used.monthly)
+        }))}</p>
+        ${fields}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Fills the settings form with the current limits and any pending increases
+   */
+  function renderLimitsForm() {
+    const limits = getLimits();
+    let hasPending = false;
+
+    customerLimitNames.forEach((name) => {
+      const input = limitInputs[name];
+      const pending = limits.pending[name];
+
+      // Limits are always whole dollars
+      input.value = String(Math.floor(limits[name] / 100));
+      input.setAttribute('aria-invalid', 'false');
+      limitHelp[name].textContent = translate('limits.current', {
+        limit: formatMoney(limits[name]),
+        max: formatMoney(bankMaxLimits[name])
+      });
+
+      limitPending[name].hidden = !pending;
+      limitPending[name].textContent = describePendingLimit(pending);
+      if (pending) hasPending = true;
+    });
+
+    limitAccountList.innerHTML = ledger.accounts
+      .map((account) => {
+        const accountLimits = getAccountLimits(limits, account.id);
+        if (accountLimits.pending.daily || accountLimits.pending.monthly) hasPending = true;
+        return limitAccountHtml(account, accountLimits);
+      })
+      .join('');
+
+    limitCancelPending.hidden = !hasPending;
+    limitsStatus.textContent = '';
+  }
+
+  /**
+   * Reads one whole-dollar limit from the settings form
+   * @param {HTMLInputElement} input - Limit input
+   * @param {string} name - "transaction" | "daily" | "monthly"
+   * @param {boolean} optional - A blank value means no limit
+   * @returns {Object} - { value, error }; value is null for no limit
+   */
+  function readLimitInput(input, name, optional) {
+    if (optional && !input.value.trim()) return { value: null, error: '' };
+
+    const { valid, cents: value } = parseMoney(input.value);
+    if (!valid || value % 100 !== 0) {
+      return { value: value, error: translate(`limits.errors.wholeDollars.${name}`) };
+    }
+    if (value < minLimit || value > bankMaxLimits[name]) {
+      return {
+        value: value,
+        error: translate(`limits.errors.range.${name}`, { min: formatMoney(minLimit), max: formatMoney(bankMaxLimits[name]) })
+      };
+    }
+    return { value: value, error: '' };
+  }
+
+  /**
+   * Applies requested values to one set of limits: decreases at once,
+   * increases once the cooling-off period has passed
+   * @param {Object} set - Customer or account limits (changed in place)
+   * @param {Object} requested - New value of each limit; null for no limit
+   * @param {Array<string>} names - Limits in the set
+   * @returns {Array<Object>} - { name, change: "raised" | "lowered", amount }
+   */
+  function applyLimitChanges(set, requested, names) {
+    const changes = [];
+
+    names.forEach((name) => {
+      const value = requested[name];
+      const current = set[name];
+      // No limit (null) is higher than any amount
+      const raising = current !== null && (value === null || value > current);
+
+      if (raising) {
+        const pending = set.pending[name];
+        // Re-saving the same increase keeps the original cooling-off clock
+        if (!pending || pending.amount !== value) {
+          set.pending[name] = { amount: value, effectiveAt: Date.now() + limitCoolingOff };
+          changes.push({ name: name, change: 'raised', amount: value });
+        }
+      } else {
+        // Lowering (or keeping) a limit also withdraws any pending increase
+        if (value !== current) changes.push({ name: name, change: 'lowered', amount: value });
+        set[name] = value;
+        set.pending[name] = null;
+      }
+    });
+
+    return changes;
+  }
+
+  limitsForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    const limits = getLimits();
+    const requested = {};
+    const requestedAccounts = {};
+    const errors = [];
+
+    /**
+     * Records an error against a limit input
+     * @param {HTMLInputElement} input - Limit input
+     * @param {string} error - Message
+     */
+    const flag = (input, error) => {
+      input.setAttribute('aria-invalid', 'true');
+      errors.push(error);
+    };
+
+    customerLimitNames.forEach((name) => {
+      const input = limitInputs[name];
+      const { value, error } = readLimitInput(input, name, false);
+      input.setAttribute('aria-invalid', 'false');
+      if (error) flag(input, error);
+      requested[name] = value;
+    });
+
+    if (!errors.length && requested.daily > requested.monthly) {
+      flag(limitInputs.daily, translate('limits.errors.dailyOverMonthly'));
+    }
+
+    ledger.accounts.forEach((account) => {
+      const values = {};
+      const accountErrors = errors.length;
+
+      limitPeriods.forEach((period) => {
+        const input = $(`input[data-account="${account.id}"][data-period="${period}"]`, limitAccountList);
+        if (!input) return;
+        const { value, error } = readLimitInput(input, period, true);
+        input.setAttribute('aria-invalid', 'false');
+        if (error) flag(input, translate('limits.errors.forAccount', { account: account.name, error: error }));
+        values[period] = value;
+      });
+
+      if (errors.length === accountErrors && values.daily !== null && values.monthly !== null && values.daily > values.monthly) {
+        const input = $(`input[data-account="${account.id}"][data-period="daily"]`, limitAccountList);
+        flag(input, translate('limits.errors.forAccount', { account: account.name, error: translate('limits.errors.dailyOverMonthly') }));
+      }
+      requestedAccounts[account.id] = { ...noAccountLimits, ...values };
+    });
+
+    if (errors.length) {
+      limitsStatus.textContent = errors[0];
+      limitsStatus.style.color = "var(--error)";
+      showToast(errors[0], 'error');
+      return;
+    }
+
+    const messages = applyLimitChanges(limits, requested, customerLimitNames)
+      .map((c) => translate(`limits.${c.change}.${c.name}`, { amount: formatMoney(c.amount) }));
+
+    ledger.accounts.forEach((account) => {
+      const accountLimits = getAccountLimits(limits, account.id);
+      limits.accounts[account.id] = accountLimits;
+      applyLimitChanges(accountLimits, requestedAccounts[account.id], limitPeriods).forEach((c) => {
+        const key = c.amount === null ? 'removed' : c.change;
+        messages.push(translate(`limits.accounts.${key}.${c.name}`, { account: account.name, amount: c.amount === null ? '' : formatMoney(c.amount) }));
+      });
+    });
+
+    saveLimits(limits);
+    renderLimitsForm();
+    updateLimitInfo();
+    showToast(messages.length ? messages.join(' ') : translate('limits.unchanged'), messages.length ? 'success' : 'info', 5000);
+  });
+
+  limitCancelPending.addEventListener("click", () => {
+    const limits = getLimits();
+    limits.pending = { transaction: null, daily: null, monthly: null };
+    Object.values(limits.accounts).forEach((accountLimits) => {
+      accountLimits.pending = { ...noAccountLimits };
+    });
+    saveLimits(limits);
+    renderLimitsForm();
+    showToast(translate('limits.pendingCancelled'), 'info');
+  });
+
+  fromSelect.addEventListener("change", updateLimitInfo);
+
+
+  /*
+    ================================================================
+    SAVED PAYEES
+    ================================================================
+  */
+
+  /*
+    Payees are stored per customer ID ("payees_<customer ID>") as
+    { id, name, bsb, account }. They feed the Payees screen, the
+    payee picker and #to autocomplete on the transfer form.
+  */
+
+  const payeesKeyPrefix = "payees_";
+
+  const payeeList = $("#payeeList");
+  const payeeForm = $("#payeeForm");
+  const payeeFormHeading = $("#payeeFormHeading");
+  const payeeStatus = $("#payeeForm .form-status");
+  const payeeNameInput = $("#payeeName");
+  const payeeToInput = $("#payeeTo");
+  const payeeSubmit = $("#payeeSubmit");
+  const payeeCancelEdit = $("#payeeCancelEdit");
+  const payeePickGroup = $("#payeePickGroup");
+  const payeePick = $("#payeePick");
+  const payeeOptions = $("#payeeOptions");
+  const savePayeeGroup = $("#savePayeeGroup");
+  const savePayeeCheckbox = $("#savePayee");
+  const savePayeeNameGroup = $("#savePayeeNameGroup");
+  const savePayeeName = $("#savePayeeName");
+
+  // ID of the payee being edited, or null when adding
+  let editingPayeeId = null;
+
+  /**
+   * Splits a valid BSB-Account value into its parts
+   * @param {string} value - e.g. "062000 12345678"
+   * @returns {Object} - { bsb: "062-000", account: "12345678" }
+   */
+  function parseBSBAccount(value) {
+    const digits = normaliseDestination(value);
+    return {
+      bsb: `${digits.slice(0, 3)}-${digits.slice(3, 6)}`,
+      account: digits.slice(6)
+    };
+  }
+
+  /**
+   * Formats a payee's destination the way #to expects it
+   * @param {Object} payee - Stored payee
+   * @returns {string} - e.g. "062-000 12345678"
+   */
+  function payeeDestination(payee) {
+    return `${payee.bsb} ${payee.account}`;
+  }
+
+  /**
+   * Reads the signed-in customer's payees
+   * @returns {Array<Object>}
+   */
+  function getPayees() {
+    const cust = getCustomerId();
+    if (!cust) return [];
+    try {
+      const stored = JSON.parse(localStorage.getItem(payeesKeyPrefix + cust));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves the signed-in customer's payees and refreshes views
+   * @param {Array<Object>} payees - Payee list
+   */
+  function savePayees(payees) {
+    const cust = getCustomerId();
+    if (!cust) return;
+    localStorage.setItem(payeesKeyPrefix + cust, JSON.stringify(payees));
+    renderPayees();
+  }
+
+  /**
+   * Finds a saved payee by destination
+   * @param {string} to - BSB-Account value
+   * @param {string} ignoreId - Payee to skip (when editing)
+   * @returns {Object|undefined}
+   */
+  function findPayeeByDestination(to, ignoreId = null) {
+    const target = normaliseDestination(to);
+    return getPayees().find((p) => p.id !== ignoreId && normaliseDestination(payeeDestination(p)) === target);
+  }
+
+  /**
+   * Validates payee details
+   * @param {string} name - Payee name
+   * @param {string} to - BSB-Account value
+   * @param {string} ignoreId - Payee being edited
+   * @returns {Array<Object>} - Errors as { field: "name" | "to", message }
+   */
+  function validatePayee(name, to, ignoreId = null) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field: field, message: message });
+
+    if (!name) fail('name', translate('payees.errors.nameRequired'));
+    else if (name.length > 40) fail('name', translate('payees.errors.nameLength'));
+
+    if (!to) fail('to', translate('payees.errors.toRequired'));
+    else if (!validateBSBAccount(to)) fail('to', translate('transfer.errors.toFormat'));
+    else if (checkBSB(to)) fail('to', checkBSB(to));
+    else if (findPayeeByDestination(to, ignoreId)) fail('to', translate('payees.errors.duplicate'));
+
+    return errors;
+  }
+
+  /**
+   * Adds a payee if it is valid and not a duplicate
+   * @param {string} name - Payee name
+   * @param {string} to - BSB-Account value
+   * @returns {boolean} - True if saved
+   */
+  function addPayee(name, to) {
+    if (validatePayee(name, to).length) return false;
+    const payees = getPayees();
+    payees.push(Object.assign({ id: createId('payee'), name: name }, parseBSBAccount(to)));
+    savePayees(payees);
+    return true;
+  }
+
+  /**
+   * Renders the payee list, transfer picker and autocomplete options
+   */
+  function renderPayees() {
+    const payees = getPayees()
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name, getLocale(), { sensitivity: 'base' }));
+
+    payeeList.innerHTML = payees.length
+      ? payees
+        .map((p) => `
+          <li class="payee-item" data-payee="${sanitizeInput(p.id)}">
+            <div class="payee-details">
+              <strong>${sanitizeInput(p.name)}</strong>
+              <span class="muted">${sanitizeInput(payeeDestination(p))}</span>
+            </div>
+            <div class="payee-actions">
+              <button type="button" class="btn-outline small" data-action="pay" aria-label="${sanitizeInput(translate('payees.payLabel', { name: p.name }))}">${sanitizeInput(translate('payees.pay'))}</button>
+              <button type="button" class="btn-outline small" data-action="edit" aria-label="${sanitizeInput(translate('payees.editLabel', { name: p.name }))}">${sanitizeInput(translate('common.edit'))}</button>
+              <button type="button" class="btn-outline small danger" data-action="delete" aria-label="${sanitizeInput(translate('payees.deleteLabel', { name: p.name }))}">${sanitizeInput(translate('common.delete'))}</button>
+            </div>
+          </li>
+        `)
+        .join('')
+      : `<li class="payee-empty muted">${sanitizeInput(translate('payees.empty'))}</li>`;
+
+    payeePickGroup.hidden = payees.length === 0 || getPayType() !== 'bsb';
+    payeePick.innerHTML = `<option value="">${sanitizeInput(translate('payees.choose'))}</option>` + payees
+      .map((p) => `<option value="${sanitizeInput(payeeDestination(p))}">${sanitizeInput(`${p.name} – ${payeeDestination(p)}`)}</option>`)
+      .join('');
+
+    payeeOptions.innerHTML = payees
+      .map((p) => `<option value="${sanitizeInput(payeeDestination(p))}">${sanitizeInput(p.name)}</option>`)
+      .join('');
+
+    // Keep the picker in step with whatever is typed in #to
+    const match = findPayeeByDestination(toInput.value);
+    payeePick.value = match ? payeeDestination(match) : '';
+    updateSavePayeeOption();
+  }
+
+  /**
+   * Offers "save this payee" only for valid, unsaved BSB-Account destinations
+   */
+  function updateSavePayeeOption() {
+    const to = toInput.value.trim();
+    savePayeeGroup.hidden = getPayType() !== 'bsb' || !to || !validateBSBAccount(to) || !!findPayeeByDestination(to);
+    savePayeeNameGroup.hidden = savePayeeGroup.hidden || !savePayeeCheckbox.checked;
+  }
+
+  /**
+   * Sets the payee form heading and button for add or edit mode
+   */
+  function updatePayeeFormText() {
+    const payee = editingPayeeId && getPayees().find((p) => p.id === editingPayeeId);
+    payeeFormHeading.textContent = payee
+      ? translate('payees.editHeading', { name: payee.name })
+      : translate('payees.addHeading');
+    payeeSubmit.textContent = translate(payee ? 'common.saveChanges' : 'payees.save');
+  }
+
+  /**
+   * Resets the payee form to "add" mode
+   */
+  function resetPayeeForm() {
+    editingPayeeId = null;
+    payeeForm.reset();
+    updatePayeeFormText();
+    payeeCancelEdit.hidden = true;
+    payeeStatus.textContent = '';
+    [payeeNameInput, payeeToInput].forEach((input) => input.setAttribute('aria-invalid', 'false'));
+  }
+
+  payeeForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    const name = payeeNameInput.value.trim();
+    const to = payeeToInput.value.trim();
+    const errors = validatePayee(name, to, editingPayeeId);
+
+    payeeNameInput.setAttribute('aria-invalid', String(errors.some((err) => err.field === 'name')));
+    payeeToInput.setAttribute('aria-invalid', String(errors.some((err) => err.field === 'to')));
+
+    if (errors.length) {
+      payeeStatus.textContent = errors[0].message;
+      payeeStatus.style.color = "var(--error)";
+      showToast(errors[0].message, 'error');
+      return;
+    }
+
+    const payees = getPayees();
+    const details = Object.assign({ name: name }, parseBSBAccount(to));
+
+    if (editingPayeeId) {
+      const payee = payees.find((p) => p.id === editingPayeeId);
+      if (payee) Object.assign(payee, details);
+      showToast(translate('payees.updated', { name: name }), 'success');
+    } else {
+      payees.push(Object.assign({ id: createId('payee') }, details));
+      showToast(translate('payees.added', { name: name }), 'success');
+    }
+
+    savePayees(payees);
+    resetPayeeForm();
+    payeeNameInput.focus();
+  });
+
+  payeeCancelEdit.addEventListener("click", () => {
+    resetPayeeForm();
+    payeeNameInput.focus();
+  });
+
+  payeeToInput.addEventListener('input', formatBSBInput);
+
+  // Pay / edit / delete buttons are delegated because the list is re-rendered
+  payeeList.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    const id = button.closest("[data-payee]").dataset.payee;
+    const payee = getPayees().find((p) => p.id === id);
+    if (!payee) return;
+
+    if (button.dataset.action === "pay") {
+      navigate(`/transfer?to=${encodeURIComponent(payeeDestination(payee))}`);
+    } else if (button.dataset.action === "edit") {
+      editingPayeeId = payee.id;
+      payeeNameInput.value = payee.name;
+      payeeToInput.value = payeeDestination(payee);
+      updatePayeeFormText();
+      payeeCancelEdit.hidden = false;
+      payeeStatus.textContent = '';
+      payeeNameInput.focus();
+    } else if (button.dataset.action === "delete") {
+      if (!window.confirm(translate('payees.confirmDelete', { name: payee.name }))) return;
+      savePayees(getPayees().filter((p) => p.id !== id));
+      if (editingPayeeId === id) resetPayeeForm();
+      showToast(translate('payees.deleted', { name: payee.name }), 'info');
+      payeeNameInput.focus();
+    }
+  });
+
+  // Transfer form: picking a payee fills in the destination
+  payeePick.addEventListener("change", () => {
+    if (!payeePick.value) return;
+    toInput.value = payeePick.value;
+    updateSavePayeeOption();
+    updateBSBLookup();
+    amountInput.focus();
+  });
+
+  toInput.addEventListener('input', () => {
+    const match = findPayeeByDestination(toInput.value);
+    payeePick.value = match ? payeeDestination(match) : '';
+    updateSavePayeeOption();
+  });
+
+  savePayeeCheckbox.addEventListener("change", () => {
+    updateSavePayeeOption();
+    if (savePayeeCheckbox.checked) savePayeeName.focus();
+  });
+
+
+  /*
+    ================================================================
+    SCHEDULED AND RECURRING TRANSFERS
+    ================================================================
+  */
+
+  /*
+    Scheduled payments are stored per customer ("scheduled_<customer ID>"):
+
+      { id, from, to, amount, desc,
+        payType: "bsb" | "payid" | "bpay",
+        payeeName,            // confirmed PayID or biller name
+        frequency: "once" | "weekly" | "fortnightly" | "monthly",
+        anchorDay,            // day of month monthly payments aim for
+        nextDate,             // YYYY-MM-DD of the next payment
+        endDate, remaining,   // optional end conditions (null = none)
+        status: "active" | "completed" | "cancelled",
+        history: [{ date, status: "paid" | "failed" | "skipped", reason }] }
+
+    "reason" is a failure code (see scheduleFailureReasons) so the
+    history can be shown in any language.
+
+    There is no background process, so runDueSchedules() catches up on
+    every payment that fell due since the app was last opened.
+
+    Due payments are made under the ledger lock (see updateLedger), so
+    every other change to the list - adding, editing, skipping and
+    cancelling - is made under it too, on a freshly read list. A change
+    made in one tab is then never overwritten by a payment run in
+    another, and a payment cannot run just after it was skipped.
+  */
+
+  const scheduledKeyPrefix = "scheduled_";
+  const scheduleMaxCount = 520;   // 10 years of weekly payments
+  const scheduleMaxDaysAhead = 366;
+
+  // Message keys for each frequency and failure reason
+  const frequencyLabels = {
+    once: 'schedule.freq.once',
+    weekly: 'schedule.freq.weekly',
+    fortnightly: 'schedule.freq.fortnightly',
+    monthly: 'schedule.freq.monthly'
+  };
+
+  const scheduleFailureReasons = {
+    noAccount: 'schedule.reason.noAccount',
+    insufficientFunds: 'schedule.reason.insufficientFunds',
+    transactionLimit: 'schedule.reason.transactionLimit',
+    dailyLimit: 'schedule.reason.dailyLimit',
+    monthlyLimit: 'schedule.reason.monthlyLimit',
+    accountDailyLimit: 'schedule.reason.accountDailyLimit',
+    accountMonthlyLimit: 'schedule.reason.accountMonthlyLimit'
+  };
+
+  const whenLaterGroup = $("#whenLaterGroup");
+  const whenRecurringGroup = $("#whenRecurringGroup");
+  const scheduleDateInput = $("#scheduleDate");
+  const scheduleFrequency = $("#scheduleFrequency");
+  const scheduleStartInput = $("#scheduleStart");
+  const scheduleEndDateGroup = $("#scheduleEndDateGroup");
+  const scheduleEndDateInput = $("#scheduleEndDate");
+  const scheduleCountGroup = $("#scheduleCountGroup");
+  const scheduleCountInput = $("#scheduleCount");
+  const scheduleUpcoming = $("#scheduleUpcoming");
+  const scheduleHistory = $("#scheduleHistory");
+  const scheduleEditForm = $("#scheduleEditForm");
+  const scheduleEditStatus = $("#scheduleEditForm .form-status");
+  const scheduleEditAmount = $("#scheduleEditAmount");
+  const scheduleEditDate = $("#scheduleEditDate");
+  const scheduleEditDesc = $("#scheduleEditDesc");
+  const scheduleEditCancel = $("#scheduleEditCancel");
+
+  // ID of the schedule open in the edit form
+  let editingScheduleId = null;
+  // Its next payment date when editing started
+  let editingScheduleDate = null;
+
+  /**
+   * Adds days to a YYYY-MM-DD date
+   * @param {string} iso - Start date
+   * @param {number} days - Days to add
+   * @returns {string}
+   */
+  function addDays(iso, days) {
+    const date = parseISODate(iso);
+    date.setDate(date.getDate() + days);
+    return toISODate(date);
+  }
+
+  /**
+   * Works out the payment date after a given one
+   * @param {Object} schedule - Stored schedule
+   * @param {string} from - Current payment date
+   * @returns {string}
+   */
+  function followingDate(schedule, from) {
+    if (schedule.frequency === 'weekly') return addDays(from, 7);
+    if (schedule.frequency === 'fortnightly') return addDays(from, 14);
+
+    // Monthly: aim for the anchor day, clamped to short months (31st → 28th/30th)
+    const date = parseISODate(from);
+    const year = date.getFullYear() + (date.getMonth() === 11 ? 1 : 0);
+    const month = (date.getMonth() + 1) % 12;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return toISODate(new Date(year, month, Math.min(schedule.anchorDay, lastDay)));
+  }
+
+  /**
+   * Reads the signed-in customer's scheduled payments
+   * @returns {Array<Object>}
+   */
+  function getSchedules() {
+    const cust = getCustomerId();
+    if (!cust) return [];
+    try {
+      const stored = JSON.parse(localStorage.getItem(scheduledKeyPrefix + cust));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves the signed-in customer's scheduled payments
+   * @param {Array<Object>} schedules - Schedule list
+   */
+  function saveSchedules(schedules) {
+    const cust = getCustomerId();
+    if (!cust) return;
+    localStorage.setItem(scheduledKeyPrefix + cust, JSON.stringify(schedules));
+  }
+
+  /**
+   * Moves a schedule on by one payment, completing it when an
+   * end condition is reached
+   * @param {Object} schedule - Schedule to update in place
+   */
+  function advanceSchedule(schedule) {
+    if (schedule.remaining !== null) {
+      schedule.remaining -= 1;
+    }
+    if (schedule.frequency === 'once' || schedule.remaining === 0) {
+      schedule.status = 'completed';
+      return;
+    }
+
+    const next = followingDate(schedule, schedule.nextDate);
+    if (schedule.endDate && next > schedule.endDate) {
+      schedule.status = 'completed';
+      return;
+    }
+    schedule.nextDate = next;
+  }
+
+  /**
+   * Describes how often a schedule repeats and when it ends
+   * @param {Object} schedule - Stored schedule
+   * @returns {string}
+   */
+  function describeSchedule(schedule) {
+    if (schedule.frequency === 'once') return translate('schedule.oneOff');
+
+    const frequency = translate(frequencyLabels[schedule.frequency]);
+    if (schedule.remaining !== null) {
+      return translate('schedule.remaining', { frequency: frequency, count: schedule.remaining });
+    }
+    if (schedule.endDate) {
+      return translate('schedule.until', { frequency: frequency, date: formatDate(schedule.endDate) });
+    }
+    return frequency;
+  }
+
+  /**
+   * Describes a failure reason stored in a schedule's history
+   * @param {string} reason - Failure code (older entries hold plain text)
+   * @returns {string}
+   */
+  function describeFailureReason(reason) {
+    return scheduleFailureReasons[reason] ? translate(scheduleFailureReasons[reason]) : reason;
+  }
+
+  /**
+   * Names a schedule's destination, using the saved payee name for
+   * BSB-Account destinations when there is one
+   * @param {Object} schedule - Stored schedule
+   * @returns {string}
+   */
+  function describeDestination(schedule) {
+    const payee = (schedule.payType || 'bsb') === 'bsb' && findPayeeByDestination(schedule.to);
+    return payee ? `${payee.name} (${schedule.to})` : describePayment(schedule);
+  }
+
+  /**
+   * Works out why a transfer cannot be made right now
+   * @param {string} from - Source account ID
+   * @param {number} amount - Amount in cents
+   * @returns {string} - Key of scheduleFailureReasons, or "" if it can be made
+   */
+  function getTransferProblem(from, amount) {
+    const account = getAccount(from);
+    const limitBreach = checkTransferLimits(amount, true, from);
+
+    if (!account) return 'noAccount';
+    if (amount > account.balance) return 'insufficientFunds';
+    if (limitBreach && limitBreach.account) return limitBreach.period === 'daily' ? 'accountDailyLimit' : 'accountMonthlyLimit';
+    if (limitBreach) return `${limitBreach.period}Limit`;
+    return '';
+  }
+
+  /**
+   * Processes every payment that is due today or earlier.
+   * Each one is checked against the current balance; failures are
+   * recorded in the schedule's history and reported via toasts.
+   * Runs under the ledger lock, so tabs opened together pay each
+   * payment once.
+   * @returns {Promise}
+   */
+  function runDueSchedules() {
+    return updateLedger(processDueSchedules);
+  }
+
+  /**
+   * Does the work of runDueSchedules() on the latest stored ledger
+   */
+  function processDueSchedules() {
+    const schedules = getSchedules();
+    if (!schedules.length) return;
+
+    const today = todayISO();
+    const failures = [];
+    let paid = 0;
+
+    schedules.forEach((schedule) => {
+      // Guard against runaway loops on corrupt data
+      let guard = scheduleMaxCount;
+
+      while (schedule.status === 'active' && schedule.nextDate <= today && guard-- > 0) {
+        const reason = getTransferProblem(schedule.from, schedule.amount);
+
+        if (reason) {
+          failures.push(translate('schedule.failed', {
+            amount: formatMoney(schedule.amount),
+            to: describeDestination(schedule),
+            date: formatDate(schedule.nextDate),
+            reason: describeFailureReason(reason)
+          }));
+          schedule.history.push({ date: schedule.nextDate, status: 'failed', reason: reason });
+        } else {
+          applyTransfer({
+            from: schedule.from,
+            to: schedule.to,
+            payType: schedule.payType,
+            payeeName: schedule.payeeName,
+            amount: schedule.amount,
+            desc: schedule.desc,
+            scheduled: true
+          });
+          schedule.history.push({ date: schedule.nextDate, status: 'paid', reason: '' });
+          paid++;
+        }
+
+        advanceSchedule(schedule);
+      }
+    });
+
+    saveSchedules(schedules);
+
+    if (paid) {
+      showToast(translate('schedule.processed', { count: paid }), 'success', 5000);
+      checkBudgetAlerts();
+    }
+    failures.slice(0, 3).forEach((message) => showToast(message, 'error', 8000));
+    if (failures.length > 3) {
+      showToast(translate('schedule.moreFailed', { count: failures.length - 3 }), 'error', 8000);
+    }
+  }
+
+  /**
+   * Shows the date fields that match the selected "when" option
+   */
+  function updateWhenFields() {
+    const when = $('input[name="when"]:checked', transferForm).value;
+    const endType = $('input[name="scheduleEnd"]:checked', transferForm).value;
+
+    whenLaterGroup.hidden = when !== 'later';
+    whenRecurringGroup.hidden = when !== 'recurring';
+    scheduleEndDateGroup.hidden = endType !== 'date';
+    scheduleCountGroup.hidden = endType !== 'count';
+
+    // Scheduled dates start tomorrow (later) or today (recurring)
+    scheduleDateInput.min = addDays(todayISO(), 1);
+    scheduleStartInput.min = todayISO();
+    scheduleEndDateInput.min = scheduleStartInput.value || todayISO();
+  }
+
+  /**
+   * Reads the "when" part of the transfer form. It is checked by
+   * transferValidator.
+   * @returns {Object} - schedule, where schedule.when is "now", "later"
+   *                     or "recurring"
+   */
+  function readSchedule() {
+    const when = $('input[name="when"]:checked', transferForm).value;
+    const endType = $('input[name="scheduleEnd"]:checked', transferForm).value;
+    const schedule = { when: when };
+
+    if (when === 'later') {
+      schedule.frequency = 'once';
+      schedule.start = scheduleDateInput.value;
+    }
+
+    if (when === 'recurring') {
+      schedule.frequency = scheduleFrequency.value;
+      schedule.start = scheduleStartInput.value;
+      if (endType === 'date') {
+        schedule.endDate = scheduleEndDateInput.value;
+      } else {
+        schedule.count = Number(scheduleCountInput.value);
+      }
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Saves a validated scheduled transfer. Call under the ledger lock.
+   * @param {Object} data - Validated transfer data including schedule
+   * @returns {Object} - The stored schedule
+   */
+  function createSchedule(data) {
+    const { schedule } = data;
+    const stored = {
+      id: createId('sched'),
+      from: data.from,
+      to: data.to,
+      payType: data.payType,
+      payeeName: data.payeeName,
+      amount: data.amount,
+      desc: data.desc,
+      frequency: schedule.frequency,
+      anchorDay: parseISODate(schedule.start).getDate(),
+      nextDate: schedule.start,
+      endDate: schedule.endDate || null,
+      remaining: schedule.frequency === 'once' ? 1 : (schedule.count || null),
+      status: 'active',
+      history: [],
+      createdAt: new Date().toISOString()
+    };
+
+    const schedules = getSchedules();
+    schedules.push(stored);
+    saveSchedules(schedules);
+    return stored;
+  }
+
+  /**
+   * Renders the upcoming list and past payment history
+   */
+  function renderSchedules() {
+    const schedules = getSchedules();
+    const upcoming = schedules
+      .filter((s) => s.status === 'active')
+      .sort((a, b) => (a.nextDate < b.nextDate ? -1 : a.nextDate > b.nextDate ? 1 : 0));
+
+    scheduleUpcoming.innerHTML = upcoming.length
+      ? upcoming
+        .map((s) => {
+          const account = getAccount(s.from);
+          const label = translate('schedule.label', { amount: formatMoney(s.amount), to: describeDestination(s) });
+          const from = translate('schedule.from', {
+            account: account ? account.name : translate('schedule.closedAccount')
+          });
+          return `
+            <li class="payee-item" data-schedule="${sanitizeInput(s.id)}">
+              <div class="payee-details">
+                <strong>${sanitizeInput(label)}</strong>
+                <span class="muted">${sanitizeInput(translate('schedule.next', { date: formatDate(s.nextDate) }))} · ${sanitizeInput(describeSchedule(s))}</span>
+                <span class="muted">${sanitizeInput(from)}${s.desc ? ` · ${sanitizeInput(s.desc)}` : ''}</span>
+              </div>
+              <div class="payee-actions">
+                <button type="button" class="btn-outline small" data-action="edit" aria-label="${sanitizeInput(translate('schedule.editLabel', { label: label }))}">${sanitizeInput(translate('common.edit'))}</button>
+                <button type="button" class="btn-outline small" data-action="skip" aria-label="${sanitizeInput(translate('schedule.skipLabel', { label: label }))}">${sanitizeInput(translate('schedule.skip'))}</button>
+                <button type="button" class="btn-outline small danger" data-action="cancel" aria-label="${sanitizeInput(translate('schedule.cancelLabel', { label: label }))}">${sanitizeInput(translate('common.cancel'))}</button>
+              </div>
+            </li>
+          `;
+        })
+        .join('')
+      : `<li class="payee-empty muted">${sanitizeInput(translate('schedule.empty'))}</li>`;
+
+    const past = [];
+    schedules.forEach((s) => {
+      s.history.forEach((h) => past.push({ schedule: s, entry: h }));
+    });
+    past.sort((a, b) => (a.entry.date < b.entry.date ? 1 : a.entry.date > b.entry.date ? -1 : 0));
+
+    const outcomes = { paid: 'schedule.outcome.paid', failed: 'schedule.outcome.failed', skipped: 'schedule.outcome.skipped' };
+    const outcomeClass = { paid: 'status-ok', failed: 'status-error', skipped: 'status-muted' };
+
+    scheduleHistory.innerHTML = past.length
+      ? past
+        .map(({ schedule, entry }) => `
+          <tr>
+            <td><time datetime="${sanitizeInput(entry.date)}">${sanitizeInput(formatDate(entry.date))}</time></td>
+            <td>${sanitizeInput(describeDestination(schedule))}</td>
+            <td class="text-right">${formatMoney(schedule.amount)}</td>
+            <td class="${outcomeClass[entry.status] || ''}">${sanitizeInput(outcomes[entry.status] ? translate(outcomes[entry.status]) : entry.status)}${entry.reason ? ` – ${sanitizeInput(describeFailureReason(entry.reason))}` : ''}</td>
+          </tr>
+        `)
+        .join('')
+      : `<tr><td colspan="4" class="empty-row">${sanitizeInput(translate('schedule.historyEmpty'))}</td></tr>`;
+  }
+
+  /**
+   * Hides the schedule edit form
+   */
+  function closeScheduleEdit() {
+    editingScheduleId = null;
+    editingScheduleDate = null;
+    scheduleEditForm.hidden = true;
+    scheduleEditForm.reset();
+    scheduleEditStatus.textContent = '';
+  }
+
+  $$('input[name="when"], input[name="scheduleEnd"]', transferForm).forEach((radio) => {
+    radio.addEventListener("change", updateWhenFields);
+  });
+  scheduleStartInput.addEventListener("change", updateWhenFields);
+
+  /**
+   * Changes one active scheduled payment under the ledger lock
+   * @param {string} id - Schedule ID
+   * @param {string} nextDate - Next payment date the customer saw; the
+   *                 change is refused if it has moved since (e.g. the
+   *                 payment was made or skipped in another tab)
+   * @param {Function} change - Receives the schedule to change in place
+   * @returns {Promise<Object|null>} - The changed schedule, or null if refused
+   */
+  function updateSchedule(id, nextDate, change) {
+    return updateLedger(() => {
+      const schedules = getSchedules();
+      const schedule = schedules.find((s) => s.id === id);
+      if (!schedule || schedule.status !== 'active' || schedule.nextDate !== nextDate) return null;
+
+      change(schedule);
+      saveSchedules(schedules);
+      return schedule;
+    });
+  }
+
+  /**
+   * Reports a schedule change that was refused because the payment
+   * changed elsewhere
+   */
+  function scheduleChangedElsewhere() {
+    renderSchedules();
+    showToast(translate('schedule.errors.changed'), 'error');
+  }
+
+  scheduleUpcoming.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    const id = button.closest("[data-schedule]").dataset.schedule;
+    const schedule = getSchedules().find((s) => s.id === id);
+    if (!schedule) return;
+
+    if (button.dataset.action === "edit") {
+      editingScheduleId = id;
+      editingScheduleDate = schedule.nextDate;
+      scheduleEditAmount.value = centsToDecimal(schedule.amount);
+      scheduleEditDate.value = schedule.nextDate;
+      scheduleEditDate.min = todayISO();
+      scheduleEditDesc.value = schedule.desc;
+      scheduleEditStatus.textContent = '';
+      scheduleEditForm.hidden = false;
+      scheduleEditAmount.focus();
+      return;
+    }
+
+    const skipped = schedule.nextDate;
+    let updated = null;
+
+    if (button.dataset.action === "skip") {
+      updated = await updateSchedule(id, skipped, (s) => {
+        s.history.push({ date: s.nextDate, status: 'skipped', reason: '' });
+        advanceSchedule(s);
+      });
+      if (updated) {
+        showToast(updated.status === 'completed'
+          ? translate('schedule.skippedLast', { date: formatDate(skipped) })
+          : translate('schedule.skipped', { date: formatDate(skipped), next: formatDate(updated.nextDate) }), 'info');
+      }
+    } else if (button.dataset.action === "cancel") {
+      if (!window.confirm(translate('schedule.confirmCancel'))) return;
+      updated = await updateSchedule(id, skipped, (s) => {
+        s.status = 'cancelled';
+      });
+      if (updated) showToast(translate('schedule.cancelled'), 'info');
+    }
+
+    if (editingScheduleId === id) closeScheduleEdit();
+    if (!updated) {
+      scheduleChangedElsewhere();
+      return;
+    }
+    renderSchedules();
+  });
+
+  scheduleEditForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const schedule = getSchedules().find((s) => s.id === editingScheduleId);
+    if (!schedule) return;
+
+    const amountCheck = validateAmount(scheduleEditAmount.value, Infinity);
+    const amount = amountCheck.cents;
+    const date = scheduleEditDate.value;
+    const desc = scheduleEditDesc.value.trim();
+    let error = '';
+
+    const limitBreach = amountCheck.valid ? checkTransferLimits(amount, false, schedule.from) : null;
+
+    if (!amountCheck.valid) error = amountCheck.error;
+    else if (limitBreach) error = describeLimitBreach(limitBreach);
+    else if (!date || date < todayISO()) error = translate('schedule.errors.nextPast');
+    else if (schedule.endDate && date > schedule.endDate) error = translate('schedule.errors.afterEnd', { date: formatDate(schedule.endDate) });
+    else if (desc.length > 40) error = translate('transfer.errors.descLength');
+
+    if (error) {
+      scheduleEditStatus.textContent = error;
+      scheduleEditStatus.style.color = "var(--error)";
+      showToast(error, 'error');
+      return;
+    }
+
+    const updated = await updateSchedule(schedule.id, editingScheduleDate, (s) => {
+      s.amount = amount;
+      s.nextDate = date;
+      s.desc = desc;
+      if (s.frequency === 'monthly') {
+        s.anchorDay = parseISODate(date).getDate();
+      }
+    });
+
+    closeScheduleEdit();
+    if (!updated) {
+      scheduleChangedElsewhere();
+      return;
+    }
+    renderSchedules();
+    showToast(translate('schedule.updated'), 'success');
+
+    // A payment moved to today is due straight away
+    runDueSchedules().then(renderSchedules);
+  });
+
+  scheduleEditCancel.addEventListener("click", closeScheduleEdit);
+
+  updateWhenFields();
+
+
+  /*
+    ================================================================
+    SECURITY ACTIVITY LOG
+    ================================================================
+  */
+
+  /*
+    Each customer has an append-only log of sign-ins, sign-outs and
+    transfer attempts (including ones refused for invalid details),
+    stored under "activity_<customer ID>":
+
+      {
+        entries: [{ id, time, type, outcome, details, flags }],  newest first
+        devices: ["<device ID>", ...]                           signed in before
       }
+
+    Details only ever hold masked destinations, amounts, references
+    and the names of invalid fields - never what was typed. Text is
+    built from them at render time, so it follows the language.
+    Entries are only added (logActivity); once the cap is reached the
+    oldest are dropped. A demo profile reset leaves the log in place.
+
+    Sign-in attempts with a customer ID that doesn't exist have no
+    customer to file them under. This browser keeps them in a log of
+    its own, "activity_unknown", with the typed ID masked, and the
+    Activity screen shows them alongside the signed-in customer's.
+  */
+
+  const activityKeyPrefix = "activity_";
+  const unknownCustomerLog = "unknown";
+  const deviceIdKey = "device_id";
+  const activityMaxEntries = 200;
+  const activityMaxDevices = 20;
+
+  // A transfer is unusual above this multiple of the customer's recent
+  // average, once there are enough past transfers to compare against
+  const unusualAmountFactor = 3;
+  const unusualAmountSample = 10;
+  const unusualAmountMinHistory = 3;
+
+  const activityTypeLabels = {
+    login: 'activity.type.login',
+    logout: 'activity.type.logout',
+    transfer: 'activity.type.transfer'
+  };
+
+  const activityOutcomeLabels = {
+    success: 'activity.outcome.success',
+    failure: 'activity.outcome.failure',
+    blocked: 'activity.outcome.blocked',
+    invalid: 'activity.outcome.invalid',
+    scheduled: 'activity.outcome.scheduled',
+    reversed: 'activity.outcome.reversed'
+  };
+
+  const activityOutcomeClass = {
+    success: 'status-ok',
+    scheduled: 'status-ok',
+    failure: 'status-error',
+    blocked: 'status-error',
+    invalid: 'status-error',
+    reversed: 'status-muted'
+  };
+
+  const activityFlagLabels = {
+    newDevice: 'activity.flag.newDevice',
+    unusualAmount: 'activity.flag.unusualAmount'
+  };
+
+  // Message keys naming the fields that can fail validation
+  const activityFieldLabels = {
+    cust: 'login.cust',
+    pass: 'login.pass',
+    from: 'transfer.from',
+    to: 'transfer.to',
+    payId: 'payid.label',
+    bpayBiller: 'bpay.biller',
+    bpayCrn: 'bpay.crn',
+    nameConfirm: 'transfer.confirmName',
+    amount: 'transfer.amount',
+    desc: 'transfer.desc',
+    scheduleDate: 'transfer.scheduleDate',
+    scheduleFrequency: 'transfer.frequency',
+    scheduleStart: 'transfer.scheduleStart',
+    scheduleEndDate: 'transfer.scheduleEndDate',
+    scheduleCount: 'transfer.scheduleCount'
+  };
+
+  const activityFilters = $("#activityFilters");
+  const activityTypeFilter = $("#activityType");
+  const activityOutcomeFilter = $("#activityOutcome");
+  const activityFlaggedFilter = $("#activityFlagged");
+  const activityBody = $("#activityBody");
+  const activitySummary = $("#activitySummary");
+
+  /**
+   * Reads a customer's activity log
+   * @param {string} cust - Customer ID
+   * @returns {Object} - { entries, devices }
+   */
+  function loadActivity(cust) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(activityKeyPrefix + cust));
+      return {
+        entries: stored && Array.isArray(stored.entries) ? stored.entries : [],
+        devices: stored && Array.isArray(stored.devices) ? stored.devices : []
+      };
+    } catch (e) {
+      return { entries: [], devices: [] };
+    }
+  }
+
+  /**
+   * Returns this browser's device ID, creating one on first use
+   * @returns {string}
+   */
+  function getDeviceId() {
+    let id = localStorage.getItem(deviceIdKey);
+    if (!id || !/^[0-9a-f]{16}$/.test(id)) {
+      id = toHex(crypto.getRandomValues(new Uint8Array(8)));
+      localStorage.setItem(deviceIdKey, id);
+    }
+    return id;
+  }
+
+  /**
+   * Appends an event to a customer's activity log, dropping the
+   * oldest entries beyond the cap
+   * @param {string} cust - Customer ID
+   * @param {string} type - "login" | "logout" | "transfer"
+   * @param {string} outcome - Key of activityOutcomeLabels
+   * @param {Object} [details] - Masked details
+   * @param {Array<string>} [flags] - Keys of activityFlagLabels
+   */
+  function logActivity(cust, type, outcome, details = {}, flags = []) {
+    if (!cust) return;
+
+    const log = loadActivity(cust);
+    log.entries.unshift({
+      id: createId('act'),
+      time: Date.now(),
+      type: type,
+      outcome: outcome,
+      details: details,
+      flags: flags
     });
+    log.entries = log.entries.slice(0, activityMaxEntries);
+    localStorage.setItem(activityKeyPrefix + cust, JSON.stringify(log));
+
+    if ((cust === getCustomerId() || cust === unknownCustomerLog) && !$("#activity").hidden) renderActivity();
+  }
+
+  /**
+   * Records a sign-in that didn't succeed. Attempts with an unknown
+   * customer ID go to this browser's log of them, with the ID masked.
+   * @param {string} cust - Customer ID as typed
+   * @param {string} outcome - Key of activityOutcomeLabels
+   * @param {Object} [details] - Masked details
+   */
+  function logLoginAttempt(cust, outcome, details = {}) {
+    if (isKnownCustomer(cust)) {
+      logActivity(cust, 'login', outcome, details);
+    } else {
+      logActivity(unknownCustomerLog, 'login', outcome, cust ? { ...details, unknownCustomer: maskCustomerId(cust) } : details);
+    }
+  }
+
+  /**
+   * Records a successful sign-in, flagging a device the customer has
+   * not signed in from before
+   * @param {string} cust - Customer ID
+   */
+  function logLogin(cust) {
+    const deviceId = getDeviceId();
+    const log = loadActivity(cust);
+    const isNewDevice = !log.devices.includes(deviceId);
+
+    if (isNewDevice) {
+      log.devices = [deviceId, ...log.devices].slice(0, activityMaxDevices);
+      localStorage.setItem(activityKeyPrefix + cust, JSON.stringify(log));
+    }
+    logActivity(cust, 'login', 'success', { device: maskDeviceId(deviceId) }, isNewDevice ? ['newDevice'] : []);
+  }
+
+  /**
+   * Masks a device ID down to its last four characters
+   * @param {string} id - Device ID
+   * @returns {string}
+   */
+  function maskDeviceId(id) {
+    return `•••• ${id.slice(-4)}`;
+  }
+
+  /**
+   * Masks a customer ID down to its last three characters
+   * @param {string} cust - Customer ID as typed
+   * @returns {string} - e.g. "•••• 678"
+   */
+  function maskCustomerId(cust) {
+    return `•••• ${cust.slice(-3)}`;
+  }
+
+  /**
+   * Masks a PayID, keeping enough to recognise it
+   * @param {string} payId - Normalised PayID
+   * @returns {string} - e.g. "+61-4•••••006", "m•••@example.com"
+   */
+  function maskPayId(payId) {
+    if (payId.includes('@')) {
+      const [user, domain] = payId.split('@');
+      return `${user[0]}•••@${domain}`;
+    }
+    if (payId.startsWith('+')) {
+      return `${payId.slice(0, 5)}•••••${payId.slice(-3)}`;
+    }
+    return `••• ••• ••• ${payId.slice(-3)}`;
+  }
+
+  /**
+   * Picks the masked details of a transfer worth keeping in the log
+   * @param {Object} transfer - Validated transfer data, or ledger entry
+   * @param {number} amount - Amount in cents
+   * @returns {Object}
+   */
+  function maskTransfer(transfer, amount) {
+    const payType = transfer.payType || 'bsb';
+    let to = maskDestination(transfer.to);
+
+    if (payType === 'payid') {
+      to = maskPayId(transfer.to);
+    } else if (payType === 'bpay') {
+      const [code, crn] = transfer.to.split('/');
+      to = `${code}/•••${crn.slice(-3)}`;
+    }
+    return { payType: payType, to: to, payeeName: transfer.payeeName || '', amount: amount };
+  }
+
+  /**
+   * Flags a transfer amount that is unusual for this customer: over
+   * the one-time code threshold, or well above their recent average
+   * @param {number} amount - Amount in cents
+   * @returns {boolean}
+   */
+  function isUnusualAmount(amount) {
+    if (amount > getStepUpThreshold()) return true;
+
+    const recent = ledger.transactions
+      .filter((t) => t.to && t.amt < 0)
+      .slice(0, unusualAmountSample);
+    if (recent.length < unusualAmountMinHistory) return false;
+
+    const average = recent.reduce((sum, t) => sum - t.amt, 0) / recent.length;
+    return amount > average * unusualAmountFactor;
+  }
+
+  /**
+   * Works out the flags for a transfer. Call before it is applied,
+   * so it is compared against earlier transfers only.
+   * @param {Object} transfer - Validated transfer data
+   * @returns {Array<string>}
+   */
+  function transferFlags(transfer) {
+    return isUnusualAmount(transfer.amount) ? ['unusualAmount'] : [];
+  }
+
+  /**
+   * Records the outcome of a transfer attempt
+   * @param {string} outcome - Key of activityOutcomeLabels
+   * @param {Object} transfer - Validated transfer data
+   * @param {Array<string>} flags - From transferFlags()
+   * @param {Object} [extra] - Further details, e.g. { ref }
+   */
+  function logTransfer(outcome, transfer, flags, extra = {}) {
+    logActivity(getCustomerId(), 'transfer', outcome, { ...maskTransfer(transfer, transfer.amount), ...extra }, flags);
+  }
+
+  /**
+   * Builds the details text for a log entry
+   * @param {Object} entry - Log entry
+   * @returns {string}
+   */
+  function describeActivity(entry) {
+    const d = entry.details || {};
+    const parts = [];
+
+    if (d.unknownCustomer) parts.push(translate('activity.detail.unknownCustomer', { cust: d.unknownCustomer }));
+    if (d.device) parts.push(translate('activity.detail.device', { device: d.device }));
+    if (d.reason === 'manual') parts.push(translate('activity.detail.manual'));
+    if (d.reason === 'idle') parts.push(translate('activity.detail.idle'));
+    if (d.reason === 'expired') parts.push(translate('activity.detail.expired'));
+    if (d.reason === 'locked') parts.push(translate('activity.detail.locked'));
+    if (d.reason === 'stepUp') parts.push(translate('activity.detail.stepUp'));
+    if (scheduleFailureReasons[d.reason]) parts.push(translate('activity.detail.refused', { reason: describeFailureReason(d.reason) }));
+    if (typeof d.attemptsLeft === 'number') parts.push(translate('activity.detail.attemptsLeft', { count: d.attemptsLeft }));
+    if (d.to) {
+      parts.push(translate('activity.detail.transfer', {
+        amount: formatMoney(d.amount),
+        to: describePayment({ payType: d.payType, to: d.to, payeeName: d.payeeName })
+      }));
+    }
+    if (d.date) parts.push(translate('activity.detail.date', { date: formatDate(d.date) }));
+    if (d.ref) parts.push(translate('activity.detail.ref', { ref: d.ref }));
+    if (Array.isArray(d.fields) && d.fields.length) {
+      const labels = d.fields.filter((f) => activityFieldLabels[f]).map((f) => translate(activityFieldLabels[f]));
+      parts.push(translate('activity.detail.fields', { fields: formatList(labels) }));
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Renders the signed-in customer's log, merged with this browser's
+   * unknown customer ID sign-ins, with the chosen filters
+   */
+  function renderActivity() {
+    const cust = getCustomerId();
+    const entries = cust
+      ? [...loadActivity(cust).entries, ...loadActivity(unknownCustomerLog).entries].sort((a, b) => b.time - a.time)
+      : [];
+    const type = activityTypeFilter.value;
+    const outcome = activityOutcomeFilter.value;
+    const flaggedOnly = activityFlaggedFilter.checked;
+
+    const shown = entries.filter((entry) =>
+      (type === 'all' || entry.type === type) &&
+      (outcome === 'all' || entry.outcome === outcome) &&
+      (!flaggedOnly || (entry.flags && entry.flags.length))
+    );
+
+    activitySummary.textContent = translate('activity.summary', { count: shown.length, total: entries.length, max: activityMaxEntries });
+
+    if (!shown.length) {
+      activityBody.innerHTML = `<tr><td colspan="4" class="empty-row">${sanitizeInput(translate(entries.length ? 'activity.noMatches' : 'activity.empty'))}</td></tr>`;
+      return;
+    }
+
+    activityBody.innerHTML = shown
+      .map((entry) => {
+        const flags = (entry.flags || []).filter((f) => activityFlagLabels[f]);
+        const badges = flags
+          .map((f) => `<span class="activity-flag">${sanitizeInput(translate(activityFlagLabels[f]))}</span>`)
+          .join(' ');
+        return `
+          <tr class="${flags.length ? 'activity-flagged' : ''}">
+            <td><time datetime="${new Date(entry.time).toISOString()}">${sanitizeInput(formatDateTime(entry.time))}</time></td>
+            <td>${sanitizeInput(activityTypeLabels[entry.type] ? translate(activityTypeLabels[entry.type]) : entry.type)}</td>
+            <td class="${activityOutcomeClass[entry.outcome] || ''}">${sanitizeInput(activityOutcomeLabels[entry.outcome] ? translate(activityOutcomeLabels[entry.outcome]) : entry.outcome)}</td>
+            <td>${sanitizeInput(describeActivity(entry))}${badges ? ` ${badges}` : ''}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Puts the activity filters back to showing everything
+   */
+  function resetActivityFilters() {
+    activityTypeFilter.value = 'all';
+    activityOutcomeFilter.value = 'all';
+    activityFlaggedFilter.checked = false;
+  }
+
+  activityFilters.addEventListener("change", renderActivity);
+  activityFilters.addEventListener("submit", (e) => e.preventDefault());
+
+  activityFilters.addEventListener("reset", (e) => {
+    e.preventDefault();
+    resetActivityFilters();
+    renderActivity();
   });
 
 
   /*
     ================================================================
-    PASSWORD VISIBILITY TOGGLE
+    DEMO PROFILES
     ================================================================
   */
 
-  const togglePasswordBtn = $("#togglePassword");
-  
-  if (togglePasswordBtn) {
-    togglePasswordBtn.addEventListener('click', () => {
-      const type = passInput.getAttribute('type') === 'password' ? 'text' : 'password';
-      passInput.setAttribute('type', type);
-      
-      // Update button label
-      const label = type === 'password' ? 'Show password' : 'Hide password';
-      togglePasswordBtn.setAttribute('aria-label', label);
-      
-      // Update icon (optional visual feedback)
-      togglePasswordBtn.style.color = type === 'text' ? 'var(--yellow)' : 'var(--muted)';
-    });
+  /*
+    Everything stored for a customer is keyed by their customer ID
+    ("<prefix><customer ID>"), so each demo persona keeps separate
+    accounts, transactions, payees, scheduled payments, limits and
+    budgets, along with their idle timeout and step-up threshold.
+    Signing in or out clears whatever the previous customer left on
+    screen. The language is a browser-wide preference and is shared.
+    The activity log is not part of the profile: a reset keeps it,
+    like a real bank's audit trail.
+  */
+
+  const customerKeyPrefixes = [
+    ledgerKeyPrefix, payeesKeyPrefix, scheduledKeyPrefix, limitsKeyPrefix, budgetsKeyPrefix,
+    idleTimeoutKeyPrefix, stepUpThresholdKeyPrefix
+  ];
+
+  const profileReset = $("#profileReset");
+
+  /**
+   * Switches the app to a customer's data, or to none when signed out.
+   * Forms, filters and screens holding the previous customer's
+   * details are reset first.
+   * @param {string|null} cust - Customer ID, or null
+   */
+  function switchProfile(cust) {
+    openLedger(cust);
+
+    // The saved table view could hold the previous customer's search
+    Object.assign(txView, defaultTxView);
+    sessionStorage.removeItem(txViewKey);
+    syncTxFilterInputs();
+    txAccountId = ledger.accounts.length ? ledger.accounts[0].id : '';
+    resetTxScroll();
+    insightsMonth = '';
+
+    receiptEntry = null;
+    resetImport();
+    transferForm.reset();
+    transferStatus.textContent = '';
+    updatePayTypeFields();
+    updateWhenFields();
+    updateBSBLookup();
+    resetPayeeForm();
+    closeScheduleEdit();
+    resetBudgetForm();
+    resetActivityFilters();
+
+    renderLedger();
+  }
+
+  /**
+   * Removes everything stored for a customer
+   * @param {string} cust - Customer ID
+   */
+  function clearProfileData(cust) {
+    customerKeyPrefixes.forEach((prefix) => localStorage.removeItem(prefix + cust));
   }
 
+  // Puts the signed-in customer back to their seed data; other customers are untouched
+  profileReset.addEventListener("click", () => {
+    const cust = getCustomerId();
+    if (!cust || !window.confirm(translate('profile.confirmReset'))) return;
+
+    clearProfileData(cust);
+    switchProfile(cust);
+    renderLimitsForm();
+    renderBudgets();
+    showToast(translate('profile.resetDone'), 'success');
+  });
+
 
   /*
     ================================================================
-    LOGOUT HANDLING
+    CROSS-TAB SYNC
     ================================================================
   */
 
-  logoutBtn.addEventListener("click", () => {
-    setAuthed(false);
-    logoutBtn.hidden = true;
-    show("login");
+  /*
+    Every tab of the app shares one localStorage, and the browser
+    fires a "storage" event in the other tabs whenever it changes.
+    That keeps open tabs in step:
+
+      session_key         signed out, or signed in as someone else,
+                          in another tab → follow it here
+      <prefix><cust>      the signed-in customer's data changed →
+                          reload it and re-render what shows it
+
+    Money only moves inside updateLedger(), which re-checks the stored
+    balance under a cross-tab lock, so tabs cannot double-spend.
+  */
+
+  /**
+   * Follows a sign-in or sign-out made in another tab
+   */
+  async function syncSession() {
+    const previous = getCustomerId();
+    await restoreSession();
+    const cust = getCustomerId();
+    if (cust === previous) return;
+
+    if (!cust) {
+      showSignedOut(translate('toast.signedOutElsewhere'));
+      return;
+    }
+
+    const { name } = currentSession;
+    switchProfile(cust);
+    startIdleTimer();
+    logoutBtn.hidden = false;
     loginForm.reset();
     loginStatus.textContent = "";
-    
-    // Reset validation states
-    custInput.setAttribute('aria-invalid', 'false');
-    passInput.setAttribute('aria-invalid', 'false');
-    
-    custInput.focus();
-    showToast('Successfully logged out', 'info');
-  });
+    clearToasts();
+    showToast(translate(previous ? 'toast.switchedElsewhere' : 'toast.signedInElsewhere', { name: name }), 'info');
+    navigate(previous ? defaultRoute : consumeLoginRedirect(), { replace: true });
+  }
 
+  /**
+   * Re-renders the views that show a customer's stored data after
+   * another tab changed it
+   * @param {string} key - localStorage key that changed
+   */
+  function syncCustomerData(key) {
+    const cust = getCustomerId();
+    if (!cust) return;
 
-  /*
-    ================================================================
-    TAB NAVIGATION
-    ================================================================
-  */
+    if (key === ledgerKeyPrefix + cust) {
+      openLedger(cust);
+      renderLedger();
+      updateLimitInfo();
+      updateBudgetWarning();
+      // What each account has sent is shown next to its limits
+      if (!$("#settings").hidden && !limitsForm.contains(document.activeElement)) renderLimitsForm();
+      if (pendingImport) renderImportPreview();
+    } else if (key === payeesKeyPrefix + cust) {
+      renderPayees();
+    } else if (key === scheduledKeyPrefix + cust) {
+      renderSchedules();
+    } else if (key === limitsKeyPrefix + cust) {
+      // Limits being typed in here are left alone
+      if (!limitsForm.contains(document.activeElement)) renderLimitsForm();
+      updateLimitInfo();
+    } else if (key === budgetsKeyPrefix + cust) {
+      renderBudgets();
+      updateBudgetWarning();
+    } else if (key === activityKeyPrefix + cust || key === activityKeyPrefix + unknownCustomerLog) {
+      renderActivity();
+    }
+  }
 
-  $$("#appTabs .tab").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const tabId = btn.dataset.tab;
-      show(tabId);
-    });
-  });
+  window.addEventListener("storage", (e) => {
+    if (e.storageArea !== localStorage) return;
 
-  // Keyboard navigation for tabs
-  const tabButtons = $$("#appTabs .tab");
-  tabButtons.forEach((tab, index) => {
-    tab.addEventListener('keydown', (e) => {
-      let newIndex = index;
-      
-      if (e.key === 'ArrowRight') {
-        newIndex = (index + 1) % tabButtons.length;
-        e.preventDefault();
-      } else if (e.key === 'ArrowLeft') {
-        newIndex = (index - 1 + tabButtons.length) % tabButtons.length;
-        e.preventDefault();
-      }
-      
-      if (newIndex !== index) {
-        tabButtons[newIndex].focus();
-        tabButtons[newIndex].click();
-      }
-    });
+    // A null key means storage was cleared, which ends the session too
+    if (e.key === null || e.key === sessionKey) {
+      syncSession();
+    } else {
+      syncCustomerData(e.key);
+    }
   });
 
 
   /*
     ================================================================
-    TRANSACTION RENDERING
+    HASH ROUTER
     ================================================================
   */
 
-  const transactions = [
-    { date: "2025-11-15", desc: "Tap N Pay – Cafe", amt: -7.50, bal: 2442.85 },
-    { date: "2025-11-14", desc: "Salary – ACME Pty Ltd", amt: 2200.00, bal: 2450.35 },
-    { date: "2025-11-13", desc: "Groceries – Woolworths", amt: -120.40, bal: 250.35 },
-    { date: "2025-11-12", desc: "Online Transfer", amt: -50.00, bal: 370.75 },
-    { date: "2025-11-11", desc: "ATM Withdrawal", amt: -100.00, bal: 420.75 }
-  ];
+  /*
+    Client-side routes live in the URL hash so they work when the
+    page is opened straight from disk (no server rewrites needed):
 
-  const txBody = $("#txBody");
+      #/login?next=/transfer          → login, then return to /transfer
+      #/dashboard
+      #/transactions/001?q=salary     → account 001, search "salary"
+      #/transfer?to=062-000%2012345678
+      #/payees
+      #/scheduled
+      #/activity
+      #/settings
+      #/receipt/TRF-7KQ9-X2MD         → receipt for a transfer
+
+    Each hash change becomes a browser history entry, so Back and
+    Forward move between screens. Screens still switch via show(),
+    which keeps updateActiveTab() and announcePageChange() in sync.
+    Hashes that do not start with "#/" (e.g. the skip link's #main)
+    are left alone. Unknown routes, and paths that cannot be decoded
+    (e.g. #/transactions/%E0), are replaced by the default screen.
+  */
+
+  const routes = {
+    login: { auth: false, handler: routeLogin },
+    dashboard: { auth: true, handler: routeDashboard },
+    transactions: { auth: true, handler: routeTransactions },
+    transfer: { auth: true, handler: routeTransfer },
+    payees: { auth: true, handler: routePayees },
+    scheduled: { auth: true, handler: routeScheduled },
+    activity: { auth: true, handler: routeActivity },
+    settings: { auth: true, handler: routeSettings },
+    receipt: { auth: true, handler: routeReceipt }
+  };
+
+  const defaultRoute = "/dashboard";
+
+  // Transaction filters that can be expressed in the URL
+  const txRouteParams = {
+    q: "query",
+    from: "dateFrom",
+    to: "dateTo",
+    min: "amountMin",
+    max: "amountMax",
+    type: "type"
+  };
 
   /**
-   * Renders the transaction table
+   * Decodes one path segment
+   * @param {string} segment - Percent-encoded segment
+   * @returns {string|null} - Decoded segment, or null if it is malformed
    */
-  function renderTx() {
-    txBody.innerHTML = transactions
-      .map((t) => {
-        const isNegative = t.amt < 0;
-        const formattedAmount = isNegative
-          ? `-$${Math.abs(t.amt).toFixed(2)}`
-          : `$${t.amt.toFixed(2)}`;
-        
-        const amountClass = isNegative ? 'amount-negative' : 'amount-positive';
-        const amountLabel = isNegative ? 'Debit' : 'Credit';
-
-        return `
-          <tr>
-            <td>${sanitizeInput(t.date)}</td>
-            <td>${sanitizeInput(t.desc)}</td>
-            <td class="text-right ${amountClass}" aria-label="${amountLabel} ${Math.abs(t.amt)}">${formattedAmount}</td>
-            <td class="text-right">$${t.bal.toFixed(2)}</td>
-          </tr>
-        `;
-      })
-      .join("");
+  function decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return null;
+    }
   }
 
-  // Render transactions on load
-  renderTx();
+  /**
+   * Splits a route path into name, path segments and query.
+   * A path with a malformed segment gets an empty name, which
+   * matches no route.
+   * @param {string} path - e.g. "/transactions/001?q=salary"
+   * @returns {Object} - { name, segments, query, path }
+   */
+  function parseRoute(path) {
+    const [pathname, search = ""] = path.split("?");
+    let segments = pathname.split("/").filter(Boolean).map(decodeSegment);
+    if (segments.includes(null)) segments = [];
+    return {
+      name: segments[0] || "",
+      segments: segments.slice(1),
+      query: new URLSearchParams(search),
+      path: path
+    };
+  }
 
+  /**
+   * Returns the current route path from the URL hash
+   * @returns {string|null} - e.g. "/dashboard", or null for non-route hashes
+   */
+  function currentPath() {
+    const hash = window.location.hash;
+    return hash.startsWith("#/") ? hash.slice(1) : null;
+  }
 
-  /*
-    ================================================================
-    TRANSFER FORM VALIDATION
-    ================================================================
-  */
+  /**
+   * Navigates to a route, adding a browser history entry
+   * unless replace is set
+   * @param {string} path - Route path beginning with "/"
+   * @param {Object} options - { replace: boolean }
+   */
+  function navigate(path, options = {}) {
+    const hash = "#" + path;
 
-  const transferForm = $("#transferForm");
-  const transferStatus = $("#transferForm .form-status");
-  const toInput = $("#to");
-  const amountInput = $("#amount");
-  const descInput = $("#desc");
+    if (window.location.hash === hash) {
+      handleRoute();
+    } else if (options.replace) {
+      window.location.replace(hash);
+    } else {
+      window.location.hash = hash;
+    }
+  }
 
   /**
-   * Validates BSB-Account number format
-   * @param {string} value - Input value
-   * @returns {boolean}
+   * Updates the URL to reflect the current state without adding
+   * a history entry or re-running the route handler
+   * @param {string} path - Route path beginning with "/"
    */
-  function validateBSBAccount(value) {
-    // Expected format: 062-000 12345678 or 062000 12345678
-    // BSB: 6 digits (with optional hyphen after 3rd)
-    // Account: 6-9 digits
-    const pattern = /^\d{3}-?\d{3}\s*\d{6,9}$/;
-    return pattern.test(value.trim());
+  function replacePath(path) {
+    if (currentPath() !== path) {
+      history.replaceState(history.state, "", "#" + path);
+    }
   }
 
   /**
-   * Validates transfer amount
-   * @param {number} amount - Amount to validate
-   * @param {number} balance - Available balance
-   * @returns {Object} - Validation result
+   * Reads and validates the post-login destination
+   * @returns {string} - Route path to open after signing in
    */
-  function validateAmount(amount, balance) {
-    if (amount === null || isNaN(amount)) {
-      return { valid: false, error: 'Please enter a valid amount' };
+  function consumeLoginRedirect() {
+    const path = currentPath();
+    const next = path ? parseRoute(path).query.get("next") : null;
+
+    if (next && next.startsWith("/")) {
+      const target = routes[parseRoute(next).name];
+      if (target && target.auth) return next;
     }
-    if (amount <= 0) {
-      return { valid: false, error: 'Amount must be greater than $0.00' };
+    return defaultRoute;
+  }
+
+  /**
+   * Runs the handler for the current hash, applying auth guards
+   */
+  function handleRoute() {
+    const path = currentPath();
+    if (path === null) return;
+
+    const route = parseRoute(path);
+    const config = routes[route.name];
+
+    if (!config) {
+      navigate(isAuthed() ? defaultRoute : "/login", { replace: true });
+      return;
     }
-    if (amount > balance) {
-      return { valid: false, error: `Insufficient funds. Available: $${balance.toFixed(2)}` };
+
+    // Guard: signed-out users are sent to login, remembering the target
+    if (config.auth && !isAuthed()) {
+      navigate(`/login?next=${encodeURIComponent(path)}`, { replace: true });
+      return;
     }
-    if (amount > 10000) {
-      return { valid: false, error: 'Transfer limit is $10,000.00 per transaction' };
+
+    // Signed-in users have no reason to see the login form
+    if (!config.auth && isAuthed()) {
+      navigate(defaultRoute, { replace: true });
+      return;
     }
-    return { valid: true };
+
+    config.handler(route);
   }
 
   /**
-   * Validates the entire transfer form
-   * @returns {Object} - Validation result
+   * Route: #/login
    */
-  function validateTransfer() {
-    const errors = [];
-    const to = toInput.value.trim();
-    const amount = sanitizeNumber(amountInput.value);
-    const desc = descInput.value.trim();
-    const fromAccount = $("#from").value;
-
-    // Get balance for selected account
-    const balances = { '001': 2450.35, '002': 8120.00 };
-    const balance = balances[fromAccount] || 0;
-
-    // Validate BSB-Account
-    if (!to) {
-      errors.push('Destination account is required');
-      toInput.setAttribute('aria-invalid', 'true');
-    } else if (!validateBSBAccount(to)) {
-      errors.push('Invalid BSB-Account format. Use: 062-000 12345678');
-      toInput.setAttribute('aria-invalid', 'true');
-    } else {
-      toInput.setAttribute('aria-invalid', 'false');
+  function routeLogin() {
+    show("login");
+    custInput.focus();
+  }
+
+  /**
+   * Route: #/dashboard
+   */
+  function routeDashboard() {
+    renderBudgets();
+    show("dashboard");
+  }
+
+  /**
+   * Route: #/transactions[/accountId][?q=&from=&to=&min=&max=&type=]
+   * Filters in the query replace the saved filters; without any,
+   * the saved filters are kept and written back into the URL.
+   * @param {Object} route - Parsed route
+   */
+  function routeTransactions(route) {
+    const accountId = route.segments[0];
+
+    if (accountId && !getAccount(accountId)) {
+      showToast(translate('tx.accountNotFound'), 'error');
+      navigate("/transactions", { replace: true });
+      return;
     }
 
-    // Validate amount
-    const amountValidation = validateAmount(amount, balance);
-    if (!amountValidation.valid) {
-      errors.push(amountValidation.error);
-      amountInput.setAttribute('aria-invalid', 'true');
-    } else {
-      amountInput.setAttribute('aria-invalid', 'false');
+    const hasFilters = Object.keys(txRouteParams).some((p) => route.query.has(p));
+    if (hasFilters) {
+      Object.keys(txRouteParams).forEach((param) => {
+        const key = txRouteParams[param];
+        txView[key] = route.query.get(param) || defaultTxView[key];
+      });
+      if (!["all", "debit", "credit"].includes(txView.type)) {
+        txView.type = "all";
+      }
+      resetTxScroll();
+      saveTxView();
+      syncTxFilterInputs();
     }
 
-    // Validate description length
-    if (desc.length > 40) {
-      errors.push('Description must be 40 characters or less');
-      descInput.setAttribute('aria-invalid', 'true');
-    } else {
-      descInput.setAttribute('aria-invalid', 'false');
+    selectTxAccount(accountId || txAccountId);
+    show("transactions");
+    syncTxRoute();
+  }
+
+  /**
+   * Route: #/transfer[?from=&to=&amount=&desc=]
+   * Query values pre-fill the transfer form.
+   * @param {Object} route - Parsed route
+   */
+  function routeTransfer(route) {
+    const { query } = route;
+
+    if (query.has("from") && getAccount(query.get("from"))) {
+      fromSelect.value = query.get("from");
     }
+    // Pay links and saved payees are BSB-Account destinations
+    if (query.has("to")) {
+      setPayType('bsb');
+      toInput.value = query.get("to");
+    }
+    if (query.has("amount")) amountInput.value = query.get("amount");
+    if (query.has("desc")) descInput.value = query.get("desc").slice(0, 40);
 
-    return {
-      isValid: errors.length === 0,
-      errors: errors,
-      data: {
-        to: sanitizeInput(to),
-        amount: amount,
-        desc: sanitizeInput(desc),
-        from: fromAccount
-      }
-    };
+    renderPayees();
+    updatePayTypeFields();
+    updateBSBLookup();
+    updateLimitInfo();
+    updateBudgetWarning();
+    show("transfer");
   }
 
   /**
-   * Handles transfer form submission
+   * Route: #/payees
    */
-  transferForm.addEventListener("submit", async (event) => {
-    event.preventDefault();
+  function routePayees() {
+    resetPayeeForm();
+    renderPayees();
+    show("payees");
+  }
 
-    const submitBtn = transferForm.querySelector('.btn');
-    const validation = validateTransfer();
+  /**
+   * Route: #/scheduled
+   */
+  function routeScheduled() {
+    closeScheduleEdit();
+    renderSchedules();
+    show("scheduled");
+  }
 
-    if (!validation.isValid) {
-      transferStatus.textContent = validation.errors[0];
-      transferStatus.style.color = "var(--error)";
-      showToast(validation.errors[0], 'error');
+  /**
+   * Route: #/activity
+   */
+  function routeActivity() {
+    renderActivity();
+    show("activity");
+  }
+
+  /**
+   * Route: #/settings
+   */
+  function routeSettings() {
+    renderLimitsForm();
+    resetBudgetForm();
+    renderBudgets();
+    show("settings");
+  }
+
+  /**
+   * Route: #/receipt/<reference>
+   * @param {Object} route - Parsed route
+   */
+  function routeReceipt(route) {
+    const entry = findReceipt(route.segments[0]);
+
+    if (!entry) {
+      showToast(translate('receipt.notFound'), 'error');
+      navigate("/transactions", { replace: true });
       return;
     }
 
-    // Show loading state
-    showLoading(submitBtn);
-    transferStatus.textContent = 'Processing transfer...';
-    transferStatus.style.color = "var(--info)";
-
-    // Simulate transfer processing
-    await simulateAsync(1500);
+    receiptEntry = entry;
+    renderReceipt();
+    show("receipt");
+  }
 
-    // Success
-    transferStatus.textContent = "";
-    hideLoading(submitBtn);
-    
-    const { to, amount } = validation.data;
-    showToast(`Successfully transferred $${amount.toFixed(2)} to ${to}`, 'success', 5000);
-    
-    transferForm.reset();
-    
-    // Reset validation states
-    [toInput, amountInput, descInput].forEach(input => {
-      input.setAttribute('aria-invalid', 'false');
-    });
-  });
+  /**
+   * Writes the selected account and active filters into the URL
+   * while the transactions screen is showing
+   */
+  function syncTxRoute() {
+    const path = currentPath();
+    if (!path || parseRoute(path).name !== "transactions") return;
 
-  // Real-time validation on blur
-  [toInput, amountInput, descInput].forEach(input => {
-    input.addEventListener('blur', () => {
-      if (input.value.trim() || input === amountInput) {
-        validateTransfer();
+    const query = new URLSearchParams();
+    Object.keys(txRouteParams).forEach((param) => {
+      const key = txRouteParams[param];
+      if (txView[key] && txView[key] !== defaultTxView[key]) {
+        query.set(param, txView[key]);
       }
     });
-  });
 
-  // Real-time BSB-Account formatting
-  toInput.addEventListener('input', (e) => {
-    let value = e.target.value.replace(/[^\d\s-]/g, '');
-    // Auto-format BSB with hyphen
-    if (value.length >= 3 && value[3] !== '-' && !value.includes('-')) {
-      value = value.slice(0, 3) + '-' + value.slice(3);
-    }
-    e.target.value = value;
-  });
+    const search = query.toString();
+    replacePath(`/transactions/${encodeURIComponent(txAccountId)}${search ? "?" + search : ""}`);
+  }
 
-  // Prevent negative amounts
-  amountInput.addEventListener('input', (e) => {
-    if (parseFloat(e.target.value) < 0) {
-      e.target.value = '';
-    }
-  });
 
 
   /*
@@ -682,17 +7743,50 @@
     ================================================================
   */
 
-  if (isAuthed()) {
-    logoutBtn.hidden = false;
-    show("dashboard");
-    showToast('Welcome back!', 'info', 2000);
-  } else {
-    show("login");
-  }
+  /**
+   * Re-renders text built in JavaScript after setLanguage()
+   * (static markup is already handled by applyTranslations)
+   */
+  function onLanguageChange() {
+    formValidators.forEach((validator) => validator.refresh());
+    renderLedger();
+    updateBSBLookup();
+    updatePayeeFormText();
+    if (pendingImport) renderImportPreview();
 
-  // Focus first input on login page
-  if (!isAuthed()) {
-    custInput.focus();
+    if (isAuthed()) {
+      renderPayees();
+      updatePayTypeFields();
+      renderSchedules();
+      renderActivity();
+      renderLimitsForm();
+      updateLimitInfo();
+      updateBudgetFormText();
+      updateBudgetWarning();
+      renderReceipt();
+    }
   }
 
+  applyTranslations();
+
+  // The stored session is verified before any route is resolved
+  restoreSession().then(() => {
+    if (isAuthed()) {
+      openLedger(getCustomerId());
+      renderLedger();
+      logoutBtn.hidden = false;
+      startIdleTimer();
+      showToast(translate('toast.welcomeBack'), 'info', 2000);
+      runDueSchedules();
+    }
+
+    // Reloads and deep links keep their route; otherwise pick a start screen
+    if (currentPath() === null) {
+      history.replaceState(history.state, "", "#" + (isAuthed() ? defaultRoute : "/login"));
+    }
+
+    window.addEventListener("hashchange", handleRoute);
+    handleRoute();
+  });
+
 })();
@@ -0,0 +1,54 @@
+/*
+  bsb-directory.js
+  ----------------
+  Local BSB directory used to look up the destination branch on the
+  transfer form. Loaded before app.js and exposed as window.BSB_DIRECTORY
+  so the prototype still works when opened straight from disk (no fetch).
+
+  This is a small sample in the shape of the APCA/AusPayNet BSB file,
+  not the full directory. Each entry is keyed by "NNN-NNN":
+
+    institution  - Financial institution mnemonic, e.g. "CBA"
+    bank         - Full institution name
+    branch       - Branch name
+    suburb       - Branch suburb
+    state        - State / territory
+    payments     - Payment types accepted, using the APCA flags:
+                     P = paper (cheques), E = electronic (Direct Entry),
+                     H = high value (RTGS)
+    closed       - True once the BSB has been retired
+*/
+
+window.BSB_DIRECTORY = {
+  "062-000": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "48 Martin Place", suburb: "Sydney", state: "NSW", payments: "PEH", closed: false },
+  "062-001": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Haymarket", suburb: "Sydney", state: "NSW", payments: "PEH", closed: false },
+  "062-111": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Parramatta", suburb: "Parramatta", state: "NSW", payments: "PEH", closed: false },
+  "062-692": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Bondi Junction", suburb: "Bondi Junction", state: "NSW", payments: "PEH", closed: false },
+  "062-914": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Manly", suburb: "Manly", state: "NSW", payments: "PE", closed: true },
+  "063-000": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "385 Bourke Street", suburb: "Melbourne", state: "VIC", payments: "PEH", closed: false },
+  "064-000": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "240 Queen Street", suburb: "Brisbane", state: "QLD", payments: "PEH", closed: false },
+  "065-000": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "96 King William Street", suburb: "Adelaide", state: "SA", payments: "PEH", closed: false },
+  "066-000": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "150 St Georges Terrace", suburb: "Perth", state: "WA", payments: "PEH", closed: false },
+  "067-167": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Hobart", suburb: "Hobart", state: "TAS", payments: "PEH", closed: false },
+  "062-998": { institution: "CBA", bank: "Commonwealth Bank of Australia", branch: "Cheque Clearing Centre", suburb: "Sydney", state: "NSW", payments: "P", closed: false },
+  "012-003": { institution: "ANZ", bank: "Australia and New Zealand Banking Group", branch: "Martin Place", suburb: "Sydney", state: "NSW", payments: "PEH", closed: false },
+  "013-006": { institution: "ANZ", bank: "Australia and New Zealand Banking Group", branch: "388 Collins Street", suburb: "Melbourne", state: "VIC", payments: "PEH", closed: false },
+  "014-002": { institution: "ANZ", bank: "Australia and New Zealand Banking Group", branch: "324 Queen Street", suburb: "Brisbane", state: "QLD", payments: "PEH", closed: false },
+  "012-528": { institution: "ANZ", bank: "Australia and New Zealand Banking Group", branch: "Chatswood", suburb: "Chatswood", state: "NSW", payments: "PE", closed: true },
+  "032-000": { institution: "WBC", bank: "Westpac Banking Corporation", branch: "275 Kent Street", suburb: "Sydney", state: "NSW", payments: "PEH", closed: false },
+  "033-000": { institution: "WBC", bank: "Westpac Banking Corporation", branch: "360 Collins Street", suburb: "Melbourne", state: "VIC", payments: "PEH", closed: false },
+  "034-001": { institution: "WBC", bank: "Westpac Banking Corporation", branch: "260 Queen Street", suburb: "Brisbane", state: "QLD", payments: "PEH", closed: false },
+  "732-000": { institution: "WBC", bank: "Westpac Banking Corporation", branch: "Sydney Operations", suburb: "Sydney", state: "NSW", payments: "E", closed: false },
+  "082-001": { institution: "NAB", bank: "National Australia Bank", branch: "255 George Street", suburb: "Sydney", state: "NSW", payments: "PEH", closed: false },
+  "083-004": { institution: "NAB", bank: "National Australia Bank", branch: "395 Bourke Street", suburb: "Melbourne", state: "VIC", payments: "PEH", closed: false },
+  "084-004": { institution: "NAB", bank: "National Australia Bank", branch: "100 Creek Street", suburb: "Brisbane", state: "QLD", payments: "PEH", closed: false },
+  "082-356": { institution: "NAB", bank: "National Australia Bank", branch: "Newtown", suburb: "Newtown", state: "NSW", payments: "PE", closed: true },
+  "112-879": { institution: "STG", bank: "St.George Bank", branch: "Kogarah", suburb: "Kogarah", state: "NSW", payments: "PEH", closed: false },
+  "124-001": { institution: "BQL", bank: "Bank of Queensland", branch: "Brisbane", suburb: "Brisbane", state: "QLD", payments: "PE", closed: false },
+  "182-512": { institution: "MBL", bank: "Macquarie Bank", branch: "Personal Banking", suburb: "Sydney", state: "NSW", payments: "EH", closed: false },
+  "484-799": { institution: "MET", bank: "Suncorp-Metway", branch: "Brisbane", suburb: "Brisbane", state: "QLD", payments: "PE", closed: false },
+  "633-000": { institution: "BBL", bank: "Bendigo and Adelaide Bank", branch: "Bendigo", suburb: "Bendigo", state: "VIC", payments: "PEH", closed: false },
+  "923-100": { institution: "ING", bank: "ING Bank (Australia)", branch: "Sydney", suburb: "Sydney", state: "NSW", payments: "E", closed: false },
+  "814-282": { institution: "CUA", bank: "Great Southern Bank", branch: "Brisbane", suburb: "Brisbane", state: "QLD", payments: "E", closed: false },
+  "082-991": { institution: "UBANK", bank: "ubank (National Australia Bank)", branch: "Online", suburb: "Melbourne", state: "VIC", payments: "E", closed: false }
+};
@@ -0,0 +1,590 @@
+/*
+  i18n/ar.js
+  ----------
+  Arabic (ar) message catalogue. Loaded before app.js and registered
+  on window.APP_MESSAGES.ar; see INTERNATIONALISATION in app.js for
+  the "{placeholder}" and plural-object formats.
+
+  Arabic is written right to left; app.js sets dir="rtl" on <html>
+  when it is selected. Plural messages use all six Arabic categories
+  (zero, one, two, few, many, other).
+*/
+
+window.APP_MESSAGES = window.APP_MESSAGES || {};
+
+window.APP_MESSAGES.ar = {
+  "nav.skip": "انتقل إلى المحتوى الرئيسي",
+  "nav.primary": "التنقل الرئيسي",
+  "nav.logoutLabel": "تسجيل الخروج من حسابك",
+  "nav.sections": "أقسام التطبيق",
+  "nav.logout": "تسجيل الخروج",
+
+  "tabs.accounts": "الحسابات",
+  "tabs.transactions": "المعاملات",
+  "tabs.transfer": "تحويل",
+  "tabs.scheduled": "المجدولة",
+  "tabs.accountsLabel": "عرض الحسابات",
+  "tabs.transactionsLabel": "عرض المعاملات",
+  "tabs.transferLabel": "تحويل الأموال",
+  "tabs.payeesLabel": "إدارة المستفيدين",
+  "tabs.activity": "النشاط",
+  "tabs.activityLabel": "عرض النشاط الأمني",
+
+  "payees.heading": "المستفيدون",
+  "payees.name": "اسم المستفيد",
+  "payees.intro": "احفظ الأشخاص والجهات التي تدفع لها بانتظام",
+  "payees.listHeading": "المستفيدون المحفوظون",
+  "payees.addHeading": "إضافة مستفيد",
+  "payees.save": "حفظ المستفيد",
+  "payees.cancelEdit": "إلغاء التعديل",
+  "payees.namePlaceholder": "مثال: المالك",
+  "payees.to": "BSB-الحساب",
+  "payees.savedFromTransfer": "تم حفظ {name} في قائمة المستفيدين",
+  "payees.errors.nameRequired": "اسم المستفيد مطلوب",
+  "payees.errors.nameLength": "يجب ألا يزيد اسم المستفيد على 40 حرفًا",
+  "payees.errors.toRequired": "BSB-الحساب مطلوب",
+  "payees.errors.duplicate": "لديك بالفعل مستفيد بهذا BSB-الحساب",
+  "payees.payLabel": "ادفع إلى {name}",
+  "payees.pay": "ادفع",
+  "payees.editLabel": "تعديل {name}",
+  "payees.deleteLabel": "حذف {name}",
+  "payees.empty": "ليس لديك مستفيدون محفوظون بعد.",
+  "payees.choose": "اختر مستفيدًا…",
+  "payees.editHeading": "تعديل {name}",
+  "payees.updated": "تم تحديث {name}",
+  "payees.added": "تمت إضافة {name} إلى المستفيدين",
+  "payees.confirmDelete": "هل تريد حذف {name} من المستفيدين؟",
+  "payees.deleted": "تم حذف {name}",
+
+  "settings.heading": "الإعدادات",
+  "settings.intro": "إدارة حدود التحويل والميزانيات الشهرية والملف التجريبي",
+
+  "login.heading": "سجّل الدخول إلى حسابك",
+  "login.intro": "أدخل بيانات الاعتماد للوصول إلى حساباتك",
+  "login.custHelp": "رقم تعريف العميل الخاص بك",
+  "login.passHelp": "كلمة المرور الآمنة الخاصة بك",
+  "login.submit": "تسجيل الدخول",
+  "login.custPlaceholder": "أدخل رقم العميل",
+  "login.passPlaceholder": "أدخل كلمة المرور",
+  "login.showPassword": "إظهار كلمة المرور",
+  "login.submitLabel": "إرسال نموذج تسجيل الدخول",
+  "login.cust": "رقم العميل",
+  "login.pass": "كلمة المرور",
+  "login.demoTitle": "بيانات الدخول التجريبية:",
+  "login.demoLockout": "ثلاث محاولات خاطئة تقفل رقم العميل مؤقتًا.",
+  "login.errors.custRequired": "رقم العميل مطلوب",
+  "login.errors.passRequired": "كلمة المرور مطلوبة",
+  "login.errors.passLength": "يجب ألا تقل كلمة المرور عن {min} أحرف",
+  "login.errors.noCrypto": "تسجيل الدخول الآمن غير مدعوم في هذا المتصفح.",
+  "login.errors.locked": "محاولات فاشلة كثيرة. حاول مجددًا بعد {wait}.",
+  "login.authenticating": "جارٍ التحقق...",
+  "login.errors.nowLocked": "رقم العميل أو كلمة المرور غير صحيحة. تم قفل تسجيل الدخول لمدة {wait}.",
+  "login.errors.incorrect": { zero: "رقم العميل أو كلمة المرور غير صحيحة. لم تتبقَّ أي محاولة.", one: "رقم العميل أو كلمة المرور غير صحيحة. تبقّت محاولة واحدة.", two: "رقم العميل أو كلمة المرور غير صحيحة. تبقّت محاولتان.", few: "رقم العميل أو كلمة المرور غير صحيحة. تبقّت {count} محاولات.", many: "رقم العميل أو كلمة المرور غير صحيحة. تبقّت {count} محاولة.", other: "رقم العميل أو كلمة المرور غير صحيحة. تبقّت {count} محاولة." },
+  "login.hidePassword": "إخفاء كلمة المرور",
+
+  "dashboard.heading": "نظرة عامة على حساباتك",
+  "dashboard.intro": "اطّلع على أرصدة حساباتك وأدِر أموالك",
+  "dashboard.listLabel": "حساباتك",
+  "dashboard.balanceLabel": "الرصيد: {amount}",
+  "dashboard.accountNumber": "رقم الحساب",
+  "dashboard.openHint": "اضغط Enter لعرض المعاملات",
+
+  "tx.heading": "أحدث المعاملات",
+  "tx.accountLabel": "الحساب",
+  "tx.accountHelp": "اختر الحساب الذي تريد عرض سجله",
+  "tx.search": "ابحث في الوصف",
+  "tx.dateFrom": "من تاريخ",
+  "tx.dateTo": "إلى تاريخ",
+  "tx.amountMin": "الحد الأدنى للمبلغ ($)",
+  "tx.amountMax": "الحد الأقصى للمبلغ ($)",
+  "tx.type": "النوع",
+  "tx.typeAll": "الكل",
+  "tx.typeDebit": "المدفوعات",
+  "tx.typeCredit": "الإيداعات",
+  "tx.clearFilters": "مسح عوامل التصفية",
+  "tx.caption": "أحدث المعاملات",
+  "tx.colDate": "التاريخ",
+  "tx.colDesc": "الوصف",
+  "tx.colAmount": "المبلغ",
+  "tx.colBalance": "الرصيد",
+  "tx.filtersLabel": "تصفية المعاملات",
+  "tx.searchPlaceholder": "مثال: راتب، Woolworths",
+  "tx.amountMaxPlaceholder": "أي مبلغ",
+  "tx.tableLabel": "جدول سجل المعاملات",
+  "tx.captionFor": "أحدث المعاملات لحساب {account}",
+  "tx.summary": { zero: "لا توجد معاملات", one: "معاملة واحدة", two: "معاملتان", few: "{count} معاملات", many: "{count} معاملة", other: "{count} معاملة" },
+  "tx.summaryFiltered": { zero: "لا توجد معاملات مطابقة (الإجمالي {total})", one: "معاملة مطابقة واحدة (الإجمالي {total})", two: "معاملتان مطابقتان (الإجمالي {total})", few: "{count} معاملات مطابقة (الإجمالي {total})", many: "{count} معاملة مطابقة (الإجمالي {total})", other: "{count} معاملة مطابقة (الإجمالي {total})" },
+  "tx.emptyFiltered": "لا توجد معاملات تطابق عوامل التصفية.",
+  "tx.empty": "لا توجد معاملات لهذا الحساب بعد.",
+  "tx.accountNotFound": "تعذّر العثور على هذا الحساب",
+  "tx.colCategory": "الفئة",
+  "tx.categoryFor": "فئة {desc}",
+  "tx.receipt": "الإيصال",
+  "tx.receiptFor": "إيصال {desc}",
+
+  "import.colRow": "الصف",
+  "import.colStatus": "الحالة",
+  "import.heading": "استيراد كشف حساب",
+  "import.file": "ملف كشف الحساب (CSV أو OFX)",
+  "import.help": "تُضاف المعاملات إلى الحساب المحدد أعلاه. يمكنك مراجعتها قبل حفظ أي شيء.",
+  "import.mapping": "طابِق أعمدة CSV",
+  "import.mapDate": "عمود التاريخ",
+  "import.mapDesc": "عمود الوصف",
+  "import.mapAmount": "عمود المبلغ",
+  "import.dateFormat": "تنسيق التاريخ",
+  "import.caption": "الصفوف الموجودة في ملف كشف الحساب",
+  "import.confirm": "استيراد المعاملات",
+  "import.previewLabel": "معاينة الاستيراد",
+  "import.hasHeader": "الصف الأول يحتوي على عناوين الأعمدة",
+  "import.column": "العمود {number}",
+  "import.error.date": "تاريخ غير صالح \"{value}\"",
+  "import.error.descMissing": "الوصف مفقود",
+  "import.error.descLength": "الوصف أطول من 100 حرف",
+  "import.error.amount": "مبلغ غير صالح \"{value}\"",
+  "import.error.zero": "المبلغ صفر",
+  "import.summary": "{file} ← {account}: {accepted} جديدة، {duplicates} مكررة، {failed} بها أخطاء.",
+  "import.balanceAfter": "الرصيد بعد الاستيراد: {balance} (حاليًا {current}).",
+  "import.previewLimited": "عرض أول {count} صف.",
+  "import.status.error": "خطأ: {error}",
+  "import.status.duplicate": "مكررة – تم تخطيها",
+  "import.status.new": "جديدة",
+  "import.rowError": "الصف {line}: {error}",
+  "import.moreErrors": "و{count} أخرى",
+  "import.failed": { zero: "تعذّر استيراد {count} صف ({details})", one: "تعذّر استيراد صف واحد ({details})", two: "تعذّر استيراد صفين ({details})", few: "تعذّر استيراد {count} صفوف ({details})", many: "تعذّر استيراد {count} صفًا ({details})", other: "تعذّر استيراد {count} صف ({details})" },
+  "import.tooLarge": "يجب أن يكون حجم ملف كشف الحساب أقل من 5 ميغابايت",
+  "import.unreadable": "تعذّرت قراءة الملف",
+  "import.noRows": "لم يتم العثور على معاملات في {file}",
+  "import.done": { zero: "تم استيراد {count} معاملة", one: "تم استيراد معاملة واحدة", two: "تم استيراد معاملتين", few: "تم استيراد {count} معاملات", many: "تم استيراد {count} معاملة", other: "تم استيراد {count} معاملة" },
+  "import.confirmCount": { zero: "استيراد {count} معاملة", one: "استيراد معاملة واحدة", two: "استيراد معاملتين", few: "استيراد {count} معاملات", many: "استيراد {count} معاملة", other: "استيراد {count} معاملة" },
+  "import.duplicatesSince": { zero: "لم يتم تخطي أي صف", one: "تم تخطي صف واحد لأنه أُضيف إلى الحساب بعد المعاينة", two: "تم تخطي صفين لأنهما أُضيفا إلى الحساب بعد المعاينة", few: "تم تخطي {count} صفوف لأنها أُضيفت إلى الحساب بعد المعاينة", many: "تم تخطي {count} صفًا لأنها أُضيفت إلى الحساب بعد المعاينة", other: "تم تخطي {count} صف لأنها أُضيفت إلى الحساب بعد المعاينة" },
+
+  "export.heading": "تصدير المعاملات",
+  "export.format": "تنسيق الملف",
+  "export.csv": "CSV – جداول البيانات",
+  "export.ofx": "OFX 2 – برامج المحاسبة",
+  "export.qif": "QIF – Quicken والأدوات القديمة",
+  "export.download": "تنزيل",
+  "export.help": "يصدّر المعاملات المطابقة للبحث وعوامل التصفية الحالية",
+  "export.empty": "لا توجد معاملات لتصديرها باستخدام عوامل التصفية الحالية",
+  "export.done": { zero: "تم تصدير {count} معاملة بتنسيق {format}", one: "تم تصدير معاملة واحدة بتنسيق {format}", two: "تم تصدير معاملتين بتنسيق {format}", few: "تم تصدير {count} معاملات بتنسيق {format}", many: "تم تصدير {count} معاملة بتنسيق {format}", other: "تم تصدير {count} معاملة بتنسيق {format}" },
+
+  "common.cancel": "إلغاء",
+  "common.saveChanges": "حفظ التغييرات",
+  "common.required": "مطلوب",
+  "common.edit": "تعديل",
+  "common.delete": "حذف",
+
+  "transfer.heading": "تحويل الأموال",
+  "transfer.intro": "أرسل الأموال بأمان إلى حساب آخر",
+  "transfer.fromHelp": "اختر الحساب الذي ستحوّل منه",
+  "transfer.payeePick": "ادفع لمستفيد محفوظ",
+  "transfer.payeePickHelp": "أو أدخل رمز BSB ورقم حساب جديدين أدناه",
+  "transfer.toHelp": "التنسيق: رمز BSB (6 أرقام) متبوعًا برقم الحساب (6-9 أرقام)",
+  "transfer.amountHelp": "الحد الأدنى للتحويل: $0.01. يمكنك كتابة مبالغ مثل 1,250.50",
+  "transfer.desc": "الوصف (اختياري)",
+  "transfer.descHelp": "أضف ملاحظة لهذا التحويل (40 حرفًا كحد أقصى)",
+  "transfer.when": "متى",
+  "transfer.whenNow": "الآن",
+  "transfer.whenLater": "لاحقًا",
+  "transfer.whenRecurring": "متكرر",
+  "transfer.whenHelp": "يُتحقق من رصيدك للدفعات المجدولة في يوم تنفيذها",
+  "transfer.scheduleDate": "تاريخ الدفع",
+  "transfer.frequency": "التكرار",
+  "transfer.scheduleStart": "الدفعة الأولى",
+  "transfer.scheduleEnds": "الانتهاء",
+  "transfer.endOnDate": "في تاريخ محدد",
+  "transfer.endAfterCount": "بعد عدد من الدفعات",
+  "transfer.scheduleEndDate": "آخر دفعة في موعد أقصاه",
+  "transfer.scheduleCount": "عدد الدفعات",
+  "transfer.submit": "إرسال التحويل",
+  "transfer.amount": "المبلغ (دولار أسترالي)",
+  "transfer.descPlaceholder": "مثال: دفعة الإيجار، هدية عيد ميلاد",
+  "transfer.scheduleCountPlaceholder": "مثال: 12",
+  "transfer.from": "من الحساب",
+  "transfer.to": "إلى (BSB-الحساب)",
+  "transfer.savePayee": "احفظ هذا المستفيد للمرة القادمة",
+  "transfer.noteTitle": "ملاحظة:",
+  "transfer.note": "هذا للعرض فقط. تُحدّث التحويلات الأرصدة المخزنة في هذا المتصفح؛ ولا تُنقل أموال حقيقية.",
+  "transfer.errors.amountPositive": "يجب أن يكون المبلغ أكبر من {amount}",
+  "transfer.errors.insufficient": "الرصيد غير كافٍ. المتاح: {amount}",
+  "transfer.errors.toRequired": "الحساب المستفيد مطلوب",
+  "transfer.errors.toFormat": "تنسيق BSB-الحساب غير صالح. استخدم: 062-000 12345678",
+  "transfer.errors.descLength": "يجب ألا يزيد الوصف على 40 حرفًا",
+  "transfer.status.verifying": "في انتظار التحقق...",
+  "transfer.status.cancelled": "تم إلغاء التحويل: لم يكتمل التحقق.",
+  "transfer.status.processing": "جارٍ معالجة التحويل...",
+  "transfer.done": "تم تحويل {amount} إلى {to} بنجاح",
+  "transfer.scheduled": "تمت جدولة تحويل {amount} إلى {to} في {date}",
+  "transfer.recurring": "تحويل {amount} إلى {to} {frequency} يبدأ في {date}",
+  "transfer.undo": "تراجع",
+  "transfer.undone": "تم التراجع عن تحويل {amount} إلى {to}. أُعيدت الأموال إلى حسابك.",
+  "transfer.undoFailed": "لم يعد من الممكن التراجع عن هذا التحويل",
+  "transfer.status.reviewing": "لم يُرسل التحويل. أجرِ التعديلات ثم أرسله مرة أخرى.",
+  "transfer.payType": "الدفع عبر",
+  "transfer.payTypeBSB": "BSB ورقم الحساب",
+  "transfer.payTypePayID": "PayID",
+  "transfer.payTypeBPAY": "BPAY",
+  "transfer.payTypeHelp": "يدفع PayID إلى رقم جوال أو بريد إلكتروني أو ABN. ويدفع BPAY فاتورة باستخدام رمز الجهة المفوترة والرقم المرجعي المطبوعين عليها.",
+  "transfer.confirmName": "هذا هو الشخص الذي أريد الدفع له",
+  "transfer.errors.confirmName": "أكّد أنك تريد الدفع إلى {name}",
+  "transfer.errors.noLongerPossible": "لم يعد من الممكن إجراء هذا التحويل ({reason})، ربما بسبب دفعة في علامة تبويب أخرى. لم يتم إرسال أي مبلغ.",
+  "transfer.errors.fromRequired": "اختر الحساب الذي ستحوّل منه",
+
+  "schedule.freq.weekly": "أسبوعيًا",
+  "schedule.freq.fortnightly": "كل أسبوعين",
+  "schedule.freq.monthly": "شهريًا",
+  "schedule.heading": "الدفعات المجدولة",
+  "schedule.intro": "تحويلات بتاريخ مستقبلي ومتكررة. تُعالَج الدفعات المستحقة عند فتح التطبيق.",
+  "schedule.upcoming": "القادمة",
+  "schedule.editHeading": "تعديل الدفعة المجدولة",
+  "schedule.nextDate": "تاريخ الدفعة التالية",
+  "schedule.history": "الدفعات السابقة",
+  "schedule.historyCaption": "نتائج الدفعات المجدولة السابقة",
+  "schedule.colDue": "تاريخ الاستحقاق",
+  "schedule.colTo": "إلى",
+  "schedule.colOutcome": "النتيجة",
+  "schedule.freq.once": "مرة واحدة",
+  "schedule.reason.noAccount": "الحساب غير موجود",
+  "schedule.reason.insufficientFunds": "الرصيد غير كافٍ",
+  "schedule.reason.dailyLimit": "تم بلوغ حد التحويل اليومي",
+  "schedule.reason.monthlyLimit": "تم بلوغ حد التحويل الشهري",
+  "schedule.oneOff": "دفعة لمرة واحدة",
+  "schedule.remaining": { zero: "{frequency}، لم تتبقَّ أي دفعة", one: "{frequency}، تبقّت دفعة واحدة", two: "{frequency}، تبقّت دفعتان", few: "{frequency}، تبقّت {count} دفعات", many: "{frequency}، تبقّت {count} دفعة", other: "{frequency}، تبقّت {count} دفعة" },
+  "schedule.until": "{frequency} حتى {date}",
+  "schedule.failed": "فشلت الدفعة المجدولة بقيمة {amount} إلى {to} المستحقة في {date}: {reason}",
+  "schedule.processed": { zero: "لم تُعالَج أي دفعة مجدولة", one: "تمت معالجة دفعة مجدولة واحدة", two: "تمت معالجة دفعتين مجدولتين", few: "تمت معالجة {count} دفعات مجدولة", many: "تمت معالجة {count} دفعة مجدولة", other: "تمت معالجة {count} دفعة مجدولة" },
+  "schedule.moreFailed": { zero: "فشلت {count} دفعة مجدولة أخرى. راجع الدفعات المجدولة للتفاصيل.", one: "فشلت دفعة مجدولة أخرى. راجع الدفعات المجدولة للتفاصيل.", two: "فشلت دفعتان مجدولتان أخريان. راجع الدفعات المجدولة للتفاصيل.", few: "فشلت {count} دفعات مجدولة أخرى. راجع الدفعات المجدولة للتفاصيل.", many: "فشلت {count} دفعة مجدولة أخرى. راجع الدفعات المجدولة للتفاصيل.", other: "فشلت {count} دفعة مجدولة أخرى. راجع الدفعات المجدولة للتفاصيل." },
+  "schedule.label": "{amount} إلى {to}",
+  "schedule.from": "من {account}",
+  "schedule.closedAccount": "حساب مغلق",
+  "schedule.next": "التالية: {date}",
+  "schedule.editLabel": "تعديل {label}",
+  "schedule.skipLabel": "تخطي الدفعة التالية من {label}",
+  "schedule.skip": "تخطي التالية",
+  "schedule.cancelLabel": "إلغاء {label}",
+  "schedule.empty": "ليست لديك دفعات مجدولة قادمة.",
+  "schedule.outcome.paid": "مدفوعة",
+  "schedule.outcome.failed": "فاشلة",
+  "schedule.outcome.skipped": "تم تخطيها",
+  "schedule.historyEmpty": "لم تُنفَّذ أي دفعات مجدولة بعد.",
+  "schedule.skippedLast": "تم تخطي الدفعة المستحقة في {date}. كانت تلك آخر دفعة في هذا الجدول.",
+  "schedule.skipped": "تم تخطي الدفعة المستحقة في {date}. الدفعة التالية: {next}",
+  "schedule.confirmCancel": "هل تريد إلغاء هذه الدفعة المجدولة؟ لن تُنفَّذ الدفعات المستقبلية.",
+  "schedule.cancelled": "تم إلغاء الدفعة المجدولة",
+  "schedule.errors.nextPast": "لا يمكن أن يكون تاريخ الدفعة التالية في الماضي",
+  "schedule.errors.afterEnd": "يجب أن تكون الدفعة التالية في تاريخ الانتهاء ({date}) أو قبله",
+  "schedule.updated": "تم تحديث الدفعة المجدولة",
+  "schedule.errors.dateRequired": "اختر تاريخ الدفع",
+  "schedule.errors.dateFuture": "يجب أن يكون تاريخ الدفع بعد اليوم. اختر \"{now}\" للدفع اليوم.",
+  "schedule.errors.dateTooFar": "يمكن جدولة الدفعات لمدة تصل إلى سنة مقدمًا",
+  "schedule.errors.frequency": "اختر عدد مرات تكرار الدفعة",
+  "schedule.errors.startRequired": "اختر تاريخ الدفعة الأولى",
+  "schedule.errors.startPast": "لا يمكن أن يكون تاريخ الدفعة الأولى في الماضي",
+  "schedule.errors.startTooFar": "يجب أن تكون الدفعة الأولى خلال سنة واحدة",
+  "schedule.errors.endRequired": "اختر موعد انتهاء الدفعات",
+  "schedule.errors.endBeforeStart": "يجب أن يكون تاريخ الانتهاء في يوم الدفعة الأولى أو بعده",
+  "schedule.errors.count": "يجب أن يكون عدد الدفعات عددًا صحيحًا من 1 إلى {max}",
+  "schedule.reason.accountDailyLimit": "تم بلوغ الحد اليومي للحساب",
+  "schedule.reason.accountMonthlyLimit": "تم بلوغ الحد الشهري للحساب",
+  "schedule.reason.transactionLimit": "تجاوز حد المعاملة الواحدة",
+  "schedule.errors.changed": "تم تغيير هذه الدفعة في علامة تبويب أخرى. تحقق من القائمة وحاول مجددًا.",
+
+  "limits.heading": "حدود التحويل",
+  "limits.help": "تشمل الحدود التحويل الواحد وما ترسله من جميع حساباتك مجتمعة. ويمكن أيضًا تعيين حدود يومية وشهرية خاصة لكل حساب. تُحتسب الدفعات المجدولة ضمنها في يوم تنفيذها.",
+  "limits.daily": "الحد اليومي (دولار أسترالي)",
+  "limits.monthly": "الحد الشهري (دولار أسترالي)",
+  "limits.save": "حفظ الحدود",
+  "limits.cancelPending": "إلغاء الزيادات المعلّقة",
+  "limits.breach.daily": "يتجاوز هذا التحويل حدك اليومي البالغ {limit}. المتبقي اليوم: {remaining}",
+  "limits.breach.monthly": "يتجاوز هذا التحويل حدك الشهري البالغ {limit}. المتبقي هذا الشهر: {remaining}",
+  "limits.info.daily": "المتبقي اليوم: {remaining} من {limit}",
+  "limits.info.monthly": "هذا الشهر: {remaining} من {limit}",
+  "limits.info.account": "المُرسل من {account}: {daily} اليوم، {monthly} هذا الشهر",
+  "limits.pending": "تسري الزيادة إلى {amount} في {time}",
+  "limits.errors.wholeDollars.daily": "أدخل حدك اليومي بالدولارات الكاملة",
+  "limits.errors.wholeDollars.monthly": "أدخل حدك الشهري بالدولارات الكاملة",
+  "limits.errors.range.daily": "يجب أن يكون الحد اليومي بين {min} و{max}",
+  "limits.errors.range.monthly": "يجب أن يكون الحد الشهري بين {min} و{max}",
+  "limits.errors.dailyOverMonthly": "لا يمكن أن يتجاوز الحد اليومي الحد الشهري",
+  "limits.raised.daily": "سيرتفع حدك اليومي إلى {amount} خلال 24 ساعة.",
+  "limits.raised.monthly": "سيرتفع حدك الشهري إلى {amount} خلال 24 ساعة.",
+  "limits.lowered.daily": "حدك اليومي الآن {amount}.",
+  "limits.lowered.monthly": "حدك الشهري الآن {amount}.",
+  "limits.unchanged": "لا تغييرات على حدودك",
+  "limits.pendingCancelled": "تم إلغاء زيادات الحدود المعلّقة",
+  "limits.current": "الحد الحالي: {limit}. الحد الأقصى للبنك: {max}",
+  "limits.breach.account.daily": "يتجاوز هذا التحويل الحد اليومي البالغ {limit} لحساب {account}. المتبقي اليوم: {remaining}",
+  "limits.breach.account.monthly": "يتجاوز هذا التحويل الحد الشهري البالغ {limit} لحساب {account}. المتبقي هذا الشهر: {remaining}",
+  "limits.transaction": "حد المعاملة الواحدة (AUD)",
+  "limits.breach.transaction": "يتجاوز هذا التحويل حد المعاملة الواحدة البالغ {limit}",
+  "limits.info.transaction": "حتى {limit} لكل تحويل",
+  "limits.info.account.daily": "الحد اليومي لحساب {account}: متبقٍ {remaining} من {limit}",
+  "limits.info.account.monthly": "الحد الشهري لحساب {account}: متبقٍ {remaining} من {limit}",
+  "limits.errors.wholeDollars.transaction": "أدخل حد المعاملة الواحدة بالدولارات الكاملة",
+  "limits.errors.range.transaction": "يجب أن يكون حد المعاملة الواحدة بين {min} و{max}",
+  "limits.errors.forAccount": "{account}: {error}",
+  "limits.raised.transaction": "سيرتفع حد المعاملة الواحدة إلى {amount} بعد 24 ساعة.",
+  "limits.lowered.transaction": "حد المعاملة الواحدة الآن {amount}.",
+  "limits.accounts.heading": "الحدود لكل حساب",
+  "limits.accounts.help": "اترك الحد فارغًا لتطبيق حدك العام فقط على ذلك الحساب.",
+  "limits.accounts.used": "المُرسل اليوم: {daily}. هذا الشهر: {monthly}",
+  "limits.accounts.pendingRemoval": "ستتم إزالة هذا الحد في {time}",
+  "limits.accounts.raised.daily": "{account}: سيرتفع الحد اليومي إلى {amount} بعد 24 ساعة.",
+  "limits.accounts.raised.monthly": "{account}: سيرتفع الحد الشهري إلى {amount} بعد 24 ساعة.",
+  "limits.accounts.removed.daily": "{account}: ستتم إزالة الحد اليومي بعد 24 ساعة.",
+  "limits.accounts.removed.monthly": "{account}: ستتم إزالة الحد الشهري بعد 24 ساعة.",
+  "limits.accounts.lowered.daily": "{account}: الحد اليومي الآن {amount}.",
+  "limits.accounts.lowered.monthly": "{account}: الحد الشهري الآن {amount}.",
+
+  "footer.disclaimer": "واجهة للعرض فقط. لا توجد وظائف مصرفية حقيقية.",
+
+  "idle.title": "هل ما زلت هنا؟",
+  "idle.stay": "البقاء متصلًا",
+  "idle.logout": "تسجيل الخروج الآن",
+  "idle.before": "حفاظًا على أمانك سيتم تسجيل خروجك خلال",
+  "idle.after": "بسبب عدم وجود أي نشاط.",
+  "idle.signedOut": "تم تسجيل خروجك بعد {wait} من عدم النشاط",
+  "idle.announce": "سيتم تسجيل خروجك خلال {wait}.",
+  "idle.stillSignedIn": "ما زلت مسجّل الدخول",
+
+  "stepUp.title": "أكّد أنك أنت",
+  "stepUp.codeLabel": "رمز من 6 أرقام من تطبيق المصادقة",
+  "stepUp.verify": "تحقّق",
+  "stepUp.cancel": "إلغاء التحويل",
+  "stepUp.demoShow": "إظهار الرمز الحالي",
+  "stepUp.demoTitle": "للعرض فقط:",
+  "stepUp.demoPrompt": "ليس لديك تطبيق مصادقة؟",
+  "stepUp.reason.amount": "المبلغ يتجاوز {amount}",
+  "stepUp.reason.newPayee": "لم يسبق لك الدفع إلى {to}",
+  "stepUp.reason": "نحتاج إلى التأكد من أنك أنت لأن {reasons}.",
+  "stepUp.errors.format": "أدخل الرمز المكوّن من 6 أرقام من تطبيق المصادقة.",
+  "stepUp.errors.locked": "رموز غير صحيحة كثيرة. تم إلغاء التحويل حفاظًا على أمانك، وتم قفل الرموز لمرة واحدة لمدة {wait}.",
+  "stepUp.errors.expired": "انتهت صلاحية هذا الرمز. أدخل الرمز الظاهر حاليًا في تطبيق المصادقة.",
+  "stepUp.errors.incorrect": "هذا الرمز غير صحيح.",
+  "stepUp.errors.remaining": { zero: "لم تتبقَّ أي محاولة.", one: "تبقّت محاولة واحدة.", two: "تبقّت محاولتان.", few: "تبقّت {count} محاولات.", many: "تبقّت {count} محاولة.", other: "تبقّت {count} محاولة." },
+  "stepUp.demoCode": "رمز المصادقة التجريبي: {code}",
+  "stepUp.errors.lockedFor": "رموز لمرة واحدة غير صحيحة كثيرة. حاول مجددًا بعد {wait}.",
+  "stepUp.errors.unavailable": "تعذّر التحقق من الرمز لمرة واحدة في هذا المتصفح. تم إلغاء التحويل.",
+
+  "language.label": "اللغة",
+
+  "app.title": "CommBank – نموذج أولي للواجهة",
+
+  "money.errors.required": "يرجى إدخال مبلغ",
+  "money.errors.invalid": "يرجى إدخال مبلغ صالح، مثل 1,250.50",
+  "money.errors.decimals": "لا يمكن أن يحتوي المبلغ على أكثر من منزلتين عشريتين",
+  "money.errors.tooLarge": "المبلغ كبير جدًا",
+  "money.dollars": { zero: "{count} دولار", one: "دولار واحد", two: "دولاران", few: "{count} دولارات", many: "{count} دولارًا", other: "{count} دولار" },
+  "money.cents": { zero: "{count} سنت", one: "سنت واحد", two: "سنتان", few: "{count} سنتات", many: "{count} سنتًا", other: "{count} سنت" },
+  "money.debit": "خصم {amount}",
+  "money.credit": "إيداع {amount}",
+
+  "announce.login": "صفحة تسجيل الدخول",
+  "announce.dashboard": "لوحة الحسابات",
+  "announce.transactions": "سجل المعاملات",
+  "announce.transfer": "تحويل الأموال",
+  "announce.payees": "المستفيدون",
+  "announce.scheduled": "الدفعات المجدولة",
+  "announce.settings": "الإعدادات",
+  "announce.navigated": "تم الانتقال إلى {page}",
+  "announce.receipt": "إيصال التحويل",
+  "announce.activity": "النشاط الأمني",
+
+  "time.seconds": { zero: "{count} ثانية", one: "ثانية واحدة", two: "ثانيتين", few: "{count} ثوانٍ", many: "{count} ثانية", other: "{count} ثانية" },
+  "time.minutes": { zero: "{count} دقيقة", one: "دقيقة واحدة", two: "دقيقتين", few: "{count} دقائق", many: "{count} دقيقة", other: "{count} دقيقة" },
+
+  "toast.welcome": "مرحبًا، {name}!",
+  "toast.loggedOut": "تم تسجيل الخروج بنجاح",
+  "toast.welcomeBack": "مرحبًا بعودتك!",
+  "toast.dismiss": "إغلاق الإشعار",
+  "toast.signedOutElsewhere": "تم تسجيل خروجك في علامة تبويب أخرى",
+  "toast.signedInElsewhere": "تم تسجيل الدخول باسم {name} في علامة تبويب أخرى",
+  "toast.switchedElsewhere": "سجّل {name} الدخول في علامة تبويب أخرى، لذا تعرض علامة التبويب هذه حساباته الآن",
+
+  "ledger.transferTo": "تحويل إلى {to}",
+  "ledger.scheduledTo": "تحويل مجدول إلى {to}",
+  "ledger.payId": "PayID إلى {name}",
+  "ledger.payIdNote": "PayID إلى {name} – {desc}",
+  "ledger.bpay": "BPAY ‏{name} – CRN ‏{crn}",
+  "ledger.bpayNote": "BPAY ‏{name} – {desc}",
+
+  "bsb.payments.electronic": "التحويلات الإلكترونية",
+  "bsb.payments.paper": "الشيكات",
+  "bsb.payments.highValue": "المدفوعات عالية القيمة (RTGS)",
+  "bsb.errors.notFound": "لم يتم العثور على BSB {bsb} في دليل BSB. تحقّق من الرقم مع المستفيد.",
+  "bsb.errors.closed": "تم إغلاق BSB {bsb} ({bank}). اطلب من المستفيد رمز BSB الجديد.",
+  "bsb.errors.noElectronic": "لا يقبل BSB {bsb} ({bank}) التحويلات الإلكترونية",
+  "bsb.accepts": "يقبل {types}",
+
+  "category.income": "الدخل",
+  "category.groceries": "البقالة",
+  "category.dining": "المطاعم",
+  "category.transport": "المواصلات",
+  "category.bills": "الفواتير والخدمات",
+  "category.shopping": "التسوق",
+  "category.health": "الصحة",
+  "category.entertainment": "الترفيه",
+  "category.cash": "النقد",
+  "category.transfers": "التحويلات",
+  "category.other": "أخرى",
+
+  "insights.heading": "تحليلات الإنفاق",
+  "insights.month": "الشهر",
+  "insights.spendTitle": "الإنفاق حسب الفئة",
+  "insights.cashflowTitle": "الأموال الواردة مقابل الصادرة",
+  "insights.balanceTitle": "اتجاه الرصيد (كل الحسابات)",
+  "insights.showTable": "عرض البيانات في جدول",
+  "insights.spendSummary": { zero: "في {month} أنفقت {total} في {count} فئة.", one: "في {month} أنفقت {total} في فئة واحدة هي {top}.", two: "في {month} أنفقت {total} في فئتين. الأكبر كانت {top} بمبلغ {topAmount}.", few: "في {month} أنفقت {total} في {count} فئات. الأكبر كانت {top} بمبلغ {topAmount}.", many: "في {month} أنفقت {total} في {count} فئة. الأكبر كانت {top} بمبلغ {topAmount}.", other: "في {month} أنفقت {total} في {count} فئة. الأكبر كانت {top} بمبلغ {topAmount}." },
+  "insights.cashflowSummary": "في {month} ورد {moneyIn} وصرف {moneyOut}، بصافي تغيير قدره {net}.",
+  "insights.balanceSummary": "خلال {month} تغيّر رصيد كل الحسابات من {start} إلى {end}. وكان أدنى رصيد {low} في {lowDate}.",
+  "insights.noSpending": "لا يوجد إنفاق مسجل في {month}.",
+  "insights.noActivity": "لا توجد أموال واردة أو صادرة في {month}.",
+  "insights.noTrend": "لا توجد أيام كافية في {month} لعرض الاتجاه بعد.",
+  "insights.moneyIn": "الأموال الواردة",
+  "insights.moneyOut": "الأموال الصادرة",
+  "insights.net": "صافي التغيير",
+
+  "budgets.heading": "الميزانيات الشهرية",
+  "budgets.manage": "إدارة الميزانيات",
+  "budgets.help": "يُحسب الإنفاق من اليوم الأول من كل شهر. ستصلك تنبيهات عند بلوغ 80% و100% من الميزانية.",
+  "budgets.addHeading": "إضافة ميزانية",
+  "budgets.editHeading": "تعديل {name}",
+  "budgets.name": "اسم الميزانية",
+  "budgets.namePlaceholder": "مثال: البقالة",
+  "budgets.limit": "الحد الشهري (دولار أسترالي)",
+  "budgets.keywords": "الكلمات المفتاحية",
+  "budgets.keywordsPlaceholder": "مثال: Woolworths, Coles",
+  "budgets.keywordsHelp": "افصل بين الكلمات المفتاحية بفواصل. تُحتسب المعاملة إذا احتوى وصفها على أي منها؛ ويطابق * أي نص.",
+  "budgets.save": "حفظ الميزانية",
+  "budgets.cancelEdit": "إلغاء التعديل",
+  "budgets.empty": "لم تحدد أي ميزانية بعد.",
+  "budgets.spentOf": "{spent} من {limit}",
+  "budgets.left": "متبقٍ {amount}",
+  "budgets.over": "تجاوز الميزانية بمقدار {amount}",
+  "budgets.summary": "{limit} شهريًا · {keywords}",
+  "budgets.editLabel": "تعديل ميزانية {name}",
+  "budgets.deleteLabel": "حذف ميزانية {name}",
+  "budgets.confirmDelete": "هل تريد حذف ميزانية {name}؟",
+  "budgets.added": "تمت إضافة ميزانية {name}",
+  "budgets.updated": "تم تحديث ميزانية {name}",
+  "budgets.deleted": "تم حذف ميزانية {name}",
+  "budgets.alertNear": "استخدمت {percent}% من ميزانية {name} هذا الشهر ({spent} من {limit}).",
+  "budgets.alertOver": "تجاوزت ميزانية {name} هذا الشهر ({spent} من {limit}).",
+  "budgets.transferWarning": "سيؤدي هذا التحويل إلى تجاوز ميزانية {name} حدها البالغ {limit} بمقدار {amount}.",
+  "budgets.errors.nameRequired": "اسم الميزانية مطلوب",
+  "budgets.errors.duplicate": "لديك بالفعل ميزانية باسم {name}",
+  "budgets.errors.limitPositive": "يجب أن يكون حد الميزانية أكبر من صفر",
+  "budgets.errors.keywordsRequired": "أدخل كلمة مفتاحية واحدة على الأقل",
+  "budgets.errors.keywordsMax": { zero: "استخدم {count} كلمة مفتاحية على الأكثر", one: "استخدم كلمة مفتاحية واحدة على الأكثر", two: "استخدم كلمتين مفتاحيتين على الأكثر", few: "استخدم {count} كلمات مفتاحية على الأكثر", many: "استخدم {count} كلمة مفتاحية على الأكثر", other: "استخدم {count} كلمة مفتاحية على الأكثر" },
+  "budgets.errors.keywordsWildcard": "تحتاج الكلمة المفتاحية إلى نص بالإضافة إلى *",
+
+  "review.title": "مراجعة التحويل",
+  "review.intro": "تحقق من التفاصيل أدناه قبل التأكيد.",
+  "review.confirm": "تأكيد التحويل",
+  "review.edit": "تعديل",
+  "review.when": "الموعد",
+  "review.on": "في {date}",
+  "review.recurring": "{schedule}، بدءًا من {date}",
+  "review.balanceAfter": "الرصيد بعد التحويل",
+  "review.balanceLater": "يُتحقق منه في تاريخ الدفع",
+
+  "receipt.heading": "إيصال التحويل",
+  "receipt.print": "طباعة الإيصال",
+  "receipt.download": "تنزيل الإيصال",
+  "receipt.back": "العودة إلى المعاملات",
+  "receipt.reference": "الرقم المرجعي",
+  "receipt.time": "التاريخ والوقت",
+  "receipt.from": "من",
+  "receipt.to": "إلى",
+  "receipt.amount": "المبلغ",
+  "receipt.description": "الوصف",
+  "receipt.noDescription": "لا يوجد",
+  "receipt.balanceAfter": "الرصيد بعد التحويل",
+  "receipt.completed": "مكتمل",
+  "receipt.notFound": "تعذر العثور على هذا الإيصال",
+  "receipt.downloaded": "تم تنزيل الإيصال {ref}",
+  "receipt.payType": "طريقة الدفع",
+
+  "payid.type": "نوع PayID",
+  "payid.types.phone": "رقم الجوال",
+  "payid.types.email": "البريد الإلكتروني",
+  "payid.types.abn": "ABN",
+  "payid.label": "PayID",
+  "payid.help.phone": "رقم جوال أسترالي، مثل 0491 570 006 أو ‎+61 491 570 006",
+  "payid.help.email": "البريد الإلكتروني المسجّل بوصفه PayID للمستلم",
+  "payid.help.abn": "رقم الأعمال الأسترالي المكوّن من 11 رقمًا",
+  "payid.errors.required": "PayID مطلوب",
+  "payid.errors.phone": "أدخل رقم جوال أستراليًا، مثل 0491 570 006",
+  "payid.errors.email": "أدخل بريدًا إلكترونيًا صالحًا، مثل name@example.com",
+  "payid.errors.abnFormat": "يتكوّن ABN من 11 رقمًا",
+  "payid.errors.abnCheck": "رقم ABN هذا غير صالح. تحقق من الأرقام وحاول مرة أخرى.",
+  "payid.errors.notFound": "لا يوجد حساب مسجّل على PayID ‏{payId}",
+  "payid.errors.locked": "لا يمكن لـ PayID ‏{payId} استلام المدفوعات حاليًا",
+  "payid.registeredName": "الاسم المسجّل على PayID هذا",
+  "payid.to": "{name} (PayID ‏{payId})",
+
+  "bpay.biller": "رمز الجهة المفوترة",
+  "bpay.billerHelp": "مطبوع بجوار شعار BPAY على فاتورتك",
+  "bpay.crn": "الرقم المرجعي للعميل (CRN)",
+  "bpay.crnHelp": "رقمك المرجعي لدى هذه الجهة، وهو مطبوع أيضًا على الفاتورة",
+  "bpay.errors.billerRequired": "رمز الجهة المفوترة مطلوب",
+  "bpay.errors.billerFormat": "يتكوّن رمز الجهة المفوترة من 3 إلى 10 أرقام",
+  "bpay.errors.billerCheck": "رمز الجهة المفوترة {code} غير صالح. قارنه بفاتورتك.",
+  "bpay.errors.billerNotFound": "لم يُعثر على جهة مفوترة بالرمز {code}",
+  "bpay.errors.crnRequired": "الرقم المرجعي للعميل مطلوب",
+  "bpay.errors.crnFormat": "تتكوّن الأرقام المرجعية لدى {name} من {length} رقمًا",
+  "bpay.errors.crnCheck": "هذا الرقم المرجعي غير صالح لدى {name}. قارنه بفاتورتك.",
+  "bpay.billerName": "الجهة المفوترة المسجّلة بهذا الرمز",
+  "bpay.to": "{name} (BPAY ‏{code}، CRN ‏{crn})",
+
+  "profile.heading": "الملف التجريبي",
+  "profile.help": "لكل عميل تجريبي حساباته ومعاملاته والمستفيدون والمدفوعات المجدولة والحدود والميزانيات الخاصة به. تؤدي إعادة التعيين إلى إرجاع بيانات هذا العميل إلى حالتها الأولى، ولا تتأثر بيانات العملاء الآخرين.",
+  "profile.reset": "إعادة تعيين هذا الملف التجريبي",
+  "profile.confirmReset": "هل تريد إعادة تعيين هذا الملف التجريبي؟ ستُستبدل معاملاتك والمستفيدون والمدفوعات المجدولة والحدود والميزانيات بالبيانات الأولية. لا يمكن التراجع عن ذلك.",
+  "profile.resetDone": "أُعيد تعيين الملف التجريبي إلى بياناته الأولية",
+
+  "activity.heading": "النشاط الأمني",
+  "activity.intro": "عمليات تسجيل الدخول والخروج ومحاولات التحويل في ملفك، بما في ذلك المرفوضة منها، ومحاولات تسجيل الدخول في هذا المتصفح برقم عميل غير موجود. يتم تمييز تسجيلات الدخول من جهاز جديد والتحويلات الكبيرة على غير العادة.",
+  "activity.filtersLabel": "تصفية النشاط",
+  "activity.filterType": "الحدث",
+  "activity.filterOutcome": "النتيجة",
+  "activity.allTypes": "كل الأحداث",
+  "activity.allOutcomes": "كل النتائج",
+  "activity.flaggedOnly": "المميّزة فقط",
+  "activity.caption": "النشاط الأمني، الأحدث أولًا",
+  "activity.colTime": "الوقت",
+  "activity.colEvent": "الحدث",
+  "activity.colOutcome": "النتيجة",
+  "activity.colDetails": "التفاصيل",
+  "activity.type.login": "تسجيل الدخول",
+  "activity.type.logout": "تسجيل الخروج",
+  "activity.type.transfer": "تحويل",
+  "activity.outcome.success": "نجح",
+  "activity.outcome.failure": "فشل",
+  "activity.outcome.blocked": "محظور",
+  "activity.outcome.invalid": "بيانات غير صالحة",
+  "activity.outcome.scheduled": "مجدول",
+  "activity.outcome.reversed": "تم التراجع",
+  "activity.flag.newDevice": "جهاز جديد",
+  "activity.flag.unusualAmount": "مبلغ غير معتاد",
+  "activity.detail.device": "الجهاز {device}",
+  "activity.detail.idle": "بعد عدم النشاط",
+  "activity.detail.locked": "رقم العميل مقفل",
+  "activity.detail.stepUp": "لم يتم التحقق من الرمز لمرة واحدة",
+  "activity.detail.attemptsLeft": { zero: "لم تتبقَّ أي محاولة", one: "تبقّت محاولة واحدة", two: "تبقّت محاولتان", few: "تبقّت {count} محاولات", many: "تبقّت {count} محاولة", other: "تبقّت {count} محاولة" },
+  "activity.detail.transfer": "{amount} إلى {to}",
+  "activity.detail.date": "موعد الاستحقاق {date}",
+  "activity.detail.ref": "المرجع {ref}",
+  "activity.detail.fields": "تحقق من: {fields}",
+  "activity.summary": { zero: "يُعرض {count} من {total} حدث. يُحتفظ بآخر {max} حدث فقط.", one: "يُعرض حدث واحد من {total}. يُحتفظ بآخر {max} حدث فقط.", two: "يُعرض حدثان من {total}. يُحتفظ بآخر {max} حدث فقط.", few: "يُعرض {count} أحداث من {total}. يُحتفظ بآخر {max} حدث فقط.", many: "يُعرض {count} حدثًا من {total}. يُحتفظ بآخر {max} حدث فقط.", other: "يُعرض {count} حدث من {total}. يُحتفظ بآخر {max} حدث فقط." },
+  "activity.empty": "لم يُسجَّل أي نشاط بعد",
+  "activity.noMatches": "لا يوجد نشاط يطابق عوامل التصفية هذه",
+  "activity.detail.manual": "بناءً على طلبك",
+  "activity.detail.refused": "مرفوض: {reason}",
+  "activity.detail.expired": "انتهت صلاحية الجلسة",
+  "activity.detail.unknownCustomer": "رقم عميل غير معروف {cust}",
+
+  "form.errors.summary": { zero: "يرجى تصحيح الحقول المميزة", one: "يرجى تصحيح الحقل المميز", two: "يرجى تصحيح الحقلين المميزين", few: "يرجى تصحيح {count} حقول مميزة", many: "يرجى تصحيح {count} حقلًا مميزًا", other: "يرجى تصحيح {count} حقل مميز" },
+
+  "session.expired": "انتهت صلاحية جلستك. يُرجى تسجيل الدخول مجددًا."
+};
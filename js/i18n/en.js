@@ -0,0 +1,590 @@
+/*
+  i18n/en.js
+  ----------
+  English (en-AU) message catalogue. Loaded before app.js and registered
+  on window.APP_MESSAGES.en; see INTERNATIONALISATION in app.js for
+  the "{placeholder}" and plural-object formats.
+
+  This is the reference catalogue: every key used by index.html and
+  app.js must exist here, and other languages fall back to it for any
+  key they are missing.
+*/
+
+window.APP_MESSAGES = window.APP_MESSAGES || {};
+
+window.APP_MESSAGES.en = {
+  "nav.skip": "Skip to main content",
+  "nav.primary": "Primary navigation",
+  "nav.logoutLabel": "Log out of your account",
+  "nav.sections": "Application sections",
+  "nav.logout": "Logout",
+
+  "tabs.accounts": "Accounts",
+  "tabs.transactions": "Transactions",
+  "tabs.transfer": "Transfer",
+  "tabs.scheduled": "Scheduled",
+  "tabs.accountsLabel": "View accounts",
+  "tabs.transactionsLabel": "View transactions",
+  "tabs.transferLabel": "Transfer money",
+  "tabs.payeesLabel": "Manage payees",
+  "tabs.activity": "Activity",
+  "tabs.activityLabel": "View security activity",
+
+  "payees.heading": "Payees",
+  "payees.name": "Payee name",
+  "payees.intro": "Save the people and businesses you pay regularly",
+  "payees.listHeading": "Saved payees",
+  "payees.addHeading": "Add a payee",
+  "payees.save": "Save payee",
+  "payees.cancelEdit": "Cancel editing",
+  "payees.namePlaceholder": "e.g., Landlord",
+  "payees.to": "BSB-Account",
+  "payees.savedFromTransfer": "Saved {name} to your payees",
+  "payees.errors.nameRequired": "Payee name is required",
+  "payees.errors.nameLength": "Payee name must be 40 characters or less",
+  "payees.errors.toRequired": "BSB-Account is required",
+  "payees.errors.duplicate": "You already have a payee with this BSB-Account",
+  "payees.payLabel": "Pay {name}",
+  "payees.pay": "Pay",
+  "payees.editLabel": "Edit {name}",
+  "payees.deleteLabel": "Delete {name}",
+  "payees.empty": "You have no saved payees yet.",
+  "payees.choose": "Choose a payee…",
+  "payees.editHeading": "Edit {name}",
+  "payees.updated": "Updated {name}",
+  "payees.added": "Added {name} to your payees",
+  "payees.confirmDelete": "Delete {name} from your payees?",
+  "payees.deleted": "Deleted {name}",
+
+  "settings.heading": "Settings",
+  "settings.intro": "Manage your transfer limits, monthly budgets and demo profile",
+
+  "login.heading": "Sign in to your account",
+  "login.intro": "Enter your credentials to access your accounts",
+  "login.custHelp": "Your unique customer identification number",
+  "login.passHelp": "Your secure password",
+  "login.submit": "Log in",
+  "login.custPlaceholder": "Enter your customer ID",
+  "login.passPlaceholder": "Enter your password",
+  "login.showPassword": "Show password",
+  "login.submitLabel": "Submit login form",
+  "login.cust": "Customer ID",
+  "login.pass": "Password",
+  "login.demoTitle": "Demo credentials:",
+  "login.demoLockout": "Three incorrect attempts temporarily lock the customer ID.",
+  "login.errors.custRequired": "Customer ID is required",
+  "login.errors.passRequired": "Password is required",
+  "login.errors.passLength": "Password must be at least {min} characters",
+  "login.errors.noCrypto": "Secure sign-in is not supported in this browser.",
+  "login.errors.locked": "Too many failed attempts. Try again in {wait}.",
+  "login.authenticating": "Authenticating...",
+  "login.errors.nowLocked": "Incorrect customer ID or password. Sign-in is locked for {wait}.",
+  "login.errors.incorrect": { one: "Incorrect customer ID or password. {count} attempt remaining.", other: "Incorrect customer ID or password. {count} attempts remaining." },
+  "login.hidePassword": "Hide password",
+
+  "dashboard.heading": "Your Accounts Overview",
+  "dashboard.intro": "View your account balances and manage your finances",
+  "dashboard.listLabel": "Your accounts",
+  "dashboard.balanceLabel": "Balance: {amount}",
+  "dashboard.accountNumber": "Account number",
+  "dashboard.openHint": "Press Enter to view transactions",
+
+  "tx.heading": "Recent Transactions",
+  "tx.accountLabel": "Account",
+  "tx.accountHelp": "Choose which account's history to view",
+  "tx.search": "Search description",
+  "tx.dateFrom": "From date",
+  "tx.dateTo": "To date",
+  "tx.amountMin": "Min amount ($)",
+  "tx.amountMax": "Max amount ($)",
+  "tx.type": "Type",
+  "tx.typeAll": "All",
+  "tx.typeDebit": "Debits",
+  "tx.typeCredit": "Credits",
+  "tx.clearFilters": "Clear filters",
+  "tx.caption": "Recent transactions",
+  "tx.colDate": "Date",
+  "tx.colDesc": "Description",
+  "tx.colAmount": "Amount",
+  "tx.colBalance": "Balance",
+  "tx.filtersLabel": "Filter transactions",
+  "tx.searchPlaceholder": "e.g., Salary, Woolworths",
+  "tx.amountMaxPlaceholder": "Any",
+  "tx.tableLabel": "Transaction history table",
+  "tx.captionFor": "Recent transactions for {account} account",
+  "tx.summary": { one: "{count} transaction", other: "{count} transactions" },
+  "tx.summaryFiltered": { one: "{count} matching transaction ({total} total)", other: "{count} matching transactions ({total} total)" },
+  "tx.emptyFiltered": "No transactions match your filters.",
+  "tx.empty": "No transactions for this account yet.",
+  "tx.accountNotFound": "That account could not be found",
+  "tx.colCategory": "Category",
+  "tx.categoryFor": "Category for {desc}",
+  "tx.receipt": "Receipt",
+  "tx.receiptFor": "Receipt for {desc}",
+
+  "import.colRow": "Row",
+  "import.colStatus": "Status",
+  "import.heading": "Import statement",
+  "import.file": "Statement file (CSV or OFX)",
+  "import.help": "Transactions are added to the account selected above. You can review them before anything is saved.",
+  "import.mapping": "Match the CSV columns",
+  "import.mapDate": "Date column",
+  "import.mapDesc": "Description column",
+  "import.mapAmount": "Amount column",
+  "import.dateFormat": "Date format",
+  "import.caption": "Rows found in the statement file",
+  "import.confirm": "Import transactions",
+  "import.previewLabel": "Import preview",
+  "import.hasHeader": "First row contains column headings",
+  "import.column": "Column {number}",
+  "import.error.date": "invalid date \"{value}\"",
+  "import.error.descMissing": "missing description",
+  "import.error.descLength": "description longer than 100 characters",
+  "import.error.amount": "invalid amount \"{value}\"",
+  "import.error.zero": "amount is zero",
+  "import.summary": "{file} → {account}: {accepted} new, {duplicates} duplicate, {failed} with errors.",
+  "import.balanceAfter": "Balance after import: {balance} (currently {current}).",
+  "import.previewLimited": "Showing the first {count} rows.",
+  "import.status.error": "Error: {error}",
+  "import.status.duplicate": "Duplicate – skipped",
+  "import.status.new": "New",
+  "import.rowError": "row {line}: {error}",
+  "import.moreErrors": "and {count} more",
+  "import.failed": { one: "{count} row could not be imported ({details})", other: "{count} rows could not be imported ({details})" },
+  "import.tooLarge": "Statement files must be smaller than 5 MB",
+  "import.unreadable": "The file could not be read",
+  "import.noRows": "No transactions were found in {file}",
+  "import.done": { one: "Imported {count} transaction", other: "Imported {count} transactions" },
+  "import.confirmCount": { one: "Import {count} transaction", other: "Import {count} transactions" },
+  "import.duplicatesSince": { one: "{count} row was skipped because it was added to the account after the preview", other: "{count} rows were skipped because they were added to the account after the preview" },
+
+  "export.heading": "Export transactions",
+  "export.format": "File format",
+  "export.csv": "CSV – spreadsheets",
+  "export.ofx": "OFX 2 – accounting software",
+  "export.qif": "QIF – Quicken and older tools",
+  "export.download": "Download",
+  "export.help": "Exports the transactions matching your current search and filters",
+  "export.empty": "There are no transactions to export with the current filters",
+  "export.done": { one: "Exported {count} transaction as {format}", other: "Exported {count} transactions as {format}" },
+
+  "common.cancel": "Cancel",
+  "common.saveChanges": "Save changes",
+  "common.required": "required",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+
+  "transfer.heading": "Transfer Money",
+  "transfer.intro": "Send money securely to another account",
+  "transfer.fromHelp": "Select the account to transfer from",
+  "transfer.payeePick": "Pay a saved payee",
+  "transfer.payeePickHelp": "Or enter a new BSB and account number below",
+  "transfer.toHelp": "Format: BSB (6 digits) followed by account number (6-9 digits)",
+  "transfer.amountHelp": "Minimum transfer amount: $0.01. You can type amounts like 1,250.50",
+  "transfer.desc": "Description (Optional)",
+  "transfer.descHelp": "Add a note for this transfer (max 40 characters)",
+  "transfer.when": "When",
+  "transfer.whenNow": "Now",
+  "transfer.whenLater": "Later",
+  "transfer.whenRecurring": "Recurring",
+  "transfer.whenHelp": "Scheduled payments are checked against your balance on the day they run",
+  "transfer.scheduleDate": "Payment date",
+  "transfer.frequency": "Repeat",
+  "transfer.scheduleStart": "First payment",
+  "transfer.scheduleEnds": "Ends",
+  "transfer.endOnDate": "On a date",
+  "transfer.endAfterCount": "After a number of payments",
+  "transfer.scheduleEndDate": "Last payment on or before",
+  "transfer.scheduleCount": "Number of payments",
+  "transfer.submit": "Submit transfer",
+  "transfer.amount": "Amount (AUD)",
+  "transfer.descPlaceholder": "e.g., Rent payment, Birthday gift",
+  "transfer.scheduleCountPlaceholder": "e.g., 12",
+  "transfer.from": "From account",
+  "transfer.to": "To (BSB-Account)",
+  "transfer.savePayee": "Save this payee for next time",
+  "transfer.noteTitle": "Note:",
+  "transfer.note": "This is a demonstration only. Transfers update balances stored in this browser; no real money is moved.",
+  "transfer.errors.amountPositive": "Amount must be greater than {amount}",
+  "transfer.errors.insufficient": "Insufficient funds. Available: {amount}",
+  "transfer.errors.toRequired": "Destination account is required",
+  "transfer.errors.toFormat": "Invalid BSB-Account format. Use: 062-000 12345678",
+  "transfer.errors.descLength": "Description must be 40 characters or less",
+  "transfer.status.verifying": "Waiting for verification...",
+  "transfer.status.cancelled": "Transfer cancelled: verification was not completed.",
+  "transfer.status.processing": "Processing transfer...",
+  "transfer.done": "Successfully transferred {amount} to {to}",
+  "transfer.scheduled": "Transfer of {amount} to {to} scheduled for {date}",
+  "transfer.recurring": "{frequency} transfer of {amount} to {to} starts {date}",
+  "transfer.undo": "Undo",
+  "transfer.undone": "Transfer of {amount} to {to} undone. The money is back in your account.",
+  "transfer.undoFailed": "This transfer can no longer be undone",
+  "transfer.status.reviewing": "Transfer not sent. Make your changes and submit again.",
+  "transfer.payType": "Pay with",
+  "transfer.payTypeBSB": "BSB and account",
+  "transfer.payTypePayID": "PayID",
+  "transfer.payTypeBPAY": "BPAY",
+  "transfer.payTypeHelp": "PayID pays a mobile number, email address or ABN. BPAY pays a bill using the biller code and reference number on it.",
+  "transfer.confirmName": "This is who I want to pay",
+  "transfer.errors.confirmName": "Confirm that you want to pay {name}",
+  "transfer.errors.noLongerPossible": "This transfer can no longer be made ({reason}), possibly because of a payment in another tab. Nothing was sent.",
+  "transfer.errors.fromRequired": "Choose an account to transfer from",
+
+  "schedule.freq.weekly": "Weekly",
+  "schedule.freq.fortnightly": "Fortnightly",
+  "schedule.freq.monthly": "Monthly",
+  "schedule.heading": "Scheduled payments",
+  "schedule.intro": "Future-dated and recurring transfers. Payments that fall due are processed when you open the app.",
+  "schedule.upcoming": "Upcoming",
+  "schedule.editHeading": "Edit scheduled payment",
+  "schedule.nextDate": "Next payment date",
+  "schedule.history": "Past payments",
+  "schedule.historyCaption": "Outcome of past scheduled payments",
+  "schedule.colDue": "Due date",
+  "schedule.colTo": "To",
+  "schedule.colOutcome": "Outcome",
+  "schedule.freq.once": "Once",
+  "schedule.reason.noAccount": "account not found",
+  "schedule.reason.insufficientFunds": "insufficient funds",
+  "schedule.reason.dailyLimit": "daily transfer limit reached",
+  "schedule.reason.monthlyLimit": "monthly transfer limit reached",
+  "schedule.oneOff": "One-off payment",
+  "schedule.remaining": { one: "{frequency}, {count} payment left", other: "{frequency}, {count} payments left" },
+  "schedule.until": "{frequency} until {date}",
+  "schedule.failed": "Scheduled payment of {amount} to {to} due {date} failed: {reason}",
+  "schedule.processed": { one: "{count} scheduled payment was processed", other: "{count} scheduled payments were processed" },
+  "schedule.moreFailed": { one: "{count} more scheduled payment failed. See Scheduled payments for details.", other: "{count} more scheduled payments failed. See Scheduled payments for details." },
+  "schedule.label": "{amount} to {to}",
+  "schedule.from": "From {account}",
+  "schedule.closedAccount": "closed account",
+  "schedule.next": "Next: {date}",
+  "schedule.editLabel": "Edit {label}",
+  "schedule.skipLabel": "Skip next payment of {label}",
+  "schedule.skip": "Skip next",
+  "schedule.cancelLabel": "Cancel {label}",
+  "schedule.empty": "You have no upcoming scheduled payments.",
+  "schedule.outcome.paid": "Paid",
+  "schedule.outcome.failed": "Failed",
+  "schedule.outcome.skipped": "Skipped",
+  "schedule.historyEmpty": "No scheduled payments have run yet.",
+  "schedule.skippedLast": "Skipped the payment due {date}. That was the last payment in this schedule.",
+  "schedule.skipped": "Skipped the payment due {date}. Next payment: {next}",
+  "schedule.confirmCancel": "Cancel this scheduled payment? Future payments will not be made.",
+  "schedule.cancelled": "Scheduled payment cancelled",
+  "schedule.errors.nextPast": "Next payment date cannot be in the past",
+  "schedule.errors.afterEnd": "Next payment must be on or before the end date ({date})",
+  "schedule.updated": "Scheduled payment updated",
+  "schedule.errors.dateRequired": "Choose a payment date",
+  "schedule.errors.dateFuture": "Payment date must be after today. Choose \"{now}\" to pay today.",
+  "schedule.errors.dateTooFar": "Payments can be scheduled up to one year ahead",
+  "schedule.errors.frequency": "Choose how often to repeat the payment",
+  "schedule.errors.startRequired": "Choose the first payment date",
+  "schedule.errors.startPast": "First payment date cannot be in the past",
+  "schedule.errors.startTooFar": "First payment must be within one year",
+  "schedule.errors.endRequired": "Choose when the payments end",
+  "schedule.errors.endBeforeStart": "End date must be on or after the first payment",
+  "schedule.errors.count": "Number of payments must be a whole number from 1 to {max}",
+  "schedule.reason.accountDailyLimit": "daily limit for the account reached",
+  "schedule.reason.accountMonthlyLimit": "monthly limit for the account reached",
+  "schedule.reason.transactionLimit": "over the per-transaction limit",
+  "schedule.errors.changed": "This payment was changed in another tab. Check the list and try again.",
+
+  "limits.heading": "Transfer limits",
+  "limits.help": "Limits cover a single transfer and what you send from all your accounts combined. Each account can also have its own daily and monthly limits. Scheduled payments count towards them on the day they run.",
+  "limits.daily": "Daily limit (AUD)",
+  "limits.monthly": "Monthly limit (AUD)",
+  "limits.save": "Save limits",
+  "limits.cancelPending": "Cancel pending increases",
+  "limits.breach.daily": "This transfer is over your daily limit of {limit}. Remaining today: {remaining}",
+  "limits.breach.monthly": "This transfer is over your monthly limit of {limit}. Remaining this month: {remaining}",
+  "limits.info.daily": "Remaining today: {remaining} of {limit}",
+  "limits.info.monthly": "This month: {remaining} of {limit}",
+  "limits.info.account": "Sent from {account}: {daily} today, {monthly} this month",
+  "limits.pending": "Increase to {amount} takes effect {time}",
+  "limits.errors.wholeDollars.daily": "Enter your daily limit in whole dollars",
+  "limits.errors.wholeDollars.monthly": "Enter your monthly limit in whole dollars",
+  "limits.errors.range.daily": "The daily limit must be between {min} and {max}",
+  "limits.errors.range.monthly": "The monthly limit must be between {min} and {max}",
+  "limits.errors.dailyOverMonthly": "The daily limit cannot be more than the monthly limit",
+  "limits.raised.daily": "Your daily limit will rise to {amount} in 24 hours.",
+  "limits.raised.monthly": "Your monthly limit will rise to {amount} in 24 hours.",
+  "limits.lowered.daily": "Your daily limit is now {amount}.",
+  "limits.lowered.monthly": "Your monthly limit is now {amount}.",
+  "limits.unchanged": "No changes to your limits",
+  "limits.pendingCancelled": "Pending limit increases cancelled",
+  "limits.current": "Current limit: {limit}. Bank maximum: {max}",
+  "limits.breach.account.daily": "This transfer is over the daily limit of {limit} for {account}. Remaining today: {remaining}",
+  "limits.breach.account.monthly": "This transfer is over the monthly limit of {limit} for {account}. Remaining this month: {remaining}",
+  "limits.transaction": "Per-transaction limit (AUD)",
+  "limits.breach.transaction": "This transfer is over your per-transaction limit of {limit}",
+  "limits.info.transaction": "Up to {limit} per transfer",
+  "limits.info.account.daily": "{account} daily limit: {remaining} of {limit} left",
+  "limits.info.account.monthly": "{account} monthly limit: {remaining} of {limit} left",
+  "limits.errors.wholeDollars.transaction": "Enter your per-transaction limit in whole dollars",
+  "limits.errors.range.transaction": "The per-transaction limit must be between {min} and {max}",
+  "limits.errors.forAccount": "{account}: {error}",
+  "limits.raised.transaction": "Your per-transaction limit will rise to {amount} in 24 hours.",
+  "limits.lowered.transaction": "Your per-transaction limit is now {amount}.",
+  "limits.accounts.heading": "Limits per account",
+  "limits.accounts.help": "Leave a limit blank to use only your overall limit for that account.",
+  "limits.accounts.used": "Sent today: {daily}. This month: {monthly}",
+  "limits.accounts.pendingRemoval": "This limit will be removed {time}",
+  "limits.accounts.raised.daily": "{account}: the daily limit will rise to {amount} in 24 hours.",
+  "limits.accounts.raised.monthly": "{account}: the monthly limit will rise to {amount} in 24 hours.",
+  "limits.accounts.removed.daily": "{account}: the daily limit will be removed in 24 hours.",
+  "limits.accounts.removed.monthly": "{account}: the monthly limit will be removed in 24 hours.",
+  "limits.accounts.lowered.daily": "{account}: the daily limit is now {amount}.",
+  "limits.accounts.lowered.monthly": "{account}: the monthly limit is now {amount}.",
+
+  "footer.disclaimer": "Demonstration UI only. No live banking functionality.",
+
+  "idle.title": "Are you still there?",
+  "idle.stay": "Stay signed in",
+  "idle.logout": "Sign out now",
+  "idle.before": "For your security you will be signed out in",
+  "idle.after": "because there has been no activity.",
+  "idle.signedOut": "You were signed out after {wait} of inactivity",
+  "idle.announce": "You will be signed out in {wait}.",
+  "idle.stillSignedIn": "You are still signed in",
+
+  "stepUp.title": "Confirm it's you",
+  "stepUp.codeLabel": "6-digit code from your authenticator app",
+  "stepUp.verify": "Verify",
+  "stepUp.cancel": "Cancel transfer",
+  "stepUp.demoShow": "Show the current code",
+  "stepUp.demoTitle": "Demo only:",
+  "stepUp.demoPrompt": "no authenticator app?",
+  "stepUp.reason.amount": "the amount is over {amount}",
+  "stepUp.reason.newPayee": "you haven't paid {to} before",
+  "stepUp.reason": "We need to confirm it's you because {reasons}.",
+  "stepUp.errors.format": "Enter the 6-digit code from your authenticator app.",
+  "stepUp.errors.locked": "Too many incorrect codes. The transfer was cancelled for your security, and one-time codes are locked for {wait}.",
+  "stepUp.errors.expired": "That code has expired. Enter the code currently shown in your authenticator app.",
+  "stepUp.errors.incorrect": "That code is incorrect.",
+  "stepUp.errors.remaining": { one: "{count} attempt remaining.", other: "{count} attempts remaining." },
+  "stepUp.demoCode": "Demo authenticator code: {code}",
+  "stepUp.errors.lockedFor": "Too many incorrect one-time codes. Try again in {wait}.",
+  "stepUp.errors.unavailable": "The one-time code could not be checked in this browser. The transfer was cancelled.",
+
+  "language.label": "Language",
+
+  "app.title": "CommBank – UI Prototype",
+
+  "money.errors.required": "Please enter an amount",
+  "money.errors.invalid": "Please enter a valid amount, e.g. 1,250.50",
+  "money.errors.decimals": "Amounts can have at most 2 decimal places",
+  "money.errors.tooLarge": "Amount is too large",
+  "money.dollars": { one: "{count} dollar", other: "{count} dollars" },
+  "money.cents": { one: "{count} cent", other: "{count} cents" },
+  "money.debit": "debit {amount}",
+  "money.credit": "credit {amount}",
+
+  "announce.login": "Login page",
+  "announce.dashboard": "Accounts dashboard",
+  "announce.transactions": "Transaction history",
+  "announce.transfer": "Transfer money",
+  "announce.payees": "Payees",
+  "announce.scheduled": "Scheduled payments",
+  "announce.settings": "Settings",
+  "announce.navigated": "Navigated to {page}",
+  "announce.receipt": "Transfer receipt",
+  "announce.activity": "Security activity",
+
+  "time.seconds": { one: "{count} second", other: "{count} seconds" },
+  "time.minutes": { one: "{count} minute", other: "{count} minutes" },
+
+  "toast.welcome": "Welcome, {name}!",
+  "toast.loggedOut": "Successfully logged out",
+  "toast.welcomeBack": "Welcome back!",
+  "toast.dismiss": "Dismiss notification",
+  "toast.signedOutElsewhere": "You were signed out in another tab",
+  "toast.signedInElsewhere": "Signed in as {name} in another tab",
+  "toast.switchedElsewhere": "{name} signed in in another tab, so this tab now shows their accounts",
+
+  "ledger.transferTo": "Transfer to {to}",
+  "ledger.scheduledTo": "Scheduled transfer to {to}",
+  "ledger.payId": "PayID to {name}",
+  "ledger.payIdNote": "PayID to {name} – {desc}",
+  "ledger.bpay": "BPAY {name} – CRN {crn}",
+  "ledger.bpayNote": "BPAY {name} – {desc}",
+
+  "bsb.payments.electronic": "electronic transfers",
+  "bsb.payments.paper": "cheques",
+  "bsb.payments.highValue": "high-value (RTGS) payments",
+  "bsb.errors.notFound": "BSB {bsb} was not found in the BSB directory. Check the number with your payee.",
+  "bsb.errors.closed": "BSB {bsb} ({bank}) has closed. Ask your payee for their new BSB.",
+  "bsb.errors.noElectronic": "BSB {bsb} ({bank}) does not accept electronic transfers",
+  "bsb.accepts": "Accepts {types}",
+
+  "category.income": "Income",
+  "category.groceries": "Groceries",
+  "category.dining": "Dining",
+  "category.transport": "Transport",
+  "category.bills": "Bills & utilities",
+  "category.shopping": "Shopping",
+  "category.health": "Health",
+  "category.entertainment": "Entertainment",
+  "category.cash": "Cash",
+  "category.transfers": "Transfers",
+  "category.other": "Other",
+
+  "insights.heading": "Spending insights",
+  "insights.month": "Month",
+  "insights.spendTitle": "Spending by category",
+  "insights.cashflowTitle": "Money in vs money out",
+  "insights.balanceTitle": "Balance trend (all accounts)",
+  "insights.showTable": "Show data as a table",
+  "insights.spendSummary": { one: "In {month} you spent {total} in {count} category, all on {top}.", other: "In {month} you spent {total} across {count} categories. The largest was {top} at {topAmount}." },
+  "insights.cashflowSummary": "In {month}, {moneyIn} came in and {moneyOut} went out, a net change of {net}.",
+  "insights.balanceSummary": "Across all accounts the balance went from {start} to {end} during {month}. The lowest was {low} on {lowDate}.",
+  "insights.noSpending": "No spending recorded in {month}.",
+  "insights.noActivity": "No money in or out in {month}.",
+  "insights.noTrend": "Not enough days in {month} to show a trend yet.",
+  "insights.moneyIn": "Money in",
+  "insights.moneyOut": "Money out",
+  "insights.net": "Net change",
+
+  "budgets.heading": "Monthly budgets",
+  "budgets.manage": "Manage budgets",
+  "budgets.help": "Spending is counted from the 1st of each month. You are alerted at 80% and 100% of a budget.",
+  "budgets.addHeading": "Add a budget",
+  "budgets.editHeading": "Edit {name}",
+  "budgets.name": "Budget name",
+  "budgets.namePlaceholder": "e.g., Groceries",
+  "budgets.limit": "Monthly limit (AUD)",
+  "budgets.keywords": "Keywords",
+  "budgets.keywordsPlaceholder": "e.g., Woolworths, Coles",
+  "budgets.keywordsHelp": "Separate keywords with commas. A transaction counts if its description contains any of them; * matches any text.",
+  "budgets.save": "Save budget",
+  "budgets.cancelEdit": "Cancel editing",
+  "budgets.empty": "You have not set any budgets yet.",
+  "budgets.spentOf": "{spent} of {limit}",
+  "budgets.left": "{amount} left",
+  "budgets.over": "{amount} over budget",
+  "budgets.summary": "{limit} a month · {keywords}",
+  "budgets.editLabel": "Edit budget {name}",
+  "budgets.deleteLabel": "Delete budget {name}",
+  "budgets.confirmDelete": "Delete the {name} budget?",
+  "budgets.added": "Budget {name} added",
+  "budgets.updated": "Budget {name} updated",
+  "budgets.deleted": "Budget {name} deleted",
+  "budgets.alertNear": "You have used {percent}% of your {name} budget this month ({spent} of {limit}).",
+  "budgets.alertOver": "You have gone over your {name} budget this month ({spent} of {limit}).",
+  "budgets.transferWarning": "This transfer would take your {name} budget {amount} over its {limit} limit.",
+  "budgets.errors.nameRequired": "Budget name is required",
+  "budgets.errors.duplicate": "You already have a budget called {name}",
+  "budgets.errors.limitPositive": "Budget limit must be more than zero",
+  "budgets.errors.keywordsRequired": "Enter at least one keyword",
+  "budgets.errors.keywordsMax": { one: "Use at most {count} keyword", other: "Use at most {count} keywords" },
+  "budgets.errors.keywordsWildcard": "A keyword needs some text as well as *",
+
+  "review.title": "Review your transfer",
+  "review.intro": "Check the details below before you confirm.",
+  "review.confirm": "Confirm transfer",
+  "review.edit": "Edit",
+  "review.when": "When",
+  "review.on": "On {date}",
+  "review.recurring": "{schedule}, starting {date}",
+  "review.balanceAfter": "Balance after transfer",
+  "review.balanceLater": "Checked on the payment date",
+
+  "receipt.heading": "Transfer receipt",
+  "receipt.print": "Print receipt",
+  "receipt.download": "Download receipt",
+  "receipt.back": "Back to transactions",
+  "receipt.reference": "Reference number",
+  "receipt.time": "Date and time",
+  "receipt.from": "From",
+  "receipt.to": "To",
+  "receipt.amount": "Amount",
+  "receipt.description": "Description",
+  "receipt.noDescription": "None",
+  "receipt.balanceAfter": "Balance after transfer",
+  "receipt.completed": "Completed",
+  "receipt.notFound": "That receipt could not be found",
+  "receipt.downloaded": "Receipt {ref} downloaded",
+  "receipt.payType": "Paid with",
+
+  "payid.type": "PayID type",
+  "payid.types.phone": "Mobile number",
+  "payid.types.email": "Email address",
+  "payid.types.abn": "ABN",
+  "payid.label": "PayID",
+  "payid.help.phone": "An Australian mobile number, e.g. 0491 570 006 or +61 491 570 006",
+  "payid.help.email": "The email address registered as their PayID",
+  "payid.help.abn": "An 11-digit Australian Business Number",
+  "payid.errors.required": "PayID is required",
+  "payid.errors.phone": "Enter an Australian mobile number, e.g. 0491 570 006",
+  "payid.errors.email": "Enter a valid email address, e.g. name@example.com",
+  "payid.errors.abnFormat": "An ABN has 11 digits",
+  "payid.errors.abnCheck": "That ABN is not valid. Check the digits and try again.",
+  "payid.errors.notFound": "No account is registered to PayID {payId}",
+  "payid.errors.locked": "PayID {payId} can't receive payments right now",
+  "payid.registeredName": "Name registered to this PayID",
+  "payid.to": "{name} (PayID {payId})",
+
+  "bpay.biller": "Biller code",
+  "bpay.billerHelp": "Printed next to the BPAY logo on your bill",
+  "bpay.crn": "Customer reference number (CRN)",
+  "bpay.crnHelp": "Your reference number with this biller, also printed on the bill",
+  "bpay.errors.billerRequired": "Biller code is required",
+  "bpay.errors.billerFormat": "A biller code has 3 to 10 digits",
+  "bpay.errors.billerCheck": "Biller code {code} is not valid. Check it against your bill.",
+  "bpay.errors.billerNotFound": "No biller was found with code {code}",
+  "bpay.errors.crnRequired": "Customer reference number is required",
+  "bpay.errors.crnFormat": "{name} reference numbers have {length} digits",
+  "bpay.errors.crnCheck": "That reference number is not valid for {name}. Check it against your bill.",
+  "bpay.billerName": "Biller registered to this code",
+  "bpay.to": "{name} (BPAY {code}, CRN {crn})",
+
+  "profile.heading": "Demo profile",
+  "profile.help": "Each demo customer has their own accounts, transactions, payees, scheduled payments, limits and budgets. Resetting puts this customer's data back to how it started; other customers are not affected.",
+  "profile.reset": "Reset this demo profile",
+  "profile.confirmReset": "Reset this demo profile? Your transactions, payees, scheduled payments, limits and budgets will be replaced with the starting data. This can't be undone.",
+  "profile.resetDone": "Demo profile reset to its starting data",
+
+  "activity.heading": "Security activity",
+  "activity.intro": "Sign-ins, sign-outs and transfer attempts on your profile, including ones that were refused, and attempts in this browser to sign in with a customer ID that doesn't exist. Sign-ins from a new device and unusually large transfers are highlighted.",
+  "activity.filtersLabel": "Filter activity",
+  "activity.filterType": "Event",
+  "activity.filterOutcome": "Outcome",
+  "activity.allTypes": "All events",
+  "activity.allOutcomes": "All outcomes",
+  "activity.flaggedOnly": "Highlighted only",
+  "activity.caption": "Security activity, newest first",
+  "activity.colTime": "Time",
+  "activity.colEvent": "Event",
+  "activity.colOutcome": "Outcome",
+  "activity.colDetails": "Details",
+  "activity.type.login": "Sign in",
+  "activity.type.logout": "Sign out",
+  "activity.type.transfer": "Transfer",
+  "activity.outcome.success": "Succeeded",
+  "activity.outcome.failure": "Failed",
+  "activity.outcome.blocked": "Blocked",
+  "activity.outcome.invalid": "Invalid details",
+  "activity.outcome.scheduled": "Scheduled",
+  "activity.outcome.reversed": "Undone",
+  "activity.flag.newDevice": "New device",
+  "activity.flag.unusualAmount": "Unusual amount",
+  "activity.detail.device": "Device {device}",
+  "activity.detail.idle": "After inactivity",
+  "activity.detail.locked": "Customer ID locked",
+  "activity.detail.stepUp": "One-time code not verified",
+  "activity.detail.attemptsLeft": { one: "{count} attempt left", other: "{count} attempts left" },
+  "activity.detail.transfer": "{amount} to {to}",
+  "activity.detail.date": "Due {date}",
+  "activity.detail.ref": "Reference {ref}",
+  "activity.detail.fields": "Check: {fields}",
+  "activity.summary": { one: "Showing {count} of {total} events. Only the latest {max} are kept.", other: "Showing {count} of {total} events. Only the latest {max} are kept." },
+  "activity.empty": "No activity recorded yet",
+  "activity.noMatches": "No activity matches these filters",
+  "activity.detail.manual": "At your request",
+  "activity.detail.refused": "Refused: {reason}",
+  "activity.detail.expired": "Session expired",
+  "activity.detail.unknownCustomer": "Unknown customer ID {cust}",
+
+  "form.errors.summary": { one: "Please fix the highlighted field", other: "Please fix the {count} highlighted fields" },
+
+  "session.expired": "Your session has expired. Please sign in again."
+};
@@ -0,0 +1,586 @@
+/*
+  i18n/vi.js
+  ----------
+  Vietnamese (vi-VN) message catalogue. Loaded before app.js and registered
+  on window.APP_MESSAGES.vi; see INTERNATIONALISATION in app.js for
+  the "{placeholder}" and plural-object formats.
+*/
+
+window.APP_MESSAGES = window.APP_MESSAGES || {};
+
+window.APP_MESSAGES.vi = {
+  "nav.skip": "Chuyển đến nội dung chính",
+  "nav.primary": "Điều hướng chính",
+  "nav.logoutLabel": "Đăng xuất khỏi tài khoản",
+  "nav.sections": "Các mục của ứng dụng",
+  "nav.logout": "Đăng xuất",
+
+  "tabs.accounts": "Tài khoản",
+  "tabs.transactions": "Giao dịch",
+  "tabs.transfer": "Chuyển tiền",
+  "tabs.scheduled": "Đã lên lịch",
+  "tabs.accountsLabel": "Xem tài khoản",
+  "tabs.transactionsLabel": "Xem giao dịch",
+  "tabs.transferLabel": "Chuyển tiền",
+  "tabs.payeesLabel": "Quản lý người nhận",
+  "tabs.activity": "Hoạt động",
+  "tabs.activityLabel": "Xem hoạt động bảo mật",
+
+  "payees.heading": "Người nhận",
+  "payees.name": "Tên người nhận",
+  "payees.intro": "Lưu những người và doanh nghiệp bạn thường xuyên thanh toán",
+  "payees.listHeading": "Người nhận đã lưu",
+  "payees.addHeading": "Thêm người nhận",
+  "payees.save": "Lưu người nhận",
+  "payees.cancelEdit": "Hủy chỉnh sửa",
+  "payees.namePlaceholder": "vd: Chủ nhà",
+  "payees.to": "BSB-Tài khoản",
+  "payees.savedFromTransfer": "Đã lưu {name} vào danh sách người nhận",
+  "payees.errors.nameRequired": "Cần nhập tên người nhận",
+  "payees.errors.nameLength": "Tên người nhận không được dài quá 40 ký tự",
+  "payees.errors.toRequired": "Cần nhập BSB-Tài khoản",
+  "payees.errors.duplicate": "Bạn đã có người nhận với BSB-Tài khoản này",
+  "payees.payLabel": "Trả cho {name}",
+  "payees.pay": "Trả",
+  "payees.editLabel": "Sửa {name}",
+  "payees.deleteLabel": "Xóa {name}",
+  "payees.empty": "Bạn chưa lưu người nhận nào.",
+  "payees.choose": "Chọn người nhận…",
+  "payees.editHeading": "Sửa {name}",
+  "payees.updated": "Đã cập nhật {name}",
+  "payees.added": "Đã thêm {name} vào danh sách người nhận",
+  "payees.confirmDelete": "Xóa {name} khỏi danh sách người nhận?",
+  "payees.deleted": "Đã xóa {name}",
+
+  "settings.heading": "Cài đặt",
+  "settings.intro": "Quản lý hạn mức chuyển tiền, ngân sách hằng tháng và hồ sơ demo",
+
+  "login.heading": "Đăng nhập vào tài khoản của bạn",
+  "login.intro": "Nhập thông tin đăng nhập để truy cập tài khoản",
+  "login.custHelp": "Mã số khách hàng duy nhất của bạn",
+  "login.passHelp": "Mật khẩu bảo mật của bạn",
+  "login.submit": "Đăng nhập",
+  "login.custPlaceholder": "Nhập mã khách hàng",
+  "login.passPlaceholder": "Nhập mật khẩu",
+  "login.showPassword": "Hiện mật khẩu",
+  "login.submitLabel": "Gửi biểu mẫu đăng nhập",
+  "login.cust": "Mã khách hàng",
+  "login.pass": "Mật khẩu",
+  "login.demoTitle": "Thông tin đăng nhập mẫu:",
+  "login.demoLockout": "Nhập sai ba lần sẽ tạm khóa mã khách hàng.",
+  "login.errors.custRequired": "Cần nhập mã khách hàng",
+  "login.errors.passRequired": "Cần nhập mật khẩu",
+  "login.errors.passLength": "Mật khẩu phải có ít nhất {min} ký tự",
+  "login.errors.noCrypto": "Trình duyệt này không hỗ trợ đăng nhập bảo mật.",
+  "login.errors.locked": "Quá nhiều lần thử không thành công. Hãy thử lại sau {wait}.",
+  "login.authenticating": "Đang xác thực...",
+  "login.errors.nowLocked": "Mã khách hàng hoặc mật khẩu không đúng. Đăng nhập bị khóa trong {wait}.",
+  "login.errors.incorrect": { other: "Mã khách hàng hoặc mật khẩu không đúng. Còn {count} lần thử." },
+  "login.hidePassword": "Ẩn mật khẩu",
+
+  "dashboard.heading": "Tổng quan tài khoản",
+  "dashboard.intro": "Xem số dư tài khoản và quản lý tài chính của bạn",
+  "dashboard.listLabel": "Tài khoản của bạn",
+  "dashboard.balanceLabel": "Số dư: {amount}",
+  "dashboard.accountNumber": "Số tài khoản",
+  "dashboard.openHint": "Nhấn Enter để xem giao dịch",
+
+  "tx.heading": "Giao dịch gần đây",
+  "tx.accountLabel": "Tài khoản",
+  "tx.accountHelp": "Chọn tài khoản để xem lịch sử",
+  "tx.search": "Tìm theo mô tả",
+  "tx.dateFrom": "Từ ngày",
+  "tx.dateTo": "Đến ngày",
+  "tx.amountMin": "Số tiền tối thiểu ($)",
+  "tx.amountMax": "Số tiền tối đa ($)",
+  "tx.type": "Loại",
+  "tx.typeAll": "Tất cả",
+  "tx.typeDebit": "Ghi nợ",
+  "tx.typeCredit": "Ghi có",
+  "tx.clearFilters": "Xóa bộ lọc",
+  "tx.caption": "Giao dịch gần đây",
+  "tx.colDate": "Ngày",
+  "tx.colDesc": "Mô tả",
+  "tx.colAmount": "Số tiền",
+  "tx.colBalance": "Số dư",
+  "tx.filtersLabel": "Lọc giao dịch",
+  "tx.searchPlaceholder": "vd: Lương, Woolworths",
+  "tx.amountMaxPlaceholder": "Bất kỳ",
+  "tx.tableLabel": "Bảng lịch sử giao dịch",
+  "tx.captionFor": "Giao dịch gần đây của tài khoản {account}",
+  "tx.summary": { other: "{count} giao dịch" },
+  "tx.summaryFiltered": { other: "{count} giao dịch khớp (tổng {total})" },
+  "tx.emptyFiltered": "Không có giao dịch nào khớp với bộ lọc.",
+  "tx.empty": "Tài khoản này chưa có giao dịch nào.",
+  "tx.accountNotFound": "Không tìm thấy tài khoản đó",
+  "tx.colCategory": "Danh mục",
+  "tx.categoryFor": "Danh mục cho {desc}",
+  "tx.receipt": "Biên nhận",
+  "tx.receiptFor": "Biên nhận cho {desc}",
+
+  "import.colRow": "Dòng",
+  "import.colStatus": "Trạng thái",
+  "import.heading": "Nhập sao kê",
+  "import.file": "Tệp sao kê (CSV hoặc OFX)",
+  "import.help": "Giao dịch sẽ được thêm vào tài khoản đã chọn ở trên. Bạn có thể xem lại trước khi lưu.",
+  "import.mapping": "Ghép các cột CSV",
+  "import.mapDate": "Cột ngày",
+  "import.mapDesc": "Cột mô tả",
+  "import.mapAmount": "Cột số tiền",
+  "import.dateFormat": "Định dạng ngày",
+  "import.caption": "Các dòng tìm thấy trong tệp sao kê",
+  "import.confirm": "Nhập giao dịch",
+  "import.previewLabel": "Xem trước khi nhập",
+  "import.hasHeader": "Dòng đầu tiên là tiêu đề cột",
+  "import.column": "Cột {number}",
+  "import.error.date": "ngày không hợp lệ \"{value}\"",
+  "import.error.descMissing": "thiếu mô tả",
+  "import.error.descLength": "mô tả dài hơn 100 ký tự",
+  "import.error.amount": "số tiền không hợp lệ \"{value}\"",
+  "import.error.zero": "số tiền bằng không",
+  "import.summary": "{file} → {account}: {accepted} mới, {duplicates} trùng lặp, {failed} bị lỗi.",
+  "import.balanceAfter": "Số dư sau khi nhập: {balance} (hiện tại {current}).",
+  "import.previewLimited": "Đang hiển thị {count} dòng đầu tiên.",
+  "import.status.error": "Lỗi: {error}",
+  "import.status.duplicate": "Trùng lặp – bỏ qua",
+  "import.status.new": "Mới",
+  "import.rowError": "dòng {line}: {error}",
+  "import.moreErrors": "và {count} dòng khác",
+  "import.failed": { other: "Không thể nhập {count} dòng ({details})" },
+  "import.tooLarge": "Tệp sao kê phải nhỏ hơn 5 MB",
+  "import.unreadable": "Không thể đọc tệp",
+  "import.noRows": "Không tìm thấy giao dịch nào trong {file}",
+  "import.done": { other: "Đã nhập {count} giao dịch" },
+  "import.confirmCount": { other: "Nhập {count} giao dịch" },
+  "import.duplicatesSince": { other: "Đã bỏ qua {count} dòng vì chúng đã được thêm vào tài khoản sau khi xem trước" },
+
+  "export.heading": "Xuất giao dịch",
+  "export.format": "Định dạng tệp",
+  "export.csv": "CSV – bảng tính",
+  "export.ofx": "OFX 2 – phần mềm kế toán",
+  "export.qif": "QIF – Quicken và công cụ cũ",
+  "export.download": "Tải xuống",
+  "export.help": "Xuất các giao dịch khớp với tìm kiếm và bộ lọc hiện tại",
+  "export.empty": "Không có giao dịch nào để xuất với bộ lọc hiện tại",
+  "export.done": { other: "Đã xuất {count} giao dịch dạng {format}" },
+
+  "common.cancel": "Hủy",
+  "common.saveChanges": "Lưu thay đổi",
+  "common.required": "bắt buộc",
+  "common.edit": "Sửa",
+  "common.delete": "Xóa",
+
+  "transfer.heading": "Chuyển tiền",
+  "transfer.intro": "Gửi tiền an toàn đến tài khoản khác",
+  "transfer.fromHelp": "Chọn tài khoản chuyển đi",
+  "transfer.payeePick": "Trả cho người nhận đã lưu",
+  "transfer.payeePickHelp": "Hoặc nhập BSB và số tài khoản mới bên dưới",
+  "transfer.toHelp": "Định dạng: BSB (6 chữ số) rồi đến số tài khoản (6-9 chữ số)",
+  "transfer.amountHelp": "Số tiền chuyển tối thiểu: $0.01. Bạn có thể nhập số tiền như 1,250.50",
+  "transfer.desc": "Mô tả (Không bắt buộc)",
+  "transfer.descHelp": "Thêm ghi chú cho lần chuyển này (tối đa 40 ký tự)",
+  "transfer.when": "Khi nào",
+  "transfer.whenNow": "Ngay bây giờ",
+  "transfer.whenLater": "Sau này",
+  "transfer.whenRecurring": "Định kỳ",
+  "transfer.whenHelp": "Khoản thanh toán đã lên lịch được kiểm tra với số dư vào ngày thực hiện",
+  "transfer.scheduleDate": "Ngày thanh toán",
+  "transfer.frequency": "Lặp lại",
+  "transfer.scheduleStart": "Lần thanh toán đầu tiên",
+  "transfer.scheduleEnds": "Kết thúc",
+  "transfer.endOnDate": "Vào một ngày",
+  "transfer.endAfterCount": "Sau một số lần thanh toán",
+  "transfer.scheduleEndDate": "Lần thanh toán cuối vào hoặc trước",
+  "transfer.scheduleCount": "Số lần thanh toán",
+  "transfer.submit": "Gửi lệnh chuyển",
+  "transfer.amount": "Số tiền (AUD)",
+  "transfer.descPlaceholder": "vd: Tiền thuê nhà, Quà sinh nhật",
+  "transfer.scheduleCountPlaceholder": "vd: 12",
+  "transfer.from": "Từ tài khoản",
+  "transfer.to": "Đến (BSB-Tài khoản)",
+  "transfer.savePayee": "Lưu người nhận này cho lần sau",
+  "transfer.noteTitle": "Lưu ý:",
+  "transfer.note": "Đây chỉ là bản minh họa. Chuyển tiền chỉ cập nhật số dư lưu trong trình duyệt này; không có tiền thật nào được chuyển.",
+  "transfer.errors.amountPositive": "Số tiền phải lớn hơn {amount}",
+  "transfer.errors.insufficient": "Không đủ số dư. Khả dụng: {amount}",
+  "transfer.errors.toRequired": "Cần nhập tài khoản đích",
+  "transfer.errors.toFormat": "Định dạng BSB-Tài khoản không hợp lệ. Dùng: 062-000 12345678",
+  "transfer.errors.descLength": "Mô tả không được dài quá 40 ký tự",
+  "transfer.status.verifying": "Đang chờ xác minh...",
+  "transfer.status.cancelled": "Đã hủy chuyển tiền: chưa hoàn tất xác minh.",
+  "transfer.status.processing": "Đang xử lý chuyển tiền...",
+  "transfer.done": "Đã chuyển thành công {amount} đến {to}",
+  "transfer.scheduled": "Đã lên lịch chuyển {amount} đến {to} vào {date}",
+  "transfer.recurring": "Chuyển {amount} đến {to} {frequency}, bắt đầu từ {date}",
+  "transfer.undo": "Hoàn tác",
+  "transfer.undone": "Đã hoàn tác khoản chuyển {amount} tới {to}. Tiền đã trở lại tài khoản của bạn.",
+  "transfer.undoFailed": "Không thể hoàn tác khoản chuyển này nữa",
+  "transfer.status.reviewing": "Chưa chuyển tiền. Hãy sửa rồi gửi lại.",
+  "transfer.payType": "Thanh toán bằng",
+  "transfer.payTypeBSB": "BSB và tài khoản",
+  "transfer.payTypePayID": "PayID",
+  "transfer.payTypeBPAY": "BPAY",
+  "transfer.payTypeHelp": "PayID thanh toán đến số di động, email hoặc ABN. BPAY thanh toán hóa đơn bằng mã biller và số tham chiếu ghi trên hóa đơn.",
+  "transfer.confirmName": "Đây là người tôi muốn thanh toán",
+  "transfer.errors.confirmName": "Hãy xác nhận bạn muốn thanh toán cho {name}",
+  "transfer.errors.noLongerPossible": "Không thể thực hiện khoản chuyển này nữa ({reason}), có thể do một khoản thanh toán ở thẻ khác. Chưa có tiền nào được gửi.",
+  "transfer.errors.fromRequired": "Hãy chọn tài khoản chuyển đi",
+
+  "schedule.freq.weekly": "Hằng tuần",
+  "schedule.freq.fortnightly": "Hai tuần một lần",
+  "schedule.freq.monthly": "Hằng tháng",
+  "schedule.heading": "Khoản thanh toán đã lên lịch",
+  "schedule.intro": "Chuyển tiền hẹn ngày và định kỳ. Các khoản đến hạn sẽ được xử lý khi bạn mở ứng dụng.",
+  "schedule.upcoming": "Sắp tới",
+  "schedule.editHeading": "Sửa khoản thanh toán đã lên lịch",
+  "schedule.nextDate": "Ngày thanh toán tiếp theo",
+  "schedule.history": "Các khoản đã thanh toán",
+  "schedule.historyCaption": "Kết quả của các khoản thanh toán đã lên lịch trước đây",
+  "schedule.colDue": "Ngày đến hạn",
+  "schedule.colTo": "Đến",
+  "schedule.colOutcome": "Kết quả",
+  "schedule.freq.once": "Một lần",
+  "schedule.reason.noAccount": "không tìm thấy tài khoản",
+  "schedule.reason.insufficientFunds": "không đủ số dư",
+  "schedule.reason.dailyLimit": "đã đạt hạn mức chuyển hằng ngày",
+  "schedule.reason.monthlyLimit": "đã đạt hạn mức chuyển hằng tháng",
+  "schedule.oneOff": "Thanh toán một lần",
+  "schedule.remaining": { other: "{frequency}, còn {count} lần thanh toán" },
+  "schedule.until": "{frequency} đến {date}",
+  "schedule.failed": "Khoản thanh toán đã lên lịch {amount} đến {to} hạn {date} không thành công: {reason}",
+  "schedule.processed": { other: "Đã xử lý {count} khoản thanh toán đã lên lịch" },
+  "schedule.moreFailed": { other: "Thêm {count} khoản thanh toán đã lên lịch không thành công. Xem mục Khoản thanh toán đã lên lịch để biết chi tiết." },
+  "schedule.label": "{amount} đến {to}",
+  "schedule.from": "Từ {account}",
+  "schedule.closedAccount": "tài khoản đã đóng",
+  "schedule.next": "Tiếp theo: {date}",
+  "schedule.editLabel": "Sửa {label}",
+  "schedule.skipLabel": "Bỏ qua lần thanh toán tiếp theo của {label}",
+  "schedule.skip": "Bỏ qua lần tới",
+  "schedule.cancelLabel": "Hủy {label}",
+  "schedule.empty": "Bạn không có khoản thanh toán nào sắp tới.",
+  "schedule.outcome.paid": "Đã trả",
+  "schedule.outcome.failed": "Thất bại",
+  "schedule.outcome.skipped": "Đã bỏ qua",
+  "schedule.historyEmpty": "Chưa có khoản thanh toán đã lên lịch nào được thực hiện.",
+  "schedule.skippedLast": "Đã bỏ qua khoản thanh toán hạn {date}. Đó là lần thanh toán cuối của lịch này.",
+  "schedule.skipped": "Đã bỏ qua khoản thanh toán hạn {date}. Lần thanh toán tiếp theo: {next}",
+  "schedule.confirmCancel": "Hủy khoản thanh toán đã lên lịch này? Các lần thanh toán sau sẽ không được thực hiện.",
+  "schedule.cancelled": "Đã hủy khoản thanh toán đã lên lịch",
+  "schedule.errors.nextPast": "Ngày thanh toán tiếp theo không được ở trong quá khứ",
+  "schedule.errors.afterEnd": "Lần thanh toán tiếp theo phải vào hoặc trước ngày kết thúc ({date})",
+  "schedule.updated": "Đã cập nhật khoản thanh toán đã lên lịch",
+  "schedule.errors.dateRequired": "Chọn ngày thanh toán",
+  "schedule.errors.dateFuture": "Ngày thanh toán phải sau hôm nay. Chọn \"{now}\" để thanh toán hôm nay.",
+  "schedule.errors.dateTooFar": "Chỉ có thể lên lịch thanh toán trước tối đa một năm",
+  "schedule.errors.frequency": "Chọn tần suất lặp lại khoản thanh toán",
+  "schedule.errors.startRequired": "Chọn ngày thanh toán đầu tiên",
+  "schedule.errors.startPast": "Ngày thanh toán đầu tiên không được ở trong quá khứ",
+  "schedule.errors.startTooFar": "Lần thanh toán đầu tiên phải trong vòng một năm",
+  "schedule.errors.endRequired": "Chọn thời điểm kết thúc các khoản thanh toán",
+  "schedule.errors.endBeforeStart": "Ngày kết thúc phải vào hoặc sau lần thanh toán đầu tiên",
+  "schedule.errors.count": "Số lần thanh toán phải là số nguyên từ 1 đến {max}",
+  "schedule.reason.accountDailyLimit": "đã đạt hạn mức hằng ngày của tài khoản",
+  "schedule.reason.accountMonthlyLimit": "đã đạt hạn mức hằng tháng của tài khoản",
+  "schedule.reason.transactionLimit": "vượt hạn mức mỗi giao dịch",
+  "schedule.errors.changed": "Khoản thanh toán này đã được thay đổi ở một thẻ khác. Hãy kiểm tra danh sách và thử lại.",
+
+  "limits.heading": "Hạn mức chuyển tiền",
+  "limits.help": "Hạn mức áp dụng cho từng lệnh chuyển và tổng số tiền chuyển từ tất cả tài khoản của bạn. Mỗi tài khoản cũng có thể có hạn mức hằng ngày và hằng tháng riêng. Khoản thanh toán đã lên lịch được tính vào hạn mức vào ngày thực hiện.",
+  "limits.daily": "Hạn mức hằng ngày (AUD)",
+  "limits.monthly": "Hạn mức hằng tháng (AUD)",
+  "limits.save": "Lưu hạn mức",
+  "limits.cancelPending": "Hủy các lần tăng đang chờ",
+  "limits.breach.daily": "Lệnh chuyển này vượt hạn mức hằng ngày {limit} của bạn. Còn lại hôm nay: {remaining}",
+  "limits.breach.monthly": "Lệnh chuyển này vượt hạn mức hằng tháng {limit} của bạn. Còn lại tháng này: {remaining}",
+  "limits.info.daily": "Còn lại hôm nay: {remaining} trên {limit}",
+  "limits.info.monthly": "Tháng này: {remaining} trên {limit}",
+  "limits.info.account": "Đã chuyển từ {account}: {daily} hôm nay, {monthly} tháng này",
+  "limits.pending": "Mức tăng lên {amount} có hiệu lực lúc {time}",
+  "limits.errors.wholeDollars.daily": "Nhập hạn mức hằng ngày bằng số đô la chẵn",
+  "limits.errors.wholeDollars.monthly": "Nhập hạn mức hằng tháng bằng số đô la chẵn",
+  "limits.errors.range.daily": "Hạn mức hằng ngày phải từ {min} đến {max}",
+  "limits.errors.range.monthly": "Hạn mức hằng tháng phải từ {min} đến {max}",
+  "limits.errors.dailyOverMonthly": "Hạn mức hằng ngày không được lớn hơn hạn mức hằng tháng",
+  "limits.raised.daily": "Hạn mức hằng ngày của bạn sẽ tăng lên {amount} sau 24 giờ.",
+  "limits.raised.monthly": "Hạn mức hằng tháng của bạn sẽ tăng lên {amount} sau 24 giờ.",
+  "limits.lowered.daily": "Hạn mức hằng ngày của bạn hiện là {amount}.",
+  "limits.lowered.monthly": "Hạn mức hằng tháng của bạn hiện là {amount}.",
+  "limits.unchanged": "Hạn mức của bạn không thay đổi",
+  "limits.pendingCancelled": "Đã hủy các lần tăng hạn mức đang chờ",
+  "limits.current": "Hạn mức hiện tại: {limit}. Mức tối đa của ngân hàng: {max}",
+  "limits.breach.account.daily": "Lệnh chuyển này vượt hạn mức hằng ngày {limit} của {account}. Còn lại hôm nay: {remaining}",
+  "limits.breach.account.monthly": "Lệnh chuyển này vượt hạn mức hằng tháng {limit} của {account}. Còn lại tháng này: {remaining}",
+  "limits.transaction": "Hạn mức mỗi giao dịch (AUD)",
+  "limits.breach.transaction": "Lệnh chuyển này vượt hạn mức mỗi giao dịch {limit} của bạn",
+  "limits.info.transaction": "Tối đa {limit} mỗi lệnh chuyển",
+  "limits.info.account.daily": "Hạn mức hằng ngày của {account}: còn {remaining} / {limit}",
+  "limits.info.account.monthly": "Hạn mức hằng tháng của {account}: còn {remaining} / {limit}",
+  "limits.errors.wholeDollars.transaction": "Hãy nhập hạn mức mỗi giao dịch bằng số đô la chẵn",
+  "limits.errors.range.transaction": "Hạn mức mỗi giao dịch phải từ {min} đến {max}",
+  "limits.errors.forAccount": "{account}: {error}",
+  "limits.raised.transaction": "Hạn mức mỗi giao dịch của bạn sẽ tăng lên {amount} sau 24 giờ.",
+  "limits.lowered.transaction": "Hạn mức mỗi giao dịch của bạn hiện là {amount}.",
+  "limits.accounts.heading": "Hạn mức theo tài khoản",
+  "limits.accounts.help": "Để trống nếu chỉ muốn áp dụng hạn mức chung cho tài khoản đó.",
+  "limits.accounts.used": "Đã chuyển hôm nay: {daily}. Tháng này: {monthly}",
+  "limits.accounts.pendingRemoval": "Hạn mức này sẽ được bỏ vào {time}",
+  "limits.accounts.raised.daily": "{account}: hạn mức hằng ngày sẽ tăng lên {amount} sau 24 giờ.",
+  "limits.accounts.raised.monthly": "{account}: hạn mức hằng tháng sẽ tăng lên {amount} sau 24 giờ.",
+  "limits.accounts.removed.daily": "{account}: hạn mức hằng ngày sẽ được bỏ sau 24 giờ.",
+  "limits.accounts.removed.monthly": "{account}: hạn mức hằng tháng sẽ được bỏ sau 24 giờ.",
+  "limits.accounts.lowered.daily": "{account}: hạn mức hằng ngày hiện là {amount}.",
+  "limits.accounts.lowered.monthly": "{account}: hạn mức hằng tháng hiện là {amount}.",
+
+  "footer.disclaimer": "Chỉ là giao diện minh họa. Không có chức năng ngân hàng thật.",
+
+  "idle.title": "Bạn vẫn ở đó chứ?",
+  "idle.stay": "Tiếp tục đăng nhập",
+  "idle.logout": "Đăng xuất ngay",
+  "idle.before": "Vì lý do bảo mật, bạn sẽ bị đăng xuất sau",
+  "idle.after": "vì không có hoạt động nào.",
+  "idle.signedOut": "Bạn đã bị đăng xuất sau {wait} không hoạt động",
+  "idle.announce": "Bạn sẽ bị đăng xuất sau {wait}.",
+  "idle.stillSignedIn": "Bạn vẫn đang đăng nhập",
+
+  "stepUp.title": "Xác nhận đó là bạn",
+  "stepUp.codeLabel": "Mã 6 chữ số từ ứng dụng xác thực",
+  "stepUp.verify": "Xác minh",
+  "stepUp.cancel": "Hủy chuyển tiền",
+  "stepUp.demoShow": "Hiện mã hiện tại",
+  "stepUp.demoTitle": "Chỉ để minh họa:",
+  "stepUp.demoPrompt": "không có ứng dụng xác thực?",
+  "stepUp.reason.amount": "số tiền vượt quá {amount}",
+  "stepUp.reason.newPayee": "bạn chưa từng chuyển tiền cho {to}",
+  "stepUp.reason": "Chúng tôi cần xác nhận đó là bạn vì {reasons}.",
+  "stepUp.errors.format": "Nhập mã 6 chữ số từ ứng dụng xác thực.",
+  "stepUp.errors.locked": "Nhập sai mã quá nhiều lần. Lệnh chuyển đã bị hủy để bảo vệ bạn và mã dùng một lần bị khóa trong {wait}.",
+  "stepUp.errors.expired": "Mã đó đã hết hạn. Hãy nhập mã đang hiển thị trong ứng dụng xác thực.",
+  "stepUp.errors.incorrect": "Mã không đúng.",
+  "stepUp.errors.remaining": { other: "Còn {count} lần thử." },
+  "stepUp.demoCode": "Mã xác thực mẫu: {code}",
+  "stepUp.errors.lockedFor": "Nhập sai mã dùng một lần quá nhiều lần. Hãy thử lại sau {wait}.",
+  "stepUp.errors.unavailable": "Không thể kiểm tra mã dùng một lần trong trình duyệt này. Lệnh chuyển đã bị hủy.",
+
+  "language.label": "Ngôn ngữ",
+
+  "app.title": "CommBank – Bản mẫu giao diện",
+
+  "money.errors.required": "Vui lòng nhập số tiền",
+  "money.errors.invalid": "Vui lòng nhập số tiền hợp lệ, vd: 1,250.50",
+  "money.errors.decimals": "Số tiền chỉ được có tối đa 2 chữ số thập phân",
+  "money.errors.tooLarge": "Số tiền quá lớn",
+  "money.dollars": { other: "{count} đô la" },
+  "money.cents": { other: "{count} xu" },
+  "money.debit": "ghi nợ {amount}",
+  "money.credit": "ghi có {amount}",
+
+  "announce.login": "Trang đăng nhập",
+  "announce.dashboard": "Bảng tổng quan tài khoản",
+  "announce.transactions": "Lịch sử giao dịch",
+  "announce.transfer": "Chuyển tiền",
+  "announce.payees": "Người nhận",
+  "announce.scheduled": "Khoản thanh toán đã lên lịch",
+  "announce.settings": "Cài đặt",
+  "announce.navigated": "Đã chuyển đến {page}",
+  "announce.receipt": "Biên nhận chuyển tiền",
+  "announce.activity": "Hoạt động bảo mật",
+
+  "time.seconds": { other: "{count} giây" },
+  "time.minutes": { other: "{count} phút" },
+
+  "toast.welcome": "Chào mừng, {name}!",
+  "toast.loggedOut": "Đã đăng xuất thành công",
+  "toast.welcomeBack": "Chào mừng bạn trở lại!",
+  "toast.dismiss": "Đóng thông báo",
+  "toast.signedOutElsewhere": "Bạn đã đăng xuất ở một thẻ khác",
+  "toast.signedInElsewhere": "Đã đăng nhập với tên {name} ở một thẻ khác",
+  "toast.switchedElsewhere": "{name} đã đăng nhập ở một thẻ khác, nên thẻ này hiện hiển thị tài khoản của họ",
+
+  "ledger.transferTo": "Chuyển đến {to}",
+  "ledger.scheduledTo": "Chuyển theo lịch đến {to}",
+  "ledger.payId": "PayID đến {name}",
+  "ledger.payIdNote": "PayID đến {name} – {desc}",
+  "ledger.bpay": "BPAY {name} – CRN {crn}",
+  "ledger.bpayNote": "BPAY {name} – {desc}",
+
+  "bsb.payments.electronic": "chuyển khoản điện tử",
+  "bsb.payments.paper": "séc",
+  "bsb.payments.highValue": "thanh toán giá trị cao (RTGS)",
+  "bsb.errors.notFound": "Không tìm thấy BSB {bsb} trong danh bạ BSB. Hãy kiểm tra lại số với người nhận.",
+  "bsb.errors.closed": "BSB {bsb} ({bank}) đã đóng. Hãy hỏi người nhận BSB mới của họ.",
+  "bsb.errors.noElectronic": "BSB {bsb} ({bank}) không nhận chuyển khoản điện tử",
+  "bsb.accepts": "Chấp nhận {types}",
+
+  "category.income": "Thu nhập",
+  "category.groceries": "Thực phẩm",
+  "category.dining": "Ăn uống",
+  "category.transport": "Đi lại",
+  "category.bills": "Hóa đơn & tiện ích",
+  "category.shopping": "Mua sắm",
+  "category.health": "Sức khỏe",
+  "category.entertainment": "Giải trí",
+  "category.cash": "Tiền mặt",
+  "category.transfers": "Chuyển khoản",
+  "category.other": "Khác",
+
+  "insights.heading": "Phân tích chi tiêu",
+  "insights.month": "Tháng",
+  "insights.spendTitle": "Chi tiêu theo danh mục",
+  "insights.cashflowTitle": "Tiền vào và tiền ra",
+  "insights.balanceTitle": "Xu hướng số dư (tất cả tài khoản)",
+  "insights.showTable": "Hiển thị dữ liệu dạng bảng",
+  "insights.spendSummary": { other: "Trong {month}, bạn đã chi {total} cho {count} danh mục. Lớn nhất là {top} với {topAmount}." },
+  "insights.cashflowSummary": "Trong {month}, tiền vào là {moneyIn} và tiền ra là {moneyOut}, thay đổi ròng {net}.",
+  "insights.balanceSummary": "Trong {month}, tổng số dư thay đổi từ {start} thành {end}. Thấp nhất là {low} vào {lowDate}.",
+  "insights.noSpending": "Không có chi tiêu nào trong {month}.",
+  "insights.noActivity": "Không có tiền vào hay ra trong {month}.",
+  "insights.noTrend": "Chưa đủ số ngày trong {month} để hiển thị xu hướng.",
+  "insights.moneyIn": "Tiền vào",
+  "insights.moneyOut": "Tiền ra",
+  "insights.net": "Thay đổi ròng",
+
+  "budgets.heading": "Ngân sách hằng tháng",
+  "budgets.manage": "Quản lý ngân sách",
+  "budgets.help": "Chi tiêu được tính từ ngày 1 mỗi tháng. Bạn sẽ được thông báo khi dùng đến 80% và 100% ngân sách.",
+  "budgets.addHeading": "Thêm ngân sách",
+  "budgets.editHeading": "Sửa {name}",
+  "budgets.name": "Tên ngân sách",
+  "budgets.namePlaceholder": "Ví dụ: Thực phẩm",
+  "budgets.limit": "Hạn mức hằng tháng (AUD)",
+  "budgets.keywords": "Từ khóa",
+  "budgets.keywordsPlaceholder": "Ví dụ: Woolworths, Coles",
+  "budgets.keywordsHelp": "Ngăn cách từ khóa bằng dấu phẩy. Giao dịch được tính nếu mô tả chứa bất kỳ từ khóa nào; * khớp với mọi văn bản.",
+  "budgets.save": "Lưu ngân sách",
+  "budgets.cancelEdit": "Hủy chỉnh sửa",
+  "budgets.empty": "Bạn chưa đặt ngân sách nào.",
+  "budgets.spentOf": "{spent} trên {limit}",
+  "budgets.left": "Còn {amount}",
+  "budgets.over": "Vượt ngân sách {amount}",
+  "budgets.summary": "{limit} mỗi tháng · {keywords}",
+  "budgets.editLabel": "Sửa ngân sách {name}",
+  "budgets.deleteLabel": "Xóa ngân sách {name}",
+  "budgets.confirmDelete": "Xóa ngân sách {name}?",
+  "budgets.added": "Đã thêm ngân sách {name}",
+  "budgets.updated": "Đã cập nhật ngân sách {name}",
+  "budgets.deleted": "Đã xóa ngân sách {name}",
+  "budgets.alertNear": "Bạn đã dùng {percent}% ngân sách {name} trong tháng này ({spent} trên {limit}).",
+  "budgets.alertOver": "Bạn đã vượt ngân sách {name} trong tháng này ({spent} trên {limit}).",
+  "budgets.transferWarning": "Khoản chuyển này sẽ làm ngân sách {name} vượt hạn mức {limit} thêm {amount}.",
+  "budgets.errors.nameRequired": "Vui lòng nhập tên ngân sách",
+  "budgets.errors.duplicate": "Bạn đã có ngân sách tên {name}",
+  "budgets.errors.limitPositive": "Hạn mức ngân sách phải lớn hơn 0",
+  "budgets.errors.keywordsRequired": "Nhập ít nhất một từ khóa",
+  "budgets.errors.keywordsMax": { other: "Chỉ dùng tối đa {count} từ khóa" },
+  "budgets.errors.keywordsWildcard": "Từ khóa cần có chữ ngoài dấu *",
+
+  "review.title": "Xem lại khoản chuyển",
+  "review.intro": "Kiểm tra thông tin dưới đây trước khi xác nhận.",
+  "review.confirm": "Xác nhận chuyển tiền",
+  "review.edit": "Sửa",
+  "review.when": "Thời gian",
+  "review.on": "Vào {date}",
+  "review.recurring": "{schedule}, bắt đầu từ {date}",
+  "review.balanceAfter": "Số dư sau khi chuyển",
+  "review.balanceLater": "Được kiểm tra vào ngày thanh toán",
+
+  "receipt.heading": "Biên nhận chuyển tiền",
+  "receipt.print": "In biên nhận",
+  "receipt.download": "Tải biên nhận",
+  "receipt.back": "Quay lại giao dịch",
+  "receipt.reference": "Số tham chiếu",
+  "receipt.time": "Ngày và giờ",
+  "receipt.from": "Từ",
+  "receipt.to": "Đến",
+  "receipt.amount": "Số tiền",
+  "receipt.description": "Mô tả",
+  "receipt.noDescription": "Không có",
+  "receipt.balanceAfter": "Số dư sau khi chuyển",
+  "receipt.completed": "Đã hoàn tất",
+  "receipt.notFound": "Không tìm thấy biên nhận đó",
+  "receipt.downloaded": "Đã tải biên nhận {ref}",
+  "receipt.payType": "Thanh toán bằng",
+
+  "payid.type": "Loại PayID",
+  "payid.types.phone": "Số di động",
+  "payid.types.email": "Địa chỉ email",
+  "payid.types.abn": "ABN",
+  "payid.label": "PayID",
+  "payid.help.phone": "Số di động Úc, ví dụ 0491 570 006 hoặc +61 491 570 006",
+  "payid.help.email": "Địa chỉ email người nhận đã đăng ký làm PayID",
+  "payid.help.abn": "Mã số doanh nghiệp Úc gồm 11 chữ số",
+  "payid.errors.required": "Vui lòng nhập PayID",
+  "payid.errors.phone": "Nhập số di động Úc, ví dụ 0491 570 006",
+  "payid.errors.email": "Nhập địa chỉ email hợp lệ, ví dụ name@example.com",
+  "payid.errors.abnFormat": "ABN gồm 11 chữ số",
+  "payid.errors.abnCheck": "ABN này không hợp lệ. Hãy kiểm tra các chữ số và thử lại.",
+  "payid.errors.notFound": "Không có tài khoản nào đăng ký PayID {payId}",
+  "payid.errors.locked": "PayID {payId} hiện không thể nhận tiền",
+  "payid.registeredName": "Tên đã đăng ký với PayID này",
+  "payid.to": "{name} (PayID {payId})",
+
+  "bpay.biller": "Mã biller",
+  "bpay.billerHelp": "In cạnh logo BPAY trên hóa đơn của bạn",
+  "bpay.crn": "Số tham chiếu khách hàng (CRN)",
+  "bpay.crnHelp": "Số tham chiếu của bạn với biller này, cũng in trên hóa đơn",
+  "bpay.errors.billerRequired": "Vui lòng nhập mã biller",
+  "bpay.errors.billerFormat": "Mã biller gồm từ 3 đến 10 chữ số",
+  "bpay.errors.billerCheck": "Mã biller {code} không hợp lệ. Hãy đối chiếu với hóa đơn.",
+  "bpay.errors.billerNotFound": "Không tìm thấy biller có mã {code}",
+  "bpay.errors.crnRequired": "Vui lòng nhập số tham chiếu khách hàng",
+  "bpay.errors.crnFormat": "Số tham chiếu của {name} gồm {length} chữ số",
+  "bpay.errors.crnCheck": "Số tham chiếu này không hợp lệ với {name}. Hãy đối chiếu với hóa đơn.",
+  "bpay.billerName": "Biller đã đăng ký với mã này",
+  "bpay.to": "{name} (BPAY {code}, CRN {crn})",
+
+  "profile.heading": "Hồ sơ demo",
+  "profile.help": "Mỗi khách hàng demo có tài khoản, giao dịch, người nhận, khoản thanh toán định kỳ, hạn mức và ngân sách riêng. Đặt lại sẽ đưa dữ liệu của khách hàng này về trạng thái ban đầu; các khách hàng khác không bị ảnh hưởng.",
+  "profile.reset": "Đặt lại hồ sơ demo này",
+  "profile.confirmReset": "Đặt lại hồ sơ demo này? Giao dịch, người nhận, khoản thanh toán định kỳ, hạn mức và ngân sách của bạn sẽ được thay bằng dữ liệu ban đầu. Không thể hoàn tác.",
+  "profile.resetDone": "Đã đặt lại hồ sơ demo về dữ liệu ban đầu",
+
+  "activity.heading": "Hoạt động bảo mật",
+  "activity.intro": "Các lần đăng nhập, đăng xuất và chuyển tiền trên hồ sơ của bạn, kể cả những lần bị từ chối, và các lần thử đăng nhập trên trình duyệt này bằng mã khách hàng không tồn tại. Đăng nhập từ thiết bị mới và các khoản chuyển lớn bất thường được đánh dấu.",
+  "activity.filtersLabel": "Lọc hoạt động",
+  "activity.filterType": "Sự kiện",
+  "activity.filterOutcome": "Kết quả",
+  "activity.allTypes": "Tất cả sự kiện",
+  "activity.allOutcomes": "Tất cả kết quả",
+  "activity.flaggedOnly": "Chỉ mục được đánh dấu",
+  "activity.caption": "Hoạt động bảo mật, mới nhất trước",
+  "activity.colTime": "Thời gian",
+  "activity.colEvent": "Sự kiện",
+  "activity.colOutcome": "Kết quả",
+  "activity.colDetails": "Chi tiết",
+  "activity.type.login": "Đăng nhập",
+  "activity.type.logout": "Đăng xuất",
+  "activity.type.transfer": "Chuyển tiền",
+  "activity.outcome.success": "Thành công",
+  "activity.outcome.failure": "Thất bại",
+  "activity.outcome.blocked": "Bị chặn",
+  "activity.outcome.invalid": "Thông tin không hợp lệ",
+  "activity.outcome.scheduled": "Đã lên lịch",
+  "activity.outcome.reversed": "Đã hoàn tác",
+  "activity.flag.newDevice": "Thiết bị mới",
+  "activity.flag.unusualAmount": "Số tiền bất thường",
+  "activity.detail.device": "Thiết bị {device}",
+  "activity.detail.idle": "Do không hoạt động",
+  "activity.detail.locked": "Mã khách hàng bị khóa",
+  "activity.detail.stepUp": "Mã dùng một lần chưa được xác minh",
+  "activity.detail.attemptsLeft": { other: "Còn {count} lần thử" },
+  "activity.detail.transfer": "{amount} đến {to}",
+  "activity.detail.date": "Đến hạn {date}",
+  "activity.detail.ref": "Mã tham chiếu {ref}",
+  "activity.detail.fields": "Kiểm tra: {fields}",
+  "activity.summary": { other: "Đang hiển thị {count} trên {total} sự kiện. Chỉ lưu {max} sự kiện gần nhất." },
+  "activity.empty": "Chưa có hoạt động nào",
+  "activity.noMatches": "Không có hoạt động nào khớp với bộ lọc",
+  "activity.detail.manual": "Theo yêu cầu của bạn",
+  "activity.detail.refused": "Bị từ chối: {reason}",
+  "activity.detail.expired": "Phiên đã hết hạn",
+  "activity.detail.unknownCustomer": "Mã khách hàng không tồn tại {cust}",
+
+  "form.errors.summary": { other: "Vui lòng sửa {count} trường được đánh dấu" },
+
+  "session.expired": "Phiên đăng nhập của bạn đã hết hạn. Vui lòng đăng nhập lại."
+};
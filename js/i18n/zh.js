@@ -0,0 +1,586 @@
+/*
+  i18n/zh.js
+  ----------
+  Simplified Chinese (zh-CN) message catalogue. Loaded before app.js and registered
+  on window.APP_MESSAGES.zh; see INTERNATIONALISATION in app.js for
+  the "{placeholder}" and plural-object formats.
+*/
+
+window.APP_MESSAGES = window.APP_MESSAGES || {};
+
+window.APP_MESSAGES.zh = {
+  "nav.skip": "跳到主要内容",
+  "nav.primary": "主导航",
+  "nav.logoutLabel": "退出您的账户",
+  "nav.sections": "应用各部分",
+  "nav.logout": "退出",
+
+  "tabs.accounts": "账户",
+  "tabs.transactions": "交易",
+  "tabs.transfer": "转账",
+  "tabs.scheduled": "预约付款",
+  "tabs.accountsLabel": "查看账户",
+  "tabs.transactionsLabel": "查看交易",
+  "tabs.transferLabel": "转账",
+  "tabs.payeesLabel": "管理收款人",
+  "tabs.activity": "活动",
+  "tabs.activityLabel": "查看安全活动",
+
+  "payees.heading": "收款人",
+  "payees.name": "收款人名称",
+  "payees.intro": "保存您经常付款的个人和商家",
+  "payees.listHeading": "已保存的收款人",
+  "payees.addHeading": "添加收款人",
+  "payees.save": "保存收款人",
+  "payees.cancelEdit": "取消编辑",
+  "payees.namePlaceholder": "例如：房东",
+  "payees.to": "BSB-账号",
+  "payees.savedFromTransfer": "已将 {name} 保存到您的收款人",
+  "payees.errors.nameRequired": "请输入收款人名称",
+  "payees.errors.nameLength": "收款人名称不能超过 40 个字符",
+  "payees.errors.toRequired": "请输入 BSB-账号",
+  "payees.errors.duplicate": "您已有使用此 BSB-账号的收款人",
+  "payees.payLabel": "向 {name} 付款",
+  "payees.pay": "付款",
+  "payees.editLabel": "编辑 {name}",
+  "payees.deleteLabel": "删除 {name}",
+  "payees.empty": "您还没有保存任何收款人。",
+  "payees.choose": "选择收款人…",
+  "payees.editHeading": "编辑 {name}",
+  "payees.updated": "已更新 {name}",
+  "payees.added": "已将 {name} 添加到您的收款人",
+  "payees.confirmDelete": "要从收款人中删除 {name} 吗？",
+  "payees.deleted": "已删除 {name}",
+
+  "settings.heading": "设置",
+  "settings.intro": "管理您的转账限额、每月预算和演示资料",
+
+  "login.heading": "登录您的账户",
+  "login.intro": "输入您的凭据以访问您的账户",
+  "login.custHelp": "您唯一的客户识别号码",
+  "login.passHelp": "您的安全密码",
+  "login.submit": "登录",
+  "login.custPlaceholder": "输入您的客户编号",
+  "login.passPlaceholder": "输入您的密码",
+  "login.showPassword": "显示密码",
+  "login.submitLabel": "提交登录表单",
+  "login.cust": "客户编号",
+  "login.pass": "密码",
+  "login.demoTitle": "演示凭据：",
+  "login.demoLockout": "连续三次输入错误将暂时锁定该客户编号。",
+  "login.errors.custRequired": "请输入客户编号",
+  "login.errors.passRequired": "请输入密码",
+  "login.errors.passLength": "密码至少需要 {min} 个字符",
+  "login.errors.noCrypto": "此浏览器不支持安全登录。",
+  "login.errors.locked": "失败次数过多。请在 {wait}后重试。",
+  "login.authenticating": "正在验证…",
+  "login.errors.nowLocked": "客户编号或密码错误。登录已锁定 {wait}。",
+  "login.errors.incorrect": { other: "客户编号或密码错误。还剩 {count} 次尝试机会。" },
+  "login.hidePassword": "隐藏密码",
+
+  "dashboard.heading": "账户概览",
+  "dashboard.intro": "查看账户余额并管理您的财务",
+  "dashboard.listLabel": "您的账户",
+  "dashboard.balanceLabel": "余额：{amount}",
+  "dashboard.accountNumber": "账号",
+  "dashboard.openHint": "按回车键查看交易",
+
+  "tx.heading": "最近交易",
+  "tx.accountLabel": "账户",
+  "tx.accountHelp": "选择要查看历史记录的账户",
+  "tx.search": "搜索描述",
+  "tx.dateFrom": "开始日期",
+  "tx.dateTo": "结束日期",
+  "tx.amountMin": "最低金额（$）",
+  "tx.amountMax": "最高金额（$）",
+  "tx.type": "类型",
+  "tx.typeAll": "全部",
+  "tx.typeDebit": "支出",
+  "tx.typeCredit": "收入",
+  "tx.clearFilters": "清除筛选",
+  "tx.caption": "最近交易",
+  "tx.colDate": "日期",
+  "tx.colDesc": "描述",
+  "tx.colAmount": "金额",
+  "tx.colBalance": "余额",
+  "tx.filtersLabel": "筛选交易",
+  "tx.searchPlaceholder": "例如：工资、Woolworths",
+  "tx.amountMaxPlaceholder": "不限",
+  "tx.tableLabel": "交易历史表",
+  "tx.captionFor": "{account}账户的最近交易",
+  "tx.summary": { other: "共 {count} 笔交易" },
+  "tx.summaryFiltered": { other: "{count} 笔匹配交易（共 {total} 笔）" },
+  "tx.emptyFiltered": "没有符合筛选条件的交易。",
+  "tx.empty": "此账户暂无交易。",
+  "tx.accountNotFound": "找不到该账户",
+  "tx.colCategory": "类别",
+  "tx.categoryFor": "{desc} 的类别",
+  "tx.receipt": "回单",
+  "tx.receiptFor": "{desc} 的回单",
+
+  "import.colRow": "行",
+  "import.colStatus": "状态",
+  "import.heading": "导入对账单",
+  "import.file": "对账单文件（CSV 或 OFX）",
+  "import.help": "交易将添加到上方所选账户。保存之前您可以先进行检查。",
+  "import.mapping": "匹配 CSV 列",
+  "import.mapDate": "日期列",
+  "import.mapDesc": "描述列",
+  "import.mapAmount": "金额列",
+  "import.dateFormat": "日期格式",
+  "import.caption": "对账单文件中找到的行",
+  "import.confirm": "导入交易",
+  "import.previewLabel": "导入预览",
+  "import.hasHeader": "第一行为列标题",
+  "import.column": "第 {number} 列",
+  "import.error.date": "日期无效“{value}”",
+  "import.error.descMissing": "缺少描述",
+  "import.error.descLength": "描述超过 100 个字符",
+  "import.error.amount": "金额无效“{value}”",
+  "import.error.zero": "金额为零",
+  "import.summary": "{file} → {account}：新增 {accepted} 笔，重复 {duplicates} 笔，出错 {failed} 笔。",
+  "import.balanceAfter": "导入后余额：{balance}（当前 {current}）。",
+  "import.previewLimited": "仅显示前 {count} 行。",
+  "import.status.error": "错误：{error}",
+  "import.status.duplicate": "重复 – 已跳过",
+  "import.status.new": "新增",
+  "import.rowError": "第 {line} 行：{error}",
+  "import.moreErrors": "另有 {count} 行",
+  "import.failed": { other: "{count} 行无法导入（{details}）" },
+  "import.tooLarge": "对账单文件必须小于 5 MB",
+  "import.unreadable": "无法读取该文件",
+  "import.noRows": "在 {file} 中未找到交易",
+  "import.done": { other: "已导入 {count} 笔交易" },
+  "import.confirmCount": { other: "导入 {count} 笔交易" },
+  "import.duplicatesSince": { other: "已跳过 {count} 行，因为它们在预览后已添加到该账户" },
+
+  "export.heading": "导出交易",
+  "export.format": "文件格式",
+  "export.csv": "CSV – 电子表格",
+  "export.ofx": "OFX 2 – 会计软件",
+  "export.qif": "QIF – Quicken 及旧版工具",
+  "export.download": "下载",
+  "export.help": "导出与当前搜索和筛选条件匹配的交易",
+  "export.empty": "当前筛选条件下没有可导出的交易",
+  "export.done": { other: "已将 {count} 笔交易导出为 {format}" },
+
+  "common.cancel": "取消",
+  "common.saveChanges": "保存更改",
+  "common.required": "必填",
+  "common.edit": "编辑",
+  "common.delete": "删除",
+
+  "transfer.heading": "转账",
+  "transfer.intro": "安全地向其他账户汇款",
+  "transfer.fromHelp": "选择转出账户",
+  "transfer.payeePick": "向已保存的收款人付款",
+  "transfer.payeePickHelp": "或在下方输入新的 BSB 和账号",
+  "transfer.toHelp": "格式：BSB（6 位数字）后接账号（6-9 位数字）",
+  "transfer.amountHelp": "最低转账金额：$0.01。可以输入 1,250.50 这样的金额",
+  "transfer.desc": "描述（可选）",
+  "transfer.descHelp": "为此次转账添加备注（最多 40 个字符）",
+  "transfer.when": "时间",
+  "transfer.whenNow": "立即",
+  "transfer.whenLater": "稍后",
+  "transfer.whenRecurring": "定期",
+  "transfer.whenHelp": "预约付款会在执行当天核对您的余额",
+  "transfer.scheduleDate": "付款日期",
+  "transfer.frequency": "重复",
+  "transfer.scheduleStart": "首次付款",
+  "transfer.scheduleEnds": "结束",
+  "transfer.endOnDate": "于指定日期",
+  "transfer.endAfterCount": "在若干次付款后",
+  "transfer.scheduleEndDate": "最后一次付款不晚于",
+  "transfer.scheduleCount": "付款次数",
+  "transfer.submit": "提交转账",
+  "transfer.amount": "金额（澳元）",
+  "transfer.descPlaceholder": "例如：房租、生日礼物",
+  "transfer.scheduleCountPlaceholder": "例如：12",
+  "transfer.from": "转出账户",
+  "transfer.to": "收款方（BSB-账号）",
+  "transfer.savePayee": "保存此收款人以便下次使用",
+  "transfer.noteTitle": "注意：",
+  "transfer.note": "这只是演示。转账只会更新保存在此浏览器中的余额，不会转移真实资金。",
+  "transfer.errors.amountPositive": "金额必须大于 {amount}",
+  "transfer.errors.insufficient": "余额不足。可用余额：{amount}",
+  "transfer.errors.toRequired": "请输入收款账户",
+  "transfer.errors.toFormat": "BSB-账号格式无效。格式示例：062-000 12345678",
+  "transfer.errors.descLength": "描述不能超过 40 个字符",
+  "transfer.status.verifying": "正在等待验证…",
+  "transfer.status.cancelled": "转账已取消：未完成验证。",
+  "transfer.status.processing": "正在处理转账…",
+  "transfer.done": "已成功向 {to} 转账 {amount}",
+  "transfer.scheduled": "已预约于 {date} 向 {to} 转账 {amount}",
+  "transfer.recurring": "{frequency}向 {to} 转账 {amount}，自 {date} 开始",
+  "transfer.undo": "撤销",
+  "transfer.undone": "已撤销向 {to} 转账 {amount}，款项已退回您的账户。",
+  "transfer.undoFailed": "这笔转账已无法撤销",
+  "transfer.status.reviewing": "转账尚未发送。请修改后再次提交。",
+  "transfer.payType": "付款方式",
+  "transfer.payTypeBSB": "BSB 和账号",
+  "transfer.payTypePayID": "PayID",
+  "transfer.payTypeBPAY": "BPAY",
+  "transfer.payTypeHelp": "PayID 可向手机号、电子邮箱或 ABN 付款。BPAY 使用账单上的收款方代码和参考编号支付账单。",
+  "transfer.confirmName": "这是我要付款的对象",
+  "transfer.errors.confirmName": "请确认您要向 {name} 付款",
+  "transfer.errors.noLongerPossible": "此转账已无法完成（{reason}），可能是因为另一个标签页中的付款。未发送任何款项。",
+  "transfer.errors.fromRequired": "请选择转出账户",
+
+  "schedule.freq.weekly": "每周",
+  "schedule.freq.fortnightly": "每两周",
+  "schedule.freq.monthly": "每月",
+  "schedule.heading": "预约付款",
+  "schedule.intro": "未来日期和定期转账。到期的付款会在您打开应用时处理。",
+  "schedule.upcoming": "即将到来",
+  "schedule.editHeading": "编辑预约付款",
+  "schedule.nextDate": "下次付款日期",
+  "schedule.history": "过往付款",
+  "schedule.historyCaption": "过往预约付款的结果",
+  "schedule.colDue": "到期日",
+  "schedule.colTo": "收款方",
+  "schedule.colOutcome": "结果",
+  "schedule.freq.once": "一次",
+  "schedule.reason.noAccount": "找不到账户",
+  "schedule.reason.insufficientFunds": "余额不足",
+  "schedule.reason.dailyLimit": "已达每日转账限额",
+  "schedule.reason.monthlyLimit": "已达每月转账限额",
+  "schedule.oneOff": "一次性付款",
+  "schedule.remaining": { other: "{frequency}，还剩 {count} 次付款" },
+  "schedule.until": "{frequency}，直至 {date}",
+  "schedule.failed": "向 {to} 支付的 {amount} 预约付款（到期日 {date}）失败：{reason}",
+  "schedule.processed": { other: "已处理 {count} 笔预约付款" },
+  "schedule.moreFailed": { other: "另有 {count} 笔预约付款失败。详情请查看预约付款。" },
+  "schedule.label": "向 {to} 支付 {amount}",
+  "schedule.from": "转出账户：{account}",
+  "schedule.closedAccount": "已关闭的账户",
+  "schedule.next": "下次：{date}",
+  "schedule.editLabel": "编辑 {label}",
+  "schedule.skipLabel": "跳过下一次付款：{label}",
+  "schedule.skip": "跳过下一次",
+  "schedule.cancelLabel": "取消 {label}",
+  "schedule.empty": "您没有即将到来的预约付款。",
+  "schedule.outcome.paid": "已支付",
+  "schedule.outcome.failed": "失败",
+  "schedule.outcome.skipped": "已跳过",
+  "schedule.historyEmpty": "尚未执行任何预约付款。",
+  "schedule.skippedLast": "已跳过 {date} 到期的付款。这是该计划的最后一次付款。",
+  "schedule.skipped": "已跳过 {date} 到期的付款。下次付款：{next}",
+  "schedule.confirmCancel": "要取消此预约付款吗？之后的付款将不会执行。",
+  "schedule.cancelled": "预约付款已取消",
+  "schedule.errors.nextPast": "下次付款日期不能早于今天",
+  "schedule.errors.afterEnd": "下次付款必须在结束日期（{date}）当天或之前",
+  "schedule.updated": "预约付款已更新",
+  "schedule.errors.dateRequired": "请选择付款日期",
+  "schedule.errors.dateFuture": "付款日期必须晚于今天。如需今天付款，请选择“{now}”。",
+  "schedule.errors.dateTooFar": "最多可提前一年预约付款",
+  "schedule.errors.frequency": "请选择付款的重复频率",
+  "schedule.errors.startRequired": "请选择首次付款日期",
+  "schedule.errors.startPast": "首次付款日期不能早于今天",
+  "schedule.errors.startTooFar": "首次付款必须在一年之内",
+  "schedule.errors.endRequired": "请选择付款的结束时间",
+  "schedule.errors.endBeforeStart": "结束日期必须在首次付款当天或之后",
+  "schedule.errors.count": "付款次数必须是 1 到 {max} 之间的整数",
+  "schedule.reason.accountDailyLimit": "已达该账户的每日限额",
+  "schedule.reason.accountMonthlyLimit": "已达该账户的每月限额",
+  "schedule.reason.transactionLimit": "超过单笔限额",
+  "schedule.errors.changed": "此付款已在另一个标签页中更改。请查看列表后重试。",
+
+  "limits.heading": "转账限额",
+  "limits.help": "限额适用于单笔转账以及您所有账户的转账总和。每个账户还可以设置各自的每日和每月限额。预约付款在执行当天计入限额。",
+  "limits.daily": "每日限额（澳元）",
+  "limits.monthly": "每月限额（澳元）",
+  "limits.save": "保存限额",
+  "limits.cancelPending": "取消待生效的提额",
+  "limits.breach.daily": "此笔转账超过您的每日限额 {limit}。今日剩余额度：{remaining}",
+  "limits.breach.monthly": "此笔转账超过您的每月限额 {limit}。本月剩余额度：{remaining}",
+  "limits.info.daily": "今日剩余：{remaining}（限额 {limit}）",
+  "limits.info.monthly": "本月剩余：{remaining}（限额 {limit}）",
+  "limits.info.account": "从{account}转出：今日 {daily}，本月 {monthly}",
+  "limits.pending": "提高至 {amount} 将于 {time} 生效",
+  "limits.errors.wholeDollars.daily": "请以整数澳元输入每日限额",
+  "limits.errors.wholeDollars.monthly": "请以整数澳元输入每月限额",
+  "limits.errors.range.daily": "每日限额必须在 {min} 到 {max} 之间",
+  "limits.errors.range.monthly": "每月限额必须在 {min} 到 {max} 之间",
+  "limits.errors.dailyOverMonthly": "每日限额不能高于每月限额",
+  "limits.raised.daily": "您的每日限额将在 24 小时后提高至 {amount}。",
+  "limits.raised.monthly": "您的每月限额将在 24 小时后提高至 {amount}。",
+  "limits.lowered.daily": "您的每日限额现为 {amount}。",
+  "limits.lowered.monthly": "您的每月限额现为 {amount}。",
+  "limits.unchanged": "您的限额没有变化",
+  "limits.pendingCancelled": "已取消待生效的提额",
+  "limits.current": "当前限额：{limit}。银行上限：{max}",
+  "limits.breach.account.daily": "此笔转账超过{account}的每日限额 {limit}。今日剩余额度：{remaining}",
+  "limits.breach.account.monthly": "此笔转账超过{account}的每月限额 {limit}。本月剩余额度：{remaining}",
+  "limits.transaction": "单笔限额（澳元）",
+  "limits.breach.transaction": "此笔转账超过您的单笔限额 {limit}",
+  "limits.info.transaction": "每笔最多 {limit}",
+  "limits.info.account.daily": "{account}每日限额：剩余 {remaining}（共 {limit}）",
+  "limits.info.account.monthly": "{account}每月限额：剩余 {remaining}（共 {limit}）",
+  "limits.errors.wholeDollars.transaction": "请以整数澳元输入单笔限额",
+  "limits.errors.range.transaction": "单笔限额必须在 {min} 到 {max} 之间",
+  "limits.errors.forAccount": "{account}：{error}",
+  "limits.raised.transaction": "您的单笔限额将在 24 小时后提高到 {amount}。",
+  "limits.lowered.transaction": "您的单笔限额现为 {amount}。",
+  "limits.accounts.heading": "各账户限额",
+  "limits.accounts.help": "留空则该账户只受您的总限额约束。",
+  "limits.accounts.used": "今日已转出：{daily}。本月：{monthly}",
+  "limits.accounts.pendingRemoval": "此限额将于 {time} 取消",
+  "limits.accounts.raised.daily": "{account}：每日限额将在 24 小时后提高到 {amount}。",
+  "limits.accounts.raised.monthly": "{account}：每月限额将在 24 小时后提高到 {amount}。",
+  "limits.accounts.removed.daily": "{account}：每日限额将在 24 小时后取消。",
+  "limits.accounts.removed.monthly": "{account}：每月限额将在 24 小时后取消。",
+  "limits.accounts.lowered.daily": "{account}：每日限额现为 {amount}。",
+  "limits.accounts.lowered.monthly": "{account}：每月限额现为 {amount}。",
+
+  "footer.disclaimer": "仅为演示界面，不提供真实银行功能。",
+
+  "idle.title": "您还在吗？",
+  "idle.stay": "保持登录",
+  "idle.logout": "立即退出",
+  "idle.before": "为了您的安全，您将在",
+  "idle.after": "后自动退出，因为一直没有任何操作。",
+  "idle.signedOut": "由于 {wait}无操作，您已被退出登录",
+  "idle.announce": "您将在 {wait}后被退出登录。",
+  "idle.stillSignedIn": "您仍处于登录状态",
+
+  "stepUp.title": "确认是您本人",
+  "stepUp.codeLabel": "身份验证器应用中的 6 位验证码",
+  "stepUp.verify": "验证",
+  "stepUp.cancel": "取消转账",
+  "stepUp.demoShow": "显示当前验证码",
+  "stepUp.demoTitle": "仅供演示：",
+  "stepUp.demoPrompt": "没有身份验证器应用？",
+  "stepUp.reason.amount": "金额超过 {amount}",
+  "stepUp.reason.newPayee": "您以前从未向 {to} 付款",
+  "stepUp.reason": "由于{reasons}，我们需要确认是您本人。",
+  "stepUp.errors.format": "请输入身份验证器应用中的 6 位验证码。",
+  "stepUp.errors.locked": "错误验证码次数过多。为了您的安全，转账已取消，一次性验证码已锁定 {wait}。",
+  "stepUp.errors.expired": "该验证码已过期。请输入身份验证器应用当前显示的验证码。",
+  "stepUp.errors.incorrect": "验证码错误。",
+  "stepUp.errors.remaining": { other: "还剩 {count} 次尝试机会。" },
+  "stepUp.demoCode": "演示验证码：{code}",
+  "stepUp.errors.lockedFor": "一次性验证码错误次数过多。请在 {wait}后重试。",
+  "stepUp.errors.unavailable": "此浏览器无法验证一次性验证码。转账已取消。",
+
+  "language.label": "语言",
+
+  "app.title": "CommBank – 界面原型",
+
+  "money.errors.required": "请输入金额",
+  "money.errors.invalid": "请输入有效金额，例如 1,250.50",
+  "money.errors.decimals": "金额最多只能有 2 位小数",
+  "money.errors.tooLarge": "金额过大",
+  "money.dollars": { other: "{count} 澳元" },
+  "money.cents": { other: "{count} 分" },
+  "money.debit": "支出 {amount}",
+  "money.credit": "收入 {amount}",
+
+  "announce.login": "登录页面",
+  "announce.dashboard": "账户概览",
+  "announce.transactions": "交易历史",
+  "announce.transfer": "转账",
+  "announce.payees": "收款人",
+  "announce.scheduled": "预约付款",
+  "announce.settings": "设置",
+  "announce.navigated": "已进入{page}",
+  "announce.receipt": "转账回单",
+  "announce.activity": "安全活动",
+
+  "time.seconds": { other: "{count} 秒" },
+  "time.minutes": { other: "{count} 分钟" },
+
+  "toast.welcome": "欢迎，{name}！",
+  "toast.loggedOut": "已成功退出",
+  "toast.welcomeBack": "欢迎回来！",
+  "toast.dismiss": "关闭通知",
+  "toast.signedOutElsewhere": "您已在另一个标签页中退出登录",
+  "toast.signedInElsewhere": "已在另一个标签页中以 {name} 身份登录",
+  "toast.switchedElsewhere": "{name} 已在另一个标签页中登录，此标签页现在显示其账户",
+
+  "ledger.transferTo": "转账至 {to}",
+  "ledger.scheduledTo": "预约转账至 {to}",
+  "ledger.payId": "PayID 付款至 {name}",
+  "ledger.payIdNote": "PayID 付款至 {name} – {desc}",
+  "ledger.bpay": "BPAY {name} – CRN {crn}",
+  "ledger.bpayNote": "BPAY {name} – {desc}",
+
+  "bsb.payments.electronic": "电子转账",
+  "bsb.payments.paper": "支票",
+  "bsb.payments.highValue": "大额（RTGS）支付",
+  "bsb.errors.notFound": "在 BSB 目录中找不到 BSB {bsb}。请向收款人核实号码。",
+  "bsb.errors.closed": "BSB {bsb}（{bank}）已关闭。请向收款人索取新的 BSB。",
+  "bsb.errors.noElectronic": "BSB {bsb}（{bank}）不接受电子转账",
+  "bsb.accepts": "接受{types}",
+
+  "category.income": "收入",
+  "category.groceries": "食品杂货",
+  "category.dining": "餐饮",
+  "category.transport": "交通",
+  "category.bills": "账单和水电",
+  "category.shopping": "购物",
+  "category.health": "医疗健康",
+  "category.entertainment": "娱乐",
+  "category.cash": "现金",
+  "category.transfers": "转账",
+  "category.other": "其他",
+
+  "insights.heading": "消费分析",
+  "insights.month": "月份",
+  "insights.spendTitle": "按类别统计的支出",
+  "insights.cashflowTitle": "收入与支出",
+  "insights.balanceTitle": "余额趋势（所有账户）",
+  "insights.showTable": "以表格显示数据",
+  "insights.spendSummary": { other: "{month}您共支出 {total}，涉及 {count} 个类别。最大的是{top}，为 {topAmount}。" },
+  "insights.cashflowSummary": "{month}收入 {moneyIn}，支出 {moneyOut}，净变化为 {net}。",
+  "insights.balanceSummary": "{month}所有账户的余额从 {start} 变为 {end}。最低为 {lowDate} 的 {low}。",
+  "insights.noSpending": "{month}没有支出记录。",
+  "insights.noActivity": "{month}没有收入或支出。",
+  "insights.noTrend": "{month}的天数还不足以显示趋势。",
+  "insights.moneyIn": "收入",
+  "insights.moneyOut": "支出",
+  "insights.net": "净变化",
+
+  "budgets.heading": "每月预算",
+  "budgets.manage": "管理预算",
+  "budgets.help": "支出从每月 1 日开始计算。预算用到 80% 和 100% 时会提醒您。",
+  "budgets.addHeading": "添加预算",
+  "budgets.editHeading": "编辑{name}",
+  "budgets.name": "预算名称",
+  "budgets.namePlaceholder": "例如：食品杂货",
+  "budgets.limit": "每月限额（澳元）",
+  "budgets.keywords": "关键词",
+  "budgets.keywordsPlaceholder": "例如：Woolworths, Coles",
+  "budgets.keywordsHelp": "用逗号分隔关键词。交易描述包含任一关键词即计入；* 可匹配任意文字。",
+  "budgets.save": "保存预算",
+  "budgets.cancelEdit": "取消编辑",
+  "budgets.empty": "您还没有设置任何预算。",
+  "budgets.spentOf": "{spent} / {limit}",
+  "budgets.left": "剩余 {amount}",
+  "budgets.over": "超出预算 {amount}",
+  "budgets.summary": "每月 {limit} · {keywords}",
+  "budgets.editLabel": "编辑预算 {name}",
+  "budgets.deleteLabel": "删除预算 {name}",
+  "budgets.confirmDelete": "要删除预算“{name}”吗？",
+  "budgets.added": "已添加预算 {name}",
+  "budgets.updated": "已更新预算 {name}",
+  "budgets.deleted": "已删除预算 {name}",
+  "budgets.alertNear": "本月您已用掉{name}预算的 {percent}%（{spent} / {limit}）。",
+  "budgets.alertOver": "本月您已超出{name}预算（{spent} / {limit}）。",
+  "budgets.transferWarning": "这笔转账会使您的{name}预算超出 {limit} 的限额 {amount}。",
+  "budgets.errors.nameRequired": "请输入预算名称",
+  "budgets.errors.duplicate": "您已有名为“{name}”的预算",
+  "budgets.errors.limitPositive": "预算限额必须大于零",
+  "budgets.errors.keywordsRequired": "请至少输入一个关键词",
+  "budgets.errors.keywordsMax": { other: "最多只能使用 {count} 个关键词" },
+  "budgets.errors.keywordsWildcard": "关键词除 * 外还需包含文字",
+
+  "review.title": "核对转账信息",
+  "review.intro": "请在确认前核对以下信息。",
+  "review.confirm": "确认转账",
+  "review.edit": "修改",
+  "review.when": "时间",
+  "review.on": "{date}",
+  "review.recurring": "{schedule}，从 {date} 开始",
+  "review.balanceAfter": "转账后余额",
+  "review.balanceLater": "在付款当天核对",
+
+  "receipt.heading": "转账回单",
+  "receipt.print": "打印回单",
+  "receipt.download": "下载回单",
+  "receipt.back": "返回交易记录",
+  "receipt.reference": "参考编号",
+  "receipt.time": "日期和时间",
+  "receipt.from": "转出账户",
+  "receipt.to": "收款账户",
+  "receipt.amount": "金额",
+  "receipt.description": "描述",
+  "receipt.noDescription": "无",
+  "receipt.balanceAfter": "转账后余额",
+  "receipt.completed": "已完成",
+  "receipt.notFound": "找不到该回单",
+  "receipt.downloaded": "已下载回单 {ref}",
+  "receipt.payType": "付款方式",
+
+  "payid.type": "PayID 类型",
+  "payid.types.phone": "手机号",
+  "payid.types.email": "电子邮箱",
+  "payid.types.abn": "ABN",
+  "payid.label": "PayID",
+  "payid.help.phone": "澳大利亚手机号，例如 0491 570 006 或 +61 491 570 006",
+  "payid.help.email": "对方注册为 PayID 的电子邮箱",
+  "payid.help.abn": "11 位澳大利亚商业编号",
+  "payid.errors.required": "请输入 PayID",
+  "payid.errors.phone": "请输入澳大利亚手机号，例如 0491 570 006",
+  "payid.errors.email": "请输入有效的电子邮箱，例如 name@example.com",
+  "payid.errors.abnFormat": "ABN 应为 11 位数字",
+  "payid.errors.abnCheck": "该 ABN 无效。请检查数字后重试。",
+  "payid.errors.notFound": "没有账户注册 PayID {payId}",
+  "payid.errors.locked": "PayID {payId} 目前无法收款",
+  "payid.registeredName": "此 PayID 的注册名称",
+  "payid.to": "{name}（PayID {payId}）",
+
+  "bpay.biller": "收款方代码",
+  "bpay.billerHelp": "印在账单上 BPAY 标志旁",
+  "bpay.crn": "客户参考编号 (CRN)",
+  "bpay.crnHelp": "您在该收款方的参考编号，也印在账单上",
+  "bpay.errors.billerRequired": "请输入收款方代码",
+  "bpay.errors.billerFormat": "收款方代码为 3 到 10 位数字",
+  "bpay.errors.billerCheck": "收款方代码 {code} 无效。请对照账单检查。",
+  "bpay.errors.billerNotFound": "找不到代码为 {code} 的收款方",
+  "bpay.errors.crnRequired": "请输入客户参考编号",
+  "bpay.errors.crnFormat": "{name} 的参考编号为 {length} 位数字",
+  "bpay.errors.crnCheck": "该参考编号对 {name} 无效。请对照账单检查。",
+  "bpay.billerName": "此代码的注册收款方",
+  "bpay.to": "{name}（BPAY {code}，CRN {crn}）",
+
+  "profile.heading": "演示资料",
+  "profile.help": "每位演示客户都有各自的账户、交易、收款人、定期付款、限额和预算。重置会将此客户的数据恢复到初始状态，不会影响其他客户。",
+  "profile.reset": "重置此演示资料",
+  "profile.confirmReset": "要重置此演示资料吗？您的交易、收款人、定期付款、限额和预算将被初始数据替换。此操作无法撤销。",
+  "profile.resetDone": "演示资料已恢复为初始数据",
+
+  "activity.heading": "安全活动",
+  "activity.intro": "您资料中的登录、退出和转账尝试，包括被拒绝的操作，以及在此浏览器中使用不存在的客户编号尝试登录的记录。来自新设备的登录和金额异常的转账会被突出显示。",
+  "activity.filtersLabel": "筛选活动",
+  "activity.filterType": "事件",
+  "activity.filterOutcome": "结果",
+  "activity.allTypes": "所有事件",
+  "activity.allOutcomes": "所有结果",
+  "activity.flaggedOnly": "仅显示突出显示的项目",
+  "activity.caption": "安全活动，最新的在前",
+  "activity.colTime": "时间",
+  "activity.colEvent": "事件",
+  "activity.colOutcome": "结果",
+  "activity.colDetails": "详情",
+  "activity.type.login": "登录",
+  "activity.type.logout": "退出",
+  "activity.type.transfer": "转账",
+  "activity.outcome.success": "成功",
+  "activity.outcome.failure": "失败",
+  "activity.outcome.blocked": "已阻止",
+  "activity.outcome.invalid": "信息无效",
+  "activity.outcome.scheduled": "已预约",
+  "activity.outcome.reversed": "已撤销",
+  "activity.flag.newDevice": "新设备",
+  "activity.flag.unusualAmount": "金额异常",
+  "activity.detail.device": "设备 {device}",
+  "activity.detail.idle": "因无操作",
+  "activity.detail.locked": "客户编号已锁定",
+  "activity.detail.stepUp": "一次性验证码未通过验证",
+  "activity.detail.attemptsLeft": { other: "还剩 {count} 次尝试机会" },
+  "activity.detail.transfer": "{amount} 转至 {to}",
+  "activity.detail.date": "到期日 {date}",
+  "activity.detail.ref": "参考编号 {ref}",
+  "activity.detail.fields": "请检查：{fields}",
+  "activity.summary": { other: "显示 {total} 个事件中的 {count} 个。仅保留最近 {max} 个。" },
+  "activity.empty": "尚无活动记录",
+  "activity.noMatches": "没有符合这些筛选条件的活动",
+  "activity.detail.manual": "应您的要求",
+  "activity.detail.refused": "已拒绝：{reason}",
+  "activity.detail.expired": "会话已过期",
+  "activity.detail.unknownCustomer": "未知客户编号 {cust}",
+
+  "form.errors.summary": { other: "请修正标出的 {count} 个字段" },
+
+  "session.expired": "您的会话已过期。请重新登录。"
+};
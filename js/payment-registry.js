@@ -0,0 +1,54 @@
+/*
+  payment-registry.js
+  -------------------
+  Local stand-in for the PayID addressing service and the BPAY biller
+  directory, used to confirm who a PayID or BPAY payment will go to
+  before it is sent. Loaded before app.js and exposed as
+  window.PAYID_REGISTRY and window.BPAY_BILLERS so the prototype still
+  works when opened straight from disk (no fetch).
+
+  All names, numbers and addresses are made up. Mobile numbers are in
+  the 0491 570 range set aside for fiction.
+
+  PAYID_REGISTRY is keyed by the normalised PayID:
+
+    phone  - "+61-4XXXXXXXX"
+    email  - lowercase address
+    abn    - 11 digits, no spaces
+
+  and each entry holds:
+
+    name     - Name registered against the PayID
+    type     - "phone" | "email" | "abn"
+    locked   - True while the account holder has paused the PayID
+
+  BPAY_BILLERS is keyed by biller code (the last digit is a Luhn check
+  digit) and each entry holds:
+
+    name     - Biller name shown to the payer
+    crn      - Customer reference number rules:
+                 min, max - length in digits
+                 check    - "luhn" if the last digit is a check digit,
+                            "none" if the biller does not use one
+*/
+
+window.PAYID_REGISTRY = {
+  "+61-491570006": { name: "Jordan Citizen", type: "phone", locked: false },
+  "+61-491570156": { name: "Priya Raman", type: "phone", locked: false },
+  "+61-491570157": { name: "Sam Nguyen", type: "phone", locked: true },
+  "+61-491571266": { name: "Alex Taylor", type: "phone", locked: false },
+  "jordan.citizen@example.com": { name: "Jordan Citizen", type: "email", locked: false },
+  "mei.chen@example.com": { name: "Mei Chen", type: "email", locked: false },
+  "rent@harbourview-realty.example": { name: "Harbourview Realty Pty Ltd", type: "email", locked: false },
+  "53004100191": { name: "Bright Spark Electrical Pty Ltd", type: "abn", locked: false },
+  "12004100590": { name: "Green Thumb Gardening", type: "abn", locked: false },
+  "88005500390": { name: "Little Learners Childcare", type: "abn", locked: true }
+};
+
+window.BPAY_BILLERS = {
+  "23796": { name: "Harbourside Energy", crn: { min: 6, max: 12, check: "luhn" } },
+  "75556": { name: "Metro Water", crn: { min: 8, max: 10, check: "luhn" } },
+  "130005": { name: "Coastal City Council Rates", crn: { min: 6, max: 12, check: "none" } },
+  "99994": { name: "Northline Telecom", crn: { min: 10, max: 10, check: "luhn" } },
+  "123455": { name: "Southern Cross Home Insurance", crn: { min: 8, max: 16, check: "none" } }
+};